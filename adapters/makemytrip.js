@@ -0,0 +1,2271 @@
+/**
+ * Flight Extracter - MakeMyTrip Adapter
+ * Card discovery, field extractors, fare popup handling, trip type detection
+ * and search URL construction for makemytrip.com (see site-adapter.js)
+ */
+
+(function() {
+  'use strict';
+
+  const { isElementVisible, parsePrice } = SiteAdapters;
+
+  // ---- Card discovery ----
+
+  /**
+   * Find flight cards using primary selectors
+   * MakeMyTrip specific selectors with common patterns
+   */
+  function findFlightCards() {
+    const selectors = [
+      // MakeMyTrip specific - primary selector
+      'div.listingCard',
+      'div[class*="listingCard"]',
+      // MakeMyTrip alternative
+      '[data-test="component-clusterBody-OW"]',
+      '[data-test="component-clusterBody-RT"]',
+      // Generic patterns
+      '[class*="flightCard"]',
+      '[class*="FlightCard"]',
+      '[class*="flight-card"]',
+      '[data-testid*="flight"]',
+      '[data-cy*="flight"]',
+      // Common container patterns
+      'div[class*="flight"]:not([class*="icon"]):not([class*="logo"])',
+      'section[class*="flight"]',
+      'article[class*="flight"]'
+    ];
+
+    for (const selector of selectors) {
+      try {
+        const elements = document.querySelectorAll(selector);
+        if (elements.length > 0) {
+          console.log(`Found ${elements.length} elements with selector: ${selector}`);
+          return elements;
+        }
+      } catch (e) {
+        // Invalid selector, continue
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Fallback strategy for finding flight cards
+   */
+  function findFlightCardsFallback() {
+    // Look for elements containing time patterns (HH:MM)
+    const timePattern = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/;
+    const allDivs = document.querySelectorAll('div');
+    const candidates = [];
+
+    allDivs.forEach(div => {
+      const text = div.textContent || '';
+      if (timePattern.test(text) && text.includes('₹') || text.includes('Rs')) {
+        // Likely a flight card
+        candidates.push(div);
+      }
+    });
+
+    return candidates;
+  }
+
+  // ---- Per-field extractors ----
+
+  /**
+   * Extract airline code (2-letter IATA code like "AI", "6E", "IX")
+   */
+  function extractAirlineCode(card) {
+    // Look for airline code in flight code (e.g., "AI 2838" -> "AI")
+    const flightCode = extractFlightCode(card);
+    if (flightCode) {
+      const codeMatch = flightCode.match(/^([A-Z0-9]{2})\s/);
+      if (codeMatch) {
+        return codeMatch[1];
+      }
+    }
+    
+    // Try to find in airline logo data attributes or alt text
+    const airlineLogo = card.querySelector('span[data-test="component-airlineIcon"], span.arln-logo, span[class*="airlineIcon"]');
+    if (airlineLogo) {
+      const style = airlineLogo.getAttribute('style') || '';
+      const urlMatch = style.match(/icons\/([A-Z0-9]{2})\./i);
+      if (urlMatch) {
+        return urlMatch[1].toUpperCase();
+      }
+    }
+    
+    // Try to extract from airline name (common patterns)
+    const airlineName = extractAirline(card);
+    if (airlineName) {
+      const codeMap = {
+        'air india': 'AI',
+        'air india express': 'IX',
+        'indigo': '6E',
+        'spicejet': 'SG',
+        'vistara': 'UK',
+        'goair': 'G8',
+        'airasia': 'I5'
+      };
+      const lowerName = airlineName.toLowerCase();
+      for (const [name, code] of Object.entries(codeMap)) {
+        if (lowerName.includes(name)) {
+          return code;
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract flight code (e.g., "AI 2838", "IX 1621")
+   */
+  function extractFlightCode(card) {
+    // MakeMyTrip specific: flight code in p.fliCode
+    const flightCodeEl = card.querySelector('p.fliCode');
+    if (flightCodeEl) {
+      const code = flightCodeEl.textContent?.trim();
+      if (code && code.length > 0) {
+        return code;
+      }
+    }
+    
+    // Try in airline-info-wrapper
+    const airlineWrapper = card.querySelector('.airline-info-wrapper, [class*="airline-info"]');
+    if (airlineWrapper) {
+      const codeEl = airlineWrapper.querySelector('p.fliCode');
+      if (codeEl) {
+        const code = codeEl.textContent?.trim();
+        if (code && code.length > 0) {
+          return code;
+        }
+      }
+    }
+    
+    // Try to find in span elements with flight code patterns
+    const allSpans = card.querySelectorAll('span');
+    for (const span of allSpans) {
+      const text = span.textContent?.trim() || '';
+      const codePattern = /\b([A-Z0-9]{2})\s+(\d{3,4})\b/;
+      const match = text.match(codePattern);
+      if (match) {
+        return `${match[1]} ${match[2]}`;
+      }
+    }
+    
+    // Try to extract from airline name element (sometimes contains flight code)
+    const airlineNameEl = card.querySelector('p.airlineName, p[data-test="component-airlineHeading"]');
+    if (airlineNameEl) {
+      const text = airlineNameEl.textContent || '';
+      const codePattern = /\b([A-Z0-9]{2})\s+(\d{3,4})\b/;
+      const match = text.match(codePattern);
+      if (match) {
+        return `${match[1]} ${match[2]}`;
+      }
+    }
+    
+    // Pattern match: Look for "XX 1234" pattern in entire card text
+    const text = card.textContent || '';
+    const codePattern = /\b([A-Z0-9]{2})\s+(\d{3,4})\b/;
+    const match = text.match(codePattern);
+    if (match) {
+      return `${match[1]} ${match[2]}`;
+    }
+    
+    // Try alternative pattern: "XX1234" (no space)
+    const codePatternNoSpace = /\b([A-Z0-9]{2})(\d{3,4})\b/;
+    const matchNoSpace = text.match(codePatternNoSpace);
+    if (matchNoSpace) {
+      return `${matchNoSpace[1]} ${matchNoSpace[2]}`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract airline name
+   */
+  function extractAirline(card) {
+    // MakeMyTrip specific selectors - try multiple variations
+    const selectors = [
+      'p.airlineName',
+      'p[data-test="component-airlineHeading"]',
+      'p.boldFont.blackText.airlineName',
+      '.airlineName',
+      '[data-test="component-airlineHeading"]'
+    ];
+    
+    for (const selector of selectors) {
+      const airlineNameEl = card.querySelector(selector);
+      if (airlineNameEl) {
+        const airlineName = airlineNameEl.textContent?.trim();
+        if (airlineName && airlineName.length > 0) {
+          // Also try to get flight code
+          const flightCodeEl = card.querySelector('p.fliCode');
+          const flightCode = flightCodeEl?.textContent?.trim();
+          if (flightCode) {
+            return `${airlineName} (${flightCode})`;
+          }
+          return airlineName;
+        }
+      }
+    }
+
+    // Try searching within airline-info-wrapper
+    const airlineWrapper = card.querySelector('.airline-info-wrapper, [class*="airline-info"]');
+    if (airlineWrapper) {
+      const airlineNameEl = airlineWrapper.querySelector('p.boldFont.blackText, p.airlineName');
+      if (airlineNameEl) {
+        const airlineName = airlineNameEl.textContent?.trim();
+        if (airlineName) {
+          const flightCodeEl = airlineWrapper.querySelector('p.fliCode');
+          const flightCode = flightCodeEl?.textContent?.trim();
+          return flightCode ? `${airlineName} (${flightCode})` : airlineName;
+        }
+      }
+    }
+
+    // Fallback selectors
+    const fallbackSelectors = [
+      '[class*="airline"]',
+      '[class*="Airline"]',
+      '[data-testid*="airline"]',
+      'img[alt*="airline"]',
+      'img[alt*="Airline"]',
+      '[aria-label*="airline"]',
+      '[title*="airline"]'
+    ];
+
+    for (const selector of fallbackSelectors) {
+      const element = card.querySelector(selector);
+      if (element) {
+        const text = element.textContent?.trim() || 
+                    element.getAttribute('alt') || 
+                    element.getAttribute('title') || 
+                    element.getAttribute('aria-label');
+        if (text && text.length < 100 && text.length > 0) {
+          return text;
+        }
+      }
+    }
+
+    // Regex fallback: Look for common airline patterns in card text
+    const text = card.textContent || '';
+    const airlinePatterns = [
+      /(IndiGo|Air India|SpiceJet|Vistara|GoAir|AirAsia|Jet Airways|Kingfisher|Air India Express)/i,
+      /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\s+(?:Airlines|Airways|Air|Express)/i
+    ];
+
+    for (const pattern of airlinePatterns) {
+      const match = text.match(pattern);
+      if (match && match[1]) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract departure time
+   */
+  function extractDepartureTime(card) {
+    // MakeMyTrip specific: timeInfoLeft contains departure
+    const timeInfoLeft = card.querySelector('div.timeInfoLeft');
+    if (timeInfoLeft) {
+      const timeEl = timeInfoLeft.querySelector('p.flightTimeInfo span, p.appendBottom2.flightTimeInfo span');
+      if (timeEl) {
+        const time = timeEl.textContent?.trim();
+        if (time && /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+          return time;
+        }
+      }
+    }
+
+    // Fallback selectors
+    const timePattern = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/;
+    const selectors = [
+      '[class*="departure"]',
+      '[class*="Departure"]',
+      '[data-testid*="departure"]',
+      '[class*="depTime"]',
+      '[class*="dep-time"]'
+    ];
+
+    for (const selector of selectors) {
+      const element = card.querySelector(selector);
+      if (element) {
+        const text = element.textContent || '';
+        const match = text.match(timePattern);
+        if (match) return match[0];
+      }
+    }
+
+    // Fallback: Find first time pattern in card
+    const text = card.textContent || '';
+    const matches = text.match(timePattern);
+    if (matches) {
+      return matches[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract arrival time
+   */
+  function extractArrivalTime(card) {
+    // MakeMyTrip specific: timeInfoRight contains arrival
+    const timeInfoRight = card.querySelector('div.timeInfoRight');
+    if (timeInfoRight) {
+      const timeEl = timeInfoRight.querySelector('p.flightTimeInfo span, p.appendBottom2.flightTimeInfo span');
+      if (timeEl) {
+        const time = timeEl.textContent?.trim();
+        if (time && /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+          return time;
+        }
+      }
+    }
+
+    // Fallback selectors
+    const timePattern = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/;
+    const selectors = [
+      '[class*="arrival"]',
+      '[class*="Arrival"]',
+      '[data-testid*="arrival"]',
+      '[class*="arrTime"]',
+      '[class*="arr-time"]'
+    ];
+
+    for (const selector of selectors) {
+      const element = card.querySelector(selector);
+      if (element) {
+        const text = element.textContent || '';
+        const match = text.match(timePattern);
+        if (match) return match[0];
+      }
+    }
+
+    // Fallback: Find second time pattern (usually arrival)
+    const text = card.textContent || '';
+    const matches = text.match(new RegExp(timePattern.source, 'g'));
+    if (matches && matches.length > 1) {
+      return matches[1];
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract departure city
+   */
+  function extractDepartureCity(card) {
+    // MakeMyTrip specific: city in timeInfoLeft
+    const timeInfoLeft = card.querySelector('div.timeInfoLeft');
+    if (timeInfoLeft) {
+      const cityEl = timeInfoLeft.querySelector('p.blackText font[color="#000000"], p.blackText');
+      if (cityEl) {
+        const city = cityEl.textContent?.trim();
+        if (city && city.length < 50) {
+          return city;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract arrival city
+   */
+  function extractArrivalCity(card) {
+    // MakeMyTrip specific: city in timeInfoRight
+    const timeInfoRight = card.querySelector('div.timeInfoRight');
+    if (timeInfoRight) {
+      const cityEl = timeInfoRight.querySelector('p.blackText font[color="#000000"], p.blackText b font[color="#000000"], p.blackText b');
+      if (cityEl) {
+        const city = cityEl.textContent?.trim();
+        if (city && city.length < 50) {
+          return city;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract departure date
+   */
+  function extractDepartureDate(card) {
+    // MakeMyTrip specific: date near departure time
+    const timeInfoLeft = card.querySelector('div.timeInfoLeft');
+    if (timeInfoLeft) {
+      // Look for date in fontSize12 elements near departure time
+      const dateEl = timeInfoLeft.querySelector('p.fontSize12, span.fontSize12');
+      if (dateEl) {
+        const text = dateEl.textContent?.trim();
+        const datePatterns = [
+          /\b(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})\b/,
+          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{2,4})\b/i,
+          /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i,
+          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i
+        ];
+        for (const pattern of datePatterns) {
+          const match = text.match(pattern);
+          if (match && match[0]) {
+            return match[0].trim();
+          }
+        }
+      }
+    }
+    
+    // Fallback: use general date extraction but prioritize departure area
+    return extractDate(card);
+  }
+
+  /**
+   * Extract arrival date
+   */
+  function extractArrivalDate(card) {
+    // MakeMyTrip specific: date near arrival time
+    const timeInfoRight = card.querySelector('div.timeInfoRight');
+    if (timeInfoRight) {
+      // Look for date in fontSize12 elements near arrival time
+      const dateEl = timeInfoRight.querySelector('p.fontSize12, span.fontSize12');
+      if (dateEl) {
+        const text = dateEl.textContent?.trim();
+        const datePatterns = [
+          /\b(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})\b/,
+          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{2,4})\b/i,
+          /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i,
+          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i
+        ];
+        for (const pattern of datePatterns) {
+          const match = text.match(pattern);
+          if (match && match[0]) {
+            return match[0].trim();
+          }
+        }
+      }
+    }
+    
+    // Fallback: use general date extraction
+    return extractDate(card);
+  }
+
+  /**
+   * Extract date
+   */
+  function extractDate(card) {
+    const datePatterns = [
+      /\b(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})\b/,
+      /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{2,4})\b/i,
+      /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i,
+      /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i, // Just day and month
+      /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2})\b/i // Day of week and day
+    ];
+
+    const selectors = [
+      'p[class*="date"]',
+      'span[class*="date"]',
+      'div[class*="date"]',
+      '[class*="Date"]',
+      '[data-testid*="date"]',
+      'p.fontSize12', // Common date container
+      'span.fontSize12' // Common date container
+    ];
+
+    // Try selectors first
+    for (const selector of selectors) {
+      const elements = card.querySelectorAll(selector);
+      for (const element of elements) {
+        const text = element.textContent || '';
+        for (const pattern of datePatterns) {
+          const match = text.match(pattern);
+          if (match && match[0]) {
+            return match[0].trim();
+          }
+        }
+      }
+    }
+
+    // Try to find date in time elements (often near departure/arrival times)
+    const timeElements = card.querySelectorAll('p.fontSize18, p.fontSize16, span.fontSize18, span.fontSize16');
+    for (const timeEl of timeElements) {
+      const parent = timeEl.parentElement;
+      if (parent) {
+        const parentText = parent.textContent || '';
+        for (const pattern of datePatterns) {
+          const match = parentText.match(pattern);
+          if (match && match[0]) {
+            return match[0].trim();
+          }
+        }
+      }
+    }
+
+    // Fallback: Search entire card
+    const text = card.textContent || '';
+    for (const pattern of datePatterns) {
+      const match = text.match(pattern);
+      if (match && match[0]) {
+        return match[0].trim();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract layover information
+   */
+  function extractLayovers(card) {
+    const layoverPatterns = [
+      /(\d+)\s*(?:hr|hour|h)\s*(\d+)?\s*(?:min|m)?\s*(?:layover|stop|stops)/i,
+      /(?:layover|stop).*?(\d+)\s*(?:hr|hour|h)/i,
+      /(?:via|through)\s+([A-Z]{3})/i
+    ];
+
+    const text = card.textContent || '';
+    const layovers = [];
+
+    for (const pattern of layoverPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        layovers.push(match[0]);
+      }
+    }
+
+    // Also check for airport codes (3-letter codes)
+    const airportCodePattern = /\b([A-Z]{3})\b/g;
+    const codes = text.match(airportCodePattern);
+    if (codes && codes.length > 2) {
+      // Middle codes are likely layover airports
+      layovers.push(...codes.slice(1, -1));
+    }
+
+    return layovers.length > 0 ? layovers : null;
+  }
+
+  /**
+   * Extract layover cities (e.g., ["Bengaluru", "Mumbai"])
+   */
+  function extractLayoverCities(card) {
+    const cities = [];
+    
+    // MakeMyTrip specific: layover info in flightsLayoverInfo
+    const layoverInfo = card.querySelector('p.flightsLayoverInfo');
+    if (layoverInfo) {
+      const text = layoverInfo.textContent || '';
+      // Pattern: "1 stop via Bengaluru" or "1 stop via Mumbai, Delhi"
+      const viaMatch = text.match(/via\s+([A-Za-z\s,]+)/i);
+      if (viaMatch) {
+        const viaText = viaMatch[1].trim();
+        // Split by comma if multiple cities
+        const cityList = viaText.split(',').map(c => c.trim()).filter(c => c.length > 0);
+        cities.push(...cityList);
+      }
+    }
+    
+    // Also check in stop-info div
+    const stopInfo = card.querySelector('div.stop-info');
+    if (stopInfo) {
+      const text = stopInfo.textContent || '';
+      const viaMatch = text.match(/via\s+([A-Za-z\s,]+)/i);
+      if (viaMatch) {
+        const viaText = viaMatch[1].trim();
+        const cityList = viaText.split(',').map(c => c.trim()).filter(c => c.length > 0);
+        cities.push(...cityList);
+      }
+    }
+    
+    // Pattern match in full text
+    const cardText = card.textContent || '';
+    const viaPattern = /via\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*(?:\s*,\s*[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)*)/g;
+    let match;
+    while ((match = viaPattern.exec(cardText)) !== null) {
+      const cityText = match[1].trim();
+      const cityList = cityText.split(',').map(c => c.trim()).filter(c => c.length > 0);
+      cities.push(...cityList);
+    }
+    
+    // The same "via" text is found by more than one of the lookups above
+    const uniqueCities = Array.from(new Set(cities));
+    return uniqueCities.length > 0 ? uniqueCities : null;
+  }
+
+  /**
+   * Extract stopover time/duration (time spent at layover airports, NOT total flight duration)
+   */
+  function extractStopoverTime(card) {
+    // First, check if there are any stops - if no stops, stopover time is null
+    const stops = extractStops(card);
+    if (!stops || stops === 0) {
+      return null; // No stops means no stopover time
+    }
+    
+    // Get total duration first to ensure we never return the same value
+    const totalDuration = extractDuration(card);
+    const totalDurationStr = totalDuration || '';
+    
+    // Look for layover duration in specific layover elements
+    // MakeMyTrip shows layover time in flightLayoverOuter or similar elements
+    const layoverOuters = card.querySelectorAll('div.flightLayoverOuter, div.mmtConnectLayover, div[class*="layover"], div[class*="Layover"]');
+    if (layoverOuters.length > 0) {
+      let totalStopoverMinutes = 0;
+      let foundLayoverTime = false;
+      
+      layoverOuters.forEach(layoverOuter => {
+        const layoverText = layoverOuter.textContent || '';
+        // Look for patterns like "2h 30m layover" or "2 hr 30 min" or just time in layover context
+        const layoverMatch = layoverText.match(/(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)?/i);
+        if (layoverMatch) {
+          const hours = parseInt(layoverMatch[1], 10);
+          const minutes = layoverMatch[2] ? parseInt(layoverMatch[2], 10) : 0;
+          const layoverTimeStr = `${hours}h ${minutes}m`;
+          
+          // CRITICAL: Make sure this is NOT the same as total duration
+          if (layoverTimeStr !== totalDurationStr) {
+            totalStopoverMinutes += (hours * 60) + minutes;
+            foundLayoverTime = true;
+          }
+        }
+      });
+      
+      if (foundLayoverTime && totalStopoverMinutes > 0) {
+        const totalHours = Math.floor(totalStopoverMinutes / 60);
+        const totalMins = totalStopoverMinutes % 60;
+        const result = `${totalHours}h ${totalMins}m`;
+        
+        // Double-check: never return the same as duration
+        if (result !== totalDurationStr) {
+          return result;
+        }
+      }
+    }
+    
+    // Look for stopover time in layover info text
+    const layoverInfo = card.querySelector('p.flightsLayoverInfo, div[class*="layoverInfo"], div[class*="LayoverInfo"]');
+    if (layoverInfo) {
+      const text = layoverInfo.textContent || '';
+      // Look for explicit layover/stopover time mentions
+      // Pattern: "2h 30m layover" or "layover: 2h 30m" or "stop: 2h" or "via DEL 2h 30m"
+      const layoverTimePatterns = [
+        /(?:layover|stop|stopover|via).*?(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)/i,
+        /(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute).*?(?:layover|stop|stopover|via)/i,
+        /via\s+\w+\s+(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)/i
+      ];
+      
+      for (const pattern of layoverTimePatterns) {
+        const match = text.match(pattern);
+        if (match) {
+          const hours = parseInt(match[1], 10);
+          const minutes = match[2] ? parseInt(match[2], 10) : 0;
+          // Only return if it's a reasonable stopover time (less than 12 hours and not same as duration)
+          if (hours < 12) {
+            const result = `${hours}h ${minutes}m`;
+            // CRITICAL: Never return the same as duration
+            if (result !== totalDurationStr) {
+              return result;
+            }
+          }
+        }
+      }
+    }
+    
+    // Calculate stopover time using departure and arrival times if available
+    const departureTime = extractDepartureTime(card);
+    const arrivalTime = extractArrivalTime(card);
+    
+    if (departureTime && arrivalTime && totalDuration) {
+      // Parse times (format: "HH:MM")
+      const depMatch = departureTime.match(/(\d{1,2}):(\d{2})/);
+      const arrMatch = arrivalTime.match(/(\d{1,2}):(\d{2})/);
+      
+      if (depMatch && arrMatch) {
+        const depHours = parseInt(depMatch[1], 10);
+        const depMins = parseInt(depMatch[2], 10);
+        const arrHours = parseInt(arrMatch[1], 10);
+        const arrMins = parseInt(arrMatch[2], 10);
+        
+        // Calculate time difference (handling day rollover)
+        let totalMins = (arrHours * 60 + arrMins) - (depHours * 60 + depMins);
+        if (totalMins < 0) {
+          totalMins += 24 * 60; // Next day
+        }
+        
+        // Parse total duration (format: "9h 25m" or "9h25m" or "9 h 25 m")
+        const durMatch = totalDuration.match(/(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)?/i);
+        if (durMatch) {
+          const durHours = parseInt(durMatch[1], 10);
+          const durMins = durMatch[2] ? parseInt(durMatch[2], 10) : 0;
+          const totalDurationMins = (durHours * 60) + durMins;
+          
+          // If time difference is significantly more than flight duration, 
+          // the difference is likely stopover time
+          if (totalMins > totalDurationMins) {
+            const stopoverMins = totalMins - totalDurationMins;
+            const stopoverHours = Math.floor(stopoverMins / 60);
+            const stopoverMinsRem = stopoverMins % 60;
+            
+            // Only return if reasonable (less than 12 hours)
+            if (stopoverHours < 12) {
+              const result = `${stopoverHours}h ${stopoverMinsRem}m`;
+              // CRITICAL: Never return the same as duration
+              if (result !== totalDurationStr) {
+                return result;
+              }
+            }
+          }
+        }
+      }
+    }
+    
+    // If we can't determine stopover time, return null (NEVER return duration)
+    // This ensures duration and stopover_time are always different
+    return null;
+  }
+
+  /**
+   * Extract number of stops
+   */
+  function extractStops(card) {
+    // MakeMyTrip specific: stops info in flightsLayoverInfo
+    const layoverInfo = card.querySelector('p.flightsLayoverInfo');
+    if (layoverInfo) {
+      const text = layoverInfo.textContent?.trim().toLowerCase();
+      if (text) {
+        if (text.includes('non stop') || text.includes('nonstop') || text.includes('direct')) {
+          return 0;
+        }
+        // Check for number of stops
+        const stopMatch = text.match(/(\d+)\s*(?:stop|stops)/i);
+        if (stopMatch) {
+          return parseInt(stopMatch[1], 10);
+        }
+        // If it says "via" but no number, it's likely 1 stop
+        if (text.includes('via')) {
+          return 1;
+        }
+      }
+    }
+
+    // Fallback patterns
+    const stopPatterns = [
+      /(non-stop|direct|nonstop)/i,
+      /(\d+)\s*(?:stop|stops)/i,
+      /(?:stop|stops):\s*(\d+)/i
+    ];
+
+    const text = card.textContent || '';
+    
+    // Check for non-stop first
+    if (/non-stop|direct|nonstop/i.test(text)) {
+      return 0;
+    }
+
+    for (const pattern of stopPatterns) {
+      const match = text.match(pattern);
+      if (match && match[1]) {
+        return parseInt(match[1], 10);
+      }
+    }
+
+    // Infer from layover cities count
+    const layoverCities = extractLayoverCities(card);
+    if (layoverCities && layoverCities.length > 0) {
+      return layoverCities.length;
+    }
+
+    // Infer from layover count
+    const layovers = extractLayovers(card);
+    if (layovers && layovers.length > 0) {
+      return layovers.length;
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract flight duration
+   */
+  function extractDuration(card) {
+    // MakeMyTrip specific: duration is in stop-info div
+    const stopInfo = card.querySelector('div.stop-info');
+    if (stopInfo) {
+      const durationText = stopInfo.querySelector('p')?.textContent?.trim();
+      if (durationText) {
+        // Format: "02 h 40 m" or "2h 40m"
+        const match = durationText.match(/(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)?/i);
+        if (match) {
+          const hours = parseInt(match[1], 10);
+          const minutes = match[2] ? parseInt(match[2], 10) : 0;
+          return `${hours}h ${minutes}m`;
+        }
+        // If it's already formatted, return as is
+        if (durationText.includes('h') || durationText.includes('hr')) {
+          return durationText;
+        }
+      }
+    }
+
+    // Fallback selectors
+    const durationPatterns = [
+      /(\d+)\s*(?:hr|hour|h)\s*(?:(\d+)\s*(?:min|m))?/i,
+      /(\d+):(\d+)\s*(?:hr|hour|h)/i,
+      /(?:duration|time):\s*(\d+)\s*(?:hr|hour|h)/i
+    ];
+
+    const selectors = [
+      '[class*="duration"]',
+      '[class*="Duration"]',
+      '[data-testid*="duration"]'
+    ];
+
+    for (const selector of selectors) {
+      const element = card.querySelector(selector);
+      if (element) {
+        const text = element.textContent || '';
+        for (const pattern of durationPatterns) {
+          const match = text.match(pattern);
+          if (match) {
+            const hours = parseInt(match[1], 10);
+            const minutes = match[2] ? parseInt(match[2], 10) : 0;
+            return `${hours}h ${minutes}m`;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract the "+1 day" style arrival marker from a card
+   * @returns {number|null} - Days after departure, or null if the card shows no marker
+   */
+  function extractArrivalDayOffset(card) {
+    const timeInfoRight = card.querySelector('div.timeInfoRight');
+    const text = (timeInfoRight ? timeInfoRight.textContent : card.textContent) || '';
+    const match = text.match(/\+\s*(\d)\s*days?\b/i);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Extract price
+   */
+  function extractPrice(card) {
+    // MakeMyTrip specific: price in clusterViewPrice - try multiple selectors
+    const priceSelectors = [
+      'div.clusterViewPrice span.fontSize18.blackFont',
+      'span[data-test="component-fare"]',
+      'div.clusterViewPrice span.fontSize18',
+      'div.priceSection span.fontSize18',
+      '[data-test="component-fare"]',
+      'div.clusterViewPrice'
+    ];
+    
+    for (const selector of priceSelectors) {
+      const priceEl = card.querySelector(selector);
+      if (priceEl) {
+        const priceText = priceEl.textContent?.trim();
+        if (priceText) {
+          // Extract price with ₹ symbol - look for full price pattern
+          const priceMatch = priceText.match(/[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/);
+          if (priceMatch && priceMatch[0].length > 1) { // Make sure it's not just a single digit
+            const extractedPrice = priceMatch[0].trim();
+            // Validate it's a reasonable price (at least 3 digits)
+            if (extractedPrice.replace(/[₹Rs,\s]/g, '').length >= 3) {
+              return extractedPrice;
+            }
+          }
+        }
+      }
+    }
+    
+    // Try to find price in priceSection
+    const priceSection = card.querySelector('div.priceSection, [class*="priceSection"]');
+    if (priceSection) {
+      const priceText = priceSection.textContent || '';
+      const priceMatch = priceText.match(/[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/);
+      if (priceMatch && priceMatch[0].length > 1) {
+        const extractedPrice = priceMatch[0].trim();
+        if (extractedPrice.replace(/[₹Rs,\s]/g, '').length >= 3) {
+          return extractedPrice;
+        }
+      }
+    }
+
+    // Fallback selectors
+    const pricePatterns = [
+      /[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/,
+      /(\d{1,3}(?:[,\s]\d{2,3})*)\s*(?:INR|₹|Rs)/i
+    ];
+
+    const selectors = [
+      '[class*="price"]',
+      '[class*="Price"]',
+      '[data-testid*="price"]',
+      '[class*="fare"]',
+      '[class*="amount"]',
+      '[data-test="component-fare"]'
+    ];
+
+    for (const selector of selectors) {
+      const element = card.querySelector(selector);
+      if (element) {
+        const text = element.textContent || '';
+        for (const pattern of pricePatterns) {
+          const match = text.match(pattern);
+          if (match) {
+            return match[0].trim();
+          }
+        }
+      }
+    }
+
+    // Fallback: Find all price patterns and take the largest (usually the main price)
+    const text = card.textContent || '';
+    const prices = [];
+    for (const pattern of pricePatterns) {
+      const matches = text.match(new RegExp(pattern.source, 'g'));
+      if (matches) {
+        prices.push(...matches);
+      }
+    }
+
+    if (prices.length > 0) {
+      // Return the largest number (main price)
+      const numericPrices = prices.map(p => {
+        const num = p.replace(/[₹Rs,\s]/g, '');
+        return parseInt(num, 10);
+      }).filter(n => !isNaN(n));
+      
+      if (numericPrices.length > 0) {
+        const maxPrice = Math.max(...numericPrices);
+        return `₹${maxPrice.toLocaleString('en-IN')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract coupon details (promotional codes, discount offers)
+   */
+  function extractCouponDetails(card) {
+    const coupons = [];
+    
+    // MakeMyTrip specific: coupon codes in alert messages
+    const alertMsg = card.querySelector('p.alertMsg, div.alertMsg, [class*="alertMsg"]');
+    if (alertMsg) {
+      const text = alertMsg.textContent || '';
+      // Pattern: "FLAT ₹ 310 OFF using MMTSUPER" or "Code: MMTHDFCCC"
+      const codePatterns = [
+        /(?:code|using|use)\s*:?\s*([A-Z0-9]{6,})/gi,
+        /([A-Z]{2,}\d{2,}[A-Z]{2,})/g, // Pattern like MMTSUPER, MMTHDFCCC
+        /([A-Z]{3,}\d{2,})/g // Pattern like MMT310
+      ];
+      
+      for (const pattern of codePatterns) {
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+          const code = match[1] || match[0];
+          if (code && code.length >= 4) {
+            coupons.push({
+              code: code,
+              description: text.trim()
+            });
+          }
+        }
+      }
+    }
+    
+    // Check in specialFarePersuasionWrapper
+    const persuasionWrapper = card.querySelector('div.specialFarePersuasionWrapper, [class*="specialFarePersuasion"]');
+    if (persuasionWrapper) {
+      const text = persuasionWrapper.textContent || '';
+      const codeMatch = text.match(/(?:code|using|use)\s*:?\s*([A-Z0-9]{6,})/i);
+      if (codeMatch) {
+        coupons.push({
+          code: codeMatch[1],
+          description: text.trim()
+        });
+      }
+    }
+    
+    // Check in bottomPersuasions (from popup)
+    const bottomPersuasions = card.querySelector('div.bottomPersuasions, [class*="bottomPersuasions"]');
+    if (bottomPersuasions) {
+      const text = bottomPersuasions.textContent || '';
+      const codeMatch = text.match(/(?:code|using|use)\s*:?\s*([A-Z0-9]{6,})/i);
+      if (codeMatch) {
+        coupons.push({
+          code: codeMatch[1],
+          description: text.trim()
+        });
+      }
+    }
+    
+    // Remove duplicates
+    const uniqueCoupons = [];
+    const seenCodes = new Set();
+    for (const coupon of coupons) {
+      if (!seenCodes.has(coupon.code)) {
+        seenCodes.add(coupon.code);
+        uniqueCoupons.push(coupon);
+      }
+    }
+    
+    return uniqueCoupons.length > 0 ? uniqueCoupons : null;
+  }
+
+  /**
+   * Extract offers/promotions
+   */
+  function extractOffers(card) {
+    const offers = [];
+
+    // MakeMyTrip specific: multiple offer locations
+    // 1. Special fare persuasion at top
+    const specialFareEls = card.querySelectorAll('span.specialFarePersuasion, span[data-testid]');
+    specialFareEls.forEach(el => {
+      const text = el.textContent?.trim();
+      if (text && (text.includes('%') || text.includes('off') || text.includes('OFF'))) {
+        offers.push(text);
+      }
+    });
+
+    // 2. Alert messages (promotional offers)
+    const alertMsg = card.querySelector('p.alertMsg');
+    if (alertMsg) {
+      const alertText = alertMsg.textContent?.trim();
+      if (alertText) {
+        // Split by | to get individual offers
+        const individualOffers = alertText.split('|').map(o => o.trim()).filter(o => o);
+        offers.push(...individualOffers);
+      }
+    }
+
+    // 3. Lock price persuasion
+    const lockPriceEl = card.querySelector('span[data-test="component-lockPricePersuasionText"]');
+    if (lockPriceEl) {
+      const lockText = lockPriceEl.textContent?.trim();
+      if (lockText) {
+        offers.push(lockText);
+      }
+    }
+
+    // Fallback: generic offer selectors
+    const offerKeywords = ['offer', 'discount', 'promo', 'cashback', 'coupon', 'deal', 'save', 'off'];
+    const selectors = [
+      '[class*="offer"]',
+      '[class*="Offer"]',
+      '[class*="promo"]',
+      '[class*="discount"]',
+      '[class*="deal"]',
+      '[class*="badge"]'
+    ];
+
+    for (const selector of selectors) {
+      const elements = card.querySelectorAll(selector);
+      elements.forEach(el => {
+        const text = el.textContent?.trim() || '';
+        if (text && offerKeywords.some(keyword => text.toLowerCase().includes(keyword))) {
+          if (!offers.includes(text)) {
+            offers.push(text);
+          }
+        }
+      });
+    }
+
+    return offers.length > 0 ? offers : null;
+  }
+
+  /**
+   * Extract fare options from the popup modal
+   */
+  function extractFareOptions(card) {
+    // Find all visible popups that contain fare data
+    const allPopups = document.querySelectorAll('div.wdth100, div.journeyContent');
+    
+    // Try to find popup associated with this specific card
+    // Look for popup that contains the same route information
+    const cardRoute = extractRouteFromCard(card);
+    
+    for (const popup of allPopups) {
+      if (!isElementVisible(popup)) continue;
+      
+      // Check if popup contains route info matching the card
+      const popupRoute = extractRouteFromPopup(popup);
+      if (cardRoute && popupRoute && 
+          (cardRoute.departure === popupRoute.departure || 
+           cardRoute.arrival === popupRoute.arrival)) {
+        return extractFareOptionsFromPopup(popup);
+      }
+    }
+    
+    // Fallback: if only one popup is visible, use it
+    const visiblePopups = Array.from(allPopups).filter(p => isElementVisible(p));
+    if (visiblePopups.length === 1) {
+      return extractFareOptionsFromPopup(visiblePopups[0]);
+    }
+    
+    // If multiple popups, try to find the one closest to this card
+    if (visiblePopups.length > 0) {
+      // Get card position
+      const cardRect = card.getBoundingClientRect();
+      let closestPopup = null;
+      let minDistance = Infinity;
+      
+      visiblePopups.forEach(popup => {
+        const popupRect = popup.getBoundingClientRect();
+        const distance = Math.abs(cardRect.top - popupRect.top);
+        if (distance < minDistance) {
+          minDistance = distance;
+          closestPopup = popup;
+        }
+      });
+      
+      if (closestPopup) {
+        return extractFareOptionsFromPopup(closestPopup);
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract route info from card for matching
+   */
+  function extractRouteFromCard(card) {
+    const depCity = extractDepartureCity(card);
+    const arrCity = extractArrivalCity(card);
+    return depCity && arrCity ? { departure: depCity, arrival: arrCity } : null;
+  }
+
+  /**
+   * Extract route info from popup for matching
+   */
+  function extractRouteFromPopup(popup) {
+    const routeText = popup.querySelector('span.boldFont.fontSize16')?.textContent;
+    if (routeText && routeText.includes('→')) {
+      const parts = routeText.split('→').map(s => s.trim());
+      if (parts.length === 2) {
+        return { departure: parts[0], arrival: parts[1] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extract fare options from popup element
+   */
+  function extractFareOptionsFromPopup(popup) {
+    const result = {
+      route: null,
+      airline_info: null,
+      date_time: null,
+      fare_classes: []
+    };
+
+    // Extract route information from popup header
+    const routeEl = popup.querySelector('span.boldFont.fontSize16');
+    if (routeEl) {
+      result.route = routeEl.textContent?.trim();
+    }
+
+    // Extract airline and date/time info
+    const airlineInfoEl = popup.querySelector('span.mediumBoldFont');
+    if (airlineInfoEl) {
+      result.airline_info = airlineInfoEl.textContent?.trim();
+    }
+
+    // Extract class tabs (Economy, Business Class)
+    const classTabs = popup.querySelectorAll('div.legListTab');
+    
+    if (classTabs.length > 0) {
+      // Extract fare cards for each class tab
+      classTabs.forEach((tab, tabIndex) => {
+        const className = tab.querySelector('span.legListTabTitle')?.textContent?.trim() || `Class ${tabIndex + 1}`;
+        const startingPrice = tab.querySelector('span.legListSubtitle')?.textContent?.trim() || null;
+        const classDescription = tab.querySelector('span.fontSize12.boldFont.darkText')?.textContent?.trim() || null;
+
+        // Find all fare cards - they're in the journeyContent section
+        // For active tab, get all visible fare cards
+        const journeyContent = popup.querySelector('div.journeyContent');
+        const fareCards = journeyContent ? 
+          journeyContent.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide.fareFamilyCardWrapper') : 
+          popup.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide');
+        
+        const fares = [];
+        const seenFares = new Set(); // Track unique fares to avoid duplicates
+        fareCards.forEach((fareCard) => {
+          // Only extract visible fare cards
+          if (isElementVisible(fareCard)) {
+            const fare = extractFareCardDetails(fareCard);
+            if (fare) {
+              // Generate unique key for fare (fare name + price)
+              const fareKey = `${fare.fare_name || 'unknown'}_${fare.price || ''}_${fare.original_price || ''}`;
+              if (!seenFares.has(fareKey)) {
+                seenFares.add(fareKey);
+                fares.push(fare);
+              } else {
+                console.log(`⚠ Duplicate fare card detected: ${fareKey}`);
+              }
+            }
+          }
+        });
+
+        if (fares.length > 0 || startingPrice) {
+          result.fare_classes.push({
+            class: className,
+            starting_price: startingPrice,
+            description: classDescription,
+            fares: fares
+          });
+        }
+      });
+    } else {
+      // If no tabs found, extract all fare cards directly
+      const journeyContent = popup.querySelector('div.journeyContent');
+      const fareCards = journeyContent ? 
+        journeyContent.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide.fareFamilyCardWrapper') : 
+        popup.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide');
+      
+      const fares = [];
+      const seenFares = new Set(); // Track unique fares to avoid duplicates
+      fareCards.forEach((fareCard) => {
+        if (isElementVisible(fareCard)) {
+          const fare = extractFareCardDetails(fareCard);
+          if (fare) {
+            // Generate unique key for fare (fare name + price)
+            const fareKey = `${fare.fare_name || 'unknown'}_${fare.price || ''}_${fare.original_price || ''}`;
+            if (!seenFares.has(fareKey)) {
+              seenFares.add(fareKey);
+              fares.push(fare);
+            } else {
+              console.log(`⚠ Duplicate fare card detected: ${fareKey}`);
+            }
+          }
+        }
+      });
+
+      if (fares.length > 0) {
+        result.fare_classes.push({
+          class: 'Economy',
+          fares: fares
+        });
+      }
+    }
+
+    return result.fare_classes.length > 0 ? result : null;
+  }
+
+  /**
+   * Extract details from a single fare card
+   */
+  function extractFareCardDetails(fareCard) {
+    const fare = {};
+
+    // Extract price - look in ffCardHeading first
+    const heading = fareCard.querySelector('div.ffCardHeading');
+    if (heading) {
+      // Check for slashed price (original price) first
+      const slashedPrice = heading.querySelector('span.lighterGreyText strike');
+      if (slashedPrice) {
+        fare.original_price = slashedPrice.textContent?.trim();
+      }
+      
+      // Extract current price
+      const priceEl = heading.querySelector('span.fontSize18.blackFont');
+      if (priceEl) {
+        const priceText = priceEl.textContent?.trim();
+        const priceMatch = priceText?.match(/[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/);
+        fare.price = priceMatch ? priceMatch[0].trim() : priceText;
+      }
+      
+      // Extract "per adult" text if available
+      const perAdult = heading.querySelector('span.fontSize12');
+      if (perAdult && perAdult.textContent?.includes('per adult')) {
+        fare.price_unit = perAdult.textContent?.trim();
+      }
+      
+      // Numeric amounts next to the display strings
+      const parsedPrice = parsePrice(fare.price);
+      const parsedOriginalPrice = parsePrice(fare.original_price);
+      fare.price_amount = parsedPrice.amount;
+      fare.price_currency = parsedPrice.currency || parsedOriginalPrice.currency;
+      fare.original_price_amount = parsedOriginalPrice.amount;
+      fare.discount_amount = (parsedPrice.amount !== null && parsedOriginalPrice.amount !== null)
+        ? Math.max(parsedOriginalPrice.amount - parsedPrice.amount, 0)
+        : null;
+    }
+
+    // Extract fare name
+    const fareNameEl = fareCard.querySelector('p.fontSize12.capText');
+    if (fareNameEl) {
+      fare.fare_name = fareNameEl.textContent?.trim();
+    }
+
+    // Extract baggage information
+    const baggageSection = Array.from(fareCard.querySelectorAll('p.fontSize12.boldFont.appendBottom8'))
+      .find(section => section.textContent?.includes('Baggage'));
+    
+    if (baggageSection) {
+      const baggageItems = [];
+      // Check for special tag on baggage section
+      const benefitTag = baggageSection.querySelector('span.benefitTag');
+      if (benefitTag) {
+        fare.baggage_tag = benefitTag.textContent?.trim();
+      }
+      
+      // Get the UL list that follows
+      let nextSibling = baggageSection.nextElementSibling;
+      while (nextSibling && nextSibling.tagName !== 'UL' && !nextSibling.classList.contains('ffCardList')) {
+        nextSibling = nextSibling.nextElementSibling;
+      }
+      if (nextSibling && (nextSibling.tagName === 'UL' || nextSibling.classList.contains('ffCardList'))) {
+        nextSibling.querySelectorAll('li').forEach(li => {
+          const baggageText = li.textContent?.trim();
+          if (baggageText) {
+            baggageItems.push(baggageText);
+          }
+        });
+      }
+      fare.baggage = baggageItems.length > 0 ? baggageItems : null;
+    }
+
+    // Extract flexibility information
+    const flexibilitySection = Array.from(fareCard.querySelectorAll('p.fontSize12.boldFont.appendBottom8'))
+      .find(section => section.textContent?.includes('Flexibility'));
+    
+    if (flexibilitySection) {
+      const flexibilityItems = [];
+      let nextSibling = flexibilitySection.nextElementSibling;
+      while (nextSibling && nextSibling.tagName !== 'UL' && !nextSibling.classList.contains('ffCardList')) {
+        nextSibling = nextSibling.nextElementSibling;
+      }
+      if (nextSibling && (nextSibling.tagName === 'UL' || nextSibling.classList.contains('ffCardList'))) {
+        nextSibling.querySelectorAll('li').forEach(li => {
+          const flexText = li.textContent?.trim();
+          if (flexText) {
+            flexibilityItems.push(flexText);
+          }
+        });
+      }
+      fare.flexibility = flexibilityItems.length > 0 ? flexibilityItems : null;
+    }
+
+    // Extract seats, meals & more
+    const seatsMealsSection = Array.from(fareCard.querySelectorAll('p.fontSize12.boldFont.appendBottom8'))
+      .find(section => section.textContent?.includes('Seats') || section.textContent?.includes('Meals'));
+    
+    if (seatsMealsSection) {
+      const seatsMealsItems = [];
+      let nextSibling = seatsMealsSection.nextElementSibling;
+      while (nextSibling && nextSibling.tagName !== 'UL' && !nextSibling.classList.contains('ffCardList')) {
+        nextSibling = nextSibling.nextElementSibling;
+      }
+      if (nextSibling && (nextSibling.tagName === 'UL' || nextSibling.classList.contains('ffCardList'))) {
+        nextSibling.querySelectorAll('li').forEach(li => {
+          const itemText = li.textContent?.trim();
+          if (itemText) {
+            seatsMealsItems.push(itemText);
+          }
+        });
+      }
+      fare.seats_meals = seatsMealsItems.length > 0 ? seatsMealsItems : null;
+    }
+
+    // Extract special tags/benefits
+    const benefitTag = fareCard.querySelector('span.benefitTag');
+    if (benefitTag && !fare.baggage_tag) {
+      fare.special_tag = benefitTag.textContent?.trim();
+    }
+
+    const mostPopularTag = fareCard.querySelector('div.mostPopularTag');
+    if (mostPopularTag) {
+      fare.popular_tag = mostPopularTag.textContent?.trim();
+    }
+
+    // Extract bottom persuasions/offers
+    const bottomPersuasions = fareCard.querySelector('div.bottomPersuasions');
+    if (bottomPersuasions) {
+      const persuasions = [];
+      bottomPersuasions.querySelectorAll('div.ffSuccess, div.fontSize12').forEach(el => {
+        const text = el.textContent?.trim();
+        if (text) {
+          // Split by | to get individual offers
+          const individualOffers = text.split('|').map(o => o.trim()).filter(o => o);
+          persuasions.push(...individualOffers);
+        }
+      });
+      
+      // Also check for benefits worth text
+      const benefitsWorth = bottomPersuasions.querySelector('div.boldFont');
+      if (benefitsWorth) {
+        const benefitsText = benefitsWorth.textContent?.trim();
+        if (benefitsText) {
+          persuasions.push(benefitsText);
+        }
+      }
+      
+      fare.persuasions = persuasions.length > 0 ? persuasions : null;
+    }
+
+    // Extract lock price button text if available
+    const lockPriceBtn = fareCard.querySelector('button.ffSpinBtnWrapper');
+    if (!lockPriceBtn) {
+      // Fallback: find button with LOCK PRICE text
+      const allButtons = fareCard.querySelectorAll('button');
+      for (const btn of allButtons) {
+        if (btn.textContent?.includes('LOCK PRICE') || btn.querySelector('font[color="#008CFF"]')) {
+          const lockPriceText = btn.textContent?.trim();
+          if (lockPriceText) {
+            fare.has_lock_price = true;
+            fare.lock_price_text = lockPriceText;
+          }
+          break;
+        }
+      }
+    } else {
+      fare.has_lock_price = true;
+      const lockPriceText = lockPriceBtn.textContent?.trim();
+      if (lockPriceText) {
+        fare.lock_price_text = lockPriceText;
+      }
+    }
+
+    // Only return fare if it has at least a price
+    return fare.price ? fare : null;
+  }
+
+  /**
+   * Extract raw text excerpt
+   */
+  function extractRawText(card) {
+    const text = card.textContent || '';
+    // Return first 500 characters for debugging
+    return text.substring(0, 500).trim();
+  }
+
+  /**
+   * Extract HTML snippet
+   */
+  function extractHtmlSnippet(card) {
+    const html = card.outerHTML || '';
+    // Return first 1000 characters for debugging
+    return html.substring(0, 1000);
+  }
+
+  // ---- Trip type and page layout ----
+
+  /**
+   * Detect trip type from the UI element
+   * Returns 'round_trip', 'multi_city' or 'one_way'
+   */
+  function detectTripTypeFromUI() {
+    console.log('Detecting trip type from UI...');
+    
+    // Find the trip type wrapper
+    const tripTypeWrapper = document.querySelector('div[data-test="component-tripType-wrapper"], div.tripTypeWrapper');
+    
+    if (!tripTypeWrapper) {
+      console.log('⚠ Trip type wrapper not found, falling back to DOM structure check');
+      return detectTripTypeFromLayout();
+    }
+    
+    // Find the dropdown value element
+    const dropdownVal = tripTypeWrapper.querySelector('div.multiDropDownVal');
+    
+    if (!dropdownVal) {
+      console.log('⚠ Trip type dropdown value not found, falling back to DOM structure check');
+      return detectTripTypeFromLayout();
+    }
+    
+    const tripTypeText = dropdownVal.textContent?.trim().toLowerCase() || '';
+    console.log(`Trip type text found: "${tripTypeText}"`);
+    
+    // Check for multi-city indicators (before round trip: both layouts have several legs)
+    if (tripTypeText.includes('multi')) {
+      console.log('✓ Detected: Multi City');
+      return 'multi_city';
+    }
+    
+    // Check for round trip indicators
+    if (tripTypeText.includes('round') || tripTypeText.includes('return')) {
+      console.log('✓ Detected: Round Trip');
+      return 'round_trip';
+    }
+    
+    // Check for one-way indicators
+    if (tripTypeText.includes('one') || tripTypeText.includes('one-way') || tripTypeText.includes('one way')) {
+      console.log('✓ Detected: One Way');
+      return 'one_way';
+    }
+    
+    // Fallback: check DOM structure
+    console.log('⚠ Could not determine from text, falling back to DOM structure check');
+    return detectTripTypeFromLayout();
+  }
+
+  /**
+   * Trip type from the page structure (and the search URL for multi-city)
+   */
+  function detectTripTypeFromLayout() {
+    if (checkIfMultiCity()) {
+      return 'multi_city';
+    }
+    return checkIfRoundTrip() ? 'round_trip' : 'one_way';
+  }
+
+  /**
+   * Check if the search URL is a multi-city search (tripType=M)
+   */
+  function isMultiCitySearchUrl() {
+    try {
+      return (new URLSearchParams(window.location.search).get('tripType') || '').toUpperCase() === 'M';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if this is a multi-city listing page: a tripType=M search, a tab per leg,
+   * or a split view with more panes than a round trip
+   */
+  function checkIfMultiCity() {
+    return isMultiCitySearchUrl() || findMultiCityLegs().length > 0;
+  }
+
+  /**
+   * Find the legs of a multi-city listing, in itinerary order
+   * Two layouts: one tab per leg above a single listing (the listing shows the cards of the
+   * active tab), or one pane per leg in the split view (like the two panes of a round trip)
+   * @returns {Array<{legIndex: number, tab: Element|null, pane: Element|null}>} - Empty if not multi-city
+   */
+  function findMultiCityLegs() {
+    const tabs = Array.from(document.querySelectorAll('div.multicityTabs li, div[class*="multiCityTab"], div[class*="multicityTab"], li[class*="sectorTab"], div[class*="sectorTab"]'))
+      // A tab wrapper that also matches is dropped in favour of the tabs inside it
+      .filter((tab, index, all) => !all.some(other => other !== tab && tab.contains(other)))
+      .filter(tab => isElementVisible(tab));
+    if (tabs.length >= 2) {
+      return tabs.map((tab, legIndex) => ({ legIndex, tab, pane: null }));
+    }
+
+    const panes = Array.from(document.querySelectorAll('div.splitVw div.paneView, div[class*="splitVw"] div[class*="paneView"]'))
+      .filter((pane, index, all) => !all.some(other => other !== pane && other.contains(pane)));
+    if (panes.length >= 3 || (panes.length >= 2 && isMultiCitySearchUrl())) {
+      return panes.map((pane, legIndex) => ({ legIndex, tab: null, pane }));
+    }
+    return [];
+  }
+
+  /**
+   * Check if this is a round trip page
+   */
+  function checkIfRoundTrip() {
+    // Check for split view structure
+    const splitView = document.querySelector('div.splitVw, div[class*="splitView"]');
+    if (!splitView) return false;
+    
+    // Check for multiple panes
+    const panes = document.querySelectorAll('div.paneView, div[class*="paneView"]');
+    if (panes.length >= 2) return true;
+    
+    // Check for journey title indicating round trip
+    const journeyTitle = document.querySelector('p.journey-title, span[class*="journey-title"]');
+    if (journeyTitle) {
+      const text = journeyTitle.textContent?.toLowerCase() || '';
+      if (text.includes('and back') || text.includes('return')) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Detect if trip is international or domestic
+   * Returns 'international' or 'domestic'
+   */
+  function detectInternationalOrDomestic() {
+    // Method 1: Check for clusterContent structure (international trips use this)
+    const clusterContent = document.querySelector('div.clusterContent, div[class*="clusterContent"]');
+    if (clusterContent) {
+      console.log('✓ Detected: International trip (clusterContent structure found)');
+      return 'international';
+    }
+    
+    // Method 2: Check URL for international indicators
+    const url = window.location.href.toLowerCase();
+    if (url.includes('/international') || url.includes('/intl') || url.includes('international-flights')) {
+      console.log('✓ Detected: International trip (URL indicator)');
+      return 'international';
+    }
+    
+    // Method 3: Check page content for international indicators
+    const pageText = document.body.textContent?.toLowerCase() || '';
+    if (pageText.includes('international flights') || pageText.includes('international travel')) {
+      console.log('✓ Detected: International trip (page content indicator)');
+      return 'international';
+    }
+    
+    // Method 4: Check for splitVw structure (domestic round trips use this)
+    const splitView = document.querySelector('div.splitVw, div[class*="splitVw"]');
+    if (splitView) {
+      console.log('✓ Detected: Domestic trip (splitVw structure found)');
+      return 'domestic';
+    }
+    
+    // Default: assume domestic if no international indicators found
+    console.log('✓ Detected: Domestic trip (default - no international indicators found)');
+    return 'domestic';
+  }
+
+  /**
+   * Validate DOMESTIC trip page structure before extraction
+   * Returns {valid: boolean, error: string|null, elements: object}
+   */
+  function validateDomesticTripStructure(tripType) {
+    const isRoundTrip = tripType === 'round_trip';
+    
+    if (tripType === 'multi_city') {
+      // For multi-city: must have leg tabs or one pane per leg
+      const legs = findMultiCityLegs();
+      if (legs.length === 0) {
+        return {
+          valid: false,
+          error: 'DOMESTIC multi-city structure not found. Required: a tab or a split view pane per leg',
+          elements: { legs: [] }
+        };
+      }
+      return {
+        valid: true,
+        error: null,
+        elements: { legs: legs }
+      };
+    }
+    
+    if (isRoundTrip) {
+      // For round trip: must have splitVw structure
+      const splitView = document.querySelector('div.splitVw, div[class*="splitVw"]');
+      if (!splitView) {
+        return {
+          valid: false,
+          error: 'DOMESTIC round trip structure not found. Required element: div.splitVw',
+          elements: { splitView: null }
+        };
+      }
+      
+      // Check for panes within splitView
+      const panes = splitView.querySelectorAll('div.paneView, div[class*="paneView"]');
+      if (panes.length === 0) {
+        return {
+          valid: false,
+          error: 'No panes found in splitVw. Required: div.paneView elements',
+          elements: { splitView: splitView, panes: [] }
+        };
+      }
+      
+      // Check for at least some cards in panes
+      let totalCards = 0;
+      for (const pane of panes) {
+        const cards = pane.querySelectorAll('div.listingCard, label.splitViewListing, div[class*="listingCard"]');
+        totalCards += cards.length;
+      }
+      
+      if (totalCards === 0) {
+        return {
+          valid: false,
+          error: 'No flight cards found in panes. Please wait for page to load completely.',
+          elements: { splitView: splitView, panes: panes, cards: 0 }
+        };
+      }
+      
+      return {
+        valid: true,
+        error: null,
+        elements: { splitView: splitView, panes: panes, cards: totalCards }
+      };
+    } else {
+      // For one-way: Check URL parameter first (most reliable)
+      // clusterContent can appear in both domestic and international, so we check URL param
+      const urlParams = new URLSearchParams(window.location.search);
+      const intlParam = urlParams.get('intl');
+      
+      // If URL says it's international, reject it
+      if (intlParam === 'true') {
+        return {
+          valid: false,
+          error: 'URL indicates international trip (intl=true). Use "Extract International Flights" button.',
+          elements: {}
+        };
+      }
+      
+      // If intl=false or not set, treat as domestic even if clusterContent exists
+      // clusterContent alone is not a reliable indicator for international trips
+      const clusterContent = document.querySelector('div.clusterContent, div[class*="clusterContent"]');
+      if (clusterContent && intlParam !== 'false') {
+        // Only warn, don't reject - we'll rely on URL param
+        console.log('⚠ clusterContent found, but URL indicates domestic (intl=false or not set) - proceeding');
+      }
+      
+      // Check for regular flight cards
+      const cards = document.querySelectorAll('div.listingCard, div[class*="listingCard"]');
+      if (cards.length === 0) {
+        return {
+          valid: false,
+          error: 'No flight cards found. Required: div.listingCard elements. Please wait for page to load completely.',
+          elements: { cards: [] }
+        };
+      }
+      
+      return {
+        valid: true,
+        error: null,
+        elements: { cards: cards }
+      };
+    }
+  }
+
+  /**
+   * Validate INTERNATIONAL trip page structure before extraction
+   * Returns {valid: boolean, error: string|null, elements: object}
+   */
+  function validateInternationalTripStructure() {
+    // Must have clusterContent structure
+    const clusterContent = document.querySelector('div.clusterContent, div[class*="clusterContent"]');
+    if (!clusterContent) {
+      return {
+        valid: false,
+        error: 'INTERNATIONAL trip structure not found. Required element: div.clusterContent',
+        elements: { clusterContent: null }
+      };
+    }
+    
+    // Check for cards within clusterContent
+    const cards = clusterContent.querySelectorAll('div.listingCard.appendBottom5, div.listingCard, div[class*="listingCard"]');
+    if (cards.length === 0) {
+      return {
+        valid: false,
+        error: 'No flight cards found in clusterContent. Required: div.listingCard elements. Please wait for page to load completely.',
+        elements: { clusterContent: clusterContent, cards: [] }
+      };
+    }
+    
+    return {
+      valid: true,
+      error: null,
+      elements: { clusterContent: clusterContent, cards: cards }
+    };
+  }
+
+  // ---- Fare popup and flight details ----
+
+  /**
+   * Find VIEW PRICES button for a specific card
+   */
+  function findViewPricesButtonForCard(card) {
+    // Look for button within the card
+    const button = card.querySelector('button.ViewFareBtn');
+    if (button) {
+      const hasViewPrices = button.querySelector('span[data-test="component-buttonText"]');
+      if (hasViewPrices) {
+        return button;
+      }
+    }
+    
+    // Fallback: look for button near the card (might be in a sibling element)
+    const cardParent = card.parentElement;
+    if (cardParent) {
+      const nearbyButton = cardParent.querySelector('button.ViewFareBtn');
+      if (nearbyButton) {
+        const hasViewPrices = nearbyButton.querySelector('span[data-test="component-buttonText"]');
+        if (hasViewPrices) {
+          return nearbyButton;
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find "View Flight Details" link for a specific card
+   */
+  function findViewFlightDetailsLinkForCard(card) {
+    // Look for span with class "linkText ctaLink viewFltDtlsCta" containing "View Flight Details"
+    const link = card.querySelector('span.linkText.ctaLink.viewFltDtlsCta');
+    if (link) {
+      const text = link.textContent?.trim() || '';
+      if (text.includes('View Flight Details')) {
+        return link;
+      }
+    }
+    
+    // Fallback: look for any span with "View Flight Details" text within the card
+    const allSpans = card.querySelectorAll('span');
+    for (const span of allSpans) {
+      const text = span.textContent?.trim() || '';
+      if (text === 'View Flight Details' || text.includes('View Flight Details')) {
+        // Check if it has the expected classes
+        if (span.classList.contains('linkText') && span.classList.contains('ctaLink')) {
+          return span;
+        }
+      }
+    }
+    
+    // Fallback: look near the card (might be in a sibling element)
+    const cardParent = card.parentElement;
+    if (cardParent) {
+      const nearbyLink = cardParent.querySelector('span.linkText.ctaLink.viewFltDtlsCta');
+      if (nearbyLink) {
+        const text = nearbyLink.textContent?.trim() || '';
+        if (text.includes('View Flight Details')) {
+          return nearbyLink;
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find "Hide Flight Details" link
+   */
+  function findHideFlightDetailsLink() {
+    // Look for span with class "linkText ctaLink viewFltDtlsCta" containing "Hide Flight Details"
+    const link = document.querySelector('span.linkText.ctaLink.viewFltDtlsCta');
+    if (link) {
+      const text = link.textContent?.trim() || '';
+      if (text.includes('Hide Flight Details')) {
+        return link;
+      }
+    }
+    
+    // Fallback: look for any span with "Hide Flight Details" text
+    const allSpans = document.querySelectorAll('span.linkText.ctaLink.viewFltDtlsCta');
+    for (const span of allSpans) {
+      const text = span.textContent?.trim() || '';
+      if (text === 'Hide Flight Details' || text.includes('Hide Flight Details')) {
+        return span;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find the "Flight Details" link in the sticky footer
+   */
+  function findFlightDetailsLink() {
+    // Look for the Flight Details link in splitviewStickyOuter
+    const stickyOuter = document.querySelector('div.splitviewStickyOuter, div[class*="splitviewSticky"]');
+    if (!stickyOuter) {
+      return null;
+    }
+    
+    // First, try to find in stickyFlightDtl sections
+    const stickyFlightDtls = stickyOuter.querySelectorAll('div.stickyFlightDtl');
+    for (const stickyDtl of stickyFlightDtls) {
+      const link = stickyDtl.querySelector('p.skyBlueText.fontSize12.pointer, p[class*="skyBlueText"]');
+      if (link) {
+        const text = link.textContent?.trim().toLowerCase() || '';
+        if (text.includes('flight details') || text.includes('flight detail')) {
+          return link;
+        }
+      }
+    }
+    
+    // Fallback: Find the link with "Flight Details" text anywhere in sticky footer
+    const links = stickyOuter.querySelectorAll('p.skyBlueText.fontSize12.pointer, p[class*="skyBlueText"]');
+    for (const link of links) {
+      const text = link.textContent?.trim().toLowerCase() || '';
+      if (text.includes('flight details') || text.includes('flight detail')) {
+        return link;
+      }
+    }
+    
+    // Last resort: look for any pointer element with "Flight Details" text
+    const allPointers = stickyOuter.querySelectorAll('.pointer, [class*="pointer"]');
+    for (const pointer of allPointers) {
+      const text = pointer.textContent?.trim().toLowerCase() || '';
+      if (text.includes('flight details') || text.includes('flight detail')) {
+        return pointer;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find the selected card (label.splitViewListing) of a round-trip pane
+   * Returns null if no card of the pane is selected
+   */
+  function findSelectedSplitViewCard(pane) {
+    const labels = pane.querySelectorAll('label.splitViewListing');
+    for (const label of labels) {
+      const radio = label.querySelector('input[type="radio"]') || (label.htmlFor ? document.getElementById(label.htmlFor) : null);
+      if (radio && radio.checked) {
+        return label;
+      }
+    }
+    // Fallback: selection shown only through a class on the label
+    return Array.from(labels).find(label => /\b(active|selected|checked)\b/i.test(label.className)) || null;
+  }
+
+  /**
+   * Extract the pair price from the round-trip sticky footer (splitviewStickyOuter)
+   * The leg blocks (stickyFlightDtl) show each selected card with its own price; the
+   * price outside them is the total of the pair, with a struck-through price and a
+   * "You save" / "off" line when the pair gets a round-trip discount
+   * flight_codes lists the flight numbers shown in the leg blocks (e.g., ["6E5012", "6E5013"]), so
+   * callers can tell whether the footer already shows the cards just selected
+   * @returns {Object|null} - {total_price, total_amount, currency, original_total_amount, discount_amount, discount_text, flight_codes}
+   */
+  function extractRoundTripFooter() {
+    const stickyOuter = document.querySelector('div.splitviewStickyOuter, div[class*="splitviewSticky"]');
+    if (!stickyOuter) {
+      return null;
+    }
+
+    const pricePattern = /(?:₹|Rs\.?|INR)\s*[\d,]+(?:\.\d+)?/i;
+    const candidates = Array.from(stickyOuter.querySelectorAll('p, span, div, strike, s, del'))
+      .filter(element => !element.closest('div.stickyFlightDtl'))
+      .filter(element => element.children.length === 0 || Array.from(element.children).every(child => child.tagName === 'FONT' || child.tagName === 'B'))
+      .filter(element => pricePattern.test(element.textContent || ''));
+
+    const isStruck = (element) => !!element.closest('strike, s, del, [class*="lineThrough"], [class*="strike"]');
+    const discountElement = candidates.find(element => !isStruck(element) && /save|off|discount/i.test(element.textContent || ''));
+    const struckElement = candidates.find(element => isStruck(element));
+    const totalElement = candidates.find(element => !isStruck(element) && element !== discountElement && /fontSize2[0-9]|totalPrice|fareTotal/i.test(element.className || '')) ||
+      candidates.filter(element => !isStruck(element) && element !== discountElement).pop();
+
+    if (!totalElement) {
+      return null;
+    }
+    const flightCodes = [];
+    stickyOuter.querySelectorAll('div.stickyFlightDtl').forEach(legBlock => {
+      const codePattern = /\b([A-Z0-9]{2})[\s-]?(\d{2,4})\b/g;
+      let codeMatch;
+      while ((codeMatch = codePattern.exec(legBlock.textContent || '')) !== null) {
+        if (/[A-Z]/.test(codeMatch[1])) {
+          flightCodes.push(`${codeMatch[1]}${codeMatch[2]}`);
+        }
+      }
+    });
+    const totalText = totalElement.textContent.trim().match(pricePattern)[0];
+    const total = parsePrice(totalText);
+    const original = struckElement ? parsePrice(struckElement.textContent.trim().match(pricePattern)[0]) : null;
+    const discount = discountElement ? parsePrice(discountElement.textContent.trim().match(pricePattern)[0]) : null;
+
+    return {
+      total_price: totalText,
+      total_amount: total.amount,
+      currency: total.currency,
+      original_total_amount: original ? original.amount : null,
+      discount_amount: discount ? discount.amount : null,
+      discount_text: discountElement ? discountElement.textContent.trim() : null,
+      flight_codes: flightCodes
+    };
+  }
+
+  /**
+   * Check if popup is currently visible
+   */
+  function checkIfPopupVisible() {
+    // Check for ffWrapper (one-way trips)
+    const ffWrapper = document.querySelector('div#ffWrapper, div.ffWrapper');
+    if (ffWrapper && isElementVisible(ffWrapper)) {
+      return true;
+    }
+    
+    // Check for other popups
+    const popups = document.querySelectorAll('div.wdth100, div.journeyContent');
+    for (const popup of popups) {
+      if (isElementVisible(popup)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ---- Search URL ----
+
+  /**
+   * Construct flight search URL with parameters
+   * @param {string} sourceCode - Source city code (e.g., "BLR")
+   * @param {string} destCode - Destination city code (e.g., "PAT")
+   * @param {Date} departureDate - Departure date object
+   * @param {string} tripType - "O" for One Way, "R" for Round Trip, "M" for Multi City
+   * @param {boolean} isInternational - true for international, false for domestic
+   * @param {number} adults - Number of adults (default: 1)
+   * @param {number} children - Number of children (default: 0)
+   * @param {number} infants - Number of infants (default: 0)
+   * @param {string} cabinClass - Cabin class (default: "E" for Economy)
+   * @param {Date} returnDate - Return date object (round trip only)
+   * @param {Array} legs - Further legs after sourceCode-destCode (multi city only): [{sourceCode, destCode, date}]
+   * @returns {string} - Complete search URL
+   */
+  function constructFlightSearchUrl(sourceCode, destCode, departureDate, tripType = 'O', isInternational = false, adults = 1, children = 0, infants = 0, cabinClass = 'E', returnDate = null, legs = null) {
+    // Format date as DD/MM/YYYY
+    const formatDate = (date) => {
+      const day = String(date.getDate()).padStart(2, '0');
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const year = date.getFullYear();
+      return `${day}/${month}/${year}`;
+    };
+    
+    // Construct itinerary: SOURCE-DEST-DATE (round trip adds _DEST-SOURCE-RETURNDATE,
+    // multi city adds _SOURCE-DEST-DATE for every further leg)
+    let itinerary = `${sourceCode.toUpperCase()}-${destCode.toUpperCase()}-${formatDate(departureDate)}`;
+    if (tripType === 'R' && returnDate) {
+      itinerary += `_${destCode.toUpperCase()}-${sourceCode.toUpperCase()}-${formatDate(returnDate)}`;
+    }
+    if (tripType === 'M' && Array.isArray(legs)) {
+      legs.forEach(leg => {
+        itinerary += `_${leg.sourceCode.toUpperCase()}-${leg.destCode.toUpperCase()}-${formatDate(leg.date)}`;
+      });
+    }
+    
+    // Construct paxType: A-{adults}_C-{children}_I-{infants}
+    const paxType = `A-${adults}_C-${children}_I-${infants}`;
+    
+    // Build URL
+    const baseUrl = 'https://www.makemytrip.com/flight/search';
+    const params = new URLSearchParams({
+      itinerary: itinerary,
+      tripType: tripType,
+      paxType: paxType,
+      intl: String(isInternational),
+      cabinClass: cabinClass,
+      lang: 'eng'
+    });
+    
+    return `${baseUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Passenger mix and cabin of the current search, read back from the search URL
+   * (paxType=A-2_C-1_I-0, cabinClass=E|PE|B|F; the inverse of constructFlightSearchUrl)
+   * @returns {Object|null} - {adults, children, infants, cabinClass}, null when the URL has no paxType
+   */
+  function readSearchOptions() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const paxMatch = (params.get('paxType') || '').match(/^A-(\d+)_C-(\d+)_I-(\d+)$/i);
+      if (!paxMatch) {
+        return null;
+      }
+      const cabinClass = (params.get('cabinClass') || 'E').toUpperCase();
+      return {
+        adults: parseInt(paxMatch[1], 10),
+        children: parseInt(paxMatch[2], 10),
+        infants: parseInt(paxMatch[3], 10),
+        cabinClass: ['E', 'PE', 'B', 'F'].includes(cabinClass) ? cabinClass : 'E'
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const MakeMyTripAdapter = {
+    id: 'makemytrip',
+    name: 'MakeMyTrip',
+
+    matches(url) {
+      return /^https:\/\/([a-z0-9-]+\.)*(makemytrip\.com|mmtcdn\.net)\//i.test(url || '');
+    },
+
+    // Layout selectors used by the shared extraction flow in content.js
+    // (arrays are tried in order until one matches)
+    selectors: {
+      // Listing
+      listingCard: 'div.listingCard',
+      anyFlightCard: 'div.listingCard, div[class*="listingCard"], div.clusterContent div.listingCard, div.splitVw',
+      pageReadyCards: 'div.listingCard, div[class*="listingCard"], div.splitVw, div[class*="flightCard"], div[class*="FlightCard"]',
+      resultsPage: 'div.listingCard, div[class*="listingCard"], div.clusterContent, div.splitVw',
+      listingCardVariants: 'div.listingCard.appendBottom5, div.listingCard, div[class*="listingCard"]',
+      clusterContent: ['div.clusterContent', 'div[class*="clusterContent"]'],
+      clusterCards: ['div.listingCard.appendBottom5', 'div.listingCard', 'div[class*="listingCard"]'],
+      groupBookingCard: 'div.groupBookingCard',
+      collapsedGroupCard: 'div.groupBookingCard.collapsed',
+      groupPlaceholder: '.group-placeholder',
+      optionsAvailableLinks: [
+        'span.flight-count.fontSize14.pointer[data-test="component-flight-count"]',
+        'span[data-test="component-flight-count"]',
+        'span.flight-count.fontSize14.pointer',
+        'span.flight-count'
+      ],
+      moreFlightsLinks: [
+        'span.flight-count.fontSize14.pointer[data-test="component-flight-count"]',
+        'span[data-test="component-flight-count"]',
+        'span.flight-count.fontSize14.pointer',
+        'span.flight-count.fontSize14',
+        'span.flight-count',
+        'span[class*="flight-count"]'
+      ],
+      anyFlightCountLink: '[class*="flight-count"]',
+      clickable: '.pointer',
+
+      // Listing filters
+      filterTitle: 'p.checkboxTitle',
+      filterLabel: 'label.checkboxContainer',
+      filterCheckbox: 'input[type="checkbox"][id="listingFilterCheckbox"]',
+      filterContent: 'div.checkboxContent',
+      filterCheckboxWrapper: 'span.commonCheckbox',
+
+      // Round-trip split view
+      splitViewCard: 'label.splitViewListing',
+      splitViewPanes: ['div.paneView', 'div[class*="paneView"]', 'div[class*="pane"]'],
+      splitViewCardList: 'div.listingCardWrap',
+      splitViewCardsLoose: 'label[class*="splitView"], label[class*="Listing"], div[class*="listingCard"], div[class*="flightCard"], [id*="flightCard"]',
+      paneTitle: 'p.fontSize16.blackText b, p.fontSize16.blackText.appendLR20.appendBottom20.paddingTop20 b',
+      paneDate: 'p.fontSize16.blackText.appendLR20.appendBottom20.paddingTop20',
+      stickyFooter: 'div.splitviewStickyOuter, div[class*="splitviewSticky"]',
+      stickyFooterCollapse: 'span.customArrow.arrowDown, span[class*="arrowDown"], span.customArrow[class*="arrowDown"]',
+
+      // Fare popup ("VIEW PRICES")
+      fareWrapper: 'div#ffWrapper, div.ffWrapper',
+      farePopup: 'div.wdth100, div.journeyContent',
+      fareCards: 'div.fareFamilyCardWrapper, div.keen-slider__slide.fareFamilyCardWrapper',
+      fareSlider: 'div.keen-slider',
+      farePopupContent: 'div.fareFamilyCardWrapper, div.keen-slider',
+      farePopupRoute: 'span.boldFont.fontSize16',
+      farePopupAirline: 'span.mediumBoldFont',
+      moreFaresButton: 'button.keen-next-button, button[class*="keen-next"]',
+      farePopupClose: 'span.multifareCross, [class*="multifareCross"]',
+      popupCloseButtons: ['button[class*="closeBtn"]', '[class*="closeButton"]'],
+
+      // Flight details tabs
+      flightDetailsOuter: 'div.flightDetailsOuter',
+      detailsTabLink: 'a.nav-item.nav-link, a[role="tab"]',
+      detailsTabContent: 'div.flightDetails, div.flightDetailsInfo, div[id*="tabpane"]',
+      cancellationTab: 'div[id*="tabpane-3"], div[aria-labelledby*="tab-3"], div[role="tabpanel"][id*="tab-3"]',
+      dateChangeTab: 'div[id*="tabpane-4"], div[aria-labelledby*="tab-4"], div[role="tabpanel"][id*="tab-4"]',
+      policyRows: ['div.DateChangeInfo', 'div[class*="DateChangeInfo"]', 'div[class*="Info"]'],
+      policyTimeFrame: 'div.flightDetailsInfoLeft p',
+      policyFee: 'div.flightDetailsInfoRight p',
+      policyCards: ['div.card', 'div[class*="card"]', 'div[class*="collapse"], div[class*="accordion"]'],
+      policyCardHeader: 'div.card-header',
+      policyCardCollapse: 'div.collapse',
+
+      // FLIGHT DETAILS tab (flight-extractors.js extractFlightDetailsFromTab)
+      flightDetailsTab: 'div.splitViewFlightDtl, div[class*="splitViewFlightDtl"], div[id*="tabpane-1"], div[data-test="component-firstTab"]',
+      flightDetailsSection: 'div.flightDetails',
+      flightDetailsHeader: 'p.flightDetailsHead',
+      segmentRow: 'div.flightDetailsRow',
+      segmentAirline: 'span.airlineHeadng',
+      segmentAircraft: 'span.aircraftType',
+      segmentInfo: 'div.flightDtlInfo',
+      segmentDeparture: 'div.airlineDTInfoCol:first-of-type',
+      segmentArrival: 'div.airlineDTInfoCol:last-of-type',
+      segmentTime: 'p.fontSize18.blackText.blackFont',
+      segmentDate: 'p.fontSize12.blackText.boldFont',
+      segmentTerminal: 'font[color="#4a4a4a"]',
+      segmentCity: 'p.fontSize12:last-of-type',
+      segmentDuration: 'div.airlineDtlDuration',
+      baggageInfo: 'div.baggageInfo',
+      baggageRow: 'p.makeFlex.spaceBetween',
+      baggageCell: 'span.baggageInfoText',
+      baggageUnavailable: 'p.redText, font[color="#e53442"]',
+      amenityList: 'div.makeFlex.hrtlCenter.flexWrap.appendTop18',
+      amenityItem: 'div.makeFlex.gap8.lowEmphasis.hrtlCenter',
+      amenityText: 'div.fontSize12',
+      layoverOuter: 'div.flightLayoverOuter',
+      layoverText: 'div.flightLayover, div.mmtConnectLayover',
+
+      // FARE SUMMARY tab (flight-extractors.js extractFareSummaryFromTab)
+      fareSummaryTab: ['div[id*="tabpane-2"]', 'div[aria-labelledby*="tab-2"]', 'div[role="tabpanel"][id*="tab-2"]'],
+      fareRows: ['p.appendBottom8.fontSize12', 'p[class*="appendBottom8"]', 'div.flightDetailsInfo p', 'p'],
+      fareRowCells: 'span.fareBreakupText, span',
+      fareSummaryText: 'div.flightDetailsInfo p, div.flightDetails p',
+
+      // Home page search form
+      searchForm: {
+        tripTypeWrapper: 'div[data-test="component-tripType-wrapper"], div.tripTypeWrapper',
+        tripTypeValue: 'div.multiDropDownVal',
+        dropdownOption: 'li[role="option"], div[role="option"], ul li, .dropdown-menu li',
+        fromCityInput: 'input[data-test="component-fromcity-inputBox"], input#fromCity, input[data-cy="fromCity"]',
+        fromCityWrapper: 'div[data-test="component-fromCityDropdown"]',
+        fromCityWrapperInput: 'input#fromCity, input[data-test*="fromcity"]',
+        toCityInput: 'input[data-test*="toCity"], input#toCity, input[data-cy="toCity"]',
+        toCityWrapper: 'div[data-test*="toCity"], span[data-test="component-To"]',
+        toCityWrapperInput: 'input#toCity, input[data-test*="toCity"]',
+        toCityLabel: 'span[data-test="component-To"]',
+        citySearchInput: 'input.react-autosuggest__input[placeholder="Enter City"], input.react-autosuggest__input[placeholder*="City" i]',
+        anyCitySearchInput: 'input.react-autosuggest__input',
+        citySuggestion: 'ul.react-autosuggest__suggestions-list li[role="option"], li.react-autosuggest__suggestion[role="option"]',
+        departureInput: 'input[data-test="component-Departure-inputBox"], input#departure[data-cy="departure"], input#departure',
+        departureLabel: 'label[for="departure"]',
+        departureLabelInput: 'input#departure',
+        calendarDay: 'div.DayPicker-Day[role="gridcell"]',
+        calendarDayDisabled: '.DayPicker-Day--disabled',
+        calendarDayNumber: 'div.dateContainer p',
+        calendarDayLoose: 'div[class*="Day"], div[class*="day"], td, [role="gridcell"]',
+        searchButton: 'a.widgetSearchBtn, a.primaryBtn.widgetSearchBtn, a[class*="widgetSearchBtn"]',
+        submitLink: 'a[data-cy="submit"], p[data-cy="submit"] a',
+        primaryButton: 'a.primaryBtn, a[class*="primaryBtn"]'
+      }
+    },
+
+    findFlightCards: findFlightCards,
+    findFlightCardsFallback: findFlightCardsFallback,
+
+    fields: {
+      airline: extractAirline,
+      airline_code: extractAirlineCode,
+      flight_code: extractFlightCode,
+      departure_time: extractDepartureTime,
+      departure_date: extractDepartureDate,
+      departure_city: extractDepartureCity,
+      arrival_time: extractArrivalTime,
+      arrival_date: extractArrivalDate,
+      arrival_city: extractArrivalCity,
+      date: extractDate,
+      layovers: extractLayovers,
+      layover_cities: extractLayoverCities,
+      stopover_time: extractStopoverTime,
+      stops: extractStops,
+      duration: extractDuration,
+      price: extractPrice,
+      offers: extractOffers,
+      coupon_details: extractCouponDetails,
+      fare_options: extractFareOptions,
+      raw_text: extractRawText,
+      html_snippet: extractHtmlSnippet
+    },
+    extractArrivalDayOffset: extractArrivalDayOffset,
+
+    detectTripType: detectTripTypeFromUI,
+    detectInternational: detectInternationalOrDomestic,
+    isRoundTripLayout: checkIfRoundTrip,
+    isMultiCityLayout: checkIfMultiCity,
+    findMultiCityLegs: findMultiCityLegs,
+    validateDomesticPage: validateDomesticTripStructure,
+    validateInternationalPage: validateInternationalTripStructure,
+
+    buildSearchUrl: constructFlightSearchUrl,
+    readSearchOptions: readSearchOptions,
+
+    popup: {
+      findViewPricesButton: findViewPricesButtonForCard,
+      findViewFlightDetailsLink: findViewFlightDetailsLinkForCard,
+      findHideFlightDetailsLink: findHideFlightDetailsLink,
+      findFlightDetailsLink: findFlightDetailsLink,
+      findSelectedSplitViewCard: findSelectedSplitViewCard,
+      extractRoundTripFooter: extractRoundTripFooter,
+      isVisible: checkIfPopupVisible,
+      extractFareOptions: extractFareOptionsFromPopup,
+      extractFareCard: extractFareCardDetails,
+      routeFromCard: extractRouteFromCard,
+      routeFromPopup: extractRouteFromPopup
+    }
+  };
+
+  SiteAdapters.register(MakeMyTripAdapter);
+})();
@@ -0,0 +1,211 @@
+/**
+ * Flight Extracter - Airports
+ * IATA airport codes with city names and IANA time zones, used to turn the
+ * local clock times shown on flight cards into ISO 8601 timestamps
+ */
+
+const Airports = {
+  // Searches on MakeMyTrip without intl=true only touch Indian airports
+  DOMESTIC_TIME_ZONE: 'Asia/Kolkata',
+
+  // code: [city, IANA time zone, other names the site uses for the city]
+  BY_CODE: {
+    // India
+    AGR: ['Agra', 'Asia/Kolkata'],
+    AMD: ['Ahmedabad', 'Asia/Kolkata'],
+    ATQ: ['Amritsar', 'Asia/Kolkata'],
+    AYJ: ['Ayodhya', 'Asia/Kolkata'],
+    BBI: ['Bhubaneswar', 'Asia/Kolkata'],
+    BDQ: ['Vadodara', 'Asia/Kolkata', ['Baroda']],
+    BHO: ['Bhopal', 'Asia/Kolkata'],
+    BLR: ['Bengaluru', 'Asia/Kolkata', ['Bangalore']],
+    BOM: ['Mumbai', 'Asia/Kolkata', ['Bombay']],
+    CCJ: ['Kozhikode', 'Asia/Kolkata', ['Calicut']],
+    CCU: ['Kolkata', 'Asia/Kolkata', ['Calcutta']],
+    CJB: ['Coimbatore', 'Asia/Kolkata'],
+    COK: ['Kochi', 'Asia/Kolkata', ['Cochin']],
+    DED: ['Dehradun', 'Asia/Kolkata'],
+    DEL: ['New Delhi', 'Asia/Kolkata', ['Delhi']],
+    DIB: ['Dibrugarh', 'Asia/Kolkata'],
+    GAU: ['Guwahati', 'Asia/Kolkata'],
+    GAY: ['Gaya', 'Asia/Kolkata'],
+    GOI: ['Goa', 'Asia/Kolkata', ['Dabolim']],
+    GOX: ['Goa', 'Asia/Kolkata', ['Mopa']],
+    GWL: ['Gwalior', 'Asia/Kolkata'],
+    HYD: ['Hyderabad', 'Asia/Kolkata'],
+    IDR: ['Indore', 'Asia/Kolkata'],
+    IMF: ['Imphal', 'Asia/Kolkata'],
+    IXA: ['Agartala', 'Asia/Kolkata'],
+    IXB: ['Bagdogra', 'Asia/Kolkata', ['Siliguri']],
+    IXC: ['Chandigarh', 'Asia/Kolkata'],
+    IXD: ['Prayagraj', 'Asia/Kolkata', ['Allahabad']],
+    IXE: ['Mangaluru', 'Asia/Kolkata', ['Mangalore']],
+    IXJ: ['Jammu', 'Asia/Kolkata'],
+    IXL: ['Leh', 'Asia/Kolkata'],
+    IXM: ['Madurai', 'Asia/Kolkata'],
+    IXR: ['Ranchi', 'Asia/Kolkata'],
+    IXU: ['Aurangabad', 'Asia/Kolkata', ['Chhatrapati Sambhajinagar']],
+    IXZ: ['Port Blair', 'Asia/Kolkata', ['Sri Vijaya Puram']],
+    JAI: ['Jaipur', 'Asia/Kolkata'],
+    JDH: ['Jodhpur', 'Asia/Kolkata'],
+    JLR: ['Jabalpur', 'Asia/Kolkata'],
+    KNU: ['Kanpur', 'Asia/Kolkata'],
+    LKO: ['Lucknow', 'Asia/Kolkata'],
+    MAA: ['Chennai', 'Asia/Kolkata', ['Madras']],
+    NAG: ['Nagpur', 'Asia/Kolkata'],
+    PAT: ['Patna', 'Asia/Kolkata'],
+    PNQ: ['Pune', 'Asia/Kolkata'],
+    RAJ: ['Rajkot', 'Asia/Kolkata', ['Hirasar']],
+    RPR: ['Raipur', 'Asia/Kolkata'],
+    SAG: ['Shirdi', 'Asia/Kolkata'],
+    SXR: ['Srinagar', 'Asia/Kolkata'],
+    STV: ['Surat', 'Asia/Kolkata'],
+    TIR: ['Tirupati', 'Asia/Kolkata'],
+    TRV: ['Thiruvananthapuram', 'Asia/Kolkata', ['Trivandrum']],
+    TRZ: ['Tiruchirappalli', 'Asia/Kolkata', ['Trichy']],
+    UDR: ['Udaipur', 'Asia/Kolkata'],
+    VGA: ['Vijayawada', 'Asia/Kolkata'],
+    VNS: ['Varanasi', 'Asia/Kolkata'],
+    VTZ: ['Visakhapatnam', 'Asia/Kolkata', ['Vizag']],
+
+    // Neighbouring countries
+    CMB: ['Colombo', 'Asia/Colombo'],
+    DAC: ['Dhaka', 'Asia/Dhaka'],
+    KTM: ['Kathmandu', 'Asia/Kathmandu'],
+    MLE: ['Male', 'Indian/Maldives'],
+    PBH: ['Paro', 'Asia/Thimphu'],
+
+    // Middle East
+    AUH: ['Abu Dhabi', 'Asia/Dubai'],
+    BAH: ['Bahrain', 'Asia/Bahrain'],
+    DMM: ['Dammam', 'Asia/Riyadh'],
+    DOH: ['Doha', 'Asia/Qatar'],
+    DXB: ['Dubai', 'Asia/Dubai'],
+    JED: ['Jeddah', 'Asia/Riyadh'],
+    KWI: ['Kuwait', 'Asia/Kuwait'],
+    MCT: ['Muscat', 'Asia/Muscat'],
+    RUH: ['Riyadh', 'Asia/Riyadh'],
+    SHJ: ['Sharjah', 'Asia/Dubai'],
+
+    // Asia Pacific
+    BKK: ['Bangkok', 'Asia/Bangkok'],
+    CGK: ['Jakarta', 'Asia/Jakarta'],
+    DPS: ['Bali', 'Asia/Makassar', ['Denpasar']],
+    HKG: ['Hong Kong', 'Asia/Hong_Kong'],
+    HKT: ['Phuket', 'Asia/Bangkok'],
+    ICN: ['Seoul', 'Asia/Seoul'],
+    KUL: ['Kuala Lumpur', 'Asia/Kuala_Lumpur'],
+    MEL: ['Melbourne', 'Australia/Melbourne'],
+    NRT: ['Tokyo', 'Asia/Tokyo', ['Narita']],
+    HND: ['Tokyo', 'Asia/Tokyo', ['Haneda']],
+    PEK: ['Beijing', 'Asia/Shanghai'],
+    PVG: ['Shanghai', 'Asia/Shanghai'],
+    SGN: ['Ho Chi Minh City', 'Asia/Ho_Chi_Minh'],
+    SIN: ['Singapore', 'Asia/Singapore'],
+    SYD: ['Sydney', 'Australia/Sydney'],
+
+    // Europe
+    AMS: ['Amsterdam', 'Europe/Amsterdam'],
+    CDG: ['Paris', 'Europe/Paris'],
+    FRA: ['Frankfurt', 'Europe/Berlin'],
+    IST: ['Istanbul', 'Europe/Istanbul'],
+    LHR: ['London', 'Europe/London', ['Heathrow']],
+    MUC: ['Munich', 'Europe/Berlin'],
+    ZRH: ['Zurich', 'Europe/Zurich'],
+
+    // Americas and Africa
+    ADD: ['Addis Ababa', 'Africa/Addis_Ababa'],
+    EWR: ['Newark', 'America/New_York'],
+    JFK: ['New York', 'America/New_York'],
+    JNB: ['Johannesburg', 'Africa/Johannesburg'],
+    NBO: ['Nairobi', 'Africa/Nairobi'],
+    ORD: ['Chicago', 'America/Chicago'],
+    SFO: ['San Francisco', 'America/Los_Angeles'],
+    YYZ: ['Toronto', 'America/Toronto']
+  },
+
+  /**
+   * Look up an airport by IATA code
+   * @param {string} code - IATA code (e.g., "BLR")
+   * @returns {{code: string, city: string, timeZone: string}|null}
+   */
+  get(code) {
+    const key = (code || '').trim().toUpperCase();
+    const entry = this.BY_CODE[key];
+    return entry ? { code: key, city: entry[0], timeZone: entry[1] } : null;
+  },
+
+  /**
+   * Find an airport from text shown on the page: an IATA code ("BLR"),
+   * a city ("Bengaluru", "Bangalore, India") or a city with airport name
+   * @param {string} text - Airport or city text
+   * @returns {{code: string, city: string, timeZone: string}|null}
+   */
+  find(text) {
+    if (!text) {
+      return null;
+    }
+
+    // Bare or embedded IATA code (e.g., "BLR" or "Bengaluru (BLR)")
+    const codeMatches = String(text).match(/\b[A-Z]{3}\b/g) || [];
+    for (const code of codeMatches) {
+      const airport = this.get(code);
+      if (airport) {
+        return airport;
+      }
+    }
+
+    const normalized = String(text).toLowerCase();
+    for (const [code, [city, , aliases]] of Object.entries(this.BY_CODE)) {
+      const names = [city, ...(aliases || [])].map(name => name.toLowerCase());
+      if (names.some(name => new RegExp(`(^|[^a-z])${name}([^a-z]|$)`).test(normalized))) {
+        return this.get(code);
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * UTC offset in minutes of a time zone at a given local wall-clock time
+   * (DST-aware, so Europe/London gives 0 in January and 60 in July)
+   * @param {string} timeZone - IANA time zone (e.g., "Asia/Kolkata")
+   * @param {number} year - Local year
+   * @param {number} month - Local month (1-12)
+   * @param {number} day - Local day of month
+   * @param {number} hours - Local hours
+   * @param {number} minutes - Local minutes
+   * @returns {number|null} - Offset in minutes (e.g., 330 for +05:30)
+   */
+  utcOffsetMinutes(timeZone, year, month, day, hours = 0, minutes = 0) {
+    try {
+      const offsetAt = (utcMs) => {
+        const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }).formatToParts(new Date(utcMs));
+        const name = (parts.find(part => part.type === 'timeZoneName') || {}).value || '';
+        const match = name.match(/GMT([+-])(\d{2}):?(\d{2})?/);
+        if (!match) {
+          return 0; // "GMT" with no suffix
+        }
+        const value = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+        return match[1] === '-' ? -value : value;
+      };
+
+      // Treat the wall-clock time as UTC, then correct by the zone's offset twice
+      // so times next to a DST switch land on the right side of it
+      const wallClockMs = Date.UTC(year, month - 1, day, hours, minutes);
+      const firstGuess = offsetAt(wallClockMs);
+      return offsetAt(wallClockMs - firstGuess * 60000);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Format an offset in minutes as an ISO 8601 suffix (330 -> "+05:30")
+   */
+  formatOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+  }
+};
@@ -1,12 +1,22 @@
 /**
  * Flight Extracter - Background Service Worker
- * Handles messaging and file downloads
+ * Handles messaging, file downloads, batch jobs, fare alerts and scheduled runs
  */
 
+// Site adapters build search URLs; batch jobs are persisted in chrome.storage.local;
+// extraction results are kept in the IndexedDB price history
+importScripts(
+  'airports.js', 'flight-identity.js', 'site-adapter.js', 'adapters/makemytrip.js',
+  'extraction-depth.js', 'result-schema.js', 'round-trip-pairs.js', 'batch-jobs.js', 'export-formats.js', 'price-history.js', 'extraction-diff.js',
+  'watch-rules.js', 'route-plans.js', 'schedules.js'
+);
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'downloadJSON') {
-    downloadJSON(request.data, request.filename, request.saveAs).then(() => {
-      sendResponse({ success: true });
+    // request.format: 'json' (default), 'csv', 'csv_fares' or 'ndjson'
+    const filename = ExportFormats.filename(request.filename || 'flight-data.json', request.format);
+    downloadData(request.data, filename, request.saveAs, request.format).then(() => {
+      sendResponse({ success: true, filename: filename });
     }).catch((error) => {
       console.error('Download error:', error);
       sendResponse({ success: false, error: error.message });
@@ -14,16 +24,104 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep channel open for async response
   } else if (request.action === 'saveJSON') {
     // Auto-save without dialog
-    downloadJSON(request.data, request.filename, false).then(() => {
-      sendResponse({ success: true });
+    const filename = ExportFormats.filename(request.filename || 'flight-data.json', request.format);
+    downloadData(request.data, filename, false, request.format).then(() => {
+      sendResponse({ success: true, filename: filename });
     }).catch((error) => {
       console.error('Save error:', error);
       sendResponse({ success: false, error: error.message });
     });
     return true; // Keep channel open for async response
-  } else if (request.action === 'progressUpdate') {
+  } else if (request.action === 'startBatchJob') {
+    startBatchJob(request).then(sendResponse).catch((error) => {
+      console.error('Batch job start error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'resumeBatchJob') {
+    resumeBatchJob(request.tabId).then(sendResponse).catch((error) => {
+      console.error('Batch job resume error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'controlExtraction') {
+    // Stop / Pause / Resume buttons of the popup: {command, tabId}
+    controlExtraction(request.command, request.tabId).then(sendResponse).catch((error) => {
+      console.error('Extraction control error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'exportBatchResults') {
+    // Write the consolidated file of the last job now (also works for partial runs)
+    exportBatchResults().then(sendResponse).catch((error) => {
+      console.error('Batch export error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'getBatchJob') {
+    getBatchJobSummary().then((job) => {
+      sendResponse({ success: true, job: job });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'batchCheckIn') {
+    // Content script asks (on every page load) whether its tab has a search to extract
+    batchCheckIn(sender.tab ? sender.tab.id : null).then(sendResponse).catch((error) => {
+      console.error('Batch check-in error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'batchCombinationResult') {
+    recordBatchResult(request).then(sendResponse).catch((error) => {
+      console.error('Batch result error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'recordPriceHistory') {
+    // Content script sends every extraction result here (IndexedDB of the extension origin)
+    recordExtraction(request.data).then((count) => {
+      sendResponse({ success: true, count: count });
+    }).catch((error) => {
+      console.error('Price history error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'getPriceHistory') {
+    // {flightId, limit} -> price series of one flight; {route, travelDate, limit} -> last scrapes of a route
+    const query = request.flightId
+      ? PriceHistory.priceSeries(request.flightId, request.limit)
+      : PriceHistory.forRoute(request.route, request.travelDate, request.limit);
+    query.then((history) => {
+      sendResponse({ success: true, history: history });
+    }).catch((error) => {
+      console.error('Price history query error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'diffExtractions') {
+    // {before, after} extraction results -> added / removed / changed flights
+    try {
+      sendResponse({ success: true, diff: ExtractionDiff.diff(request.before, request.after) });
+    } catch (error) {
+      console.error('Extraction diff error:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+    return true;
+  } else if (request.action === 'getScheduleRuns') {
+    Schedules.getRuns().then((runs) => {
+      sendResponse({ success: true, runs: runs });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.action === 'progressUpdate' || request.action === 'extractionProgress') {
     // Forward progress update to popup if it's open
     // This is handled by popup.js directly via chrome.runtime.onMessage
+    if (request.action === 'extractionProgress' && request.batch && sender.tab) {
+      // Card progress of a batch search keeps its watchdog from firing
+      extendBatchWatchdog(sender.tab.id).catch((error) => console.warn('Batch watchdog error:', error));
+    }
     sendResponse({ success: true });
     return true;
   }
@@ -38,13 +136,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * @param {boolean} saveAs - Show save dialog (default: true)
  */
 async function downloadJSON(data, filename = 'flight-data.json', saveAs = true) {
+  return downloadData(data, filename, saveAs, 'json');
+}
+
+/**
+ * Download extraction results in one of the ExportFormats formats
+ * @param {Object} data - The data to save
+ * @param {string} filename - The filename (extension should match the format)
+ * @param {boolean} saveAs - Show save dialog (default: true)
+ * @param {string} format - 'json' (default), 'csv', 'csv_fares' or 'ndjson'
+ */
+async function downloadData(data, filename = 'flight-data.json', saveAs = true, format = 'json') {
   try {
-    // Convert JSON to string
-    const jsonString = JSON.stringify(data, null, 2);
+    const exportFormat = ExportFormats.isKnown(format) ? format : 'json';
+    let text = ExportFormats.serialize(data, exportFormat);
+    if (ExportFormats.mimeType(exportFormat) === 'text/csv') {
+      text = '\uFEFF' + text; // Byte order mark so spreadsheet apps read "₹" and city names as UTF-8
+    }
     
-    // Create data URL (base64 encoded)
+    // Create data URL
     // Service workers don't support URL.createObjectURL, so we use data URLs
-    const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(jsonString);
+    const dataUrl = `data:${ExportFormats.mimeType(exportFormat)};charset=utf-8,` + encodeURIComponent(text);
     
     // Download using chrome.downloads API
     return new Promise((resolve, reject) => {
@@ -67,6 +179,700 @@ async function downloadJSON(data, filename = 'flight-data.json', saveAs = true)
   }
 }
 
+/**
+ * Site adapter id for the page open in a tab (the first adapter for blank or unsupported pages)
+ */
+async function siteForTab(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const adapter = SiteAdapters.forUrl(tab.url);
+    if (adapter) {
+      return adapter.id;
+    }
+  } catch (error) {
+    console.warn(`Could not read the URL of tab ${tabId}:`, error);
+  }
+  return SiteAdapters.adapters[0].id;
+}
+
+/**
+ * Start a batch job over every route-date combination of a route plan
+ * @param {Object} request - {tabId, planId, planName, site, routes, dateOffsets, dates, adults, children, infants, cabinClass,
+ *                           retry, output, format, depth, pairing, trigger}
+ *                           (without a site, the adapter for the tab's page is used, then the first adapter)
+ */
+async function startBatchJob(request) {
+  // Day offsets and absolute YYYY-MM-DD dates from the route plan share one list
+  const dateSpecs = [...(request.dateOffsets || []), ...(request.dates || [])];
+  if (dateSpecs.length === 0) {
+    dateSpecs.push(1, 7, 14, 30);
+  }
+  if (!request.routes || request.routes.length === 0) {
+    throw new Error('No routes to search');
+  }
+
+  const job = BatchJobs.create({
+    planId: request.planId,
+    planName: request.planName,
+    site: request.site || await siteForTab(request.tabId),
+    routes: request.routes,
+    dateSpecs: dateSpecs,
+    searchOptions: {
+      adults: request.adults || 1,
+      children: request.children || 0,
+      infants: request.infants || 0,
+      cabinClass: request.cabinClass || 'E'
+    },
+    retryPolicy: request.retry,
+    outputMode: request.output,
+    outputFormat: request.format,
+    depth: request.depth,
+    pairing: request.pairing,
+    tabId: request.tabId,
+    trigger: request.trigger
+  });
+  // Only the latest job is kept, so drop the flights stored for the one it replaces
+  await BatchJobs.clearCheckpoints(await BatchJobs.load());
+  await BatchJobs.save(job);
+  console.log(`Batch job ${job.id} created: ${job.combinations.length} combinations (plan "${job.plan_name}")`);
+
+  await dispatchNextCombination(job);
+  return {
+    success: true,
+    message: job.output_mode === 'consolidated'
+      ? 'Processing started. One file with all results will be saved when the job finishes.'
+      : 'Processing started. Files will be auto-downloaded as each route-date combination completes.',
+    job_id: job.id,
+    total_combinations: job.combinations.length
+  };
+}
+
+/**
+ * Resume the last unfinished batch job in the given tab
+ * Combinations that were mid-search when the job stopped are searched again
+ */
+async function resumeBatchJob(tabId) {
+  const job = await BatchJobs.load();
+  if (!BatchJobs.canResume(job)) {
+    throw new Error('No unfinished batch job to resume');
+  }
+
+  const reset = BatchJobs.resetInterrupted(job);
+  job.tab_id = tabId;
+  job.status = 'running';
+  job.stopped_at = null;
+  await BatchJobs.save(job);
+
+  const counts = BatchJobs.counts(job);
+  console.log(`Resuming batch job ${job.id}: ${counts.pending} pending (${reset} interrupted), ${counts.done} done, ${counts.failed} failed`);
+
+  await dispatchNextCombination(job);
+  if (job.status === 'interrupted') {
+    throw new Error('Could not open the next search in this tab');
+  }
+  return {
+    success: true,
+    job_id: job.id,
+    total_combinations: counts.total,
+    remaining: counts.pending,
+    completed: counts.done + counts.failed
+  };
+}
+
+/**
+ * Navigate the job's tab to the next pending combination (or finish the job)
+ * Once the queue is empty, combinations that failed get one more attempt before the job completes
+ * @returns {Promise<Object|null>} - The combination now running, or null if none was started
+ */
+async function dispatchNextCombination(job) {
+  let combination = BatchJobs.nextPending(job);
+  if (!combination && !job.final_sweep && BatchJobs.counts(job).failed > 0) {
+    const queued = BatchJobs.queueFinalSweep(job);
+    console.log(`Batch job ${job.id}: retrying ${queued} failed combination(s) once more`);
+    combination = BatchJobs.nextPending(job);
+  }
+  if (!combination) {
+    await completeBatchJob(job);
+    return null;
+  }
+
+  combination.status = BatchJobs.RUNNING;
+  combination.attempts++;
+  combination.started_at = new Date().toISOString();
+  await BatchJobs.save(job);
+
+  const { searchUrl } = BatchJobs.buildNavigation(job, combination);
+  sendBatchProgress(job, BatchJobs.describeRoute(combination.route), combination.date_spec);
+  console.log(`Batch job ${job.id}: combination ${combination.index + 1}/${job.combinations.length} -> ${searchUrl}`);
+
+  try {
+    // The content script checks in with batchCheckIn once the results page loads
+    await chrome.tabs.update(job.tab_id, { url: searchUrl });
+  } catch (error) {
+    // Tab was closed: keep the combination queued until the job is resumed
+    console.warn(`Batch job ${job.id} interrupted: ${error.message}`);
+    combination.status = BatchJobs.PENDING;
+    combination.attempts--;
+    combination.started_at = null;
+    job.status = 'interrupted';
+    await BatchJobs.save(job);
+    return null;
+  }
+  await armBatchWatchdog();
+  return combination;
+}
+
+/**
+ * Mark the job completed and save its results: the consolidated file (which includes the summary)
+ * for consolidated jobs, or a summary next to the per-combination files
+ * A job stopped from the popup ends the same way with status 'stopped': its files are marked partial
+ * and its pending combinations are kept, so it can still be resumed
+ * @param {Object} job - Batch job
+ * @param {string} status - 'completed' or 'stopped'
+ */
+async function completeBatchJob(job, status = 'completed') {
+  await chrome.alarms.clear(BatchJobs.WATCHDOG_ALARM);
+  job.status = status;
+  if (status === 'completed') {
+    job.completed_at = new Date().toISOString();
+  }
+  job.summary = BatchJobs.buildSummary(job);
+  await BatchJobs.save(job);
+  console.log(`Batch job ${job.id} ${status}: ${job.summary.done} done, ${job.summary.failed} failed`);
+  job.summary.failures.forEach(failure => {
+    console.warn(`  ✗ ${failure.route} ${failure.departure_date} after ${failure.attempts} attempt(s): ${failure.reason}`);
+  });
+  sendBatchProgress(job, 'All', null);
+
+  if (job.output_mode === 'consolidated') {
+    try {
+      const batchFile = BatchJobs.buildConsolidated(job, await BatchJobs.loadCheckpoints(job));
+      const filename = ExportFormats.filename(BatchJobs.consolidatedFilename(job), job.output_format);
+      await downloadData(batchFile, filename, false, job.output_format);
+      console.log(`Batch job ${job.id}: saved ${batchFile.metadata.flights_count} flights to ${filename}`);
+    } catch (error) {
+      // Results stay in storage; "Save results" in the popup writes them later
+      console.warn(`Could not save results of batch job ${job.id}: ${error.message}`);
+    }
+    return;
+  }
+
+  try {
+    await downloadJSON({
+      job_id: job.id,
+      plan_name: job.plan_name,
+      created_at: job.created_at,
+      completed_at: job.completed_at,
+      retry_policy: job.retry_policy,
+      ...job.summary
+    }, `batch-summary-${job.id}.json`, false);
+  } catch (error) {
+    console.warn(`Could not save summary of batch job ${job.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Tell a content script which search (if any) it should extract
+ * @param {number} tabId - Tab the content script runs in
+ * @returns {Promise<Object>} - {success, searchUrl, extractionParams} or {success, job: null}
+ */
+async function batchCheckIn(tabId) {
+  const job = await BatchJobs.load();
+  if (!job || job.tab_id !== tabId || !['running', 'paused', 'stopped'].includes(job.status)) {
+    return { success: true, job: null };
+  }
+  const combination = BatchJobs.current(job);
+  if (!combination) {
+    return { success: true, job: null };
+  }
+  if (job.status === 'stopped') {
+    // Stopped while the page was loading: the search was not extracted, so it stays pending
+    BatchJobs.resetInterrupted(job);
+    await completeBatchJob(job, 'stopped');
+    return { success: true, job: null };
+  }
+  const { searchUrl, extractionParams } = BatchJobs.buildNavigation(job, combination);
+  await armBatchWatchdog();
+  // A paused job's content script waits before the first card until the job is resumed
+  return { success: true, searchUrl, extractionParams: { ...extractionParams, paused: job.status === 'paused' } };
+}
+
+/**
+ * Record the outcome of a combination and move the job on
+ * A failed attempt is retried in the same tab (after the policy's backoff) until max_attempts
+ * is reached; the response then tells the content script how to retry (always by opening the
+ * search URL again when the request asks to renavigate, e.g., after the tab left the search)
+ * @param {Object} request - {jobId, combinationIndex, success, flightsCount, filename, error, renavigate, data}
+ * @returns {Promise<Object>} - {success} or {success, retry: {mode, delay_ms, searchUrl, attempt}}
+ */
+async function recordBatchResult(request) {
+  const job = await BatchJobs.load();
+  if (!job || job.id !== request.jobId) {
+    return { success: false, error: 'Batch job no longer exists' };
+  }
+  const combination = job.combinations[request.combinationIndex];
+  if (!combination || combination.status !== BatchJobs.RUNNING) {
+    // Late or duplicate report (e.g., the page was reloaded after the result was recorded)
+    return { success: false, error: 'Combination is not running' };
+  }
+
+  if (!request.success && job.status === 'stopped') {
+    // Stopped before the first flight: the search stays pending, so resuming the job searches it again
+    BatchJobs.resetInterrupted(job);
+    await completeBatchJob(job, 'stopped');
+    return { success: true };
+  }
+
+  if (!request.success) {
+    BatchJobs.recordAttemptError(combination, request.error);
+    const policy = job.retry_policy || BatchJobs.normalizeRetryPolicy(null);
+    if ((job.status === 'running' || job.status === 'paused') && !job.final_sweep && combination.attempts < policy.max_attempts) {
+      // Stays running, so the content script extracts it again after the reload/navigation
+      const delayMs = BatchJobs.backoffDelay(policy, combination.attempts);
+      combination.attempts++;
+      await BatchJobs.save(job);
+      console.warn(`Batch job ${job.id}: combination ${combination.index + 1} failed (${combination.error}), attempt ${combination.attempts}/${policy.max_attempts} in ${delayMs / 1000}s`);
+      const { searchUrl } = BatchJobs.buildNavigation(job, combination);
+      await armBatchWatchdog(delayMs);
+      return {
+        success: true,
+        retry: { mode: request.renavigate ? 'renavigate' : policy.mode, delay_ms: delayMs, searchUrl: searchUrl, attempt: combination.attempts }
+      };
+    }
+  }
+
+  // Checkpoint before marking the combination done, so a crash in between repeats the search instead of losing it
+  if (request.success && request.data && job.output_mode === 'consolidated') {
+    await BatchJobs.saveCheckpoint(job, combination, request.data);
+  }
+
+  combination.status = request.success ? BatchJobs.DONE : BatchJobs.FAILED;
+  combination.finished_at = new Date().toISOString();
+  combination.flights_count = request.flightsCount || 0;
+  combination.partial = request.partial === true;
+  combination.filename = request.filename ? ExportFormats.filename(request.filename, job.output_format) : null;
+  if (request.success) {
+    combination.error = null;
+  }
+  await BatchJobs.save(job);
+
+  if (job.status === 'running') {
+    await dispatchNextCombination(job);
+  } else if (job.status === 'stopped') {
+    await completeBatchJob(job, 'stopped');
+  }
+  // A paused job moves on when it is resumed (controlBatchJob)
+  return { success: true };
+}
+
+// When the watchdog was last (re)started, so card progress does not re-create the alarm on every message
+let batchWatchdogArmedAt = 0;
+
+/**
+ * (Re)start the watchdog of the running combination: it fires after BatchJobs.STALL_TIMEOUT_MS
+ * without a check-in, card progress or result from the job's tab
+ * @param {number} extraDelayMs - Added to the timeout (backoff before a retry)
+ */
+async function armBatchWatchdog(extraDelayMs = 0) {
+  batchWatchdogArmedAt = Date.now();
+  await chrome.alarms.create(BatchJobs.WATCHDOG_ALARM, { delayInMinutes: (BatchJobs.STALL_TIMEOUT_MS + extraDelayMs) / 60000 });
+}
+
+/**
+ * Restart the watchdog on card progress from the job's tab (at most every 30 seconds)
+ */
+async function extendBatchWatchdog(tabId) {
+  if (Date.now() - batchWatchdogArmedAt < 30 * 1000) {
+    return;
+  }
+  const job = await BatchJobs.load();
+  if (job && job.tab_id === tabId && BatchJobs.current(job)) {
+    await armBatchWatchdog();
+  }
+}
+
+/**
+ * The job's tab went quiet (redirected away from the site, crashed, or never checked in):
+ * record a failed attempt and take the usual retry path, opening the search URL from here
+ * since no content script is there to do it
+ */
+async function handleBatchWatchdog() {
+  const job = await BatchJobs.load();
+  const combination = BatchJobs.current(job);
+  if (!combination || !['running', 'paused', 'stopped'].includes(job.status)) {
+    return;
+  }
+  if (job.status === 'stopped') {
+    // Stopped, but the tab never reported the search it was on: end the job the usual way
+    BatchJobs.resetInterrupted(job);
+    await completeBatchJob(job, 'stopped');
+    return;
+  }
+  if (job.status === 'paused') {
+    // The content script holds the search until the job is resumed
+    await armBatchWatchdog();
+    return;
+  }
+  const tabOpen = await chrome.tabs.get(job.tab_id).then(() => true, () => false);
+  if (!tabOpen) {
+    // Same as a closed tab at dispatch: the search is repeated when the job is resumed
+    BatchJobs.resetInterrupted(job);
+    job.status = 'interrupted';
+    await BatchJobs.save(job);
+    return;
+  }
+
+  const minutes = Math.round(BatchJobs.STALL_TIMEOUT_MS / 60000);
+  console.warn(`Batch job ${job.id}: no response from the tab for combination ${combination.index + 1} in ${minutes} min`);
+  const response = await recordBatchResult({
+    jobId: job.id,
+    combinationIndex: combination.index,
+    success: false,
+    error: `No response from the search tab for ${minutes} minutes`,
+    renavigate: true
+  });
+  if (response.retry) {
+    // If the worker sleeps through the backoff, the watchdog (armed with the backoff added) fires again
+    setTimeout(() => {
+      chrome.tabs.update(job.tab_id, { url: response.retry.searchUrl })
+        .catch((error) => console.warn(`Batch job ${job.id}: could not retry in its tab: ${error.message}`));
+    }, response.retry.delay_ms);
+  }
+}
+
+/**
+ * Stop, pause or resume the extraction in progress
+ * While a batch job runs in an open tab the command applies to the job; otherwise it goes to
+ * the content script of the given tab (single-page extraction)
+ * @param {string} command - 'stop', 'pause' or 'resume'
+ * @param {number} tabId - Tab of the popup
+ * @returns {Promise<Object>} - {success, scope: 'batch'|'page', status}
+ */
+async function controlExtraction(command, tabId) {
+  if (!['stop', 'pause', 'resume'].includes(command)) {
+    throw new Error(`Unknown extraction command: ${command}`);
+  }
+  const job = await BatchJobs.load();
+  const jobActive = job && (job.status === 'running' || job.status === 'paused') &&
+    await chrome.tabs.get(job.tab_id).then(() => true, () => false);
+  if (jobActive) {
+    return controlBatchJob(job, command);
+  }
+
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'controlExtraction', command: command });
+  return {
+    success: true,
+    scope: 'page',
+    status: response && response.stopped ? 'stopped' : (response && response.paused ? 'paused' : 'running')
+  };
+}
+
+/**
+ * Stop, pause or resume a batch job
+ * Pausing holds the current search before its next card and keeps the queue from moving on;
+ * stopping lets the current search save the flights it has (marked partial), then ends the job
+ */
+async function controlBatchJob(job, command) {
+  if (command === 'pause') {
+    job.status = 'paused';
+  } else if (command === 'resume') {
+    job.status = 'running';
+  } else {
+    job.status = 'stopped';
+    job.stopped_at = new Date().toISOString();
+  }
+  await BatchJobs.save(job);
+  console.log(`Batch job ${job.id}: ${command} (${job.status})`);
+
+  try {
+    await chrome.tabs.sendMessage(job.tab_id, { action: 'controlExtraction', command: command });
+  } catch (error) {
+    // Page is still loading; batchCheckIn hands the job's state to its content script
+  }
+
+  if (!BatchJobs.current(job)) {
+    // Paused between two searches: nothing in the tab will report back
+    if (command === 'resume') {
+      await dispatchNextCombination(job);
+    } else if (command === 'stop') {
+      await completeBatchJob(job, 'stopped');
+    }
+  }
+  return { success: true, scope: 'batch', status: job.status };
+}
+
+/**
+ * Save the consolidated file of the last job with whatever has been extracted so far
+ * @returns {Promise<Object>} - {success, filename, flights_count, combinations_done, partial}
+ */
+async function exportBatchResults() {
+  const job = await BatchJobs.load();
+  if (!job) {
+    throw new Error('No batch job to export');
+  }
+  const batchFile = BatchJobs.buildConsolidated(job, await BatchJobs.loadCheckpoints(job));
+  const filename = ExportFormats.filename(BatchJobs.consolidatedFilename(job), job.output_format);
+  await downloadData(batchFile, filename, true, job.output_format);
+  return {
+    success: true,
+    filename: filename,
+    flights_count: batchFile.metadata.flights_count,
+    combinations_done: batchFile.combinations.filter(c => c.status === BatchJobs.DONE).length,
+    partial: batchFile.metadata.partial
+  };
+}
+
+/**
+ * Start a scheduled batch run of a route plan in the schedule tab
+ * A run is skipped only while another batch job is running or paused in an open tab. An interrupted job
+ * (its tab was closed) is resumed in the schedule tab instead; a stopped job is replaced once its results are saved
+ */
+async function runScheduledPlan(planId) {
+  const plan = (await RoutePlans.getAll()).find(p => p.id === planId);
+  if (!plan || !(plan.scheduleHours > 0)) {
+    await chrome.alarms.clear(Schedules.alarmName(planId));
+    return;
+  }
+
+  const current = await BatchJobs.load();
+  if (current && (current.status === 'running' || current.status === 'paused') &&
+      await chrome.tabs.get(current.tab_id).then(() => true, () => false)) {
+    const reason = `Batch job ${current.id} was still ${current.status}`;
+    console.log(`Scheduled run of "${plan.name}" skipped: ${reason}`);
+    await Schedules.recordRun(planId, { job_id: null, status: 'skipped', message: reason });
+    return;
+  }
+
+  // Starting a job replaces the stored one and its checkpoints: finish an interrupted job first
+  if (BatchJobs.canResume(current) && current.status !== 'stopped') {
+    try {
+      const response = await resumeBatchJob(await Schedules.getTab());
+      const message = `Resumed interrupted batch job ${current.id} (${response.remaining} of ${response.total_combinations} combinations left)`;
+      console.log(`Scheduled run of "${plan.name}": ${message}`);
+      await Schedules.recordRun(planId, { job_id: current.id, status: 'resumed', message: message });
+    } catch (error) {
+      console.error(`Scheduled run of "${plan.name}" could not resume batch job ${current.id}:`, error);
+      await Schedules.recordRun(planId, { job_id: current.id, status: 'failed', message: error.message });
+    }
+    return;
+  }
+  if (current && current.status === 'stopped' && !current.summary) {
+    // Stopped, but its tab was closed before the search in progress reported back: save its results now
+    BatchJobs.resetInterrupted(current);
+    await completeBatchJob(current, 'stopped');
+  }
+
+  const batchRequest = RoutePlans.batchRequest(plan);
+  if (batchRequest.dateOffsets.length === 0 && batchRequest.dates.length === 0) {
+    await Schedules.recordRun(planId, { job_id: null, status: 'skipped', message: 'No upcoming dates to search' });
+    return;
+  }
+
+  try {
+    const tabId = await Schedules.getTab();
+    const response = await startBatchJob({ ...batchRequest, tabId: tabId, trigger: 'schedule' });
+    console.log(`Scheduled run of "${plan.name}" started: job ${response.job_id}, ${response.total_combinations} combinations`);
+    await Schedules.recordRun(planId, { job_id: response.job_id, status: 'started', message: response.message });
+  } catch (error) {
+    console.error(`Scheduled run of "${plan.name}" failed:`, error);
+    await Schedules.recordRun(planId, { job_id: null, status: 'failed', message: error.message });
+  }
+}
+
+/**
+ * Re-create the schedule alarms from the saved route plans
+ */
+async function syncSchedules() {
+  const scheduledIds = await Schedules.sync(await RoutePlans.getAll());
+  console.log(`Schedules synced: ${scheduledIds.length} scheduled plan(s)`);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BatchJobs.WATCHDOG_ALARM) {
+    handleBatchWatchdog().catch((error) => console.error('Batch watchdog error:', error));
+    return;
+  }
+  const planId = Schedules.planIdOf(alarm.name);
+  if (planId !== null) {
+    runScheduledPlan(planId).catch((error) => console.error('Scheduled run error:', error));
+  }
+});
+
+// Plans are edited in the popup: keep the alarms in step with them
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[RoutePlans.STORAGE_KEY]) {
+    syncSchedules().catch((error) => console.error('Schedule sync error:', error));
+  }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncSchedules().catch((error) => console.error('Schedule sync error:', error));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  syncSchedules().catch((error) => console.error('Schedule sync error:', error));
+});
+
+/**
+ * Short description of the last job for the popup
+ * A "running" job whose tab no longer exists (closed tab, browser crash) is reported as interrupted
+ */
+async function getBatchJobSummary() {
+  const job = await BatchJobs.load();
+  if (!job) {
+    return null;
+  }
+
+  let status = job.status;
+  if (status === 'running' || status === 'paused') {
+    try {
+      await chrome.tabs.get(job.tab_id);
+    } catch (error) {
+      status = 'interrupted';
+    }
+  }
+
+  return {
+    id: job.id,
+    plan_name: job.plan_name,
+    trigger: job.trigger || 'manual',
+    status: status,
+    output_mode: job.output_mode || 'per_combination',
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at,
+    counts: BatchJobs.counts(job),
+    failures: job.summary ? job.summary.failures : []
+  };
+}
+
+/**
+ * Store an extraction result in the price history, then check the fare alert rules against it
+ * @param {Object} flightData - {metadata, flights} from an extraction
+ * @returns {Promise<number>} - Number of observations stored
+ */
+async function recordExtraction(flightData) {
+  const rules = await WatchRules.getAll();
+  const flights = (flightData && flightData.flights) || [];
+  const scrapedAt = (flightData && flightData.metadata && flightData.metadata.scraped_at) || null;
+
+  // Prices of the last scrape have to be read before this one is stored
+  const previousPrices = rules.some(rule => rule.dropPercent !== null)
+    ? await PriceHistory.latestPrices(flights.map(flight => flight.flight_id).filter(Boolean), scrapedAt)
+    : new Map();
+  const count = await PriceHistory.record(flightData);
+
+  try {
+    await checkWatchRules(rules, flightData, previousPrices);
+  } catch (error) {
+    console.error('Watch rules error:', error);
+  }
+  return count;
+}
+
+/**
+ * Fire one notification per rule that matches new or cheaper fares
+ */
+async function checkWatchRules(rules, flightData, previousPrices) {
+  for (const rule of rules) {
+    const found = await WatchRules.filterNotified(rule, WatchRules.matches(rule, flightData, previousPrices));
+    if (found.length === 0) {
+      continue;
+    }
+    found.sort((a, b) => a.price_amount - b.price_amount);
+    const best = found[0];
+    const searchUrl = buildAlertSearchUrl(best, flightData.metadata || {});
+    const notificationId = `${rule.id}-${Date.now()}`;
+    await WatchRules.rememberAlert(notificationId, searchUrl);
+
+    const price = `${best.price_currency === 'INR' || !best.price_currency ? '₹' : best.price_currency + ' '}${best.price_amount.toLocaleString('en-IN')}`;
+    const flightName = [best.flight.airline, best.flight.flight_code].filter(Boolean).join(' ') || best.flight_id;
+    let message = `${flightName} at ${price}`;
+    if (best.drop_percent !== null) {
+      message += ` (${best.drop_percent}% below the last scrape)`;
+    }
+    if (found.length > 1) {
+      message += ` and ${found.length - 1} more`;
+    }
+    try {
+      await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icon128.png'),
+        title: `Fare alert: ${best.route} on ${best.travel_date}`,
+        message: message,
+        contextMessage: WatchRules.describe(rule),
+        priority: 2
+      });
+    } catch (error) {
+      // Alert again on the next run instead of treating these fares as notified
+      console.error(`Fare alert for "${WatchRules.describe(rule)}" could not be shown:`, error);
+      await WatchRules.forgetNotified(rule, found);
+    }
+  }
+}
+
+/**
+ * Search URL for a matched flight, with the trip type, passenger mix and cabin of the result:
+ * round trips and multi-city trips open the search the extraction ran on, one-way flights
+ * a one-way search for their route and travel date
+ */
+function buildAlertSearchUrl(match, metadata) {
+  const tripType = metadata.trip_type || '';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(match.travel_date) || /round_trip|multi_city/.test(tripType)) {
+    return metadata.source_url || null;
+  }
+  const [origin, destination] = match.route.split('-');
+  const [year, month, day] = match.travel_date.split('-').map(Number);
+  const domesticZone = Airports.DOMESTIC_TIME_ZONE;
+  const isInternational = tripType.startsWith('international') || [origin, destination].some(code => {
+    const airport = Airports.get(code);
+    return airport && airport.timeZone !== domesticZone;
+  });
+  const searchOptions = metadata.search_options || {};
+  const adapter = SiteAdapters.forUrl(metadata.source_url || '') || SiteAdapters.get('makemytrip') || SiteAdapters.adapters[0];
+  return adapter.buildSearchUrl(
+    origin,
+    destination,
+    new Date(year, month - 1, day, 12),
+    'O',
+    isInternational,
+    searchOptions.adults || 1,
+    searchOptions.children || 0,
+    searchOptions.infants || 0,
+    searchOptions.cabinClass || 'E'
+  );
+}
+
+// Fare alert clicked: open its search
+chrome.notifications.onClicked.addListener((notificationId) => {
+  WatchRules.alertUrl(notificationId).then((searchUrl) => {
+    if (searchUrl) {
+      chrome.tabs.create({ url: searchUrl });
+    }
+    chrome.notifications.clear(notificationId);
+  });
+});
+
+/**
+ * Forward batch progress to the popup (if it's open)
+ */
+function sendBatchProgress(job, route, dateOffset) {
+  const counts = BatchJobs.counts(job);
+  chrome.runtime.sendMessage({
+    action: 'progressUpdate',
+    completed: counts.done + counts.failed,
+    total: counts.total,
+    route: route,
+    dateOffset: dateOffset,
+    status: job.status,
+    timestamp: new Date().toISOString()
+  }, () => {
+    if (chrome.runtime.lastError) {
+      // Popup might be closed, ignore error
+    }
+  });
+}
+
 // Log that background service worker is loaded
 console.log('Flight Extracter background service worker loaded');
 
@@ -0,0 +1,494 @@
+/**
+ * Flight Extracter - Batch Jobs
+ * Route-date batch jobs kept in chrome.storage.local by the background worker,
+ * so a closed tab, a browser crash or a service worker restart does not lose
+ * progress. Each route-date combination carries its own status.
+ *
+ * Needs route-plans.js (route descriptions).
+ */
+
+const BatchJobs = {
+  STORAGE_KEY: 'flightExtractorBatchJob',
+  // Extracted flights of consolidated jobs, one key per combination: <prefix><job id>:<index>
+  CHECKPOINT_PREFIX: 'flightExtractorBatchResult:',
+
+  // Combination status values
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+
+  // Longest wait between two attempts of one combination
+  MAX_BACKOFF_MS: 5 * 60 * 1000,
+
+  // Alarm that fails the running combination when its tab goes quiet (no check-in, progress or result)
+  WATCHDOG_ALARM: 'flightExtractorBatchWatchdog',
+  // Quiet time after which the running combination counts as a failed attempt
+  STALL_TIMEOUT_MS: 5 * 60 * 1000,
+
+  /**
+   * Load the current job (only the most recent job is kept)
+   * @returns {Promise<Object|null>}
+   */
+  async load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || null;
+  },
+
+  /**
+   * Persist the job (called after every status change)
+   */
+  async save(job) {
+    job.updated_at = new Date().toISOString();
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: job });
+    return job;
+  },
+
+  /**
+   * Create a job with one combination per route and date, routes first (same order as before)
+   * Day offsets are resolved to calendar dates now, so a job resumed after midnight
+   * still searches the dates it was started with
+   * @param {Object} params
+   * @param {string} params.planId - Route plan id
+   * @param {string} params.planName - Route plan name
+   * @param {string} params.site - Site adapter id the searches run on (see site-adapter.js)
+   * @param {Array} params.routes - Routes from the plan
+   * @param {Array<number|string>} params.dateSpecs - Day offsets and/or YYYY-MM-DD dates
+   * @param {Object} params.searchOptions - {adults, children, infants, cabinClass}
+   * @param {Object} params.retryPolicy - {maxAttempts, backoffSeconds, mode} from the route plan
+   * @param {string} params.outputMode - 'per_combination' (one file each) or 'consolidated' (one file per job)
+   * @param {string} params.outputFormat - File format: 'json', 'csv', 'csv_fares' or 'ndjson'
+   * @param {string} params.depth - Extraction depth: 'card', 'fares', 'itinerary' or 'policies'
+   * @param {string} params.pairing - Domestic round-trip pair prices: 'off', 'selected' or 'all'
+   * @param {number} params.tabId - Tab that runs the searches
+   * @param {string} params.trigger - 'manual' (popup) or 'schedule' (chrome.alarms)
+   * @returns {Object} - New job (not yet saved)
+   */
+  create({ planId, planName, site, routes, dateSpecs, searchOptions, retryPolicy, outputMode, outputFormat, depth, pairing, tabId, trigger }) {
+    const combinations = [];
+    routes.forEach((route, routeIndex) => {
+      dateSpecs.forEach((dateSpec, dateIndex) => {
+        combinations.push({
+          index: combinations.length,
+          route_index: routeIndex,
+          date_index: dateIndex,
+          route: route,
+          date_spec: dateSpec,
+          departure_date: this.resolveDate(dateSpec),
+          status: this.PENDING,
+          attempts: 0,
+          started_at: null,
+          finished_at: null,
+          flights_count: null,
+          filename: null,
+          error: null,
+          errors: []
+        });
+      });
+    });
+
+    const now = new Date().toISOString();
+    return {
+      id: `job-${Date.now()}`,
+      plan_id: planId || null,
+      plan_name: planName || null,
+      trigger: trigger || 'manual',
+      site: site,
+      status: this.RUNNING,
+      tab_id: tabId,
+      search_options: searchOptions,
+      retry_policy: this.normalizeRetryPolicy(retryPolicy),
+      output_mode: outputMode === 'consolidated' ? 'consolidated' : 'per_combination',
+      output_format: outputFormat || 'json',
+      extraction_depth: ExtractionDepth.normalize(depth),
+      round_trip_pairing: RoundTripPairs.normalize(pairing),
+      final_sweep: false,
+      created_at: now,
+      updated_at: now,
+      completed_at: null,
+      summary: null,
+      combinations: combinations
+    };
+  },
+
+  /**
+   * Fill in missing retry settings
+   * @returns {{max_attempts: number, backoff_seconds: number, mode: string}}
+   */
+  normalizeRetryPolicy(retryPolicy) {
+    const policy = retryPolicy || {};
+    const maxAttempts = parseInt(policy.maxAttempts, 10);
+    const backoffSeconds = parseInt(policy.backoffSeconds, 10);
+    return {
+      max_attempts: maxAttempts >= 1 ? maxAttempts : 3,
+      backoff_seconds: backoffSeconds >= 0 ? backoffSeconds : 10,
+      mode: policy.mode === 'reload' ? 'reload' : 'renavigate'
+    };
+  },
+
+  /**
+   * Wait before the next attempt of a combination: the backoff doubles after each failed attempt
+   * (10s, 20s, 40s, ...) and is capped at MAX_BACKOFF_MS
+   * @param {Object} policy - job.retry_policy
+   * @param {number} failedAttempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  backoffDelay(policy, failedAttempts) {
+    const delay = policy.backoff_seconds * 1000 * Math.pow(2, Math.max(0, failedAttempts - 1));
+    return Math.min(delay, this.MAX_BACKOFF_MS);
+  },
+
+  /**
+   * Record a failed attempt on a combination
+   */
+  recordAttemptError(combination, error) {
+    combination.error = error || 'Unknown error';
+    combination.errors = combination.errors || [];
+    combination.errors.push({ attempt: combination.attempts, error: combination.error, at: new Date().toISOString() });
+  },
+
+  /**
+   * Queue failed combinations for one last attempt at the end of the job
+   * @returns {number} - Number of combinations queued
+   */
+  queueFinalSweep(job) {
+    let queued = 0;
+    job.combinations.forEach(combination => {
+      if (combination.status === this.FAILED) {
+        combination.status = this.PENDING;
+        combination.started_at = null;
+        combination.finished_at = null;
+        queued++;
+      }
+    });
+    job.final_sweep = true;
+    return queued;
+  },
+
+  /**
+   * Summary of a finished job: totals plus every combination that still failed and why
+   */
+  buildSummary(job) {
+    const counts = this.counts(job);
+    return {
+      total: counts.total,
+      done: counts.done,
+      failed: counts.failed,
+      flights_total: job.combinations.reduce((sum, c) => sum + (c.status === this.DONE ? c.flights_count || 0 : 0), 0),
+      failures: job.combinations
+        .filter(c => c.status === this.FAILED)
+        .map(c => ({
+          index: c.index,
+          route: this.describeRoute(c.route),
+          departure_date: c.departure_date,
+          attempts: c.attempts,
+          reason: c.error,
+          errors: c.errors || []
+        }))
+    };
+  },
+
+  /**
+   * Resolve a date entry to YYYY-MM-DD (number = days from today)
+   */
+  resolveDate(dateSpec, today = new Date()) {
+    if (typeof dateSpec === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateSpec)) {
+      return dateSpec;
+    }
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + (parseInt(dateSpec, 10) || 0));
+    return this.formatDate(date);
+  },
+
+  /**
+   * Return date (YYYY-MM-DD) of a round-trip combination, counted from its departure date
+   * @returns {string|null} - null for one-way routes
+   */
+  returnDate(combination) {
+    if (combination.route.tripType !== 'R') {
+      return null;
+    }
+    const [year, month, day] = combination.departure_date.split('-').map(Number);
+    return this.formatDate(new Date(year, month - 1, day + (parseInt(combination.route.returnOffset, 10) || 0), 12));
+  },
+
+  /**
+   * Legs of a multi-city combination with their dates, counted from its departure date
+   * @returns {Array<{sourceCode: string, destCode: string, dateStr: string}>|null} - null for other routes
+   */
+  multiCityLegs(combination) {
+    const route = combination.route;
+    if (route.tripType !== 'M' || !Array.isArray(route.legs)) {
+      return null;
+    }
+    const [year, month, day] = combination.departure_date.split('-').map(Number);
+    return route.legs.map(leg => ({
+      sourceCode: leg.source.toUpperCase(),
+      destCode: leg.dest.toUpperCase(),
+      dateStr: this.formatDate(new Date(year, month - 1, day + (parseInt(leg.dayOffset, 10) || 0), 12))
+    }));
+  },
+
+  /**
+   * Format a local date as YYYY-MM-DD
+   */
+  formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  },
+
+  /**
+   * Describe a batch date entry for logs (e.g., "+7 days" or "2026-11-20")
+   */
+  describeDateSpec(dateSpec) {
+    return typeof dateSpec === 'number' ? `+${dateSpec} days` : String(dateSpec);
+  },
+
+  /**
+   * Describe a batch route for logs and progress (RoutePlans.describeRoute, e.g., "BLR-DXB RT+7 INTL")
+   * Routes sent as {from, to} are described like plan routes
+   */
+  describeRoute(route) {
+    return RoutePlans.describeRoute({
+      ...route,
+      source: route.source || route.from,
+      dest: route.dest || route.to || route.destination
+    });
+  },
+
+  /**
+   * Whether a job can still be resumed (anything but completed: running, paused, stopped or interrupted);
+   * a scheduled run resumes an interrupted job rather than clearing its checkpoints
+   */
+  canResume(job) {
+    return Boolean(job) && job.status !== 'completed';
+  },
+
+  /**
+   * Count combinations by status
+   * @returns {{total: number, pending: number, running: number, done: number, failed: number}}
+   */
+  counts(job) {
+    const counts = { total: 0, pending: 0, running: 0, done: 0, failed: 0 };
+    (job ? job.combinations : []).forEach(combination => {
+      counts.total++;
+      counts[combination.status]++;
+    });
+    return counts;
+  },
+
+  /**
+   * The combination currently being searched, if any
+   */
+  current(job) {
+    return job ? job.combinations.find(c => c.status === this.RUNNING) || null : null;
+  },
+
+  /**
+   * The next combination waiting to be searched, if any
+   */
+  nextPending(job) {
+    return job ? job.combinations.find(c => c.status === this.PENDING) || null : null;
+  },
+
+  /**
+   * Put combinations that were mid-search when the job stopped back in the queue
+   * @returns {number} - Number of combinations reset
+   */
+  resetInterrupted(job) {
+    let reset = 0;
+    job.combinations.forEach(combination => {
+      if (combination.status === this.RUNNING) {
+        combination.status = this.PENDING;
+        combination.started_at = null;
+        reset++;
+      }
+    });
+    return reset;
+  },
+
+  /**
+   * Storage key of one combination's extracted flights
+   */
+  checkpointKey(jobId, index) {
+    return `${this.CHECKPOINT_PREFIX}${jobId}:${index}`;
+  },
+
+  /**
+   * Store the flights of a finished combination right away, so a run that stops halfway
+   * can still be written out with exportConsolidated()
+   * @param {Object} job - Batch job
+   * @param {Object} combination - Combination the data belongs to
+   * @param {Object} data - Extraction result ({metadata, flights, pairs})
+   */
+  async saveCheckpoint(job, combination, data) {
+    await chrome.storage.local.set({
+      [this.checkpointKey(job.id, combination.index)]: {
+        metadata: data.metadata || null,
+        flights: data.flights || [],
+        ...(data.pairs ? { pairs: data.pairs } : {})
+      }
+    });
+  },
+
+  /**
+   * Load the stored flights of every combination of a job
+   * @returns {Promise<Object>} - Checkpoints keyed by combination index
+   */
+  async loadCheckpoints(job) {
+    const keys = job.combinations.map(combination => this.checkpointKey(job.id, combination.index));
+    const stored = await chrome.storage.local.get(keys);
+    const checkpoints = {};
+    job.combinations.forEach(combination => {
+      const checkpoint = stored[this.checkpointKey(job.id, combination.index)];
+      if (checkpoint) {
+        checkpoints[combination.index] = checkpoint;
+      }
+    });
+    return checkpoints;
+  },
+
+  /**
+   * Remove a job's stored flights (called when a new job replaces it)
+   */
+  async clearCheckpoints(job) {
+    if (!job || !job.combinations) {
+      return;
+    }
+    await chrome.storage.local.remove(job.combinations.map(combination => this.checkpointKey(job.id, combination.index)));
+  },
+
+  /**
+   * Merge a job's results into one document: job metadata, the summary and one entry per
+   * combination with its route, date, extraction time, flight count, errors and flights
+   * @param {Object} job - Batch job
+   * @param {Object} checkpoints - From loadCheckpoints()
+   * @returns {Object} - Consolidated batch document
+   */
+  buildConsolidated(job, checkpoints) {
+    const combinations = job.combinations.map(combination => {
+      const checkpoint = checkpoints[combination.index] || null;
+      return {
+        index: combination.index,
+        route: this.describeRoute(combination.route),
+        source: combination.route.source,
+        destination: combination.route.dest,
+        trip_type: { R: 'round_trip', M: 'multi_city' }[combination.route.tripType] || 'one_way',
+        international: !!combination.route.international,
+        date_offset: typeof combination.date_spec === 'number' ? combination.date_spec : null,
+        departure_date: combination.departure_date,
+        return_date: this.returnDate(combination),
+        status: combination.status,
+        attempts: combination.attempts,
+        extracted_at: checkpoint && checkpoint.metadata ? checkpoint.metadata.scraped_at || combination.finished_at : null,
+        execution_time_ms: checkpoint && checkpoint.metadata ? checkpoint.metadata.execution_time_ms || null : null,
+        source_url: checkpoint && checkpoint.metadata ? checkpoint.metadata.source_url || null : null,
+        flights_count: checkpoint ? checkpoint.flights.length : 0,
+        partial: !!combination.partial,
+        schema_valid: checkpoint && checkpoint.metadata && typeof checkpoint.metadata.schema_valid === 'boolean' ? checkpoint.metadata.schema_valid : null,
+        error: combination.status === this.DONE ? null : combination.error,
+        errors: combination.errors || [],
+        flights: checkpoint ? checkpoint.flights : [],
+        ...(checkpoint && checkpoint.pairs ? { pairs: checkpoint.pairs } : {})
+      };
+    });
+
+    return {
+      metadata: {
+        // Flights of each combination follow the flight definition of this result schema version
+        schema_version: ResultSchema.VERSION,
+        job_id: job.id,
+        plan_name: job.plan_name,
+        trigger: job.trigger || 'manual',
+        site: job.site,
+        search_options: job.search_options,
+        retry_policy: job.retry_policy,
+        extraction_depth: ExtractionDepth.normalize(job.extraction_depth),
+        round_trip_pairing: RoundTripPairs.normalize(job.round_trip_pairing),
+        created_at: job.created_at,
+        completed_at: job.completed_at,
+        generated_at: new Date().toISOString(),
+        partial: job.status !== 'completed',
+        stopped_at: job.stopped_at || null,
+        combinations_count: combinations.length,
+        flights_count: combinations.reduce((sum, combination) => sum + combination.flights.length, 0)
+      },
+      summary: job.summary || this.buildSummary(job),
+      combinations: combinations
+    };
+  },
+
+  /**
+   * Filename of a job's consolidated file (e.g., "flights-batch-job-1760000000000.json",
+   * "...-partial.json" while the job is unfinished or after it was stopped)
+   */
+  consolidatedFilename(job) {
+    return job.status === 'completed' ? `flights-batch-${job.id}.json` : `flights-batch-${job.id}-partial.json`;
+  },
+
+  /**
+   * Build the search URL and the parameters the content script needs to extract one combination
+   * @param {Object} job - Batch job
+   * @param {Object} combination - Combination from job.combinations
+   * @returns {{searchUrl: string, extractionParams: Object}}
+   */
+  buildNavigation(job, combination) {
+    const route = combination.route;
+    const searchOptions = job.search_options || {};
+    const sourceCode = (route.source || route.from).toUpperCase();
+    const destCode = (route.dest || route.to || route.destination).toUpperCase();
+    const tripType = route.tripType === 'R' || route.tripType === 'M' ? route.tripType : 'O';
+    const isInternational = !!route.international;
+    // Multi city: the URL starts with the first leg, the rest follow as further legs
+    const multiCityLegs = this.multiCityLegs(combination);
+    const toDate = (dateStr) => {
+      const [legYear, legMonth, legDay] = dateStr.split('-').map(Number);
+      return new Date(legYear, legMonth - 1, legDay, 12);
+    };
+
+    // Use midday so toISOString() keeps the same calendar day in any timezone
+    const [year, month, day] = combination.departure_date.split('-').map(Number);
+    const departureDate = new Date(year, month - 1, day, 12);
+
+    // Return date is counted from the departure date, not from today
+    const returnDateStr = this.returnDate(combination);
+    let returnDate = null;
+    if (returnDateStr) {
+      const [returnYear, returnMonth, returnDay] = returnDateStr.split('-').map(Number);
+      returnDate = new Date(returnYear, returnMonth - 1, returnDay, 12);
+    }
+
+    const adapter = SiteAdapters.get(job.site) || SiteAdapters.adapters[0];
+    const searchUrl = adapter.buildSearchUrl(
+      sourceCode,
+      multiCityLegs ? multiCityLegs[0].destCode : destCode,
+      departureDate,
+      tripType,
+      isInternational,
+      searchOptions.adults || 1,
+      searchOptions.children || 0,
+      searchOptions.infants || 0,
+      searchOptions.cabinClass || 'E',
+      returnDate,
+      multiCityLegs ? multiCityLegs.slice(1).map(leg => ({ sourceCode: leg.sourceCode, destCode: leg.destCode, date: toDate(leg.dateStr) })) : null
+    );
+
+    const extractionParams = {
+      jobId: job.id,
+      combinationIndex: combination.index,
+      sourceCode: sourceCode,
+      destCode: destCode,
+      daysOffset: combination.date_spec,
+      dateStr: combination.departure_date,
+      dateFormatted: departureDate.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }).replace(/ /g, '-'),
+      tripType: tripType,
+      isInternational: isInternational,
+      returnDateStr: returnDateStr,
+      legs: multiCityLegs,
+      outputMode: job.output_mode || 'per_combination',
+      outputFormat: job.output_format || 'json',
+      depth: ExtractionDepth.normalize(job.extraction_depth),
+      pairing: RoundTripPairs.normalize(job.round_trip_pairing)
+    };
+
+    return { searchUrl, extractionParams };
+  }
+};
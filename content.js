@@ -10,6 +10,16 @@
   let autoExtractMode = false;
   let pendingExtraction = null;
 
+  // Site adapter for this page: selectors, field extractors, popup handling and search URLs
+  // (adapters/*.js register themselves before this script runs, see site-adapter.js)
+  const siteAdapter = SiteAdapters.forUrl(window.location.href) || SiteAdapters.get('makemytrip');
+  const { isElementVisible } = SiteAdapters;
+  // Card and details tab extractors (see flight-extractors.js)
+  const {
+    extractFlightFromCard, extractFlightDetailsFromTab, extractFareSummaryFromTab,
+    addFlightTimestamps, addFlightIdentity, normalizeFlightRecord
+  } = FlightExtractors;
+
   // Store original console methods BEFORE creating Logger (to avoid recursion)
   const originalConsoleLog = console.log.bind(console);
   const originalConsoleWarn = console.warn.bind(console);
@@ -167,7 +177,8 @@
 
   /**
    * Check if current page is a search results page and trigger extraction if needed
-   * ONLY FOR DOMESTIC TRIPS (not international)
+   * Batch jobs (held by the background worker) cover domestic and international searches;
+   * direct URL navigation only auto-extracts domestic searches
    */
   function checkAndAutoExtract() {
     const url = window.location.href;
@@ -185,83 +196,169 @@
         return;
       }
       
-      // FIRST: Check URL parameter for intl flag (most reliable)
+      // Check URL parameter for intl flag (most reliable)
+      // clusterContent can appear in both domestic and international, so we rely on URL param
       const urlParams = new URLSearchParams(window.location.search);
       const intlParam = urlParams.get('intl');
       
-      if (intlParam === 'true') {
-        // console.log('⚠ Auto-extraction skipped: URL indicates international trip (intl=true)'); // COMMENTED FOR PERFORMANCE
-        // console.log('⚠ Please use "Extract International Flights" button for international trips'); // COMMENTED FOR PERFORMANCE
-        return; // Exit early - don't auto-extract international trips
-      }
-      
-      // If intl=false or not set, treat as domestic (even if clusterContent exists)
-      // clusterContent can appear in both domestic and international, so we rely on URL param
-      // console.log('✓ Confirmed: This is a DOMESTIC trip (intl=false or not set) - proceeding with auto-extraction'); // COMMENTED FOR PERFORMANCE
-      
-      // Check if we have pending extraction data in sessionStorage
-      try {
-        const pendingData = sessionStorage.getItem('pendingExtraction');
-        if (pendingData) {
-          console.log('Found pending extraction data, parsing...');
-          const extractionParams = JSON.parse(pendingData);
-          sessionStorage.removeItem('pendingExtraction'); // Clear after reading
-          
-          // Mark as in progress
-          autoExtractMode = true;
-          
-          // Wait for page to fully load
-          setTimeout(async () => {
-            console.log('=== Starting auto-extraction after page load ===');
-            console.log('Extraction params:', extractionParams);
-            try {
-              await waitForPageReady();
-              await performAutoExtraction(extractionParams);
-            } catch (error) {
-              console.error('Error in auto-extraction:', error);
-              autoExtractMode = false; // Reset on error
+      // Ask the background worker whether this tab is running a batch job
+      chrome.runtime.sendMessage({ action: 'batchCheckIn' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.warn('⚠ Batch check-in failed:', chrome.runtime.lastError.message);
+        }
+        if (autoExtractMode) {
+          return;
+        }
+        
+        try {
+          if (response && response.extractionParams) {
+            // Only extract if this page is the search the job is waiting for; a redirect or changed URL
+            // counts as a failed attempt, which the background retries by opening the search URL again
+            if (!isSameSearch(response.searchUrl, window.location.href)) {
+              console.warn('⚠ Batch job is waiting for a different search on this tab - not extracting this page');
+              console.warn(`Expected: ${response.searchUrl}`);
+              autoExtractMode = true; // The later checks of this page must not report it again
+              reportBatchResult(response.extractionParams, {
+                success: false,
+                error: `Search page changed: expected ${response.searchUrl}, got ${window.location.href}`,
+                renavigate: true
+              });
+              return;
             }
-          }, 3000);
-        } else {
-          // Check if URL has search parameters (direct navigation)
-          // intlParam already checked above, so if we reach here, it's domestic
-          const itinerary = urlParams.get('itinerary');
-          
-          if (itinerary) {
-            console.log('=== Direct URL navigation detected (domestic), starting extraction ===');
-            console.log(`Itinerary: ${itinerary}`);
+            console.log('Found running batch combination:', response.extractionParams);
+            startAutoExtraction(response.extractionParams);
+          } else if (intlParam === 'true') {
+            // console.log('⚠ Auto-extraction skipped: URL indicates international trip (intl=true)'); // COMMENTED FOR PERFORMANCE
+            // console.log('⚠ Please use "Extract International Flights" button for international trips'); // COMMENTED FOR PERFORMANCE
+          } else {
+            // Check if URL has search parameters (direct navigation)
+            const itinerary = urlParams.get('itinerary');
             
-            // Parse itinerary: SOURCE-DEST-DD/MM/YYYY
-            const parts = itinerary.split('-');
-            if (parts.length >= 3) {
-              const sourceCode = parts[0];
-              const destCode = parts[1];
-              const dateStr = parts.slice(2).join('-'); // Handle dates with slashes
-              
-              // Mark as in progress
-              autoExtractMode = true;
+            if (itinerary) {
+              console.log('=== Direct URL navigation detected (domestic), starting extraction ===');
+              console.log(`Itinerary: ${itinerary}`);
               
-              setTimeout(async () => {
-                try {
-                  await waitForPageReady();
-                  await performAutoExtraction({
-                    sourceCode: sourceCode,
-                    destCode: destCode,
-                    dateStr: dateStr,
-                    daysOffset: null // Will be calculated if needed
-                  });
-                } catch (error) {
-                  console.error('Error in auto-extraction:', error);
-                  autoExtractMode = false; // Reset on error
-                }
-              }, 3000);
+              // Parse itinerary: SOURCE-DEST-DD/MM/YYYY
+              const parts = itinerary.split('-');
+              if (parts.length >= 3) {
+                startAutoExtraction({
+                  sourceCode: parts[0],
+                  destCode: parts[1],
+                  dateStr: parts.slice(2).join('-'), // Handle dates with slashes
+                  daysOffset: null // Will be calculated if needed
+                });
+              }
             }
           }
+        } catch (error) {
+          console.error('Error in auto-extraction check:', error);
         }
+      });
+    }
+  }
+
+  /**
+   * Mark auto-extraction as in progress and run it once the page has loaded
+   */
+  function startAutoExtraction(extractionParams) {
+    // Mark as in progress
+    autoExtractMode = true;
+    resetExtractionControl(extractionParams.paused === true);
+    extractionDepth = ExtractionDepth.normalize(extractionParams.depth);
+    roundTripPairing = RoundTripPairs.normalize(extractionParams.pairing);
+    
+    // Wait for page to fully load
+    setTimeout(async () => {
+      console.log('=== Starting auto-extraction after page load ===');
+      console.log('Extraction params:', extractionParams);
+      try {
+        const pageReady = await waitForPageReady();
+        await performAutoExtraction({ ...extractionParams, pageReady });
       } catch (error) {
-        console.error('Error in auto-extraction check:', error);
+        console.error('Error in auto-extraction:', error);
+        autoExtractMode = false; // Reset on error
+      }
+    }, 3000);
+  }
+
+  /**
+   * Check if two search URLs are the same search (itinerary, trip type, passengers, cabin, intl)
+   * The site may reorder or re-encode query parameters, so compare them one by one
+   */
+  function isSameSearch(expectedUrl, currentUrl) {
+    try {
+      const expected = new URL(expectedUrl).searchParams;
+      const current = new URL(currentUrl).searchParams;
+      return ['itinerary', 'tripType', 'paxType', 'cabinClass', 'intl']
+        .every(key => (expected.get(key) || '').toUpperCase() === (current.get(key) || '').toUpperCase());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Report the outcome of a batch combination to the background worker,
+   * which records it and navigates the tab to the next combination
+   * (no-op for direct URL extractions that are not part of a job)
+   * If the background asks for a retry, wait out the backoff here and then reload
+   * the page or open the search URL again, depending on the job's retry policy
+   */
+  function reportBatchResult(params, outcome) {
+    if (!params || !params.jobId) {
+      return;
+    }
+    chrome.runtime.sendMessage({
+      action: 'batchCombinationResult',
+      jobId: params.jobId,
+      combinationIndex: params.combinationIndex,
+      success: outcome.success,
+      flightsCount: outcome.flightsCount || 0,
+      filename: outcome.filename || null,
+      error: outcome.error || null,
+      partial: outcome.partial || false, // Stopped from the popup before every card was processed
+      renavigate: outcome.renavigate || false, // Retry by opening the search URL even if the policy reloads
+      data: outcome.data || null // Only for consolidated jobs, which save one file at the end
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('⚠ Could not report batch result:', chrome.runtime.lastError.message);
+        return;
+      }
+      if (response && response.retry) {
+        retryCombination(response.retry);
+      }
+    });
+  }
+
+  /**
+   * Search the current combination again after the backoff delay
+   * @param {Object} retry - {mode: 'reload'|'renavigate', delay_ms, searchUrl, attempt}
+   */
+  function retryCombination(retry) {
+    console.warn(`⚠ Retrying in ${Math.round(retry.delay_ms / 1000)}s (attempt ${retry.attempt}, ${retry.mode})`);
+    Logger.log('warn', 'Retrying batch combination', retry);
+    Logger.saveToStorage();
+    autoExtractMode = true; // Nothing else should start extracting while we wait
+    setTimeout(() => {
+      if (retry.mode === 'reload' || !retry.searchUrl) {
+        window.location.reload();
+      } else {
+        window.location.href = retry.searchUrl;
       }
+    }, retry.delay_ms);
+  }
+
+  /**
+   * Keep an extraction result in the extension's price history (IndexedDB in the background worker)
+   */
+  function recordPriceHistory(flightData) {
+    if (!flightData || !Array.isArray(flightData.flights) || flightData.flights.length === 0) {
+      return;
     }
+    chrome.runtime.sendMessage({ action: 'recordPriceHistory', data: flightData }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.warn('⚠ Could not record price history:', chrome.runtime.lastError?.message || response?.error);
+      }
+    });
   }
 
   /**
@@ -274,22 +371,9 @@
     const maxAttempts = 40; // Increased attempts
     
     while (attempts < maxAttempts) {
-      // Try multiple selectors
-      const cards1 = document.querySelectorAll('div.listingCard');
-      const cards2 = document.querySelectorAll('div[class*="listingCard"]');
-      const cards3 = document.querySelectorAll('div.clusterContent div.listingCard');
-      const cards4 = document.querySelectorAll('div.splitVw');
-      const cards5 = document.querySelectorAll('div[class*="flightCard"], div[class*="FlightCard"]');
-      
-      const totalCards = cards1.length + cards2.length + cards3.length + cards4.length + cards5.length;
-      
-      console.log(`Attempt ${attempts + 1}/${maxAttempts}: Checking for flight cards...`);
-      console.log(`  - listingCard: ${cards1.length}`);
-      console.log(`  - [class*="listingCard"]: ${cards2.length}`);
-      console.log(`  - clusterContent listingCard: ${cards3.length}`);
-      console.log(`  - splitVw: ${cards4.length}`);
-      console.log(`  - flightCard: ${cards5.length}`);
-      console.log(`  - Total: ${totalCards}`);
+      const totalCards = document.querySelectorAll(siteAdapter.selectors.pageReadyCards).length;
+      
+      console.log(`Attempt ${attempts + 1}/${maxAttempts}: Checking for flight cards... found ${totalCards}`);
       
       if (totalCards > 0) {
         console.log(`✓ Page ready! Found ${totalCards} flight cards`);
@@ -308,62 +392,69 @@
 
   /**
    * Perform auto-extraction after page load
-   * ONLY FOR DOMESTIC TRIPS
+   * Dispatches to the domestic or international extractor based on the batch route (or intl URL param)
    */
   async function performAutoExtraction(params) {
     try {
-      console.log('=== Performing Auto-Extraction (Domestic Only) ===');
+      console.log('=== Performing Auto-Extraction ===');
       console.log('Params:', params);
       Logger.log('info', 'Starting auto-extraction', params);
       
-      // Validate using URL parameter (most reliable) instead of DOM structure
+      // Use URL parameter (most reliable) instead of DOM structure
       // DOM structure (clusterContent) can appear in both domestic and international
       const urlParams = new URLSearchParams(window.location.search);
-      const intlParam = urlParams.get('intl');
-      
-      if (intlParam === 'true') {
-        console.error('✗ Validation failed: URL indicates international trip (intl=true)');
-        console.error('✗ Auto-extraction only works for DOMESTIC trips');
-        console.error('✗ Please use "Extract International Flights" button for international trips');
-        autoExtractMode = false; // Reset flag
-        processNextRoute(); // Try next route
-        return; // Exit early - don't extract international trips
-      }
-      
-      console.log('✓ Validation passed: This is a DOMESTIC trip (intl=false or not set)');
+      const isInternational = params.isInternational === true || urlParams.get('intl') === 'true';
+      console.log(`✓ Search type: ${isInternational ? 'INTERNATIONAL' : 'DOMESTIC'}`);
       
       // Check if flight cards exist before extraction
-      const cardsBeforeExtraction = document.querySelectorAll('div.listingCard, div[class*="listingCard"], div.clusterContent div.listingCard, div.splitVw');
+      const cardsBeforeExtraction = document.querySelectorAll(siteAdapter.selectors.anyFlightCard);
       console.log(`Flight cards found before extraction: ${cardsBeforeExtraction.length}`);
       
       if (cardsBeforeExtraction.length === 0) {
         console.warn('⚠ No flight cards found! Waiting a bit more...');
         await sleep(800 * sleepMultiplier);
-        const cardsAfterWait = document.querySelectorAll('div.listingCard, div[class*="listingCard"], div.clusterContent div.listingCard, div.splitVw');
+        const cardsAfterWait = document.querySelectorAll(siteAdapter.selectors.anyFlightCard);
         console.log(`Flight cards found after additional wait: ${cardsAfterWait.length}`);
         
         if (cardsAfterWait.length === 0) {
           console.error('✗ Still no flight cards found. Cannot proceed with extraction.');
           console.error('✗ Please check if the page has loaded correctly.');
           autoExtractMode = false; // Reset flag
-          processNextRoute(); // Try next route
+          const error = params.pageReady === false
+            ? 'Page did not finish loading (timed out waiting for flight cards)'
+            : 'No flight cards found on the results page';
+          reportBatchResult(params, { success: false, error: error });
           return;
         }
       }
       
-      const tripType = detectTripTypeFromUI();
+      const tripType = siteAdapter.detectTripType();
       console.log(`Detected trip type: ${tripType}`);
-      console.log(`\n>>> Calling extractFlightsSequentially(${tripType})...`);
+      if (params.tripType) {
+        const requestedTripType = { R: 'round_trip', M: 'multi_city' }[params.tripType] || 'one_way';
+        if (requestedTripType !== tripType) {
+          console.warn(`⚠ Requested ${requestedTripType} but page shows ${tripType} - extracting what the page shows`);
+          Logger.log('warn', 'Trip type mismatch', { requested: requestedTripType, detected: tripType });
+        }
+      }
       
-      // Ensure we use the domestic extraction function
-      const flightData = await extractFlightsSequentially(tripType);
+      let flightData;
+      if (isInternational) {
+        console.log(`\n>>> Calling extractInternationalFlights(${tripType})...`);
+        flightData = await extractInternationalFlights(Date.now(), tripType);
+        console.log(`<<< extractInternationalFlights() returned`);
+      } else {
+        console.log(`\n>>> Calling extractFlightsSequentially(${tripType})...`);
+        flightData = await extractFlightsSequentially(tripType);
+        console.log(`<<< extractFlightsSequentially() returned`);
+      }
       
-      console.log(`<<< extractFlightsSequentially() returned`);
       console.log(`Flight data received:`, flightData ? 'Yes' : 'No');
       if (flightData && flightData.flights) {
         console.log(`Number of flights: ${flightData.flights.length}`);
       }
       
+      let outcome = { success: true, flightsCount: 0 };
       if (flightData && flightData.flights && Array.isArray(flightData.flights) && flightData.flights.length > 0) {
         console.log(`✓ Auto-extraction successful! Found ${flightData.flights.length} flights`);
         Logger.log('success', `Auto-extraction successful`, { 
@@ -372,22 +463,42 @@
           date: params.dateStr
         });
         
-        // Add route info if available
+        // Add route info if available (return legs of a domestic round trip fly DEST → SOURCE,
+        // multi-city flights take the airports and date of their leg)
         if (params.sourceCode && params.destCode) {
           flightData.flights.forEach(flight => {
-            flight.route_source = params.sourceCode;
-            flight.route_destination = params.destCode;
-            flight.route_source_city = params.sourceCode;
-            flight.route_destination_city = params.destCode;
-            if (params.dateStr) {
-              flight.departure_date_formatted = params.dateStr;
+            const isReturnLeg = flight.direction === 'return';
+            const multiCityLeg = params.legs && Number.isInteger(flight.leg_index) ? params.legs[flight.leg_index] || null : null;
+            const legSource = multiCityLeg ? multiCityLeg.sourceCode : (isReturnLeg ? params.destCode : params.sourceCode);
+            const legDest = multiCityLeg ? multiCityLeg.destCode : (isReturnLeg ? params.sourceCode : params.destCode);
+            flight.route_source = legSource;
+            flight.route_destination = legDest;
+            flight.route_source_city = legSource;
+            flight.route_destination_city = legDest;
+            const legDate = multiCityLeg ? multiCityLeg.dateStr : (isReturnLeg ? params.returnDateStr : params.dateStr);
+            if (legDate) {
+              flight.departure_date_formatted = legDate;
             }
           });
         }
+        annotateResult(flightData); // Last change before saving: validates against the result schema
+        recordPriceHistory(flightData);
+        
+        // Consolidated jobs: hand the flights to the background worker, which checkpoints them
+        // and writes one file for the whole job
+        if (params.outputMode === 'consolidated') {
+          autoExtractMode = false;
+          Logger.saveToStorage();
+          reportBatchResult(params, { success: true, flightsCount: flightData.flights.length, data: flightData, partial: extractionControl.stopped });
+          return;
+        }
         
         // Auto-download the JSON file
         const dateStr = params.dateStr || new Date().toISOString().split('T')[0];
-        const filename = `flight-${params.sourceCode}-${params.destCode}-${dateStr}.json`;
+        const returnSuffix = params.returnDateStr ? `-${params.returnDateStr}` : '';
+        const partialSuffix = extractionControl.stopped ? '-partial' : '';
+        const routeCodes = params.legs ? [...params.legs.map(leg => leg.sourceCode), params.destCode].join('-') : `${params.sourceCode}-${params.destCode}`;
+        const filename = `flight-${routeCodes}-${dateStr}${returnSuffix}${partialSuffix}.json`;
         
         console.log(`Auto-downloading: ${filename}`);
         Logger.log('info', `Auto-downloading JSON file: ${filename}`, { 
@@ -397,14 +508,16 @@
           flightsCount: flightData.flights.length 
         });
         
+        outcome = { success: true, flightsCount: flightData.flights.length, filename: filename, partial: extractionControl.stopped };
         chrome.runtime.sendMessage({
           action: 'saveJSON',
           data: flightData,
-          filename: filename
+          filename: filename,
+          format: params.outputFormat || 'json' // The background worker fixes the extension for CSV/NDJSON
         }, (response) => {
           if (response && response.success) {
-            console.log(`✓ Successfully saved: ${filename}`);
-            Logger.log('success', `Successfully saved: ${filename}`, { flightsCount: flightData.flights.length });
+            console.log(`✓ Successfully saved: ${response.filename || filename}`);
+            Logger.log('success', `Successfully saved: ${response.filename || filename}`, { flightsCount: flightData.flights.length });
           } else {
             console.warn(`⚠ Failed to save: ${filename}`, response?.error);
             Logger.log('error', `Failed to save: ${filename}`, { error: response?.error });
@@ -416,232 +529,187 @@
       } else {
         console.warn('⚠ Auto-extraction completed but no flights found');
         Logger.log('warn', 'Auto-extraction completed but no flights found', params);
+        const error = extractionControl.stopped ? 'Stopped before any flights were extracted' : (flightData && flightData.error) || 'No flights found';
+        outcome = { success: false, flightsCount: 0, error: error };
       }
       
-      // Reset flag and process next route
+      // Reset flag and let the background worker move on to the next combination
       autoExtractMode = false;
       Logger.saveToStorage(); // Save logs before processing next route
-      processNextRoute();
+      reportBatchResult(params, outcome);
       
     } catch (error) {
       console.error('✗ Auto-extraction error:', error);
       autoExtractMode = false; // Reset flag on error
-      processNextRoute(); // Try next route even on error
+      reportBatchResult(params, { success: false, error: error.message }); // Move on even on error
     }
   }
 
+  // Performance optimization flags
+  const ENABLE_VERBOSE_LOGS = false; // Disable verbose logging for performance
+  const SLEEP_REDUCTION_FACTOR = 0.3; // Reduce sleep times by 70% (0.3 = 30% of original time)
+  let sleepMultiplier = 1.0; // Sleep multiplier (can be set via UI)
+  
+  // Optimized logging functions (only log if verbose mode enabled)
+  const optLog = ENABLE_VERBOSE_LOGS ? originalConsoleLog : () => {};
+  const optWarn = ENABLE_VERBOSE_LOGS ? originalConsoleWarn : () => {};
+
+  // Per-card progress of the single-page extraction in progress (null when none is running)
+  let cardProgress = null;
+
   /**
-   * Send progress update to popup
+   * Start streaming per-card progress to the popup (extractionProgress messages)
+   * @param {string} flow - 'domestic_one_way', 'domestic_round_trip', 'international_one_way' or 'international_round_trip'
+   * @param {number} total - Number of cards that will be processed
+   * @param {Array} flights - Flights collected so far (its length is reported as it grows)
+   * @param {string|null} leg - 'outbound' or 'return' for the two panes of a domestic round trip
    */
-  function sendProgressUpdate(completed, total, route, dateOffset) {
-    try {
-      chrome.runtime.sendMessage({
-        action: 'progressUpdate',
-        completed: completed,
-        total: total,
-        route: route,
-        dateOffset: dateOffset,
-        timestamp: new Date().toISOString()
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          // Popup might be closed, ignore error
-        }
-      });
-    } catch (error) {
-      // Ignore errors - popup might not be open
-    }
+  function startCardProgress(flow, total, flights, leg = null) {
+    cardProgress = { flow, total, flights, leg, index: 0, phase: 'card', startedAt: Date.now(), pausedMs: 0 };
+    sendCardProgress();
   }
 
   /**
-   * Process the next route in the queue
+   * Report the card now being processed (0-based index) and its phase:
+   * 'card', 'view_prices', 'select_card', 'flight_details', 'fare_summary', 'cancellation' or 'date_change'
    */
-  function processNextRoute() {
-    try {
-      // Get remaining routes from sessionStorage
-      const remainingRoutesData = sessionStorage.getItem('remainingRoutes');
-      if (!remainingRoutesData) {
-        console.log('=== No more routes to process ===');
-        Logger.log('success', 'All routes and dates processed successfully');
-        Logger.saveToStorage();
-        return;
+  function reportCardProgress(index, phase) {
+    if (!cardProgress) return;
+    cardProgress.index = index;
+    cardProgress.phase = phase;
+    sendCardProgress();
+  }
+
+  /**
+   * Report a new phase of the current card
+   */
+  function reportCardPhase(phase) {
+    if (!cardProgress || cardProgress.phase === phase) return;
+    cardProgress.phase = phase;
+    sendCardProgress();
+  }
+
+  /**
+   * Report that every card has been processed
+   */
+  function finishCardProgress() {
+    if (!cardProgress) return;
+    cardProgress.index = cardProgress.total;
+    cardProgress.phase = 'done';
+    sendCardProgress();
+    cardProgress = null;
+  }
+
+  function sendCardProgress() {
+    const { flow, total, flights, leg, index, phase, startedAt, pausedMs } = cardProgress;
+    const elapsedMs = Date.now() - startedAt;
+    // ETA from the average time of the cards finished so far, not counting the time spent paused
+    const runningMs = elapsedMs - pausedMs;
+    const etaSeconds = index > 0 && index < total ? Math.round((runningMs / index) * (total - index) / 1000) : null;
+    chrome.runtime.sendMessage({
+      action: 'extractionProgress',
+      flow: flow,
+      leg: leg,
+      phase: phase,
+      card_index: Math.min(index + 1, total),
+      cards_done: index,
+      total_cards: total,
+      flights_so_far: flights.length,
+      elapsed_ms: elapsedMs,
+      eta_seconds: etaSeconds,
+      batch: autoExtractMode
+    }, () => {
+      if (chrome.runtime.lastError) {
+        // Popup might be closed, ignore error
       }
-      
-      const data = JSON.parse(remainingRoutesData);
-      const { routes, dateOffsets, currentRouteIndex, currentDateIndex } = data;
-      
-      // Calculate progress
-      const totalCombinations = routes.length * dateOffsets.length;
-      const completed = (currentRouteIndex * dateOffsets.length) + currentDateIndex + 1;
-      
-      console.log(`\n=== Processing Next Route ===`);
-      console.log(`Progress: ${completed}/${totalCombinations} completed`);
-      console.log(`Current route index: ${currentRouteIndex}/${routes.length}`);
-      console.log(`Current date index: ${currentDateIndex}/${dateOffsets.length}`);
-      
-      Logger.log('info', `Processing route ${currentRouteIndex + 1}/${routes.length}, date ${currentDateIndex + 1}/${dateOffsets.length}`, {
-        completed,
-        total: totalCombinations,
-        progress: `${completed}/${totalCombinations}`
-      });
-      
-      // Send progress update to popup
-      const currentRoute = routes[currentRouteIndex];
-      sendProgressUpdate(completed, totalCombinations, `${currentRoute.source}-${currentRoute.dest}`, dateOffsets[currentDateIndex]);
-      
-      // Check if we have more dates for current route
-      if (currentDateIndex < dateOffsets.length - 1) {
-        // Process next date for current route
-        const nextDateIndex = currentDateIndex + 1;
-        const route = routes[currentRouteIndex];
-        const daysOffset = dateOffsets[nextDateIndex];
-        
-        console.log(`Processing next date: Route ${route.source}-${route.dest}, Date offset: +${daysOffset} days`);
-        
-        // Calculate departure date
-        const departureDate = new Date();
-        departureDate.setDate(departureDate.getDate() + daysOffset);
-        
-        // Construct search URL
-        const searchUrl = constructFlightSearchUrl(
-          route.source,
-          route.dest,
-          departureDate,
-          'O', // One Way
-          false, // Domestic
-          1, 0, 0, 'E' // 1 Adult, Economy
-        );
-        
-        // Update sessionStorage with next date index
-        sessionStorage.setItem('remainingRoutes', JSON.stringify({
-          routes: routes,
-          dateOffsets: dateOffsets,
-          currentRouteIndex: currentRouteIndex,
-          currentDateIndex: nextDateIndex
-        }));
-        
-        // Store extraction parameters
-        const extractionParams = {
-          sourceCode: route.source,
-          destCode: route.dest,
-          daysOffset: daysOffset,
-          dateStr: departureDate.toISOString().split('T')[0],
-          dateFormatted: departureDate.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }).replace(/ /g, '-')
-        };
-        sessionStorage.setItem('pendingExtraction', JSON.stringify(extractionParams));
-        
-        // Navigate to next URL
-        console.log(`Navigating to next URL: ${searchUrl}`);
-        window.location.href = searchUrl;
-        
-      } else if (currentRouteIndex < routes.length - 1) {
-        // Move to next route, first date
-        const nextRouteIndex = currentRouteIndex + 1;
-        const route = routes[nextRouteIndex];
-        const daysOffset = dateOffsets[0];
-        
-        console.log(`Moving to next route: ${route.source}-${route.dest}, Date offset: +${daysOffset} days`);
-        
-        // Calculate departure date
-        const departureDate = new Date();
-        departureDate.setDate(departureDate.getDate() + daysOffset);
-        
-        // Construct search URL
-        const searchUrl = constructFlightSearchUrl(
-          route.source,
-          route.dest,
-          departureDate,
-          'O', // One Way
-          false, // Domestic
-          1, 0, 0, 'E' // 1 Adult, Economy
-        );
-        
-        // Update sessionStorage with next route
-        sessionStorage.setItem('remainingRoutes', JSON.stringify({
-          routes: routes,
-          dateOffsets: dateOffsets,
-          currentRouteIndex: nextRouteIndex,
-          currentDateIndex: 0
-        }));
-        
-        // Store extraction parameters
-        const extractionParams = {
-          sourceCode: route.source,
-          destCode: route.dest,
-          daysOffset: daysOffset,
-          dateStr: departureDate.toISOString().split('T')[0],
-          dateFormatted: departureDate.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }).replace(/ /g, '-')
-        };
-        sessionStorage.setItem('pendingExtraction', JSON.stringify(extractionParams));
-        
-        // Navigate to next URL
-        console.log(`Navigating to next URL: ${searchUrl}`);
-        window.location.href = searchUrl;
-        
-      } else {
-        // All routes and dates processed
-        const totalCombinations = routes.length * dateOffsets.length;
-        console.log('=== All Routes and Dates Processed Successfully ===');
-        Logger.log('success', `All ${totalCombinations} route-date combinations processed successfully`);
-        Logger.saveToStorage();
-        
-        // Send final progress update
-        sendProgressUpdate(totalCombinations, totalCombinations, 'All', null);
-        
-        sessionStorage.removeItem('remainingRoutes');
-        sessionStorage.removeItem('pendingExtraction');
+    });
+  }
+  
+  // Stop / pause requested from the popup for the extraction in progress (batch jobs relay them
+  // through the background worker); reset whenever a new extraction starts
+  let extractionControl = { stopped: false, paused: false, stoppedAt: null };
+
+  /**
+   * Clear the controls at the start of an extraction
+   * @param {boolean} paused - Start paused (a batch job that was paused between two searches)
+   */
+  function resetExtractionControl(paused = false) {
+    extractionControl = { stopped: false, paused: paused, stoppedAt: null };
+  }
+
+  /**
+   * Apply a 'stop', 'pause' or 'resume' command from the popup
+   */
+  function applyExtractionControl(command) {
+    if (command === 'stop') {
+      extractionControl.stopped = true;
+      extractionControl.stoppedAt = new Date().toISOString();
+    } else if (command === 'pause' || command === 'resume') {
+      extractionControl.paused = command === 'pause';
+    }
+    console.log(`Extraction control: ${command}`);
+  }
+
+  /**
+   * Checked by the card loops before each card: waits while the extraction is paused
+   * @returns {Promise<boolean>} - true if the extraction was stopped and the loop should end
+   */
+  async function shouldStopExtraction() {
+    if (extractionControl.paused && !extractionControl.stopped) {
+      console.log('Extraction paused...');
+      reportCardPhase('paused');
+      const pausedAt = Date.now();
+      while (extractionControl.paused && !extractionControl.stopped) {
+        await sleep(250);
+      }
+      if (cardProgress) {
+        cardProgress.pausedMs += Date.now() - pausedAt;
       }
-    } catch (error) {
-      console.error('Error processing next route:', error);
     }
+    if (extractionControl.stopped) {
+      console.warn('⚠ Extraction stopped - keeping the flights collected so far');
+    }
+    return extractionControl.stopped;
+  }
+
+  // How much of each card the extraction opens (see extraction-depth.js); set when an extraction starts
+  let extractionDepth = ExtractionDepth.DEFAULT;
+
+  /**
+   * Whether the current extraction opens a level: 'fares' (VIEW PRICES popup), 'itinerary'
+   * (View Flight Details) or 'policies' (FARE SUMMARY, CANCELLATION and DATE CHANGE tabs)
+   */
+  function depthIncludes(level) {
+    return ExtractionDepth.includes(extractionDepth, level);
   }
 
+  // Which outbound × return pairs a domestic round trip prices (see round-trip-pairs.js); set when an extraction starts
+  let roundTripPairing = RoundTripPairs.DEFAULT;
+
   /**
-   * Detect if trip is international or domestic
-   * Returns 'international' or 'domestic'
+   * Finish a result: every flight in the canonical record shape (normalizeFlightRecord), and
+   * how the extraction ran in its metadata: the depth, the searched passenger mix and cabin,
+   * partial if it was stopped (a stopped result is still returned and saved) and the result
+   * schema check (see result-schema.js)
    */
-  function detectInternationalOrDomestic() {
-    // Method 1: Check for clusterContent structure (international trips use this)
-    const clusterContent = document.querySelector('div.clusterContent, div[class*="clusterContent"]');
-    if (clusterContent) {
-      console.log('✓ Detected: International trip (clusterContent structure found)');
-      return 'international';
+  function annotateResult(flightData) {
+    if (!flightData || !flightData.metadata) {
+      return flightData;
     }
-    
-    // Method 2: Check URL for international indicators
-    const url = window.location.href.toLowerCase();
-    if (url.includes('/international') || url.includes('/intl') || url.includes('international-flights')) {
-      console.log('✓ Detected: International trip (URL indicator)');
-      return 'international';
+    if (Array.isArray(flightData.flights)) {
+      flightData.flights = flightData.flights.map(normalizeFlightRecord);
     }
-    
-    // Method 3: Check page content for international indicators
-    const pageText = document.body.textContent?.toLowerCase() || '';
-    if (pageText.includes('international flights') || pageText.includes('international travel')) {
-      console.log('✓ Detected: International trip (page content indicator)');
-      return 'international';
+    flightData.metadata.extraction_depth = extractionDepth;
+    if (typeof siteAdapter.readSearchOptions === 'function') {
+      flightData.metadata.search_options = siteAdapter.readSearchOptions();
     }
-    
-    // Method 4: Check for splitVw structure (domestic round trips use this)
-    const splitView = document.querySelector('div.splitVw, div[class*="splitVw"]');
-    if (splitView) {
-      console.log('✓ Detected: Domestic trip (splitVw structure found)');
-      return 'domestic';
+    if (extractionControl.stopped) {
+      flightData.metadata.partial = true;
+      flightData.metadata.stopped_at = extractionControl.stoppedAt;
     }
-    
-    // Default: assume domestic if no international indicators found
-    console.log('✓ Detected: Domestic trip (default - no international indicators found)');
-    return 'domestic';
+    return ResultSchema.annotate(flightData);
   }
 
-  // Performance optimization flags
-  const ENABLE_VERBOSE_LOGS = false; // Disable verbose logging for performance
-  const SLEEP_REDUCTION_FACTOR = 0.3; // Reduce sleep times by 70% (0.3 = 30% of original time)
-  let sleepMultiplier = 1.0; // Sleep multiplier (can be set via UI)
-  
-  // Optimized logging functions (only log if verbose mode enabled)
-  const optLog = ENABLE_VERBOSE_LOGS ? originalConsoleLog : () => {};
-  const optWarn = ENABLE_VERBOSE_LOGS ? originalConsoleWarn : () => {};
-  
   // Listen for messages from popup
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Set sleep multiplier if provided
@@ -649,59 +717,37 @@
       sleepMultiplier = Math.max(0.1, Math.min(2.0, parseFloat(request.sleepMultiplier) || 1.0));
     }
     
+    if (request.action === 'controlExtraction') {
+      // Stop / Pause / Resume buttons (the card loops check these before each card)
+      applyExtractionControl(request.command);
+      sendResponse({ success: true, stopped: extractionControl.stopped, paused: extractionControl.paused });
+      return true;
+    }
+
+    if (request.action === 'captureSnapshot') {
+      // Capture Snapshot button: markup of the cards and open panels for offline fixtures (see page-snapshot.js)
+      try {
+        const snapshot = PageSnapshot.capture(siteAdapter);
+        console.log(`✓ Page snapshot captured: ${snapshot.cards.length} cards, fare popup ${snapshot.fare_popup ? 'open' : 'closed'}, ${snapshot.flight_details.length} flight details panel(s)`);
+        sendResponse({ success: true, snapshot: snapshot });
+      } catch (error) {
+        console.error('Error capturing page snapshot:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+      return true;
+    }
+
     if (request.action === 'extractFlights') {
       // ISOLATED: Extract Flights - Only handles DOMESTIC trips (one-way OR round trip)
       // console.log('=== Extract Flights Button Clicked (DOMESTIC Only - One-way & Round Trip) ==='); // COMMENTED FOR PERFORMANCE
+      resetExtractionControl();
+      extractionDepth = ExtractionDepth.normalize(request.depth);
+      roundTripPairing = RoundTripPairs.normalize(request.pairing);
       
-      // Check if multiple routes are provided
-      if (request.routes && Array.isArray(request.routes) && request.routes.length > 0) {
-        // console.log('=== Multiple Routes Mode: Processing all routes and dates ==='); // COMMENTED FOR PERFORMANCE
-        
-        const routes = request.routes;
-        const dateOffsets = request.dateOffsets || [1, 7, 14, 30];
-        
-        // Send immediate response that processing has started
-        // Then continue processing in background (files will be auto-downloaded)
-        sendResponse({ 
-          success: true, 
-          message: 'Processing started. Files will be auto-downloaded as each route-date combination completes.',
-          total_combinations: routes.length * dateOffsets.length
-        });
-        
-        // Log start of processing
-        const totalCombos = routes.length * dateOffsets.length;
-        Logger.log('info', `Starting multiple routes processing`, {
-          routes: routes.length,
-          dates: dateOffsets.length,
-          totalCombinations: totalCombos
-        });
-        
-        // Process in background (don't wait for response channel)
-        processMultipleRoutesAndDates(routes, dateOffsets).then((flightData) => {
-          console.log('=== Multiple Routes Extraction Completed ===');
-          Logger.log('success', 'Multiple routes extraction completed', {
-            totalFlights: flightData?.flights?.length || 0
-          });
-          Logger.saveToStorage();
-          
-          if (flightData && flightData.flights && Array.isArray(flightData.flights)) {
-            console.log(`Total flights extracted: ${flightData.flights.length}`);
-          } else {
-            console.log('No flight data returned or invalid format');
-          }
-          // Note: sendResponse already called above, so we just log completion
-        }).catch((error) => {
-          console.error('Multiple routes extraction error:', error);
-          Logger.log('error', 'Multiple routes extraction error', { error: error.message });
-          Logger.saveToStorage();
-          // Note: sendResponse already called above, so we just log error
-        });
-        
-        return false; // Response already sent
-      }
+      // Batch runs over route plans are started in the background worker (startBatchJob)
       
       // Step 1: Check if this is international or domestic
-      const tripCategory = detectInternationalOrDomestic();
+      const tripCategory = siteAdapter.detectInternational();
       if (tripCategory === 'international') {
         const errorMsg = 'This is an INTERNATIONAL trip. Please use "Extract International Round Trip" button instead.';
         console.error(`✗ ${errorMsg}`);
@@ -712,7 +758,7 @@
       console.log(`✓ Confirmed: This is a DOMESTIC trip`);
       
       // Step 2: Check if we need to fill search form first
-      const hasFlightCards = document.querySelectorAll('div.listingCard, div[class*="listingCard"], div.clusterContent, div.splitVw').length > 0;
+      const hasFlightCards = document.querySelectorAll(siteAdapter.selectors.resultsPage).length > 0;
       const isSearchPage = window.location.href.includes('/flights/') && !window.location.href.includes('/listing');
       
       if (!hasFlightCards && (isSearchPage || request.fillForm)) {
@@ -741,9 +787,11 @@
             
             console.log('✓ Search form filled, proceeding with extraction...');
             sleep(2000).then(() => {
-      const tripType = detectTripTypeFromUI();
+      const tripType = siteAdapter.detectTripType();
               extractFlightsSequentially(tripType).then((flightData) => {
                 console.log('=== Extract Flights Button Completed ===');
+                annotateResult(flightData);
+                recordPriceHistory(flightData);
                 try {
                   sendResponse({ success: true, data: flightData });
                 } catch (e) {
@@ -772,7 +820,7 @@
       }
       
       // Step 3: Check trip type (one-way or round trip)
-      const tripType = detectTripTypeFromUI();
+      const tripType = siteAdapter.detectTripType();
       console.log(`Detected trip type: ${tripType} (DOMESTIC)`);
       
       // Step 4: Uncheck "Non Stop" filter (for both one-way and round trip)
@@ -797,6 +845,8 @@
         return extractFlightsSequentially(tripType);
       }).then((flightData) => {
         console.log('=== Extract Flights Button Completed ===');
+        annotateResult(flightData);
+        recordPriceHistory(flightData);
         try {
         sendResponse({ success: true, data: flightData });
         } catch (e) {
@@ -814,9 +864,11 @@
     } else if (request.action === 'extractInternationalRoundTrip') {
       // ISOLATED: Extract International Round Trip - Only handles INTERNATIONAL trips (one-way OR round trip)
       console.log('=== Extract International Round Trip Button Clicked (INTERNATIONAL Only - One-way & Round Trip) ===');
+      resetExtractionControl();
+      extractionDepth = ExtractionDepth.normalize(request.depth);
       
       // Step 1: Check if this is international or domestic
-      const tripCategory = detectInternationalOrDomestic();
+      const tripCategory = siteAdapter.detectInternational();
       if (tripCategory === 'domestic') {
         const errorMsg = 'This is a DOMESTIC trip. Please use "Extract Flights" button instead.';
         console.error(`✗ ${errorMsg}`);
@@ -827,12 +879,14 @@
       console.log(`✓ Confirmed: This is an INTERNATIONAL trip`);
       
       // Step 2: Check trip type (one-way or round trip)
-      const tripType = detectTripTypeFromUI();
+      const tripType = siteAdapter.detectTripType();
       console.log(`Detected trip type: ${tripType} (INTERNATIONAL)`);
       
       const startTime = Date.now();
       extractInternationalFlights(startTime, tripType).then((flightData) => {
         console.log('=== Extract International Round Trip Button Completed ===');
+        annotateResult(flightData);
+        recordPriceHistory(flightData);
         try {
           sendResponse({ success: true, data: flightData });
         } catch (e) {
@@ -851,296 +905,71 @@
   });
 
   /**
-   * Construct flight search URL with parameters
-   * @param {string} sourceCode - Source city code (e.g., "BLR")
-   * @param {string} destCode - Destination city code (e.g., "PAT")
-   * @param {Date} departureDate - Departure date object
-   * @param {string} tripType - "O" for One Way, "R" for Round Trip
-   * @param {boolean} isInternational - true for international, false for domestic
-   * @param {number} adults - Number of adults (default: 1)
-   * @param {number} children - Number of children (default: 0)
-   * @param {number} infants - Number of infants (default: 0)
-   * @param {string} cabinClass - Cabin class (default: "E" for Economy)
-   * @returns {string} - Complete search URL
-   */
-  function constructFlightSearchUrl(sourceCode, destCode, departureDate, tripType = 'O', isInternational = false, adults = 1, children = 0, infants = 0, cabinClass = 'E') {
-    // Format date as DD/MM/YYYY
-    const day = String(departureDate.getDate()).padStart(2, '0');
-    const month = String(departureDate.getMonth() + 1).padStart(2, '0');
-    const year = departureDate.getFullYear();
-    const dateStr = `${day}/${month}/${year}`;
-    
-    // Construct itinerary: SOURCE-DEST-DATE
-    const itinerary = `${sourceCode.toUpperCase()}-${destCode.toUpperCase()}-${dateStr}`;
-    
-    // Construct paxType: A-{adults}_C-{children}_I-{infants}
-    const paxType = `A-${adults}_C-${children}_I-${infants}`;
-    
-    // Build URL
-    const baseUrl = 'https://www.makemytrip.com/flight/search';
-    const params = new URLSearchParams({
-      itinerary: itinerary,
-      tripType: tripType,
-      paxType: paxType,
-      intl: String(isInternational),
-      cabinClass: cabinClass,
-      lang: 'eng'
-    });
-    
-    return `${baseUrl}?${params.toString()}`;
-  }
-
-  /**
-   * Process multiple routes and dates for one-way trips
-   * @param {Array} routes - Array of route objects [{source: "BLR", dest: "PAT"}, ...]
-   * @param {Array} dateOffsets - Array of day offsets [1, 7, 14, 30]
-   * @param {boolean} useDirectUrl - If true, navigate directly to search URL instead of filling form
-   * @returns {Promise<Object>} - Aggregated flight data from all routes and dates
+   * Fill flight search form for one-way trip
+   * @param {Object} params - Search parameters
+   * @param {string} params.sourceCity - Source city name (e.g., "Delhi" or "BLR")
+   * @param {string} params.destinationCity - Destination city name (e.g., "Bangalore" or "PAT")
+   * @param {number} params.daysOffset - Days from today (1, 7, 14, or 30)
+   * @returns {Promise<boolean>} - Returns true if form filled successfully
    */
-  async function processMultipleRoutesAndDates(routes, dateOffsets, useDirectUrl = true) {
-    const allFlights = [];
-    const allMetadata = [];
-    const startTime = Date.now();
-    
-    // console.log('=== Processing Multiple Routes and Dates ==='); // COMMENTED FOR PERFORMANCE
-    // console.log(`Routes: ${routes.length}, Date offsets: ${dateOffsets.length}`); // COMMENTED FOR PERFORMANCE
-    // console.log(`Total combinations: ${routes.length * dateOffsets.length}`); // COMMENTED FOR PERFORMANCE
-    
-    // Use city codes directly (BLR, PAT, etc.) - the form accepts these codes
-    let combinationCount = 0;
-    const totalCombinations = routes.length * dateOffsets.length;
-    
-    // Process routes sequentially - start with first route and first date
-    // Remaining routes will be processed by processNextRoute() after each extraction
-    const routeIndex = 0;
-    const dateIndex = 0;
+  async function fillFlightSearchFormOneWay(params) {
+    const { sourceCity, destinationCity, daysOffset } = params;
+    const form = siteAdapter.selectors.searchForm;
     
-    const firstRoute = routes[routeIndex];
-    const sourceCode = firstRoute.source || firstRoute.from;
-    const destCode = firstRoute.dest || firstRoute.to || firstRoute.destination;
-    const sourceCity = sourceCode.toUpperCase();
-    const destCity = destCode.toUpperCase();
-    const firstDateOffset = dateOffsets[dateIndex];
+    console.log('=== Filling Flight Search Form (One Way) ===');
+    console.log(`Parameters: ${sourceCity} → ${destinationCity}, Departure: +${daysOffset} days`);
     
-    // console.log(`\n--- Starting Sequential Processing ---`); // COMMENTED FOR PERFORMANCE
-    // console.log(`Total routes: ${routes.length}, Total dates per route: ${dateOffsets.length}`); // COMMENTED FOR PERFORMANCE
-    // console.log(`Total combinations: ${totalCombinations}`); // COMMENTED FOR PERFORMANCE
-    // console.log(`First route: ${sourceCode} → ${destCode}, First date: +${firstDateOffset} days`); // COMMENTED FOR PERFORMANCE
+    let stepFailed = false;
+    let failureReason = '';
     
     try {
-      // Calculate departure date
-      const departureDate = new Date();
-      departureDate.setDate(departureDate.getDate() + firstDateOffset);
+      // STEP 1: Select Trip Type - "One Way"
+      console.log('Step 1: Selecting trip type "One Way"...');
       
-      if (useDirectUrl) {
-        // METHOD 1: Direct URL navigation (faster and more reliable)
-        console.log(`Using direct URL navigation for ${sourceCode}-${destCode} (+${firstDateOffset} days)...`);
-        
-        // Construct search URL
-        const searchUrl = constructFlightSearchUrl(
-          sourceCode,
-          destCode,
-          departureDate,
-          'O', // One Way
-          false, // Domestic
-          1, 0, 0, 'E' // 1 Adult, Economy
-        );
+      // Find the trip type dropdown wrapper - use event-driven wait
+      const tripTypeWrapper = await waitForElement(form.tripTypeWrapper, 3000);
+      
+      if (!tripTypeWrapper) {
+        failureReason = 'Trip type wrapper not found';
+        console.error(`✗ ${failureReason}`);
+        stepFailed = true;
+        return false;
+      }
+      
+      console.log('✓ Found trip type wrapper');
+      
+      // Find the dropdown value element
+      let dropdownVal = tripTypeWrapper.querySelector(form.tripTypeValue);
+      if (!dropdownVal) {
+        failureReason = 'Trip type dropdown not found';
+        console.error(`✗ ${failureReason}`);
+        stepFailed = true;
+        return false;
+      }
+      
+      console.log('✓ Found trip type dropdown');
+      const currentValue = dropdownVal.textContent?.trim() || '';
+      console.log(`Current trip type: "${currentValue}"`);
+      
+      // Check if already "One Way"
+      if (currentValue.toLowerCase().includes('one') && currentValue.toLowerCase().includes('way')) {
+        console.log('✓ Trip type already set to "One Way"');
+      } else {
+        // Click to open dropdown
+        console.log('Clicking trip type dropdown to open...');
+        dropdownVal.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        await waitForClickable(dropdownVal, 2000);
+        dropdownVal.click();
         
-        console.log(`Navigating to: ${searchUrl}`);
-        
-        // Store remaining routes in sessionStorage for sequential processing
-        const remainingRoutes = {
-          routes: routes,
-          dateOffsets: dateOffsets,
-          currentRouteIndex: routeIndex,
-          currentDateIndex: dateIndex
-        };
-            
-            try {
-              sessionStorage.setItem('remainingRoutes', JSON.stringify(remainingRoutes));
-              console.log('✓ Stored remaining routes in sessionStorage');
-            } catch (e) {
-              console.warn('⚠ Could not store remaining routes:', e);
-            }
-            
-        // Store extraction parameters in sessionStorage before navigation
-        const extractionParams = {
-          sourceCode: sourceCode,
-          destCode: destCode,
-          daysOffset: firstDateOffset,
-          dateStr: departureDate.toISOString().split('T')[0],
-          dateFormatted: departureDate.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }).replace(/ /g, '-')
-        };
-        
-        try {
-          sessionStorage.setItem('pendingExtraction', JSON.stringify(extractionParams));
-          console.log('✓ Stored extraction parameters in sessionStorage');
-        } catch (e) {
-          console.warn('⚠ Could not store in sessionStorage:', e);
-        }
-        
-        // Navigate directly to search results URL
-        console.log(`Navigating to search URL (page will reload)...`);
-        console.log(`Route: ${sourceCode}-${destCode}, Date: +${firstDateOffset} days`);
-        console.log(`Progress: Route ${routeIndex + 1}/${routes.length}, Date ${dateIndex + 1}/${dateOffsets.length}`);
-        console.log(`Note: Extraction will automatically start when the new page loads`);
-        console.log(`Note: After extraction, it will automatically continue with next route/date`);
-        window.location.href = searchUrl;
-            
-            // Note: Execution stops here because page reloads
-            // Auto-extraction will be triggered by checkAndAutoExtract() when page loads
-            // After extraction completes, processNextRoute() will continue with next route/date
-            return; // Exit early - extraction will happen on page load via checkAndAutoExtract()
-            
-          } else {
-            // METHOD 2: Form filling (fallback method)
-            console.log(`Using form filling method for ${sourceCode}-${destCode} (+${daysOffset} days)...`);
-            
-            // Navigate to search page if not already there
-            const currentUrl = window.location.href;
-            const isOnSearchPage = currentUrl.includes('/flights/') && !currentUrl.includes('/listing');
-            
-            if (!isOnSearchPage) {
-              console.log('Navigating to flight search page...');
-              window.location.href = 'https://www.makemytrip.com/flights/';
-              await waitForNavigation('/flights/', 10000);
-            } else {
-              // If on results page, navigate back to search
-              if (currentUrl.includes('/listing')) {
-                console.log('On results page, navigating back to search...');
-                window.location.href = 'https://www.makemytrip.com/flights/';
-                await waitForNavigation('/flights/', 10000);
-              }
-            }
-            
-            // Wait for page to be ready - use event-driven wait
-            console.log('Waiting for page to be ready...');
-            
-            // Wait for search form to appear
-            const hasSearchForm = await waitForElement('form[data-test="component-form-FC"], input#departure, div.multiDropDownVal', 5000);
-            if (!hasSearchForm) {
-              console.warn('⚠ Search form not found after waiting');
-            }
-            
-            // Fill the search form
-            const formFilled = await fillFlightSearchFormOneWay({
-              sourceCity: sourceCity,
-              destinationCity: destCity,
-              daysOffset: firstDateOffset
-            });
-            
-            if (!formFilled) {
-              console.error(`✗ Failed to fill form for ${sourceCode}-${destCode} (+${firstDateOffset} days)`);
-              return; // Exit - processNextRoute will handle continuation
-            }
-            
-            // Wait for results to fully load - use event-driven wait
-            console.log('Waiting for search results to load...');
-            await waitForLoadingToComplete(8000);
-          }
-          
-          // Note: For direct URL method, extraction happens via auto-extraction after page load
-          // This code path is for form filling method (fallback)
-          // Since we're using direct URL by default, this section is less likely to execute
-          console.log('Form filling method - extraction should happen automatically after results load');
-          return;
-          
-        } catch (error) {
-          console.error(`✗ Error processing ${sourceCode}-${destCode} (+${firstDateOffset} days):`, error);
-          return; // Exit - processNextRoute will handle continuation
-        }
-    
-    const executionTimeMs = Date.now() - startTime;
-    const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
-    
-    console.log(`\n=== Completed Processing All Routes and Dates ===`);
-    console.log(`Total flights extracted: ${allFlights.length}`);
-    console.log(`Total execution time: ${executionTimeSeconds}s`);
-    
-    return {
-      metadata: {
-        scraped_at: new Date().toISOString(),
-        source_url: window.location.href,
-        flights_count: allFlights.length,
-        user_agent: navigator.userAgent,
-        trip_type: 'one_way',
-        routes_processed: routes.length,
-        date_offsets_processed: dateOffsets.length,
-        total_combinations: totalCombinations,
-        execution_time_ms: executionTimeMs,
-        execution_time_seconds: parseFloat(executionTimeSeconds),
-        execution_time_formatted: `${executionTimeSeconds}s`,
-        route_metadata: allMetadata
-      },
-      flights: allFlights
-    };
-  }
-
-  /**
-   * Fill flight search form for one-way trip
-   * @param {Object} params - Search parameters
-   * @param {string} params.sourceCity - Source city name (e.g., "Delhi" or "BLR")
-   * @param {string} params.destinationCity - Destination city name (e.g., "Bangalore" or "PAT")
-   * @param {number} params.daysOffset - Days from today (1, 7, 14, or 30)
-   * @returns {Promise<boolean>} - Returns true if form filled successfully
-   */
-  async function fillFlightSearchFormOneWay(params) {
-    const { sourceCity, destinationCity, daysOffset } = params;
-    
-    console.log('=== Filling Flight Search Form (One Way) ===');
-    console.log(`Parameters: ${sourceCity} → ${destinationCity}, Departure: +${daysOffset} days`);
-    
-    let stepFailed = false;
-    let failureReason = '';
-    
-    try {
-      // STEP 1: Select Trip Type - "One Way"
-      console.log('Step 1: Selecting trip type "One Way"...');
-      
-      // Find the trip type dropdown wrapper - use event-driven wait
-      const tripTypeWrapper = await waitForElement('div[data-test="component-tripType-wrapper"], div.tripTypeWrapper', 3000);
-      
-      if (!tripTypeWrapper) {
-        failureReason = 'Trip type wrapper not found';
-        console.error(`✗ ${failureReason}`);
-        stepFailed = true;
-        return false;
-      }
-      
-      console.log('✓ Found trip type wrapper');
-      
-      // Find the dropdown value element
-      let dropdownVal = tripTypeWrapper.querySelector('div.multiDropDownVal');
-      if (!dropdownVal) {
-        failureReason = 'Trip type dropdown not found';
-        console.error(`✗ ${failureReason}`);
-        stepFailed = true;
-        return false;
-      }
-      
-      console.log('✓ Found trip type dropdown');
-      const currentValue = dropdownVal.textContent?.trim() || '';
-      console.log(`Current trip type: "${currentValue}"`);
-      
-      // Check if already "One Way"
-      if (currentValue.toLowerCase().includes('one') && currentValue.toLowerCase().includes('way')) {
-        console.log('✓ Trip type already set to "One Way"');
-      } else {
-        // Click to open dropdown
-        console.log('Clicking trip type dropdown to open...');
-        dropdownVal.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        await waitForClickable(dropdownVal, 2000);
-        dropdownVal.click();
-        
-        // Wait for dropdown to open and find "One Way" option
-        console.log('Looking for "One Way" option in dropdown...');
-        await sleep(200); // Small wait for dropdown to render
+        // Wait for dropdown to open and find "One Way" option
+        console.log('Looking for "One Way" option in dropdown...');
+        await sleep(200); // Small wait for dropdown to render
         
         // Wait for dropdown options to appear, then search for "One Way"
-        const dropdownOptions = await waitForElement('li[role="option"], div[role="option"], ul li, .dropdown-menu li', 2000);
+        const dropdownOptions = await waitForElement(form.dropdownOption, 2000);
         if (dropdownOptions) {
           // Find "One Way" option by searching all options
-          const allOptions = document.querySelectorAll('li[role="option"], div[role="option"], ul li, .dropdown-menu li, [class*="option"]');
+          const allOptions = document.querySelectorAll(`${form.dropdownOption}, [class*="option"]`);
           let foundOption = null;
           
           for (const option of allOptions) {
@@ -1172,13 +1001,13 @@
       console.log(`Step 2: Entering source city code "${sourceCityCode}"...`);
       
       // Find source input by data-test attribute (readonly input) - use event-driven wait
-      let sourceInput = await waitForElement('input[data-test="component-fromcity-inputBox"], input#fromCity, input[data-cy="fromCity"]', 3000);
+      let sourceInput = await waitForElement(form.fromCityInput, 3000);
       
       if (!sourceInput) {
         // Try finding by wrapper
-        const sourceWrapper = await waitForElement('div[data-test="component-fromCityDropdown"]', 2000);
+        const sourceWrapper = await waitForElement(form.fromCityWrapper, 2000);
         if (sourceWrapper) {
-          sourceInput = sourceWrapper.querySelector('input#fromCity, input[data-test*="fromcity"]');
+          sourceInput = sourceWrapper.querySelector(form.fromCityWrapperInput);
         }
       }
       
@@ -1198,15 +1027,15 @@
       sourceInput.click();
       
       // Wait for city selector modal/popup to open - use event-driven wait
-      await waitForElement('input.react-autosuggest__input[placeholder*="City" i], input.react-autosuggest__input', 3000);
+      await waitForElement(form.anyCitySearchInput, 3000);
       
       // Now find the search input in the city selector modal
       console.log('Looking for city search input in modal...');
-      let sourceCitySearchInput = document.querySelector('input.react-autosuggest__input[placeholder="Enter City"], input.react-autosuggest__input[placeholder*="City" i]');
+      let sourceCitySearchInput = document.querySelector(form.citySearchInput);
       
       if (!sourceCitySearchInput) {
         // Try finding any autosuggest input in the modal
-        const modalInputs = document.querySelectorAll('input.react-autosuggest__input');
+        const modalInputs = document.querySelectorAll(form.anyCitySearchInput);
         if (modalInputs.length > 0) {
           sourceCitySearchInput = modalInputs[0];
           console.log('Using first autosuggest input in modal');
@@ -1243,8 +1072,8 @@
         console.log('Waiting for autocomplete suggestions...');
         
         // Wait for suggestions to appear - use event-driven wait
-        await waitForElement('ul.react-autosuggest__suggestions-list li[role="option"], li.react-autosuggest__suggestion[role="option"]', 4000);
-        const allSuggestions = document.querySelectorAll('ul.react-autosuggest__suggestions-list li[role="option"], li.react-autosuggest__suggestion[role="option"]');
+        await waitForElement(form.citySuggestion, 4000);
+        const allSuggestions = document.querySelectorAll(form.citySuggestion);
         console.log(`Found ${allSuggestions.length} suggestions`);
         
         if (allSuggestions.length > 0) {
@@ -1275,23 +1104,23 @@
       await sleep(1500);
       
       // Find destination input by data-test or data-cy attribute (readonly input)
-      let destInput = document.querySelector('input[data-test*="toCity"], input#toCity, input[data-cy="toCity"]');
+      let destInput = document.querySelector(form.toCityInput);
       
       if (!destInput) {
         // Try finding by wrapper or span label
-        const destWrapper = document.querySelector('div[data-test*="toCity"], span[data-test="component-To"]');
+        const destWrapper = document.querySelector(form.toCityWrapper);
         if (destWrapper) {
-          destInput = destWrapper.closest('div').querySelector('input#toCity, input[data-test*="toCity"]');
+          destInput = destWrapper.closest('div').querySelector(form.toCityWrapperInput);
         }
       }
       
       if (!destInput) {
         // Try finding by label
-        const destLabel = document.querySelector('span[data-test="component-To"]');
+        const destLabel = document.querySelector(form.toCityLabel);
         if (destLabel) {
           const parentDiv = destLabel.closest('div');
           if (parentDiv) {
-            destInput = parentDiv.querySelector('input#toCity, input[type="text"]');
+            destInput = parentDiv.querySelector(`${form.toCityWrapperInput}, input[type="text"]`);
           }
         }
       }
@@ -1314,11 +1143,11 @@
       
       // Now find the search input in the city selector modal
       console.log('Looking for city search input in modal...');
-      let destCitySearchInput = document.querySelector('input.react-autosuggest__input[placeholder="Enter City"], input.react-autosuggest__input[placeholder*="City" i]');
+      let destCitySearchInput = document.querySelector(form.citySearchInput);
       
       if (!destCitySearchInput) {
         // Try finding any autosuggest input in the modal
-        const modalInputs = document.querySelectorAll('input.react-autosuggest__input');
+        const modalInputs = document.querySelectorAll(form.anyCitySearchInput);
         if (modalInputs.length > 0) {
           destCitySearchInput = modalInputs[0];
           console.log('Using first autosuggest input in modal');
@@ -1358,12 +1187,12 @@
         await sleep(4000);
         
         // Select first suggestion
-        let destSuggestions = document.querySelectorAll('ul.react-autosuggest__suggestions-list li[role="option"], li.react-autosuggest__suggestion[role="option"]');
+        let destSuggestions = document.querySelectorAll(form.citySuggestion);
         console.log(`Found ${destSuggestions.length} suggestions on first try`);
         
         if (destSuggestions.length === 0) {
           await sleep(3000);
-          destSuggestions = document.querySelectorAll('ul.react-autosuggest__suggestions-list li[role="option"], li.react-autosuggest__suggestion[role="option"]');
+          destSuggestions = document.querySelectorAll(form.citySuggestion);
           console.log(`Found ${destSuggestions.length} suggestions on second try`);
         }
         
@@ -1401,14 +1230,14 @@
       console.log(`Looking for date: Day ${targetDay}, Month ${targetMonth} (${targetMonthShort}), Year ${targetYear}`);
       
       // Find departure date input by data-test attribute
-      let depInput = document.querySelector('input[data-test="component-Departure-inputBox"], input#departure[data-cy="departure"], input#departure');
+      let depInput = document.querySelector(form.departureInput);
       
       if (!depInput) {
         // Try finding by label
         console.warn('⚠ Departure input not found with primary selector, trying alternatives...');
-        const depLabel = document.querySelector('label[for="departure"]');
+        const depLabel = document.querySelector(form.departureLabel);
         if (depLabel) {
-          depInput = depLabel.querySelector('input#departure');
+          depInput = depLabel.querySelector(form.departureLabelInput);
           if (!depInput) {
             depInput = depLabel; // Use label itself if input not found inside
           }
@@ -1438,13 +1267,13 @@
       let dateSelected = false;
       
       // First, try finding by aria-label (DayPicker format: "Sunday, 9 November 2025")
-      const dayPickerDays = document.querySelectorAll('div.DayPicker-Day[role="gridcell"]');
+      const dayPickerDays = document.querySelectorAll(form.calendarDay);
       console.log(`Found ${dayPickerDays.length} DayPicker day elements`);
       
       for (const dayEl of dayPickerDays) {
         const ariaLabel = dayEl.getAttribute('aria-label') || '';
         const text = dayEl.textContent?.trim() || '';
-        const isDisabled = dayEl.classList.contains('DayPicker-Day--disabled') ||
+        const isDisabled = dayEl.matches(form.calendarDayDisabled) ||
                           dayEl.getAttribute('aria-disabled') === 'true';
         
         // Check if aria-label contains the target day
@@ -1459,10 +1288,9 @@
           break;
         }
         
-        // Also check text content for day number (inside dateContainer > p)
-        const dateContainer = dayEl.querySelector('div.dateContainer');
-        if (dateContainer && !isDisabled) {
-          const dayText = dateContainer.querySelector('p');
+        // Also check text content for day number
+        if (!isDisabled) {
+          const dayText = dayEl.querySelector(form.calendarDayNumber);
           if (dayText && dayText.textContent?.trim() === String(targetDay)) {
             console.log(`Found target date by text content: Day ${targetDay}`);
             dayEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -1480,7 +1308,7 @@
         console.warn('⚠ Could not find target date in DayPicker, trying alternative methods...');
         
         // Fallback: try finding by text content in all date elements
-        const allDateElements = document.querySelectorAll('div[class*="Day"], div[class*="day"], td, [role="gridcell"]');
+        const allDateElements = document.querySelectorAll(form.calendarDayLoose);
         for (const dateEl of allDateElements) {
           const text = dateEl.textContent?.trim() || '';
           const ariaLabel = dateEl.getAttribute('aria-label') || '';
@@ -1513,16 +1341,16 @@
       await sleep(1000); // Wait before clicking search
       
       // Find search button - it's an anchor tag with class "widgetSearchBtn"
-      let searchButton = document.querySelector('a.widgetSearchBtn, a.primaryBtn.widgetSearchBtn, a[class*="widgetSearchBtn"]');
+      let searchButton = document.querySelector(form.searchButton);
       
       if (!searchButton) {
         // Try finding by data-cy attribute
-        searchButton = document.querySelector('a[data-cy="submit"], p[data-cy="submit"] a');
+        searchButton = document.querySelector(form.submitLink);
       }
       
       if (!searchButton) {
         // Try finding by text content
-        const allLinks = document.querySelectorAll('a.primaryBtn, a[class*="primaryBtn"]');
+        const allLinks = document.querySelectorAll(form.primaryButton);
         for (const link of allLinks) {
           const linkText = link.textContent?.trim().toUpperCase() || '';
           if (linkText.includes('SEARCH')) {
@@ -1554,9 +1382,9 @@
       
       // Validate form before submitting
       console.log('Validating form before submission...');
-      const sourceInputCheck = document.querySelector('input[data-test="component-fromcity-inputBox"], input#fromCity');
-      const destInputCheck = document.querySelector('input[data-test*="toCity"], input#toCity');
-      const dateInputCheck = document.querySelector('input[data-test="component-Departure-inputBox"], input#departure');
+      const sourceInputCheck = document.querySelector(form.fromCityInput);
+      const destInputCheck = document.querySelector(form.toCityInput);
+      const dateInputCheck = document.querySelector(form.departureInput);
       
       if (sourceInputCheck && destInputCheck) {
         const sourceValue = sourceInputCheck.value || '';
@@ -1654,7 +1482,7 @@
       let attempts = 0;
       const maxAttempts = 30; // Increased max attempts
       while (attempts < maxAttempts) {
-        const cards = document.querySelectorAll('div.listingCard, div[class*="listingCard"], div.clusterContent div.listingCard, div.splitVw');
+        const cards = document.querySelectorAll(siteAdapter.selectors.anyFlightCard);
         if (cards.length > 0) {
           console.log(`✓ Flight results loaded! Found ${cards.length} cards`);
           resultsPageLoaded = true;
@@ -1698,17 +1526,10 @@
     console.log('Looking for "X options available" links...');
     
     // Find all flight count links that contain "options available" or similar text
-    const selectors = [
-      'span.flight-count.fontSize14.pointer[data-test="component-flight-count"]',
-      'span[data-test="component-flight-count"]',
-      'span.flight-count.fontSize14.pointer',
-      'span.flight-count'
-    ];
-    
     const allLinks = [];
     
     // Try each selector
-    for (const selector of selectors) {
+    for (const selector of siteAdapter.selectors.optionsAvailableLinks) {
       try {
         const elements = document.querySelectorAll(selector);
         for (const el of elements) {
@@ -1717,7 +1538,7 @@
           if (text.includes('options available') || text.includes('option available') || 
               (text.includes('available') && /\d+/.test(text))) {
             // Check if it's inside a group booking card
-            const groupCard = el.closest('div.groupBookingCard');
+            const groupCard = el.closest(siteAdapter.selectors.groupBookingCard);
             if (groupCard) {
               allLinks.push({ element: el, text: el.textContent?.trim(), groupCard });
             }
@@ -1743,7 +1564,7 @@
         console.log(`Clicking link ${i + 1}/${allLinks.length}: "${text}"`);
         
         // Check if the group card is collapsed
-        if (groupCard && groupCard.classList.contains('collapsed')) {
+        if (groupCard && groupCard.matches(siteAdapter.selectors.collapsedGroupCard)) {
           console.log(`  Group card is collapsed, will expand it`);
         }
         
@@ -1800,8 +1621,8 @@
   async function clickMoreFlightsLink() {
     console.log('Looking for "more flights available" link...');
     
-    // Primary selector: exact match based on provided HTML
-    const exactSelector = 'span.flight-count.fontSize14.pointer[data-test="component-flight-count"]';
+    // Primary selector: the most specific one, then the fallbacks
+    const [exactSelector, ...fallbackSelectors] = siteAdapter.selectors.moreFlightsLinks;
     let moreFlightsLink = null;
     
     // Try exact selector first
@@ -1821,14 +1642,6 @@
     
     // Fallback selectors if exact match not found
     if (!moreFlightsLink) {
-      const fallbackSelectors = [
-        'span[data-test="component-flight-count"]',
-        'span.flight-count.fontSize14.pointer',
-        'span.flight-count.fontSize14',
-        'span.flight-count',
-        'span[class*="flight-count"]'
-      ];
-      
       for (const selector of fallbackSelectors) {
         try {
           const elements = document.querySelectorAll(selector);
@@ -1848,9 +1661,9 @@
       }
     }
     
-    // Last resort: Search all elements with "flight-count" in class
+    // Last resort: Search all flight count elements
     if (!moreFlightsLink) {
-      const allElements = document.querySelectorAll('[class*="flight-count"]');
+      const allElements = document.querySelectorAll(siteAdapter.selectors.anyFlightCountLink);
       for (const el of allElements) {
         const text = el.textContent?.trim().toLowerCase() || '';
         if (text.includes('more flights') || text.includes('more flight') || 
@@ -1936,7 +1749,7 @@
       
       // Method 4: If it's inside a parent that's clickable, try that
       const parent = moreFlightsLink.parentElement;
-      if (parent && (parent.classList.contains('pointer') || parent.onclick)) {
+      if (parent && (parent.matches(siteAdapter.selectors.clickable) || parent.onclick)) {
         try {
           parent.click();
           console.log('✓ Clicked parent element');
@@ -1958,7 +1771,7 @@
     console.log('Looking for "Non Stop" filter checkbox...');
     
     // Find the checkbox title element with "Non Stop" text
-    const nonStopTitle = Array.from(document.querySelectorAll('p.checkboxTitle'))
+    const nonStopTitle = Array.from(document.querySelectorAll(siteAdapter.selectors.filterTitle))
       .find(el => {
         const text = el.textContent?.trim().toLowerCase();
         return text.includes('non stop') || text === 'non stop';
@@ -1971,25 +1784,24 @@
     
     console.log('Found "Non Stop" filter element');
     
-    // Find the checkbox - based on the HTML structure:
-    // label.checkboxContainer > span.commonCheckbox > input[type="checkbox"]
-    // The p.checkboxTitle is inside div.checkboxContent which is inside label.checkboxContainer
+    // Find the checkbox - the filter label holds a checkbox wrapper with the input
+    // and a content block with the filter title
     let checkbox = null;
     
-    // Strategy 1: Find the label.checkboxContainer that contains the "Non Stop" text
-    const labelContainer = nonStopTitle.closest('label.checkboxContainer');
+    // Strategy 1: Find the filter label that contains the "Non Stop" text
+    const labelContainer = nonStopTitle.closest(siteAdapter.selectors.filterLabel);
     if (labelContainer) {
       // Find checkbox inside the label
-      checkbox = labelContainer.querySelector('input[type="checkbox"][id="listingFilterCheckbox"]');
+      checkbox = labelContainer.querySelector(siteAdapter.selectors.filterCheckbox);
       if (!checkbox) {
         // Fallback: any checkbox in the label
         checkbox = labelContainer.querySelector('input[type="checkbox"]');
       }
     }
     
-    // Strategy 2: Look for checkbox in parent div.checkboxContent
+    // Strategy 2: Look for checkbox in the label around the filter content
     if (!checkbox) {
-      const checkboxContent = nonStopTitle.closest('div.checkboxContent');
+      const checkboxContent = nonStopTitle.closest(siteAdapter.selectors.filterContent);
       if (checkboxContent) {
         const parentLabel = checkboxContent.closest('label');
         if (parentLabel) {
@@ -1999,11 +1811,11 @@
     }
     
     // Strategy 3: Find by looking for the specific structure
-    // Find all labels with checkboxContainer class
+    // Find all filter labels
     if (!checkbox) {
-      const allLabels = document.querySelectorAll('label.checkboxContainer');
+      const allLabels = document.querySelectorAll(siteAdapter.selectors.filterLabel);
       for (const label of allLabels) {
-        const checkboxTitle = label.querySelector('p.checkboxTitle');
+        const checkboxTitle = label.querySelector(siteAdapter.selectors.filterTitle);
         if (checkboxTitle) {
           const text = checkboxTitle.textContent?.trim().toLowerCase();
           if (text.includes('non stop') || text === 'non stop') {
@@ -2014,13 +1826,13 @@
       }
     }
     
-    // Strategy 4: Find all checkboxes with id="listingFilterCheckbox" and check their labels
+    // Strategy 4: Find all filter checkboxes and check their labels
     if (!checkbox) {
-      const allCheckboxes = document.querySelectorAll('input[type="checkbox"][id="listingFilterCheckbox"]');
+      const allCheckboxes = document.querySelectorAll(siteAdapter.selectors.filterCheckbox);
       for (const cb of allCheckboxes) {
-        const label = cb.closest('label.checkboxContainer');
+        const label = cb.closest(siteAdapter.selectors.filterLabel);
         if (label) {
-          const checkboxTitle = label.querySelector('p.checkboxTitle');
+          const checkboxTitle = label.querySelector(siteAdapter.selectors.filterTitle);
           if (checkboxTitle) {
             const text = checkboxTitle.textContent?.trim().toLowerCase();
             if (text.includes('non stop') || text === 'non stop') {
@@ -2048,7 +1860,7 @@
       });
       
       // Find the label container
-      const label = checkbox.closest('label.checkboxContainer');
+      const label = checkbox.closest(siteAdapter.selectors.filterLabel);
       
       // Method 1: Click the label (this is the most reliable way for custom checkboxes)
       if (label) {
@@ -2105,7 +1917,7 @@
       }
       
       // Method 5: Try clicking the span wrapper
-      const spanWrapper = checkbox.closest('span.commonCheckbox');
+      const spanWrapper = checkbox.closest(siteAdapter.selectors.filterCheckboxWrapper);
       if (spanWrapper) {
         try {
           spanWrapper.click();
@@ -2150,75 +1962,16 @@
     }
   }
 
-  /**
-   * Detect trip type from the UI element
-   * Returns 'round_trip' or 'one_way'
-   */
-  function detectTripTypeFromUI() {
-    console.log('Detecting trip type from UI...');
-    
-    // Find the trip type wrapper
-    const tripTypeWrapper = document.querySelector('div[data-test="component-tripType-wrapper"], div.tripTypeWrapper');
-    
-    if (!tripTypeWrapper) {
-      console.log('⚠ Trip type wrapper not found, falling back to DOM structure check');
-      return checkIfRoundTrip() ? 'round_trip' : 'one_way';
-    }
-    
-    // Find the dropdown value element
-    const dropdownVal = tripTypeWrapper.querySelector('div.multiDropDownVal');
-    
-    if (!dropdownVal) {
-      console.log('⚠ Trip type dropdown value not found, falling back to DOM structure check');
-      return checkIfRoundTrip() ? 'round_trip' : 'one_way';
-    }
-    
-    const tripTypeText = dropdownVal.textContent?.trim().toLowerCase() || '';
-    console.log(`Trip type text found: "${tripTypeText}"`);
-    
-    // Check for round trip indicators
-    if (tripTypeText.includes('round') || tripTypeText.includes('return')) {
-      console.log('✓ Detected: Round Trip');
-      return 'round_trip';
-    }
-    
-    // Check for one-way indicators
-    if (tripTypeText.includes('one') || tripTypeText.includes('one-way') || tripTypeText.includes('one way')) {
-      console.log('✓ Detected: One Way');
-      return 'one_way';
-    }
-    
-    // Fallback: check DOM structure
-    console.log('⚠ Could not determine from text, falling back to DOM structure check');
-    return checkIfRoundTrip() ? 'round_trip' : 'one_way';
-  }
-
   /**
    * Generate a unique key for a flight to identify duplicates
-   * Uses flight code, airline, times, and route information
+   * Uses the flight's flight_id plus its times and stops, prefixed with the direction on round-trip pages:
+   * duplicates are checked on the card, before the flight details list every segment's flight number,
+   * and a card shows only the first one (a non-stop and a one-stop flight can share it)
    */
   function generateFlightKey(flight) {
-    // Use flight code if available (most unique)
-    if (flight.flight_code) {
-      const key = `${flight.flight_code}_${flight.departure_time || ''}_${flight.arrival_time || ''}`;
-      if (flight.direction) {
-        return `${flight.direction}_${key}`;
-      }
-      return key;
-    }
-    
-    // Fallback: use airline code + times
-    if (flight.airline_code) {
-      const key = `${flight.airline_code}_${flight.departure_time || ''}_${flight.arrival_time || ''}_${flight.departure_city || ''}_${flight.arrival_city || ''}`;
-      if (flight.direction) {
-        return `${flight.direction}_${key}`;
-      }
-      return key;
-    }
-    
-    // Last resort: use airline name + times + cities
-    const airline = (flight.airline || '').substring(0, 20).replace(/\s+/g, '_');
-    const key = `${airline}_${flight.departure_time || ''}_${flight.arrival_time || ''}_${flight.departure_city || ''}_${flight.arrival_city || ''}_${flight.date || ''}`;
+    const flightId = flight.flight_id || addFlightIdentity(flight).flight_id;
+    const stops = flight.stops === null || flight.stops === undefined ? '' : flight.stops;
+    const key = `${flightId}_${flight.departure_time || ''}-${flight.arrival_time || ''}_${stops}`;
     if (flight.direction) {
       return `${flight.direction}_${key}`;
     }
@@ -2239,127 +1992,6 @@
     return false;
   }
 
-  /**
-   * Validate DOMESTIC trip page structure before extraction
-   * Returns {valid: boolean, error: string|null, elements: object}
-   */
-  function validateDomesticTripStructure(tripType) {
-    const isRoundTrip = tripType === 'round_trip';
-    
-    if (isRoundTrip) {
-      // For round trip: must have splitVw structure
-      const splitView = document.querySelector('div.splitVw, div[class*="splitVw"]');
-      if (!splitView) {
-        return {
-          valid: false,
-          error: 'DOMESTIC round trip structure not found. Required element: div.splitVw',
-          elements: { splitView: null }
-        };
-      }
-      
-      // Check for panes within splitView
-      const panes = splitView.querySelectorAll('div.paneView, div[class*="paneView"]');
-      if (panes.length === 0) {
-        return {
-          valid: false,
-          error: 'No panes found in splitVw. Required: div.paneView elements',
-          elements: { splitView: splitView, panes: [] }
-        };
-      }
-      
-      // Check for at least some cards in panes
-      let totalCards = 0;
-      for (const pane of panes) {
-        const cards = pane.querySelectorAll('div.listingCard, label.splitViewListing, div[class*="listingCard"]');
-        totalCards += cards.length;
-      }
-      
-      if (totalCards === 0) {
-        return {
-          valid: false,
-          error: 'No flight cards found in panes. Please wait for page to load completely.',
-          elements: { splitView: splitView, panes: panes, cards: 0 }
-        };
-      }
-      
-      return {
-        valid: true,
-        error: null,
-        elements: { splitView: splitView, panes: panes, cards: totalCards }
-      };
-    } else {
-      // For one-way: Check URL parameter first (most reliable)
-      // clusterContent can appear in both domestic and international, so we check URL param
-      const urlParams = new URLSearchParams(window.location.search);
-      const intlParam = urlParams.get('intl');
-      
-      // If URL says it's international, reject it
-      if (intlParam === 'true') {
-        return {
-          valid: false,
-          error: 'URL indicates international trip (intl=true). Use "Extract International Flights" button.',
-          elements: {}
-        };
-      }
-      
-      // If intl=false or not set, treat as domestic even if clusterContent exists
-      // clusterContent alone is not a reliable indicator for international trips
-      const clusterContent = document.querySelector('div.clusterContent, div[class*="clusterContent"]');
-      if (clusterContent && intlParam !== 'false') {
-        // Only warn, don't reject - we'll rely on URL param
-        console.log('⚠ clusterContent found, but URL indicates domestic (intl=false or not set) - proceeding');
-      }
-      
-      // Check for regular flight cards
-      const cards = document.querySelectorAll('div.listingCard, div[class*="listingCard"]');
-      if (cards.length === 0) {
-        return {
-          valid: false,
-          error: 'No flight cards found. Required: div.listingCard elements. Please wait for page to load completely.',
-          elements: { cards: [] }
-        };
-      }
-      
-      return {
-        valid: true,
-        error: null,
-        elements: { cards: cards }
-      };
-    }
-  }
-
-  /**
-   * Validate INTERNATIONAL trip page structure before extraction
-   * Returns {valid: boolean, error: string|null, elements: object}
-   */
-  function validateInternationalTripStructure() {
-    // Must have clusterContent structure
-    const clusterContent = document.querySelector('div.clusterContent, div[class*="clusterContent"]');
-    if (!clusterContent) {
-      return {
-        valid: false,
-        error: 'INTERNATIONAL trip structure not found. Required element: div.clusterContent',
-        elements: { clusterContent: null }
-      };
-    }
-    
-    // Check for cards within clusterContent
-    const cards = clusterContent.querySelectorAll('div.listingCard.appendBottom5, div.listingCard, div[class*="listingCard"]');
-    if (cards.length === 0) {
-      return {
-        valid: false,
-        error: 'No flight cards found in clusterContent. Required: div.listingCard elements. Please wait for page to load completely.',
-        elements: { clusterContent: clusterContent, cards: [] }
-      };
-    }
-    
-    return {
-      valid: true,
-      error: null,
-      elements: { clusterContent: clusterContent, cards: cards }
-    };
-  }
-
   /**
    * Extract flights sequentially: card details → click VIEW PRICES → wait → extract popup → next
    */
@@ -2372,14 +2004,14 @@
     try {
       // Determine trip type if not provided
       if (!tripType) {
-        tripType = detectTripTypeFromUI();
+        tripType = siteAdapter.detectTripType();
       }
       
       console.log(`Starting extraction for: ${tripType} (DOMESTIC - One-way or Round Trip only)`);
       
       // VALIDATION: Check if required elements exist before proceeding
       console.log('Validating DOMESTIC trip page structure...');
-      const validation = validateDomesticTripStructure(tripType);
+      const validation = siteAdapter.validateDomesticPage(tripType);
       
       if (!validation.valid) {
         const errorMsg = `Validation failed: ${validation.error}`;
@@ -2417,6 +2049,11 @@
         return await extractRoundTripFlights(startTime, maxFlights);
       }
       
+      if (tripType === 'multi_city') {
+        // Handle DOMESTIC multi-city: one leg (tab or pane) after the other
+        return await extractMultiCityFlights(startTime, validation.elements.legs, maxFlights);
+      }
+      
       // ONE-WAY TRIP PROCESSING
       console.log('Processing DOMESTIC one-way trip...');
       
@@ -2437,11 +2074,11 @@
       
       // VALIDATION: Check if flight cards exist
       console.log('Validating flight cards exist...');
-      let flightCards = findFlightCards();
+      let flightCards = siteAdapter.findFlightCards();
       
       if (flightCards.length === 0) {
         console.warn('No flight cards found with primary selectors, trying fallback...');
-        flightCards = findFlightCardsFallback();
+        flightCards = siteAdapter.findFlightCardsFallback();
       }
 
       if (flightCards.length === 0) {
@@ -2483,10 +2120,15 @@
 
       console.log(`Processing ${visibleCards.length} cards sequentially...`);
 
+      startCardProgress('domestic_one_way', visibleCards.length, flights);
       // Process each card one by one
       for (let index = 0; index < visibleCards.length; index++) {
         const card = visibleCards[index];
+        if (await shouldStopExtraction()) {
+          break;
+        }
         console.log(`\n=== Processing card ${index + 1}/${visibleCards.length} ===`);
+        reportCardProgress(index, 'card');
 
         try {
           // STEP 1: Extract basic card details FIRST (before clicking anything)
@@ -2521,228 +2163,14 @@
           
           // console.log(`✓ Extracted basic details: ${flight.airline || 'N/A'} - ${flight.departure_time || 'N/A'} to ${flight.arrival_time || 'N/A'}`); // COMMENTED FOR PERFORMANCE
           
-          // Minimal wait after extracting card details
-          await sleep(200 * sleepMultiplier);
-          
-          // STEP 2: Find VIEW PRICES button for this specific card
-          // console.log(`Step 2: Looking for VIEW PRICES button for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-          const viewPricesButton = findViewPricesButtonForCard(card);
-          
-          if (viewPricesButton && isElementVisible(viewPricesButton) && !viewPricesButton.disabled) {
-            // Scroll card into view before clicking
-            // console.log(`Step 3: Scrolling card ${index + 1} into view...`); // COMMENTED FOR PERFORMANCE
-            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            
-            // Wait for scroll to complete (reduced)
-            await sleep(300 * sleepMultiplier);
-            
-            // STEP 4: Click VIEW PRICES button
-            // console.log(`Step 4: Clicking VIEW PRICES button for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-            try {
-              viewPricesButton.click();
-              // console.log(`✓ Clicked VIEW PRICES button for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-              
-              // Minimal wait for click to register
-              await sleep(200 * sleepMultiplier);
-            } catch (clickError) {
-              // console.error(`✗ Error clicking button for card ${index + 1}:`, clickError); // COMMENTED FOR PERFORMANCE
-              // Continue anyway, might still work
-              await sleep(200 * sleepMultiplier);
-            }
-            
-            // STEP 5: Wait for popup to appear and fully load (RESPONSIVE - waits for actual UI)
-            // console.log(`Step 5: Waiting for popup to load for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-            
-            // Wait for popup element to appear (responsive - waits for actual DOM element)
-            const popupElement = await waitForElement('div#ffWrapper, div.ffWrapper, div.wdth100, div.journeyContent', 5000 * sleepMultiplier);
-            
-            if (popupElement && isElementVisible(popupElement)) {
-              // console.log(`✓ Popup is visible for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-              
-              // Wait for popup content to fully load (responsive - waits for loading to complete)
-              // console.log(`Step 5b: Waiting for popup content to fully load...`); // COMMENTED FOR PERFORMANCE
-              await waitForLoadingToComplete(4000 * sleepMultiplier);
-              
-              // Wait for popup to be fully interactive (responsive - check for interactive elements)
-              const hasContent = await waitForElement('div.fareFamilyCardWrapper, div.keen-slider, button, a', 2000, popupElement);
-              if (!hasContent) {
-                // Small wait if no content found yet
-                await sleep(200);
-              }
-            } else {
-              // console.log(`⚠ Popup may not be fully loaded for card ${index + 1}, continuing anyway...`); // COMMENTED FOR PERFORMANCE
-              // Small wait
-              await sleep(300);
-            }
-            
-            // STEP 6: Extract detailed fare information from popup
-            // console.log(`Step 6: Extracting detailed fare information from popup for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-            const fareDetails = await extractFareDetailsFromPopup(card);
-            if (fareDetails) {
-              flight.fare_options = fareDetails;
-              const totalFares = fareDetails.fare_classes?.reduce((sum, fc) => sum + (fc.fares?.length || 0), 0) || 0;
-              // console.log(`✓ Extracted fare details for card ${index + 1} (${fareDetails.fare_classes?.length || 0} fare classes, ${totalFares} total fare options)`); // COMMENTED FOR PERFORMANCE
-            } else {
-              // console.log(`⚠ No fare details found for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-            }
-            
-            // STEP 7: Close popup after extraction is complete
-            // console.log(`Step 7: Closing popup for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-            const popupClosed = await closePopupIfOpen();
-            // if (popupClosed) {
-            //   console.log(`✓ Popup closed for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-            // } else {
-            //   console.log(`⚠ Popup may not have closed for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-            // }
-            
-            // Wait for popup to fully close - use event-driven wait
-            // Wait for popup to disappear
-            let popupStillVisible = true;
-            const startTime = Date.now();
-            while (popupStillVisible && (Date.now() - startTime < 2000)) {
-              popupStillVisible = checkIfPopupVisible();
-              if (!popupStillVisible) break;
-              await sleep(100);
-            }
-            
-            if (popupStillVisible) {
-              // console.log(`⚠ Popup still visible, waiting longer...`); // COMMENTED FOR PERFORMANCE
-              await sleep(500 * sleepMultiplier);
-              // Try closing again
-              await closePopupIfOpen();
-              await sleep(300 * sleepMultiplier);
-            }
-            
-            // Wait for DOM to stabilize after popup closes (reduced)
-            // console.log(`Step 7a: Waiting for DOM to stabilize after popup close for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-            await sleep(300 * sleepMultiplier);
-            
-            // Additional minimal wait
-            await sleep(200 * sleepMultiplier);
-            
-            // console.log(`✓ View Prices operation completed for card ${index + 1}, ready for Flight Details`); // COMMENTED FOR PERFORMANCE
-          } else {
-            // console.log(`⚠ No VIEW PRICES button found for card ${index + 1}, skipping popup extraction`); // COMMENTED FOR PERFORMANCE
-            // Minimal wait to ensure card is ready for Flight Details
-            await sleep(200 * sleepMultiplier);
-          }
+          await extractCardDepthLevels(card, flight, index);
 
-          // STEP 8: Extract Flight Details (View Flight Details → Extract → Hide)
-          // Minimal wait before starting Flight Details
-          // console.log(`\n--- Starting Flight Details extraction for card ${index + 1} ---`); // COMMENTED FOR PERFORMANCE
-          await sleep(200 * sleepMultiplier);
+          // Add flight to results (already checked for duplicates above)
+          flights.push(flight);
+          console.log(`✓ Completed processing card ${index + 1}/${visibleCards.length}`);
           
-          // Ensure card is visible and ready (minimal wait)
-          await sleep(100 * sleepMultiplier);
-          // console.log(`Step 8: Extracting flight details for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-          const viewFlightDetailsLink = findViewFlightDetailsLinkForCard(card);
-          
-          if (viewFlightDetailsLink && isElementVisible(viewFlightDetailsLink)) {
-            try {
-              // Scroll card into view if needed
-              // console.log(`Step 8a: Scrolling card ${index + 1} into view...`); // COMMENTED FOR PERFORMANCE
-              card.scrollIntoView({ behavior: 'smooth', block: 'center' });
-              await sleep(300 * sleepMultiplier);
-              
-              // Minimal wait before clicking
-              await sleep(100 * sleepMultiplier);
-              
-              // Click "View Flight Details"
-              // console.log(`Step 8b: Clicking "View Flight Details" for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-              viewFlightDetailsLink.click();
-              // console.log(`✓ Clicked "View Flight Details" for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-              
-              // Minimal wait for click to register
-              await sleep(200 * sleepMultiplier);
-              
-              // Wait for flightDetailsOuter to appear (responsive - waits for actual element)
-              // console.log(`Step 8c: Waiting for flight details panel to appear for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-              const flightDetailsOuter = await waitForFlightDetailsOuter(8000);
-              
-              if (flightDetailsOuter) {
-                // console.log(`✓ Flight details panel is visible for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-                
-                // Wait for loading to complete (responsive)
-                // console.log(`Step 8d: Waiting for loading to complete for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-                await waitForLoadingToComplete(5000 * sleepMultiplier);
-                
-                // Minimal wait for content to render
-                await sleep(500 * sleepMultiplier);
-                
-                // Extract all details from all tabs
-                // console.log(`Step 8e: Extracting all flight details from tabs for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-                const detailedFlightInfo = await extractDetailedFlightInfoFromAllTabs();
-                
-                if (detailedFlightInfo) {
-                  flight.flight_details = detailedFlightInfo;
-                  // console.log(`✓ Extracted flight details for card ${index + 1}:`, { // COMMENTED FOR PERFORMANCE
-                  //   segments: detailedFlightInfo.detailed_flights?.length || 0,
-                  //   has_fare_summary: !!detailedFlightInfo.fare_summary,
-                  //   has_cancellation: !!detailedFlightInfo.cancellation_policy,
-                  //   has_date_change: !!detailedFlightInfo.date_change_policy
-                  // });
-                } else {
-                  // console.log(`⚠ No flight details extracted for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-                }
-                
-                // Click "Hide Flight Details" to close
-                // console.log(`Step 8f: Closing flight details for card ${index + 1}...`); // COMMENTED FOR PERFORMANCE
-                await sleep(200 * sleepMultiplier);
-                
-                const hideFlightDetailsLink = findHideFlightDetailsLink();
-                if (hideFlightDetailsLink && isElementVisible(hideFlightDetailsLink)) {
-                  hideFlightDetailsLink.click();
-                  // console.log(`✓ Clicked "Hide Flight Details" for card ${index + 1}`); // COMMENTED FOR PERFORMANCE
-                  
-                  // Minimal wait for click to register
-                  await sleep(200 * sleepMultiplier);
-                  
-                  // Wait for panel to close (reduced)
-                  await sleep(300 * sleepMultiplier);
-                  
-                  // Verify panel is closed
-                  const stillOpen = document.querySelector('div.flightDetailsOuter');
-                  if (stillOpen && isElementVisible(stillOpen)) {
-                    // console.log(`⚠ Panel still open, waiting longer...`); // COMMENTED FOR PERFORMANCE
-                    await sleep(300 * sleepMultiplier);
-                  }
-                } else {
-                  // console.log(`⚠ "Hide Flight Details" link not found for card ${index + 1}, trying alternative close method...`); // COMMENTED FOR PERFORMANCE
-                  // Try to find and click any close button or escape key
-                  const closeButton = flightDetailsOuter.querySelector('button[aria-label*="close"], button[aria-label*="Close"], .close, [class*="close"]');
-                  if (closeButton) {
-                    closeButton.click();
-                    await sleep(200 * sleepMultiplier);
-                    await sleep(300 * sleepMultiplier); // Wait for panel to close
-                  }
-                }
-              } else {
-                console.log(`⚠ Flight details panel did not appear for card ${index + 1}`);
-              }
-            } catch (error) {
-              console.error(`✗ Error extracting flight details for card ${index + 1}:`, error);
-              // Try to close if still open
-              try {
-                await sleep(100 * sleepMultiplier);
-                const hideLink = findHideFlightDetailsLink();
-                if (hideLink) {
-                  hideLink.click();
-                  await sleep(200 * sleepMultiplier);
-                }
-              } catch (e) {
-                // Ignore close errors
-              }
-            }
-          } else {
-            console.log(`⚠ No "View Flight Details" link found for card ${index + 1}, skipping flight details extraction`);
-          }
-
-          // Add flight to results (already checked for duplicates above)
-          flights.push(flight);
-          console.log(`✓ Completed processing card ${index + 1}/${visibleCards.length}`);
-          
-          // Wait before moving to next card to ensure DOM is stable and all operations are complete
-          await sleep(200 * sleepMultiplier);
+          // Wait before moving to next card to ensure DOM is stable and all operations are complete
+          await sleep(200 * sleepMultiplier);
           
         } catch (error) {
           console.error(`✗ Error processing card ${index + 1}:`, error);
@@ -2756,6 +2184,8 @@
       console.error('Error in extractFlightsSequentially:', error);
     }
 
+    finishCardProgress();
+
     // Calculate execution time
     const endTime = Date.now();
     const executionTimeMs = endTime - startTime;
@@ -2789,96 +2219,189 @@
   }
 
   /**
-   * Find VIEW PRICES button for a specific card
+   * Open the levels of the extraction depth for one card of a listing (one-way and multi-city):
+   * the VIEW PRICES popup from 'fares' up (fare_options), View Flight Details and its tabs from
+   * 'itinerary' up (flight_details); everything opened is closed again before the next card
+   * @param {Element} card - Flight card
+   * @param {Object} flight - Flight extracted from the card (changed in place)
+   * @param {number} index - Card index for the log
    */
-  function findViewPricesButtonForCard(card) {
-    // Look for button within the card
-    const button = card.querySelector('button.ViewFareBtn');
-    if (button) {
-      const hasViewPrices = button.querySelector('span[data-test="component-buttonText"]');
-      if (hasViewPrices) {
-        return button;
-      }
-    }
+  async function extractCardDepthLevels(card, flight, index) {
+    // Minimal wait after extracting card details
+    await sleep(200 * sleepMultiplier);
     
-    // Fallback: look for button near the card (might be in a sibling element)
-    const cardParent = card.parentElement;
-    if (cardParent) {
-      const nearbyButton = cardParent.querySelector('button.ViewFareBtn');
-      if (nearbyButton) {
-        const hasViewPrices = nearbyButton.querySelector('span[data-test="component-buttonText"]');
-        if (hasViewPrices) {
-          return nearbyButton;
-        }
-      }
+    // STEP 2: Find VIEW PRICES button for this specific card
+    // VIEW PRICES popup only from the 'fares' depth up
+    const viewPricesButton = depthIncludes('fares') ? siteAdapter.popup.findViewPricesButton(card) : null;
+    if (viewPricesButton) {
+      reportCardPhase('view_prices');
     }
     
-    return null;
-  }
-
-  /**
-   * Find "View Flight Details" link for a specific card
-   */
-  function findViewFlightDetailsLinkForCard(card) {
-    // Look for span with class "linkText ctaLink viewFltDtlsCta" containing "View Flight Details"
-    const link = card.querySelector('span.linkText.ctaLink.viewFltDtlsCta');
-    if (link) {
-      const text = link.textContent?.trim() || '';
-      if (text.includes('View Flight Details')) {
-        return link;
+    if (viewPricesButton && isElementVisible(viewPricesButton) && !viewPricesButton.disabled) {
+      // Scroll card into view before clicking
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      
+      // Wait for scroll to complete (reduced)
+      await sleep(300 * sleepMultiplier);
+      
+      // STEP 4: Click VIEW PRICES button
+      try {
+        viewPricesButton.click();
+        
+        // Minimal wait for click to register
+        await sleep(200 * sleepMultiplier);
+      } catch (clickError) {
+        // Continue anyway, might still work
+        await sleep(200 * sleepMultiplier);
       }
-    }
-    
-    // Fallback: look for any span with "View Flight Details" text within the card
-    const allSpans = card.querySelectorAll('span');
-    for (const span of allSpans) {
-      const text = span.textContent?.trim() || '';
-      if (text === 'View Flight Details' || text.includes('View Flight Details')) {
-        // Check if it has the expected classes
-        if (span.classList.contains('linkText') && span.classList.contains('ctaLink')) {
-          return span;
+      
+      // STEP 5: Wait for popup to appear and fully load (RESPONSIVE - waits for actual UI)
+      // Wait for popup element to appear (responsive - waits for actual DOM element)
+      const popupElement = await waitForElement(`${siteAdapter.selectors.fareWrapper}, ${siteAdapter.selectors.farePopup}`, 5000 * sleepMultiplier);
+      
+      if (popupElement && isElementVisible(popupElement)) {
+        // Wait for popup content to fully load (responsive - waits for loading to complete)
+        await waitForLoadingToComplete(4000 * sleepMultiplier);
+        
+        // Wait for popup to be fully interactive (responsive - check for interactive elements)
+        const hasContent = await waitForElement(`${siteAdapter.selectors.farePopupContent}, button, a`, 2000, popupElement);
+        if (!hasContent) {
+          // Small wait if no content found yet
+          await sleep(200);
         }
+      } else {
+        // Small wait
+        await sleep(300);
       }
-    }
-    
-    // Fallback: look near the card (might be in a sibling element)
-    const cardParent = card.parentElement;
-    if (cardParent) {
-      const nearbyLink = cardParent.querySelector('span.linkText.ctaLink.viewFltDtlsCta');
-      if (nearbyLink) {
-        const text = nearbyLink.textContent?.trim() || '';
-        if (text.includes('View Flight Details')) {
-          return nearbyLink;
-        }
+      
+      // STEP 6: Extract detailed fare information from popup
+      const fareDetails = await extractFareDetailsFromPopup(card);
+      if (fareDetails) {
+        flight.fare_options = fareDetails;
+      }
+      
+      // STEP 7: Close popup after extraction is complete
+      await closePopupIfOpen();
+      
+      // Wait for popup to fully close - use event-driven wait
+      // Wait for popup to disappear
+      let popupStillVisible = true;
+      const startTime = Date.now();
+      while (popupStillVisible && (Date.now() - startTime < 2000)) {
+        popupStillVisible = siteAdapter.popup.isVisible();
+        if (!popupStillVisible) break;
+        await sleep(100);
+      }
+      
+      if (popupStillVisible) {
+        await sleep(500 * sleepMultiplier);
+        // Try closing again
+        await closePopupIfOpen();
+        await sleep(300 * sleepMultiplier);
       }
+      
+      // Wait for DOM to stabilize after popup closes (reduced)
+      await sleep(300 * sleepMultiplier);
+      
+      // Additional minimal wait
+      await sleep(200 * sleepMultiplier);
+    } else if (depthIncludes('fares')) {
+      // Minimal wait to ensure card is ready for Flight Details
+      await sleep(200 * sleepMultiplier);
     }
-    
-    return null;
-  }
 
-  /**
-   * Find "Hide Flight Details" link
-   */
-  function findHideFlightDetailsLink() {
-    // Look for span with class "linkText ctaLink viewFltDtlsCta" containing "Hide Flight Details"
-    const link = document.querySelector('span.linkText.ctaLink.viewFltDtlsCta');
-    if (link) {
-      const text = link.textContent?.trim() || '';
-      if (text.includes('Hide Flight Details')) {
-        return link;
-      }
+    // STEP 8: Extract Flight Details (View Flight Details → Extract → Hide)
+    // Minimal wait before starting Flight Details
+    await sleep(200 * sleepMultiplier);
+    
+    // Ensure card is visible and ready (minimal wait)
+    await sleep(100 * sleepMultiplier);
+    // View Flight Details only from the 'itinerary' depth up
+    const viewFlightDetailsLink = depthIncludes('itinerary') ? siteAdapter.popup.findViewFlightDetailsLink(card) : null;
+    if (viewFlightDetailsLink) {
+      reportCardPhase('flight_details');
     }
     
-    // Fallback: look for any span with "Hide Flight Details" text
-    const allSpans = document.querySelectorAll('span.linkText.ctaLink.viewFltDtlsCta');
-    for (const span of allSpans) {
-      const text = span.textContent?.trim() || '';
-      if (text === 'Hide Flight Details' || text.includes('Hide Flight Details')) {
-        return span;
+    if (viewFlightDetailsLink && isElementVisible(viewFlightDetailsLink)) {
+      try {
+        // Scroll card into view if needed
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        await sleep(300 * sleepMultiplier);
+        
+        // Minimal wait before clicking
+        await sleep(100 * sleepMultiplier);
+        
+        // Click "View Flight Details"
+        viewFlightDetailsLink.click();
+        
+        // Minimal wait for click to register
+        await sleep(200 * sleepMultiplier);
+        
+        // Wait for flightDetailsOuter to appear (responsive - waits for actual element)
+        const flightDetailsOuter = await waitForFlightDetailsOuter(8000);
+        
+        if (flightDetailsOuter) {
+          // Wait for loading to complete (responsive)
+          await waitForLoadingToComplete(5000 * sleepMultiplier);
+          
+          // Minimal wait for content to render
+          await sleep(500 * sleepMultiplier);
+          
+          // Extract all details from all tabs
+          const detailedFlightInfo = await extractDetailedFlightInfoFromAllTabs();
+          
+          if (detailedFlightInfo) {
+            flight.flight_details = detailedFlightInfo;
+            addFlightIdentity(flight); // Every segment's flight number is known now
+          }
+          
+          // Click "Hide Flight Details" to close
+          await sleep(200 * sleepMultiplier);
+          
+          const hideFlightDetailsLink = siteAdapter.popup.findHideFlightDetailsLink();
+          if (hideFlightDetailsLink && isElementVisible(hideFlightDetailsLink)) {
+            hideFlightDetailsLink.click();
+            
+            // Minimal wait for click to register
+            await sleep(200 * sleepMultiplier);
+            
+            // Wait for panel to close (reduced)
+            await sleep(300 * sleepMultiplier);
+            
+            // Verify panel is closed
+            const stillOpen = document.querySelector(siteAdapter.selectors.flightDetailsOuter);
+            if (stillOpen && isElementVisible(stillOpen)) {
+              await sleep(300 * sleepMultiplier);
+            }
+          } else {
+            // Try to find and click any close button or escape key
+            const closeButton = flightDetailsOuter.querySelector('button[aria-label*="close"], button[aria-label*="Close"], .close, [class*="close"]');
+            if (closeButton) {
+              closeButton.click();
+              await sleep(200 * sleepMultiplier);
+              await sleep(300 * sleepMultiplier); // Wait for panel to close
+            }
+          }
+        } else {
+          console.log(`⚠ Flight details panel did not appear for card ${index + 1}`);
+        }
+      } catch (error) {
+        console.error(`✗ Error extracting flight details for card ${index + 1}:`, error);
+        // Try to close if still open
+        try {
+          await sleep(100 * sleepMultiplier);
+          const hideLink = siteAdapter.popup.findHideFlightDetailsLink();
+          if (hideLink) {
+            hideLink.click();
+            await sleep(200 * sleepMultiplier);
+          }
+        } catch (e) {
+          // Ignore close errors
+        }
       }
+    } else if (depthIncludes('itinerary')) {
+      console.log(`⚠ No "View Flight Details" link found for card ${index + 1}, skipping flight details extraction`);
     }
-    
-    return null;
   }
 
   /**
@@ -2887,7 +2410,7 @@
   async function waitForFlightDetailsOuter(maxWaitMs = 8000) {
     const startTime = Date.now();
     while (Date.now() - startTime < maxWaitMs) {
-      const flightDetailsOuter = document.querySelector('div.flightDetailsOuter');
+      const flightDetailsOuter = document.querySelector(siteAdapter.selectors.flightDetailsOuter);
       if (flightDetailsOuter && isElementVisible(flightDetailsOuter)) {
         // Wait a bit more to ensure content is loaded
         await sleep(100 * sleepMultiplier);
@@ -2990,7 +2513,7 @@
       // Check if tab pane is active and visible
       if (tabPane && tabPane.classList.contains('active') && tabPane.classList.contains('show')) {
         // Check if content exists
-        const content = tabPane.querySelector('div.flightDetails, div.flightDetailsInfo, div[id*="tabpane"]');
+        const content = tabPane.querySelector(siteAdapter.selectors.detailsTabContent);
         if (content && content.children.length > 0) {
           await sleep(200); // Small additional wait
           return true;
@@ -3006,34 +2529,34 @@
    */
   async function extractFareDetailsFromPopup(card) {
     // Find visible popup that matches this card's route
-    const cardRoute = extractRouteFromCard(card);
+    const cardRoute = siteAdapter.popup.routeFromCard(card);
     
-    // For one-way trips, look for ffWrapper popup first
-    const ffWrapper = document.querySelector('div#ffWrapper, div.ffWrapper');
+    // For one-way trips, look for the fare wrapper popup first
+    const ffWrapper = document.querySelector(siteAdapter.selectors.fareWrapper);
     if (ffWrapper && isElementVisible(ffWrapper)) {
       console.log('Found ffWrapper popup (one-way trip)');
       return await extractFareOptionsFromFfWrapper(ffWrapper);
     }
     
     // For round trips or other popups, use existing logic
-    const allPopups = document.querySelectorAll('div.wdth100, div.journeyContent');
+    const allPopups = document.querySelectorAll(siteAdapter.selectors.farePopup);
     
     // Try to find popup that matches the card's route
     for (const popup of allPopups) {
       if (!isElementVisible(popup)) continue;
       
-      const popupRoute = extractRouteFromPopup(popup);
+      const popupRoute = siteAdapter.popup.routeFromPopup(popup);
       if (cardRoute && popupRoute && 
           (cardRoute.departure === popupRoute.departure || 
            cardRoute.arrival === popupRoute.arrival)) {
-        return extractFareOptionsFromPopup(popup);
+        return siteAdapter.popup.extractFareOptions(popup);
       }
     }
     
     // Fallback: if only one popup is visible, use it
     const visiblePopups = Array.from(allPopups).filter(p => isElementVisible(p));
     if (visiblePopups.length === 1) {
-      return extractFareOptionsFromPopup(visiblePopups[0]);
+      return siteAdapter.popup.extractFareOptions(visiblePopups[0]);
     }
     
     // If multiple popups, find the one closest to this card
@@ -3052,7 +2575,7 @@
       });
       
       if (closestPopup) {
-        return extractFareOptionsFromPopup(closestPopup);
+        return siteAdapter.popup.extractFareOptions(closestPopup);
       }
     }
     
@@ -3072,20 +2595,20 @@
     };
     
     // Extract route information from header
-    const routeEl = ffWrapper.querySelector('span.boldFont.fontSize16');
+    const routeEl = ffWrapper.querySelector(siteAdapter.selectors.farePopupRoute);
     if (routeEl) {
       result.route = routeEl.textContent?.trim();
     }
     
     // Extract airline and date/time info
-    const airlineInfoEl = ffWrapper.querySelector('span.mediumBoldFont');
+    const airlineInfoEl = ffWrapper.querySelector(siteAdapter.selectors.farePopupAirline);
     if (airlineInfoEl) {
       result.airline_info = airlineInfoEl.textContent?.trim();
     }
     
-    // Extract all fare cards from keen-slider
+    // Extract all fare cards from the fare slider
     // First, try to click "More fares available" button if present to load all cards
-    const moreFaresBtn = ffWrapper.querySelector('button.keen-next-button, button[class*="keen-next"]');
+    const moreFaresBtn = ffWrapper.querySelector(siteAdapter.selectors.moreFaresButton);
     if (moreFaresBtn && !moreFaresBtn.disabled && isElementVisible(moreFaresBtn)) {
       console.log('Found "More fares available" button, clicking to load all fare cards...');
       try {
@@ -3098,10 +2621,10 @@
       }
     }
     
-    const keenSlider = ffWrapper.querySelector('div.keen-slider');
+    const keenSlider = ffWrapper.querySelector(siteAdapter.selectors.fareSlider);
     const fareCards = keenSlider ? 
-      keenSlider.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide.fareFamilyCardWrapper') :
-      ffWrapper.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide.fareFamilyCardWrapper');
+      keenSlider.querySelectorAll(siteAdapter.selectors.fareCards) :
+      ffWrapper.querySelectorAll(siteAdapter.selectors.fareCards);
     
     const fares = [];
     const seenFares = new Set();
@@ -3110,7 +2633,7 @@
     
     for (const fareCard of fareCards) {
       if (isElementVisible(fareCard)) {
-        const fare = extractFareCardDetails(fareCard);
+        const fare = siteAdapter.popup.extractFareCard(fareCard);
         if (fare) {
           // Generate unique key for fare
           const fareKey = `${fare.fare_name || 'unknown'}_${fare.price || ''}_${fare.original_price || ''}`;
@@ -3134,36 +2657,16 @@
     return result.fare_classes.length > 0 ? result : null;
   }
 
-  /**
-   * Check if popup is currently visible
-   */
-  function checkIfPopupVisible() {
-    // Check for ffWrapper (one-way trips)
-    const ffWrapper = document.querySelector('div#ffWrapper, div.ffWrapper');
-    if (ffWrapper && isElementVisible(ffWrapper)) {
-      return true;
-    }
-    
-    // Check for other popups
-    const popups = document.querySelectorAll('div.wdth100, div.journeyContent');
-    for (const popup of popups) {
-      if (isElementVisible(popup)) {
-        return true;
-      }
-    }
-    return false;
-  }
-
   /**
    * Close popup if it's open (to avoid confusion with next card)
    * Returns true if popup was closed, false otherwise
    */
   async function closePopupIfOpen() {
-    // First, check for ffWrapper (one-way trips)
-    const ffWrapper = document.querySelector('div#ffWrapper, div.ffWrapper');
+    // First, check for the fare wrapper popup (one-way trips)
+    const ffWrapper = document.querySelector(siteAdapter.selectors.fareWrapper);
     if (ffWrapper && isElementVisible(ffWrapper)) {
-      // Look for multifareCross close button
-      const multifareCross = ffWrapper.querySelector('span.multifareCross, [class*="multifareCross"]');
+      // Look for its close button
+      const multifareCross = ffWrapper.querySelector(siteAdapter.selectors.farePopupClose);
       if (multifareCross && isElementVisible(multifareCross)) {
         try {
           multifareCross.click();
@@ -3177,7 +2680,7 @@
     }
     
     // Check for other popups
-    const popups = document.querySelectorAll('div.wdth100, div.journeyContent, [class*="modal"], [class*="popup"]');
+    const popups = document.querySelectorAll(`${siteAdapter.selectors.farePopup}, [class*="modal"], [class*="popup"]`);
     let popupFound = false;
     
     for (const popup of popups) {
@@ -3193,8 +2696,7 @@
     
     // Strategy 1: Look for close buttons (X buttons, close icons)
     const closeButtonSelectors = [
-      'span.multifareCross',
-      '[class*="multifareCross"]',
+      siteAdapter.selectors.farePopupClose,
       'button[aria-label*="close" i]',
       'button[class*="close" i]',
       'button[class*="Close" i]',
@@ -3204,9 +2706,8 @@
       '[class*="closeIcon"]',
       'span[class*="close"]',
       'div[class*="close"]',
-      // MakeMyTrip specific close buttons
-      'button[class*="closeBtn"]',
-      '[class*="closeButton"]'
+      // Site specific close buttons
+      ...siteAdapter.selectors.popupCloseButtons
     ];
     
     for (const selector of closeButtonSelectors) {
@@ -3292,6 +2793,38 @@
     return new Promise(resolve => setTimeout(resolve, adjustedMs));
   }
 
+  /**
+   * First element matching an adapter selector (arrays are tried in order)
+   * @param {string|string[]} selector - CSS selector or ordered fallbacks
+   * @param {Element} rootElement - Root element to search (default: document)
+   * @returns {Element|null}
+   */
+  function queryFirst(selector, rootElement = document) {
+    for (const candidate of [].concat(selector)) {
+      const element = rootElement.querySelector(candidate);
+      if (element) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * All elements of the first adapter selector that matches any (arrays are tried in order)
+   * @param {string|string[]} selector - CSS selector or ordered fallbacks
+   * @param {Element} rootElement - Root element to search (default: document)
+   * @returns {NodeList|Array} - Matching elements, empty if none match
+   */
+  function queryAllFirst(selector, rootElement = document) {
+    for (const candidate of [].concat(selector)) {
+      const elements = rootElement.querySelectorAll(candidate);
+      if (elements.length > 0) {
+        return elements;
+      }
+    }
+    return [];
+  }
+
   /**
    * Wait for element to appear in DOM using MutationObserver (faster than polling)
    * @param {string} selector - CSS selector
@@ -3542,131 +3075,13 @@
     });
   }
 
-  /**
-   * Main extraction function
-   * Uses multiple selector strategies with fallbacks
-   */
-  function extractFlightData() {
-    const flights = [];
-    const maxFlights = 200; // Performance limit
-    
-    try {
-      // Strategy 1: Look for common flight card containers
-      let flightCards = findFlightCards();
-      
-      if (flightCards.length === 0) {
-        console.warn('No flight cards found with primary selectors');
-        // Fallback: Try alternative selectors
-        flightCards = findFlightCardsFallback();
-      }
-
-      console.log(`Found ${flightCards.length} flight cards`);
-
-      // Limit to visible elements and max count
-      const visibleCards = Array.from(flightCards)
-        .filter(card => isElementVisible(card))
-        .slice(0, maxFlights);
-
-      visibleCards.forEach((card, index) => {
-        try {
-          const flight = extractFlightFromCard(card, index);
-          if (flight && isValidFlight(flight)) {
-            flights.push(flight);
-          }
-        } catch (error) {
-          console.error(`Error extracting flight ${index}:`, error);
-        }
-      });
-
-    } catch (error) {
-      console.error('Error in extractFlightData:', error);
-    }
-
-    return {
-      metadata: {
-        scraped_at: new Date().toISOString(),
-        source_url: window.location.href,
-        flights_count: flights.length,
-        user_agent: navigator.userAgent
-      },
-      flights: flights
-    };
-  }
-
-  /**
-   * Check if this is a round trip page
-   */
-  function checkIfRoundTrip() {
-    // Check for split view structure
-    const splitView = document.querySelector('div.splitVw, div[class*="splitView"]');
-    if (!splitView) return false;
-    
-    // Check for multiple panes
-    const panes = document.querySelectorAll('div.paneView, div[class*="paneView"]');
-    if (panes.length >= 2) return true;
-    
-    // Check for journey title indicating round trip
-    const journeyTitle = document.querySelector('p.journey-title, span[class*="journey-title"]');
-    if (journeyTitle) {
-      const text = journeyTitle.textContent?.toLowerCase() || '';
-      if (text.includes('and back') || text.includes('return')) {
-        return true;
-      }
-    }
-    
-    return false;
-  }
-
-  /**
-   * Find the "Flight Details" link in the sticky footer
-   */
-  function findFlightDetailsLink() {
-    // Look for the Flight Details link in splitviewStickyOuter
-    const stickyOuter = document.querySelector('div.splitviewStickyOuter, div[class*="splitviewSticky"]');
-    if (!stickyOuter) {
-      return null;
-    }
-    
-    // First, try to find in stickyFlightDtl sections
-    const stickyFlightDtls = stickyOuter.querySelectorAll('div.stickyFlightDtl');
-    for (const stickyDtl of stickyFlightDtls) {
-      const link = stickyDtl.querySelector('p.skyBlueText.fontSize12.pointer, p[class*="skyBlueText"]');
-      if (link) {
-        const text = link.textContent?.trim().toLowerCase() || '';
-        if (text.includes('flight details') || text.includes('flight detail')) {
-          return link;
-        }
-      }
-    }
-    
-    // Fallback: Find the link with "Flight Details" text anywhere in sticky footer
-    const links = stickyOuter.querySelectorAll('p.skyBlueText.fontSize12.pointer, p[class*="skyBlueText"]');
-    for (const link of links) {
-      const text = link.textContent?.trim().toLowerCase() || '';
-      if (text.includes('flight details') || text.includes('flight detail')) {
-        return link;
-      }
-    }
-    
-    // Last resort: look for any pointer element with "Flight Details" text
-    const allPointers = stickyOuter.querySelectorAll('.pointer, [class*="pointer"]');
-    for (const pointer of allPointers) {
-      const text = pointer.textContent?.trim().toLowerCase() || '';
-      if (text.includes('flight details') || text.includes('flight detail')) {
-        return pointer;
-      }
-    }
-    
-    return null;
-  }
-
   /**
    * Extract detailed flight information from all tabs in flightDetailsOuter
    * Clicks through all tabs to ensure complete data extraction
    */
   async function extractDetailedFlightInfoFromAllTabs() {
     try {
-    const flightDetailsOuter = document.querySelector('div.flightDetailsOuter');
+    const flightDetailsOuter = document.querySelector(siteAdapter.selectors.flightDetailsOuter);
     if (!flightDetailsOuter) {
         console.log('flightDetailsOuter not found');
         return null;
@@ -3688,7 +3103,7 @@
       // Get all tab links with error handling
       let tabLinks = null;
       try {
-        tabLinks = flightDetailsOuter.querySelectorAll('a.nav-item.nav-link, a[role="tab"]');
+        tabLinks = flightDetailsOuter.querySelectorAll(siteAdapter.selectors.detailsTabLink);
       } catch (queryError) {
         console.error('Error querying tab links:', queryError);
         return null;
@@ -3699,8 +3114,10 @@
         return null;
       }
       
-    // For one-way trips: Only extract FLIGHT DETAILS, skip FARE SUMMARY, CANCELLATION, and DATE CHANGE
-    const tabNames = ['FLIGHT DETAILS']; // Commented out: 'FARE SUMMARY', 'CANCELLATION', 'DATE CHANGE'
+    // FARE SUMMARY, CANCELLATION and DATE CHANGE (with their accordions) only at the 'policies' depth
+    const tabNames = depthIncludes('policies')
+      ? ['FLIGHT DETAILS', 'FARE SUMMARY', 'CANCELLATION', 'DATE CHANGE']
+      : ['FLIGHT DETAILS'];
     
     // Click through each tab and extract data
     for (let tabIndex = 0; tabIndex < tabLinks.length; tabIndex++) {
@@ -3710,6 +3127,11 @@
       // Check if this is one of the tabs we want
       const isTargetTab = tabNames.some(name => tabText.includes(name));
       if (!isTargetTab) continue;
+      const tabPhase = [['FLIGHT DETAILS', 'flight_details'], ['FARE SUMMARY', 'fare_summary'], ['CANCELLATION', 'cancellation'], ['DATE CHANGE', 'date_change']]
+        .find(([name]) => tabText.includes(name));
+      if (tabPhase) {
+        reportCardPhase(tabPhase[1]);
+      }
       
       try {
         // Verify flightDetailsOuter is still valid
@@ -3824,11 +3246,7 @@
             console.error(`Error extracting FLIGHT DETAILS:`, extractError);
           }
           await sleep(300); // Small delay after extraction
-        }
-        // COMMENTED OUT: For one-way trips, skip FARE SUMMARY, CANCELLATION, and DATE CHANGE extraction
-        // Only extract FLIGHT DETAILS to reduce processing time
-        /*
-        else if (tabText.includes('FARE SUMMARY')) {
+        } else if (tabText.includes('FARE SUMMARY')) {
           console.log(`Extracting FARE SUMMARY...`);
           try {
           const fareSummary = extractFareSummaryFromTab(flightDetailsOuter);
@@ -3875,7 +3293,6 @@
           }
           await sleep(300);
         }
-        */
       } catch (error) {
         console.error(`Error extracting data from tab ${tabText}:`, error);
         await sleep(100 * sleepMultiplier); // Wait before continuing to next tab
@@ -3895,457 +3312,51 @@
   }
 
   /**
-   * Extract flight details from FLIGHT DETAILS tab
+   * Extract cancellation policy from CANCELLATION tab
    */
-  function extractFlightDetailsFromTab(flightDetailsOuter) {
-    const flightDetails = [];
-    // Try multiple selectors to find the flight details tab
-    const flightDetailsTab = flightDetailsOuter.querySelector('div.splitViewFlightDtl, div[class*="splitViewFlightDtl"], div[id*="tabpane-1"], div[data-test="component-firstTab"]');
-    if (!flightDetailsTab) {
-      return flightDetails;
+  async function extractCancellationPolicyFromTab(flightDetailsOuter) {
+    try {
+      if (!flightDetailsOuter) {
+        console.error('extractCancellationPolicyFromTab: flightDetailsOuter is null');
+        return null;
+      }
+      
+      // Verify element is still connected
+      if (!flightDetailsOuter.isConnected) {
+        console.error('extractCancellationPolicyFromTab: flightDetailsOuter is not connected to DOM');
+        return null;
+      }
+      
+      // Find the cancellation tab
+      let cancellationTab = null;
+      try {
+        cancellationTab = flightDetailsOuter.querySelector(siteAdapter.selectors.cancellationTab);
+      } catch (queryError) {
+        console.error('Error querying cancellation tab:', queryError);
+      return null;
     }
-    
-    const flightDetailsSections = flightDetailsTab.querySelectorAll('div.flightDetails');
-    
-    flightDetailsSections.forEach((section, index) => {
-      const flightDetail = {};
       
-      // Extract route header (e.g., "Mumbai to Varanasi , 8 Nov")
-      const header = section.querySelector('p.flightDetailsHead');
-      if (header) {
-        flightDetail.route_header = header.textContent?.trim();
+      if (!cancellationTab) {
+        console.log('CANCELLATION tab not found');
+        return null;
       }
       
-      // Extract all flight rows (for multi-segment flights)
-      const flightRows = section.querySelectorAll('div.flightDetailsRow');
-      const segments = [];
+      // Verify tab is still connected
+      if (!cancellationTab.isConnected) {
+        console.error('CANCELLATION tab is not connected to DOM');
+        return null;
+      }
       
-      flightRows.forEach((row, rowIndex) => {
-        const segment = {};
-        
-        // Extract airline information
-        const airlineHeading = row.querySelector('span.airlineHeadng');
-        if (airlineHeading) {
-          const airlineText = airlineHeading.textContent?.trim();
-          // Extract airline name and flight code (e.g., "Air India AI  | 2677" or "Air India AI | 9989  | Operated By Air India Express")
-          const airlineMatch = airlineText.match(/([A-Za-z\s]+)\s+([A-Z0-9]{2})\s*\|\s*(\d+)/);
-          if (airlineMatch) {
-            segment.airline_name = airlineMatch[1].trim();
-            segment.airline_code = airlineMatch[2].trim();
-            segment.flight_number = airlineMatch[3].trim();
-            segment.full_flight_code = `${airlineMatch[2]} ${airlineMatch[3]}`;
-            
-            // Check for "Operated By" text
-            const operatedByMatch = airlineText.match(/Operated By\s+(.+)/i);
-            if (operatedByMatch) {
-              segment.operated_by = operatedByMatch[1].trim();
-            }
-          }
-        }
-        
-        // Extract aircraft type
-        const aircraftType = row.querySelector('span.aircraftType');
-        if (aircraftType) {
-          segment.aircraft_type = aircraftType.textContent?.trim();
-        }
-        
-        // Extract departure information
-        const flightDtlInfo = row.querySelector('div.flightDtlInfo');
-        if (flightDtlInfo) {
-          const departureInfo = flightDtlInfo.querySelector('div.airlineDTInfoCol:first-of-type');
-          if (departureInfo) {
-            const depTime = departureInfo.querySelector('p.fontSize18.blackText.blackFont');
-            if (depTime) {
-              segment.departure_time = depTime.textContent?.trim();
-            }
-            
-            const depDate = departureInfo.querySelector('p.fontSize12.blackText.boldFont');
-            if (depDate) {
-              segment.departure_date = depDate.textContent?.trim();
-            }
-            
-            const depTerminal = departureInfo.querySelector('font[color="#4a4a4a"]');
-            if (depTerminal) {
-              segment.departure_terminal = depTerminal.textContent?.trim();
-            }
-            
-            const depCity = departureInfo.querySelector('p.fontSize12:last-of-type');
-            if (depCity) {
-              segment.departure_city = depCity.textContent?.trim();
-            }
-          }
-          
-          // Extract arrival information
-          const arrivalInfo = flightDtlInfo.querySelector('div.airlineDTInfoCol:last-of-type');
-          if (arrivalInfo) {
-            const arrTime = arrivalInfo.querySelector('p.fontSize18.blackText.blackFont');
-            if (arrTime) {
-              segment.arrival_time = arrTime.textContent?.trim();
-            }
-            
-            const arrDate = arrivalInfo.querySelector('p.fontSize12.blackText.boldFont');
-            if (arrDate) {
-              segment.arrival_date = arrDate.textContent?.trim();
-            }
-            
-            const arrTerminal = arrivalInfo.querySelector('font[color="#4a4a4a"]');
-            if (arrTerminal) {
-              segment.arrival_terminal = arrTerminal.textContent?.trim();
-            }
-            
-            const arrCity = arrivalInfo.querySelector('p.fontSize12:last-of-type');
-            if (arrCity) {
-              segment.arrival_city = arrCity.textContent?.trim();
-            }
-          }
-          
-          // Extract duration
-          const durationEl = flightDtlInfo.querySelector('div.airlineDtlDuration');
-          if (durationEl) {
-            segment.duration = durationEl.textContent?.trim();
-          }
-          
-          // Extract baggage information
-          const baggageInfo = flightDtlInfo.querySelector('div.baggageInfo');
-          if (baggageInfo) {
-            const baggageRows = baggageInfo.querySelectorAll('p.makeFlex.spaceBetween');
-            const baggageData = [];
-            
-            baggageRows.forEach(bagRow => {
-              const cells = bagRow.querySelectorAll('span.baggageInfoText');
-              if (cells.length >= 3) {
-                baggageData.push({
-                  category: cells[0].textContent?.trim(),
-                  check_in: cells[1].textContent?.trim(),
-                  cabin: cells[2].textContent?.trim()
-                });
-              }
-            });
-            
-            if (baggageData.length > 0) {
-              segment.baggage_info = baggageData;
-            } else {
-              // Check if it says "Information not available"
-              const notAvailable = baggageInfo.querySelector('p.redText, font[color="#e53442"]');
-              if (notAvailable) {
-                segment.baggage_info = notAvailable.textContent?.trim();
-              }
-            }
-          }
-          
-          // Extract amenities (Complimentary Meals, Layout, Beverages, etc.)
-          const amenitiesContainer = row.querySelector('div.makeFlex.hrtlCenter.flexWrap.appendTop18');
-          if (amenitiesContainer) {
-            const amenities = [];
-            const amenityItems = amenitiesContainer.querySelectorAll('div.makeFlex.gap8.lowEmphasis.hrtlCenter');
-            
-            amenityItems.forEach(amenityItem => {
-              const amenityText = amenityItem.querySelector('div.fontSize12');
-              if (amenityText) {
-                const text = amenityText.textContent?.trim();
-                if (text) {
-                  amenities.push(text);
-                }
-              }
-            });
-            
-            if (amenities.length > 0) {
-              segment.amenities = amenities;
-            }
-          }
-        }
-        
-        if (Object.keys(segment).length > 0) {
-          segments.push(segment);
-        }
-      });
-      
-      // Extract layover information if present (there can be multiple layovers)
-      const layoverOuters = section.querySelectorAll('div.flightLayoverOuter');
-      if (layoverOuters.length > 0) {
-        const layovers = [];
-        layoverOuters.forEach(layoverOuter => {
-        const layoverInfo = layoverOuter.querySelector('div.flightLayover, div.mmtConnectLayover');
-        if (layoverInfo) {
-            const layoverText = layoverInfo.textContent?.trim();
-            if (layoverText) {
-              layovers.push(layoverText);
-            }
-          }
-        });
-        if (layovers.length > 0) {
-          flightDetail.layover_info = layovers.length === 1 ? layovers[0] : layovers;
-        }
-      }
-      
-      if (segments.length > 0) {
-        flightDetail.segments = segments;
-        flightDetails.push(flightDetail);
-      }
-    });
-    
-    return flightDetails;
-  }
-
-  /**
-   * Extract fare summary from FARE SUMMARY tab
-   */
-  function extractFareSummaryFromTab(flightDetailsOuter) {
-    try {
-      if (!flightDetailsOuter) {
-        console.error('extractFareSummaryFromTab: flightDetailsOuter is null');
-        return null;
-      }
-      
-      // Verify element is still connected
-      if (!flightDetailsOuter.isConnected) {
-        console.error('extractFareSummaryFromTab: flightDetailsOuter is not connected to DOM');
-        return null;
-      }
-      
-      // Try multiple selectors to find the fare summary tab
-      let fareSummaryTab = null;
-      try {
-        fareSummaryTab = flightDetailsOuter.querySelector('div[id*="tabpane-2"]');
-    if (!fareSummaryTab) {
-          fareSummaryTab = flightDetailsOuter.querySelector('div[aria-labelledby*="tab-2"]');
-        }
-        if (!fareSummaryTab) {
-          // Try to find by role
-          const allTabPanes = flightDetailsOuter.querySelectorAll('div[role="tabpanel"]');
-          for (const pane of allTabPanes) {
-            if (!pane.isConnected) continue;
-            try {
-              const id = pane.getAttribute('id') || '';
-              if (id.includes('tabpane-2') || id.includes('tab-2')) {
-                fareSummaryTab = pane;
-                break;
-              }
-            } catch (attrError) {
-              continue;
-            }
-          }
-        }
-      } catch (queryError) {
-        console.error('Error querying fare summary tab:', queryError);
-      return null;
-    }
-      
-      if (!fareSummaryTab) {
-        console.log('FARE SUMMARY tab not found');
-        return null;
-      }
-      
-      // Verify tab is still connected
-      if (!fareSummaryTab.isConnected) {
-        console.error('FARE SUMMARY tab is not connected to DOM');
-        return null;
-      }
-      
-      // Check if tab is visible/active
-      try {
-        if (fareSummaryTab.classList.contains('fade') && !fareSummaryTab.classList.contains('show')) {
-          console.log('FARE SUMMARY tab is not active/visible yet');
-          // Still try to extract, might work
-        }
-      } catch (classError) {
-        // Continue anyway
-    }
-    
-    const fareBreakup = {};
-      
-      // Try multiple selectors for fare rows
-      let fareRows = [];
-      try {
-        if (fareSummaryTab.isConnected) {
-          fareRows = Array.from(fareSummaryTab.querySelectorAll('p.appendBottom8.fontSize12'));
-          if (fareRows.length === 0) {
-            fareRows = Array.from(fareSummaryTab.querySelectorAll('p[class*="appendBottom8"]'));
-          }
-          if (fareRows.length === 0) {
-            fareRows = Array.from(fareSummaryTab.querySelectorAll('div.flightDetailsInfo p'));
-          }
-          if (fareRows.length === 0) {
-            // Try to find any paragraph with fare information
-            fareRows = Array.from(fareSummaryTab.querySelectorAll('p'));
-          }
-        }
-      } catch (queryError) {
-        console.warn('Error querying fare rows:', queryError);
-      }
-      
-      fareRows.forEach((row, index) => {
-        try {
-          // Check if row is still in DOM
-          if (!row || !row.isConnected) {
-            return; // Skip detached elements
-          }
-          
-          let spans = [];
-          try {
-            spans = Array.from(row.querySelectorAll('span.fareBreakupText, span'));
-          } catch (spanError) {
-            // Skip this row if query fails
-            return;
-          }
-          
-      if (spans.length >= 2) {
-            try {
-              // Verify spans are still connected before accessing textContent
-              if (!spans[0].isConnected || !spans[1].isConnected) {
-                return;
-              }
-        const label = spans[0].textContent?.trim();
-        const value = spans[1].textContent?.trim();
-        if (label && value) {
-                const key = label.toLowerCase().replace(/\s+/g, '_');
-                fareBreakup[key] = value;
-              }
-            } catch (textError) {
-              console.warn(`Error extracting text from fare row ${index}:`, textError);
-            }
-          } else if (spans.length === 1) {
-            // Sometimes the structure is different, try to get text directly
-            try {
-              if (!row.isConnected) return;
-              const text = row.textContent?.trim();
-              if (text) {
-                // Try to parse "Label: Value" format
-                const match = text.match(/^([^:]+):\s*(.+)$/);
-                if (match) {
-                  const key = match[1].trim().toLowerCase().replace(/\s+/g, '_');
-                  const value = match[2].trim();
-                  fareBreakup[key] = value;
-                }
-              }
-            } catch (textError) {
-              console.warn(`Error extracting text from fare row ${index}:`, textError);
-            }
-          }
-        } catch (rowError) {
-          console.warn(`Error processing fare row ${index}:`, rowError);
-          // Continue with next row
-        }
-      });
-      
-      // Also try to extract from font elements (as seen in the HTML structure)
-      if (Object.keys(fareBreakup).length === 0) {
-        try {
-          if (fareSummaryTab.isConnected) {
-            const fareInfoElements = Array.from(fareSummaryTab.querySelectorAll('div.flightDetailsInfo p, div.flightDetails p'));
-            fareInfoElements.forEach(element => {
-              try {
-                if (!element.isConnected) return;
-                const text = element.textContent?.trim();
-                if (text) {
-                  // Look for patterns like "TOTAL ₹ 18,271" or "Base Fare ₹ 15,797"
-                  const totalMatch = text.match(/(?:total|TOTAL)\s*[₹]?\s*([\d,]+)/i);
-                  if (totalMatch) {
-                    fareBreakup['total'] = `₹ ${totalMatch[1]}`;
-                  }
-                  const baseMatch = text.match(/(?:base\s*fare|Base Fare)\s*[₹]?\s*([\d,]+)/i);
-                  if (baseMatch) {
-                    fareBreakup['base_fare'] = `₹ ${baseMatch[1]}`;
-                  }
-                  const surchargeMatch = text.match(/(?:surcharges|Surcharges)\s*[₹]?\s*([\d,]+)/i);
-                  if (surchargeMatch) {
-                    fareBreakup['surcharges'] = `₹ ${surchargeMatch[1]}`;
-                  }
-                }
-              } catch (e) {
-                // Skip this element
-              }
-            });
-          }
-        } catch (e) {
-          console.warn('Error in alternative fare extraction:', e);
-        }
-      }
-    
-    return Object.keys(fareBreakup).length > 0 ? fareBreakup : null;
-    } catch (error) {
-      console.error('Error in extractFareSummaryFromTab:', error);
-      console.error('Error details:', {
-        message: error.message,
-        name: error.name,
-        stack: error.stack
-      });
-      return null;
-    }
-  }
-
-  /**
-   * Extract cancellation policy from CANCELLATION tab
-   */
-  async function extractCancellationPolicyFromTab(flightDetailsOuter) {
-    try {
-      if (!flightDetailsOuter) {
-        console.error('extractCancellationPolicyFromTab: flightDetailsOuter is null');
-        return null;
-      }
-      
-      // Verify element is still connected
-      if (!flightDetailsOuter.isConnected) {
-        console.error('extractCancellationPolicyFromTab: flightDetailsOuter is not connected to DOM');
-        return null;
-      }
-      
-      // Try multiple selectors to find the cancellation tab
-      let cancellationTab = null;
-      try {
-        cancellationTab = flightDetailsOuter.querySelector('div[id*="tabpane-3"]');
-    if (!cancellationTab) {
-          cancellationTab = flightDetailsOuter.querySelector('div[aria-labelledby*="tab-3"]');
-        }
-        if (!cancellationTab) {
-          // Try to find by role
-          const allTabPanes = flightDetailsOuter.querySelectorAll('div[role="tabpanel"]');
-          for (const pane of allTabPanes) {
-            if (!pane.isConnected) continue;
-            try {
-              const id = pane.getAttribute('id') || '';
-              if (id.includes('tabpane-3') || id.includes('tab-3')) {
-                cancellationTab = pane;
-                break;
-              }
-            } catch (attrError) {
-              continue;
-            }
-          }
-        }
-      } catch (queryError) {
-        console.error('Error querying cancellation tab:', queryError);
-      return null;
-    }
-      
-      if (!cancellationTab) {
-        console.log('CANCELLATION tab not found');
-        return null;
-      }
-      
-      // Verify tab is still connected
-      if (!cancellationTab.isConnected) {
-        console.error('CANCELLATION tab is not connected to DOM');
-        return null;
-      }
-      
-      // Wait for tab content to be ready
-      await sleep(500);
-    
-    const cancellationPolicies = [];
-      
-      // Try multiple selectors for accordion cards
-      let accordionCards = [];
-      try {
-        if (cancellationTab.isConnected) {
-          accordionCards = Array.from(cancellationTab.querySelectorAll('div.card'));
-          if (accordionCards.length === 0) {
-            accordionCards = Array.from(cancellationTab.querySelectorAll('div[class*="card"]'));
-          }
-          if (accordionCards.length === 0) {
-            // Try to find any collapsible sections
-            accordionCards = Array.from(cancellationTab.querySelectorAll('div[class*="collapse"], div[class*="accordion"]'));
-          }
+      // Wait for tab content to be ready
+      await sleep(500);
+    
+    const cancellationPolicies = [];
+      
+      // Try multiple selectors for accordion cards
+      let accordionCards = [];
+      try {
+        if (cancellationTab.isConnected) {
+          accordionCards = Array.from(queryAllFirst(siteAdapter.selectors.policyCards, cancellationTab));
         }
       } catch (queryError) {
         console.warn('Error querying accordion cards:', queryError);
@@ -4365,7 +3376,7 @@
           let route = null;
           
           try {
-            cardHeader = card.querySelector('div.card-header');
+            cardHeader = card.querySelector(siteAdapter.selectors.policyCardHeader);
             if (cardHeader && cardHeader.isConnected) {
               route = cardHeader.textContent?.trim() || null;
             }
@@ -4378,7 +3389,7 @@
           let isCollapsed = false;
           try {
             if (card.isConnected) {
-              collapseDiv = card.querySelector('div.collapse');
+              collapseDiv = card.querySelector(siteAdapter.selectors.policyCardCollapse);
               if (collapseDiv && collapseDiv.isConnected) {
                 isCollapsed = !collapseDiv.classList.contains('show');
               }
@@ -4429,13 +3440,7 @@
           let policyRows = [];
           try {
             if (card.isConnected) {
-              policyRows = Array.from(card.querySelectorAll('div.DateChangeInfo'));
-              if (policyRows.length === 0) {
-                policyRows = Array.from(card.querySelectorAll('div[class*="DateChangeInfo"]'));
-              }
-              if (policyRows.length === 0) {
-                policyRows = Array.from(card.querySelectorAll('div[class*="Info"]'));
-              }
+              policyRows = Array.from(queryAllFirst(siteAdapter.selectors.policyRows, card));
             }
           } catch (queryError) {
             console.warn(`Error querying policy rows for card ${i + 1}:`, queryError);
@@ -4457,7 +3462,7 @@
               
               try {
                 if (row.isConnected) {
-                  const timeFrameEl = row.querySelector('div.flightDetailsInfoLeft p');
+                  const timeFrameEl = row.querySelector(siteAdapter.selectors.policyTimeFrame);
                   if (timeFrameEl && timeFrameEl.isConnected) {
                     timeFrame = timeFrameEl.textContent?.trim();
                   }
@@ -4468,7 +3473,7 @@
               
               try {
                 if (row.isConnected) {
-                  const feeInfoEl = row.querySelector('div.flightDetailsInfoRight p');
+                  const feeInfoEl = row.querySelector(siteAdapter.selectors.policyFee);
                   if (feeInfoEl && feeInfoEl.isConnected) {
                     feeInfo = feeInfoEl.textContent?.trim();
                   }
@@ -4557,29 +3562,10 @@
         return null;
       }
       
-      // Try multiple selectors to find the date change tab
+      // Find the date change tab
       let dateChangeTab = null;
       try {
-        dateChangeTab = flightDetailsOuter.querySelector('div[id*="tabpane-4"]');
-    if (!dateChangeTab) {
-          dateChangeTab = flightDetailsOuter.querySelector('div[aria-labelledby*="tab-4"]');
-        }
-        if (!dateChangeTab) {
-          // Try to find by role
-          const allTabPanes = flightDetailsOuter.querySelectorAll('div[role="tabpanel"]');
-          for (const pane of allTabPanes) {
-            if (!pane.isConnected) continue;
-            try {
-              const id = pane.getAttribute('id') || '';
-              if (id.includes('tabpane-4') || id.includes('tab-4')) {
-                dateChangeTab = pane;
-                break;
-              }
-            } catch (attrError) {
-              continue;
-            }
-          }
-        }
+        dateChangeTab = flightDetailsOuter.querySelector(siteAdapter.selectors.dateChangeTab);
       } catch (queryError) {
         console.error('Error querying date change tab:', queryError);
       return null;
@@ -4605,14 +3591,7 @@
       let accordionCards = [];
       try {
         if (dateChangeTab.isConnected) {
-          accordionCards = Array.from(dateChangeTab.querySelectorAll('div.card'));
-          if (accordionCards.length === 0) {
-            accordionCards = Array.from(dateChangeTab.querySelectorAll('div[class*="card"]'));
-          }
-          if (accordionCards.length === 0) {
-            // Try to find any collapsible sections
-            accordionCards = Array.from(dateChangeTab.querySelectorAll('div[class*="collapse"], div[class*="accordion"]'));
-          }
+          accordionCards = Array.from(queryAllFirst(siteAdapter.selectors.policyCards, dateChangeTab));
         }
       } catch (queryError) {
         console.warn('Error querying accordion cards:', queryError);
@@ -4632,7 +3611,7 @@
           let route = null;
           
           try {
-            cardHeader = card.querySelector('div.card-header');
+            cardHeader = card.querySelector(siteAdapter.selectors.policyCardHeader);
             if (cardHeader && cardHeader.isConnected) {
               route = cardHeader.textContent?.trim() || null;
             }
@@ -4645,7 +3624,7 @@
           let isCollapsed = false;
           try {
             if (card.isConnected) {
-              collapseDiv = card.querySelector('div.collapse');
+              collapseDiv = card.querySelector(siteAdapter.selectors.policyCardCollapse);
               if (collapseDiv && collapseDiv.isConnected) {
                 isCollapsed = !collapseDiv.classList.contains('show');
               }
@@ -4696,13 +3675,7 @@
           let policyRows = [];
           try {
             if (card.isConnected) {
-              policyRows = Array.from(card.querySelectorAll('div.DateChangeInfo'));
-              if (policyRows.length === 0) {
-                policyRows = Array.from(card.querySelectorAll('div[class*="DateChangeInfo"]'));
-              }
-              if (policyRows.length === 0) {
-                policyRows = Array.from(card.querySelectorAll('div[class*="Info"]'));
-              }
+              policyRows = Array.from(queryAllFirst(siteAdapter.selectors.policyRows, card));
             }
           } catch (queryError) {
             console.warn(`Error querying policy rows for card ${i + 1}:`, queryError);
@@ -4724,7 +3697,7 @@
               
               try {
                 if (row.isConnected) {
-                  const timeFrameEl = row.querySelector('div.flightDetailsInfoLeft p');
+                  const timeFrameEl = row.querySelector(siteAdapter.selectors.policyTimeFrame);
                   if (timeFrameEl && timeFrameEl.isConnected) {
                     timeFrame = timeFrameEl.textContent?.trim();
                   }
@@ -4735,7 +3708,7 @@
               
               try {
                 if (row.isConnected) {
-                  const feeInfoEl = row.querySelector('div.flightDetailsInfoRight p');
+                  const feeInfoEl = row.querySelector(siteAdapter.selectors.policyFee);
                   if (feeInfoEl && feeInfoEl.isConnected) {
                     feeInfo = feeInfoEl.textContent?.trim();
                   }
@@ -4809,313 +3782,60 @@
   }
 
   /**
-   * Extract detailed flight information from flightDetailsOuter (legacy function for backward compatibility)
+   * Click all "options available" links within a specific pane
    */
-  function extractDetailedFlightInfo() {
-    const details = {
-      detailed_flights: [],
-      fare_summary: null,
-      cancellation_policy: null,
-      date_change_policy: null
-    };
+  async function clickOptionsAvailableLinksInPane(pane) {
+    // Find all flight count links in this pane that contain "options available"
+    const allLinks = [];
     
-    const flightDetailsOuter = document.querySelector('div.flightDetailsOuter');
-    if (!flightDetailsOuter) {
-      return null;
+    // Try each selector within the pane
+    for (const selector of siteAdapter.selectors.optionsAvailableLinks) {
+      try {
+        const elements = pane.querySelectorAll(selector);
+        for (const el of elements) {
+          const text = el.textContent?.trim().toLowerCase() || '';
+          // Match patterns like "13 options available", "2 options available", etc.
+          if (text.includes('options available') || text.includes('option available') || 
+              (text.includes('available') && /\d+/.test(text))) {
+            // Check if it's inside a group booking card
+            const groupCard = el.closest(siteAdapter.selectors.groupBookingCard);
+            if (groupCard) {
+              allLinks.push({ element: el, text: el.textContent?.trim(), groupCard });
+            }
+          }
+        }
+      } catch (e) {
+        // Invalid selector, continue
+      }
+    }
+    
+    if (allLinks.length === 0) {
+      console.log(`⚠ No "X options available" links found in this pane`);
+      return;
     }
     
-    // Extract flight details from FLIGHT DETAILS tab
-    const flightDetailsTab = flightDetailsOuter.querySelector('div.splitViewFlightDtl, div[class*="splitViewFlightDtl"]');
-    if (flightDetailsTab) {
-      const flightDetailsSections = flightDetailsTab.querySelectorAll('div.flightDetails');
+    console.log(`Found ${allLinks.length} "X options available" links in this pane to click`);
+    
+    // Click each link
+    for (let i = 0; i < allLinks.length; i++) {
+      const { element, text, groupCard } = allLinks[i];
       
-      flightDetailsSections.forEach((section, index) => {
-        const flightDetail = {};
+      try {
+        console.log(`Clicking link ${i + 1}/${allLinks.length} in pane: "${text}"`);
         
-        // Extract route header (e.g., "Mumbai to Varanasi , 8 Nov")
-        const header = section.querySelector('p.flightDetailsHead');
-        if (header) {
-          flightDetail.route_header = header.textContent?.trim();
+        // Check if the group card is collapsed
+        if (groupCard && groupCard.matches(siteAdapter.selectors.collapsedGroupCard)) {
+          console.log(`  Group card is collapsed, will expand it`);
         }
         
-        // Extract airline information
-        const airlineInfo = section.querySelector('div.flightDetailsRow');
-        if (airlineInfo) {
-          const airlineHeading = airlineInfo.querySelector('span.airlineHeadng');
-          if (airlineHeading) {
-            const airlineText = airlineHeading.textContent?.trim();
-            // Extract airline name and flight code (e.g., "SpiceJet SG  | 329")
-            const airlineMatch = airlineText.match(/([A-Za-z\s]+)\s+([A-Z0-9]{2})\s*\|\s*(\d+)/);
-            if (airlineMatch) {
-              flightDetail.airline_name = airlineMatch[1].trim();
-              flightDetail.airline_code = airlineMatch[2].trim();
-              flightDetail.flight_number = airlineMatch[3].trim();
-              flightDetail.full_flight_code = `${airlineMatch[2]} ${airlineMatch[3]}`;
-            }
-          }
-          
-          // Extract aircraft type
-          const aircraftType = airlineInfo.querySelector('span.aircraftType');
-          if (aircraftType) {
-            flightDetail.aircraft_type = aircraftType.textContent?.trim();
-          }
-        }
-        
-        // Extract departure information
-        const departureInfo = section.querySelector('div.airlineDTInfoCol:first-of-type');
-        if (departureInfo) {
-          const depTime = departureInfo.querySelector('p.fontSize18.blackText.blackFont');
-          if (depTime) {
-            flightDetail.departure_time_detailed = depTime.textContent?.trim();
-          }
-          
-          const depDate = departureInfo.querySelector('p.fontSize12.blackText.boldFont');
-          if (depDate) {
-            flightDetail.departure_date_detailed = depDate.textContent?.trim();
-          }
-          
-          const depTerminal = departureInfo.querySelector('font[color="#4a4a4a"]');
-          if (depTerminal) {
-            flightDetail.departure_terminal = depTerminal.textContent?.trim();
-          }
-          
-          const depCity = departureInfo.querySelector('p.fontSize12:last-of-type');
-          if (depCity) {
-            flightDetail.departure_city_detailed = depCity.textContent?.trim();
-          }
-        }
-        
-        // Extract arrival information
-        const arrivalInfo = section.querySelector('div.airlineDTInfoCol:last-of-type');
-        if (arrivalInfo) {
-          const arrTime = arrivalInfo.querySelector('p.fontSize18.blackText.blackFont');
-          if (arrTime) {
-            flightDetail.arrival_time_detailed = arrTime.textContent?.trim();
-          }
-          
-          const arrDate = arrivalInfo.querySelector('p.fontSize12.blackText.boldFont');
-          if (arrDate) {
-            flightDetail.arrival_date_detailed = arrDate.textContent?.trim();
-          }
-          
-          const arrTerminal = arrivalInfo.querySelector('font[color="#4a4a4a"]');
-          if (arrTerminal) {
-            flightDetail.arrival_terminal = arrTerminal.textContent?.trim();
-          }
-          
-          const arrCity = arrivalInfo.querySelector('p.fontSize12:last-of-type');
-          if (arrCity) {
-            flightDetail.arrival_city_detailed = arrCity.textContent?.trim();
-          }
-        }
-        
-        // Extract duration
-        const durationEl = section.querySelector('div.airlineDtlDuration');
-        if (durationEl) {
-          flightDetail.duration_detailed = durationEl.textContent?.trim();
-        }
-        
-        // Extract baggage information
-        const baggageInfo = section.querySelector('div.baggageInfo');
-        if (baggageInfo) {
-          const baggageRows = baggageInfo.querySelectorAll('p.makeFlex.spaceBetween');
-          const baggageData = [];
-          
-          baggageRows.forEach(row => {
-            const cells = row.querySelectorAll('span.baggageInfoText');
-            if (cells.length >= 3) {
-              baggageData.push({
-                category: cells[0].textContent?.trim(),
-                check_in: cells[1].textContent?.trim(),
-                cabin: cells[2].textContent?.trim()
-              });
-            }
-          });
-          
-          if (baggageData.length > 0) {
-            flightDetail.baggage_info = baggageData;
-          } else {
-            // Check if it says "Information not available"
-            const notAvailable = baggageInfo.querySelector('p.redText');
-            if (notAvailable) {
-              flightDetail.baggage_info = notAvailable.textContent?.trim();
-            }
-          }
-        }
-        
-        if (Object.keys(flightDetail).length > 0) {
-          details.detailed_flights.push(flightDetail);
-        }
-      });
-    }
-    
-    // COMMENTED OUT: For one-way trips, skip FARE SUMMARY, CANCELLATION, and DATE CHANGE extraction
-    // Only extract FLIGHT DETAILS to reduce processing time
-    /*
-    // Extract fare summary from FARE SUMMARY tab
-    const fareSummaryTab = flightDetailsOuter.querySelector('div[id*="tabpane-2"]');
-    if (fareSummaryTab) {
-      const fareBreakup = {};
-      const fareRows = fareSummaryTab.querySelectorAll('p.appendBottom8.fontSize12');
-      
-      fareRows.forEach(row => {
-        const spans = row.querySelectorAll('span.fareBreakupText, span');
-        if (spans.length >= 2) {
-          const label = spans[0].textContent?.trim();
-          const value = spans[1].textContent?.trim();
-          if (label && value) {
-            fareBreakup[label.toLowerCase().replace(/\s+/g, '_')] = value;
-          }
-        }
-      });
-      
-      if (Object.keys(fareBreakup).length > 0) {
-        details.fare_summary = fareBreakup;
-      }
-    }
-    
-    // Extract cancellation policy from CANCELLATION tab
-    const cancellationTab = flightDetailsOuter.querySelector('div[id*="tabpane-3"]');
-    if (cancellationTab) {
-      const cancellationPolicies = [];
-      const accordionCards = cancellationTab.querySelectorAll('div.card');
-      
-      accordionCards.forEach(card => {
-        const cardHeader = card.querySelector('div.card-header');
-        const route = cardHeader ? cardHeader.textContent?.trim() : null;
-        
-        const policyRows = card.querySelectorAll('div.DateChangeInfo');
-        const policies = [];
-        
-        policyRows.forEach(row => {
-          const timeFrame = row.querySelector('div.flightDetailsInfoLeft p');
-          const feeInfo = row.querySelector('div.flightDetailsInfoRight p');
-          
-          if (timeFrame && feeInfo) {
-            policies.push({
-              time_frame: timeFrame.textContent?.trim(),
-              fee: feeInfo.textContent?.trim()
-            });
-          }
-        });
-        
-        if (route && policies.length > 0) {
-          cancellationPolicies.push({
-            route: route,
-            policies: policies
-          });
-        }
-      });
-      
-      if (cancellationPolicies.length > 0) {
-        details.cancellation_policy = cancellationPolicies;
-      }
-    }
-    
-    // Extract date change policy from DATE CHANGE tab
-    const dateChangeTab = flightDetailsOuter.querySelector('div[id*="tabpane-4"]');
-    if (dateChangeTab) {
-      const dateChangePolicies = [];
-      const accordionCards = dateChangeTab.querySelectorAll('div.card');
-      
-      accordionCards.forEach(card => {
-        const cardHeader = card.querySelector('div.card-header');
-        const route = cardHeader ? cardHeader.textContent?.trim() : null;
-        
-        const policyRows = card.querySelectorAll('div.DateChangeInfo');
-        const policies = [];
-        
-        policyRows.forEach(row => {
-          const timeFrame = row.querySelector('div.flightDetailsInfoLeft p');
-          const feeInfo = row.querySelector('div.flightDetailsInfoRight p');
-          
-          if (timeFrame && feeInfo) {
-            policies.push({
-              time_frame: timeFrame.textContent?.trim(),
-              fee: feeInfo.textContent?.trim()
-            });
-          }
-        });
-        
-        if (route && policies.length > 0) {
-          dateChangePolicies.push({
-            route: route,
-            policies: policies
-          });
-        }
-      });
-      
-      if (dateChangePolicies.length > 0) {
-        details.date_change_policy = dateChangePolicies;
-      }
-    }
-    */
-    
-    return Object.keys(details).length > 0 ? details : null;
-  }
-
-  /**
-   * Click all "options available" links within a specific pane
-   */
-  async function clickOptionsAvailableLinksInPane(pane) {
-    // Find all flight count links in this pane that contain "options available"
-    const selectors = [
-      'span.flight-count.fontSize14.pointer[data-test="component-flight-count"]',
-      'span[data-test="component-flight-count"]',
-      'span.flight-count.fontSize14.pointer',
-      'span.flight-count'
-    ];
-    
-    const allLinks = [];
-    
-    // Try each selector within the pane
-    for (const selector of selectors) {
-      try {
-        const elements = pane.querySelectorAll(selector);
-        for (const el of elements) {
-          const text = el.textContent?.trim().toLowerCase() || '';
-          // Match patterns like "13 options available", "2 options available", etc.
-          if (text.includes('options available') || text.includes('option available') || 
-              (text.includes('available') && /\d+/.test(text))) {
-            // Check if it's inside a group booking card
-            const groupCard = el.closest('div.groupBookingCard');
-            if (groupCard) {
-              allLinks.push({ element: el, text: el.textContent?.trim(), groupCard });
-            }
-          }
-        }
-      } catch (e) {
-        // Invalid selector, continue
-      }
-    }
-    
-    if (allLinks.length === 0) {
-      console.log(`⚠ No "X options available" links found in this pane`);
-      return;
-    }
-    
-    console.log(`Found ${allLinks.length} "X options available" links in this pane to click`);
-    
-    // Click each link
-    for (let i = 0; i < allLinks.length; i++) {
-      const { element, text, groupCard } = allLinks[i];
-      
-      try {
-        console.log(`Clicking link ${i + 1}/${allLinks.length} in pane: "${text}"`);
-        
-        // Check if the group card is collapsed
-        if (groupCard && groupCard.classList.contains('collapsed')) {
-          console.log(`  Group card is collapsed, will expand it`);
-        }
-        
-        // Scroll into view
-        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        await sleep(100 * sleepMultiplier);
-        
-        // Check if visible
-        if (!isElementVisible(element)) {
-          console.log(`  ⚠ Link ${i + 1} is not visible, skipping...`);
-          continue;
+        // Scroll into view
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        await sleep(100 * sleepMultiplier);
+        
+        // Check if visible
+        if (!isElementVisible(element)) {
+          console.log(`  ⚠ Link ${i + 1} is not visible, skipping...`);
+          continue;
         }
         
         // Method 1: Direct click
@@ -5155,18 +3875,34 @@
     console.log(`✓ Finished clicking ${allLinks.length} "X options available" links in this pane`);
   }
 
+  /**
+   * Selectable label of a split view card (the card itself when it is the label)
+   */
+  function splitViewLabel(card) {
+    return card.matches(siteAdapter.selectors.splitViewCard) ? card : card.closest(siteAdapter.selectors.splitViewCard);
+  }
+
+  /**
+   * Listing card inside a split view label, for the field extractors
+   */
+  function splitViewCardBody(card) {
+    return card.matches(siteAdapter.selectors.splitViewCard)
+      ? card.querySelector(siteAdapter.selectors.listingCard) || card
+      : card;
+  }
+
   /**
    * Close the flight details section by clicking the arrow down
    */
   async function closeFlightDetailsSection() {
-    // Look for the arrow down button in splitviewStickyOuter
-    const stickyOuter = document.querySelector('div.splitviewStickyOuter, div[class*="splitviewSticky"]');
+    // Look for the arrow down button in the sticky footer
+    const stickyOuter = document.querySelector(siteAdapter.selectors.stickyFooter);
     if (!stickyOuter) {
       return false;
     }
     
     // Find the arrow down element
-    const arrowDown = stickyOuter.querySelector('span.customArrow.arrowDown, span[class*="arrowDown"], span.customArrow[class*="arrowDown"]');
+    const arrowDown = stickyOuter.querySelector(siteAdapter.selectors.stickyFooterCollapse);
     if (arrowDown) {
       try {
         arrowDown.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -5207,7 +3943,7 @@
     
     // VALIDATION: Check if required elements exist before proceeding
     console.log('Validating DOMESTIC round trip page structure...');
-    const validation = validateDomesticTripStructure('round_trip');
+    const validation = siteAdapter.validateDomesticPage('round_trip');
     
     if (!validation.valid) {
       const errorMsg = `Validation failed: ${validation.error}`;
@@ -5244,13 +3980,7 @@
     
     // If validation didn't provide panes, try to find them
     if (!panes || panes.length === 0) {
-      panes = splitView.querySelectorAll('div.paneView');
-      if (panes.length === 0) {
-        panes = splitView.querySelectorAll('div[class*="paneView"]');
-      }
-      if (panes.length === 0) {
-        panes = splitView.querySelectorAll('div[class*="pane"]');
-      }
+      panes = queryAllFirst(siteAdapter.selectors.splitViewPanes, splitView);
     }
     
     console.log(`Found ${panes.length} panes for round trip`);
@@ -5276,14 +4006,25 @@
       };
     }
     
+    // Cards selected on the page before any card is clicked ('selected' pairing), and the
+    // extracted cards of each pane with their flights for the pair prices
+    const selectedLabels = roundTripPairing === 'selected' && siteAdapter.popup.findSelectedSplitViewCard
+      ? Array.from(panes).map(pane => siteAdapter.popup.findSelectedSplitViewCard(pane))
+      : [];
+    const pairableCards = Array.from(panes).map(() => []);
+    
     // Process each pane
     for (let paneIndex = 0; paneIndex < panes.length; paneIndex++) {
       const pane = panes[paneIndex];
+      if (extractionControl.stopped) {
+        // Stopped during the outbound pane: the return pane is not started
+        break;
+      }
       
       // Extract pane information (route, date)
-      const paneTitle = pane.querySelector('p.fontSize16.blackText b, p.fontSize16.blackText.appendLR20.appendBottom20.paddingTop20 b');
+      const paneTitle = pane.querySelector(siteAdapter.selectors.paneTitle);
       const routeText = paneTitle ? paneTitle.textContent?.trim() : null;
-      const paneDate = pane.querySelector('p.fontSize16.blackText.appendLR20.appendBottom20.paddingTop20');
+      const paneDate = pane.querySelector(siteAdapter.selectors.paneDate);
       const dateText = paneDate ? paneDate.textContent?.trim() : null;
       
       console.log(`\n=== Processing Pane ${paneIndex + 1}/${panes.length}: ${routeText} ===`);
@@ -5332,35 +4073,35 @@
       
       // STEP 2: Find all flight cards after scrolling
       console.log(`\n=== STEP 2: Finding all cards in ${direction} pane ===`);
-      // Cards are structured as: listingCardWrap > div > div > label.splitViewListing > div.listingCard
+      // Cards are split view labels wrapping a listing card, inside the pane's card list
       let paneCards = null;
       
-      // First try: Look for listingCardWrap and search inside (most reliable)
-      const listingCardWrap = pane.querySelector('div.listingCardWrap');
+      // First try: Look for the card list and search inside (most reliable)
+      const listingCardWrap = pane.querySelector(siteAdapter.selectors.splitViewCardList);
       if (listingCardWrap) {
-        console.log(`Found listingCardWrap, searching inside...`);
-        paneCards = listingCardWrap.querySelectorAll('label.splitViewListing');
+        console.log(`Found card list, searching inside...`);
+        paneCards = listingCardWrap.querySelectorAll(siteAdapter.selectors.splitViewCard);
         if (paneCards.length === 0) {
-          paneCards = listingCardWrap.querySelectorAll('div.listingCard');
+          paneCards = listingCardWrap.querySelectorAll(siteAdapter.selectors.listingCard);
         }
       }
       
-      // Second try: Direct search in pane for label.splitViewListing
+      // Second try: Direct search in pane for split view labels
       if (!paneCards || paneCards.length === 0) {
-        console.log(`Searching directly in pane for label.splitViewListing...`);
-        paneCards = pane.querySelectorAll('label.splitViewListing');
+        console.log(`Searching directly in pane for split view labels...`);
+        paneCards = pane.querySelectorAll(siteAdapter.selectors.splitViewCard);
       }
       
-      // Third try: Find listingCard directly
+      // Third try: Find listing cards directly
       if (!paneCards || paneCards.length === 0) {
-        console.log(`No label.splitViewListing found, trying div.listingCard...`);
-        paneCards = pane.querySelectorAll('div.listingCard');
+        console.log(`No split view labels found, trying listing cards...`);
+        paneCards = pane.querySelectorAll(siteAdapter.selectors.listingCard);
       }
       
       // Fourth try: Alternative selectors
       if (!paneCards || paneCards.length === 0) {
         console.log(`No cards found with primary selectors, trying alternatives...`);
-        paneCards = pane.querySelectorAll('label[class*="splitView"], label[class*="Listing"], div[class*="listingCard"], div[class*="flightCard"], [id*="flightCard"]');
+        paneCards = pane.querySelectorAll(siteAdapter.selectors.splitViewCardsLoose);
       }
       
       if (!paneCards || paneCards.length === 0) {
@@ -5373,12 +4114,11 @@
       // Filter to only actual flight cards (not group placeholders)
       const allActualCards = Array.from(paneCards).filter(card => {
         // Skip group placeholder cards
-        if (card.classList.contains('group-placeholder')) {
+        if (card.matches(siteAdapter.selectors.groupPlaceholder)) {
           return false;
         }
         // Skip if it's inside a collapsed group
-        const groupCard = card.closest('div.groupBookingCard');
-        if (groupCard && groupCard.classList.contains('collapsed')) {
+        if (card.closest(siteAdapter.selectors.collapsedGroupCard)) {
           return false;
         }
         // Check if card has meaningful content (time or price)
@@ -5408,10 +4148,15 @@
       // STEP 3: Process each card and verify all are processed
       console.log(`\n=== STEP 3: Processing all ${paneTotalCount} cards in ${direction} pane ===`);
       const processedCards = new Set(); // Track processed cards to avoid duplicates
+      startCardProgress('domestic_round_trip', visiblePaneCards.length, allFlights, direction);
       
       for (let cardIndex = 0; cardIndex < visiblePaneCards.length; cardIndex++) {
         const card = visiblePaneCards[cardIndex];
+        if (await shouldStopExtraction()) {
+          break;
+        }
         const globalIndex = allFlights.length;
+        reportCardProgress(cardIndex, 'card');
         
         // Scroll card into view to ensure it's loaded
         try {
@@ -5438,17 +4183,18 @@
         
         try {
           // Get the actual card element (might be label or div)
-          const cardElement = card.classList.contains('splitViewListing') 
-            ? card.querySelector('div.listingCard') || card 
-            : card;
+          const cardElement = splitViewCardBody(card);
           
           // Extract basic card details
           const flight = extractFlightFromCard(cardElement, globalIndex);
           
           // Add round trip specific information
-          flight.direction = direction;
-          flight.is_return_flight = direction === 'return'; // Key to identify return flights
+          flight.direction = direction; // Key to identify return flights
           flight.pane_index = paneIndex;
+          if (direction === 'return') {
+            addFlightTimestamps(flight, cardElement); // Return leg falls back to the return date
+            addFlightIdentity(flight);
+          }
           flight.route = routeText;
           flight.date = dateText || flight.date; // Use pane date if available, otherwise use extracted date
           
@@ -5468,92 +4214,98 @@
           // Wait a moment after extracting card details
           await sleep(300);
           
-          // STEP: Click the card to select it
-          console.log(`Clicking ${direction} card ${cardIndex + 1} to select...`);
-          try {
-            // Scroll card into view
-            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            await sleep(600);
+          // Selecting the card opens its Flight Details link: only from the 'itinerary' depth up
+          if (depthIncludes('itinerary')) {
+            reportCardPhase('select_card');
+            // STEP: Click the card to select it
+            console.log(`Clicking ${direction} card ${cardIndex + 1} to select...`);
+            try {
+              // Scroll card into view
+              card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+              await sleep(600);
             
-            // Click the label/card to select it
-            const label = card.classList.contains('splitViewListing') ? card : card.closest('label.splitViewListing');
-            if (label) {
-              label.click();
-              console.log(`✓ Clicked ${direction} card ${cardIndex + 1}`);
-            } else {
-              card.click();
-              console.log(`✓ Clicked ${direction} card ${cardIndex + 1} (direct)`);
-            }
+              // Click the label/card to select it
+              const label = splitViewLabel(card);
+              if (label) {
+                label.click();
+                console.log(`✓ Clicked ${direction} card ${cardIndex + 1}`);
+              } else {
+                card.click();
+                console.log(`✓ Clicked ${direction} card ${cardIndex + 1} (direct)`);
+              }
             
-            // Wait for sticky footer to appear and stabilize
-            await sleep(300 * sleepMultiplier);
+              // Wait for sticky footer to appear and stabilize
+              await sleep(300 * sleepMultiplier);
             
-            // STEP: Click "Flight Details" link in sticky footer
-            console.log(`Looking for Flight Details link for ${direction} card ${cardIndex + 1}...`);
-            const flightDetailsLink = findFlightDetailsLink();
+              reportCardPhase('flight_details');
+              // STEP: Click "Flight Details" link in sticky footer
+              console.log(`Looking for Flight Details link for ${direction} card ${cardIndex + 1}...`);
+              const flightDetailsLink = siteAdapter.popup.findFlightDetailsLink();
             
-            if (flightDetailsLink) {
-              try {
-                flightDetailsLink.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                await sleep(400);
-                flightDetailsLink.click();
-                console.log(`✓ Clicked Flight Details link for ${direction} card ${cardIndex + 1}`);
+              if (flightDetailsLink) {
+                try {
+                  flightDetailsLink.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                  await sleep(400);
+                  flightDetailsLink.click();
+                  console.log(`✓ Clicked Flight Details link for ${direction} card ${cardIndex + 1}`);
                 
-                // Wait for flight details section to fully load
-                await sleep(2500);
+                  // Wait for flight details section to fully load
+                  await sleep(2500);
                 
-                // STEP: Extract detailed flight information from ALL tabs
-                console.log(`Extracting detailed flight information for ${direction} card ${cardIndex + 1}...`);
-                const detailedFlightInfo = await extractDetailedFlightInfoFromAllTabs();
-                if (detailedFlightInfo) {
-                  // Merge detailed info into flight object
-                  Object.assign(flight, detailedFlightInfo);
+                  // STEP: Extract detailed flight information from ALL tabs
+                  console.log(`Extracting detailed flight information for ${direction} card ${cardIndex + 1}...`);
+                  const detailedFlightInfo = await extractDetailedFlightInfoFromAllTabs();
+                  if (detailedFlightInfo) {
+                    // Merge detailed info into flight object
+                    Object.assign(flight, detailedFlightInfo);
                   
-                  // Ensure flight name and code are extracted from detailed info if missing
-                  if (detailedFlightInfo.detailed_flights && detailedFlightInfo.detailed_flights.length > 0) {
-                    const firstFlight = detailedFlightInfo.detailed_flights[0];
-                    if (firstFlight.segments && firstFlight.segments.length > 0) {
-                      const firstSegment = firstFlight.segments[0];
-                      // Update flight name and code from detailed info if not already present
-                      if (!flight.airline && firstSegment.airline_name) {
-                        flight.airline = firstSegment.airline_name;
-                      }
-                      if (!flight.flight_code && firstSegment.full_flight_code) {
-                        flight.flight_code = firstSegment.full_flight_code;
-                      }
-                      if (!flight.airline_code && firstSegment.airline_code) {
-                        flight.airline_code = firstSegment.airline_code;
-                      }
-                      // Update layover info from detailed info
-                      if (firstFlight.layover_info && !flight.layovers) {
-                        flight.layovers = firstFlight.layover_info;
+                    // Ensure flight name and code are extracted from detailed info if missing
+                    if (detailedFlightInfo.detailed_flights && detailedFlightInfo.detailed_flights.length > 0) {
+                      const firstFlight = detailedFlightInfo.detailed_flights[0];
+                      if (firstFlight.segments && firstFlight.segments.length > 0) {
+                        const firstSegment = firstFlight.segments[0];
+                        // Update flight name and code from detailed info if not already present
+                        if (!flight.airline && firstSegment.airline_name) {
+                          flight.airline = firstSegment.airline_name;
+                        }
+                        if (!flight.flight_code && firstSegment.full_flight_code) {
+                          flight.flight_code = firstSegment.full_flight_code;
+                        }
+                        if (!flight.airline_code && firstSegment.airline_code) {
+                          flight.airline_code = firstSegment.airline_code;
+                        }
+                        // Update layover info from detailed info
+                        if (firstFlight.layover_info && !flight.layovers) {
+                          flight.layovers = firstFlight.layover_info;
+                        }
                       }
                     }
-                  }
+                    addFlightIdentity(flight); // Every segment's flight number is known now
                   
-                  console.log(`✓ Extracted detailed flight info for ${direction} card ${cardIndex + 1}`);
-                } else {
-                  console.log(`⚠ No detailed flight info found for ${direction} card ${cardIndex + 1}`);
-                }
+                    console.log(`✓ Extracted detailed flight info for ${direction} card ${cardIndex + 1}`);
+                  } else {
+                    console.log(`⚠ No detailed flight info found for ${direction} card ${cardIndex + 1}`);
+                  }
                 
-                // STEP: Close the flight details section
-                console.log(`Closing flight details for ${direction} card ${cardIndex + 1}...`);
-                await closeFlightDetailsSection();
-                await sleep(800); // Wait for section to fully close
+                  // STEP: Close the flight details section
+                  console.log(`Closing flight details for ${direction} card ${cardIndex + 1}...`);
+                  await closeFlightDetailsSection();
+                  await sleep(800); // Wait for section to fully close
                 
-              } catch (linkError) {
-                console.error(`✗ Error clicking Flight Details link:`, linkError);
+                } catch (linkError) {
+                  console.error(`✗ Error clicking Flight Details link:`, linkError);
+                }
+              } else {
+                console.log(`⚠ Flight Details link not found for ${direction} card ${cardIndex + 1}`);
               }
-            } else {
-              console.log(`⚠ Flight Details link not found for ${direction} card ${cardIndex + 1}`);
+            } catch (cardError) {
+              console.error(`✗ Error processing ${direction} card ${cardIndex + 1}:`, cardError);
             }
-          } catch (cardError) {
-            console.error(`✗ Error processing ${direction} card ${cardIndex + 1}:`, cardError);
           }
           
           // Add flight to results only if it was successfully extracted and is valid
-          // (flight should already be added if it passed validation earlier)
-          if (flight && isValidFlight(flight) && !isDuplicateFlight(flight, seenFlights)) {
+          // (the duplicate check above already recorded its key, so it is not repeated here)
+          if (flight && isValidFlight(flight)) {
             // Check if already added (shouldn't happen, but double-check)
             const alreadyAdded = allFlights.some(f => 
               f.departure_time === flight.departure_time && 
@@ -5563,6 +4315,7 @@
             );
             if (!alreadyAdded) {
           allFlights.push(flight);
+              pairableCards[paneIndex].push({ label: splitViewLabel(card), flight });
               seenFlights.add(`${flight.direction}-${flight.airline}-${flight.departure_time}-${flight.arrival_time}`);
               console.log(`✓ Completed processing ${direction} card ${cardIndex + 1}/${paneTotalCount}`);
             } else {
@@ -5592,23 +4345,22 @@
         console.log(`  Missing ${expectedCount - processedCount} cards`);
         
         // Try to find and process any missed cards
-        if (processedCount < expectedCount) {
+        if (processedCount < expectedCount && !extractionControl.stopped) {
           console.log(`Attempting to find and process missed cards...`);
-          let allCardsNow = Array.from(pane.querySelectorAll('label.splitViewListing'));
+          let allCardsNow = Array.from(pane.querySelectorAll(siteAdapter.selectors.splitViewCard));
           if (allCardsNow.length === 0) {
-            allCardsNow = Array.from(pane.querySelectorAll('div.listingCard'));
+            allCardsNow = Array.from(pane.querySelectorAll(siteAdapter.selectors.listingCard));
           }
           if (allCardsNow.length === 0) {
-            const listingCardWrap = pane.querySelector('div.listingCardWrap');
+            const listingCardWrap = pane.querySelector(siteAdapter.selectors.splitViewCardList);
             if (listingCardWrap) {
-              allCardsNow = Array.from(listingCardWrap.querySelectorAll('label.splitViewListing, div.listingCard'));
+              allCardsNow = Array.from(listingCardWrap.querySelectorAll(`${siteAdapter.selectors.splitViewCard}, ${siteAdapter.selectors.listingCard}`));
             }
           }
           
           allCardsNow = allCardsNow.filter(card => {
-              if (card.classList.contains('group-placeholder')) return false;
-              const groupCard = card.closest('div.groupBookingCard');
-              if (groupCard && groupCard.classList.contains('collapsed')) return false;
+              if (card.matches(siteAdapter.selectors.groupPlaceholder)) return false;
+              if (card.closest(siteAdapter.selectors.collapsedGroupCard)) return false;
               const text = card.textContent || '';
               const hasTime = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/.test(text);
               const hasPrice = /₹|Rs|INR/.test(text);
@@ -5630,17 +4382,19 @@
               try {
                 missedCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
                 await sleep(300);
-                const cardElement = missedCard.classList.contains('splitViewListing') 
-                  ? missedCard.querySelector('div.listingCard') || missedCard 
-                  : missedCard;
+                const cardElement = splitViewCardBody(missedCard);
                 const flight = extractFlightFromCard(cardElement, allFlights.length);
                 flight.direction = direction;
-                flight.is_return_flight = direction === 'return';
                 flight.pane_index = paneIndex;
+                if (direction === 'return') {
+                  addFlightTimestamps(flight, cardElement);
+                  addFlightIdentity(flight);
+                }
                 flight.route = routeText;
                 flight.date = dateText || flight.date;
                 if (flight && isValidFlight(flight) && !isDuplicateFlight(flight, seenFlights)) {
                   allFlights.push(flight);
+                  pairableCards[paneIndex].push({ label: splitViewLabel(missedCard), flight });
                   console.log(`✓ Processed missed card ${i + 1}/${missedCards.length}`);
                 }
                 await sleep(300);
@@ -5652,9 +4406,18 @@
         }
       }
       
+      finishCardProgress();
       console.log(`\n=== Completed ${direction} pane: ${allFlights.filter(f => f.direction === direction).length} flights extracted ===`);
     }
     
+    // Pair prices from the sticky footer, once both panes are done
+    let pairs = null;
+    if (roundTripPairing !== 'off' && pairableCards.length >= 2) {
+      pairs = extractionControl.stopped
+        ? []
+        : await extractRoundTripPairs(pairableCards[0], pairableCards[1], selectedLabels, allFlights, Array.from(panes));
+    }
+    
     // Calculate execution time
     const endTime = Date.now();
     const executionTimeMs = endTime - startTime;
@@ -5688,96 +4451,332 @@
         trip_type: 'round_trip',
         execution_time_ms: executionTimeMs,
         execution_time_seconds: parseFloat(executionTimeSeconds),
-        execution_time_formatted: executionTimeFormatted
+        execution_time_formatted: executionTimeFormatted,
+        ...(pairs ? { pairing: roundTripPairing, pairs_count: pairs.length } : {})
       },
-      flights: allFlights
+      flights: allFlights,
+      ...(pairs ? { pairs } : {})
     };
   }
 
   /**
-   * Extract international flights (one-way OR round trip) from clusterContent
-   * Cards are in <div class="clusterContent"> and each card is <div class="listingCard appendBottom5">
-   * ISOLATED: This function ONLY handles INTERNATIONAL trips (clusterContent structure)
-   * DO NOT use this for domestic trips (splitVw structure)
+   * Price outbound × return pairs of a domestic round trip (see round-trip-pairs.js): select one
+   * card in each pane and read the pair total from the sticky footer
+   * @param {Array} outboundCards - [{label, flight}] extracted from the outbound pane
+   * @param {Array} returnCards - [{label, flight}] extracted from the return pane
+   * @param {Array} selectedLabels - Cards selected on the page before the extraction ('selected' pairing)
+   * @param {Array} allFlights - Flights of the result (for the progress events)
+   * @param {Array<Element>} panes - Outbound and return panes (to check which cards are selected)
+   * @returns {Promise<Array>} - Pairs referencing the flights by flight_id
    */
-  async function extractInternationalFlights(startTime, tripType = null) {
-    // Determine trip type if not provided
-    if (!tripType) {
-      tripType = detectTripTypeFromUI();
-    }
-    
-    // VALIDATION: Check if required elements exist before proceeding
-    console.log('Validating INTERNATIONAL trip page structure...');
-    const validation = validateInternationalTripStructure();
-    
-    if (!validation.valid) {
-      const errorMsg = `Validation failed: ${validation.error}`;
-      console.error(`✗ ${errorMsg}`);
-      const executionTimeMs = Date.now() - startTime;
-      const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
-      return {
-        metadata: {
-          scraped_at: new Date().toISOString(),
-          source_url: window.location.href,
-          flights_count: 0,
-          user_agent: navigator.userAgent,
-          trip_type: tripType || 'international',
-          execution_time_ms: executionTimeMs,
-          execution_time_seconds: parseFloat(executionTimeSeconds),
-          execution_time_formatted: `${executionTimeSeconds}s`
-        },
-        flights: [],
-        error: errorMsg
-      };
+  async function extractRoundTripPairs(outboundCards, returnCards, selectedLabels, allFlights, panes) {
+    if (typeof siteAdapter.popup.extractRoundTripFooter !== 'function') {
+      console.warn(`⚠ ${siteAdapter.name} adapter cannot read round-trip pair prices`);
+      return [];
+    }
+    
+    let combinations = [];
+    if (roundTripPairing === 'selected') {
+      const outbound = outboundCards.find(entry => entry.label && entry.label === selectedLabels[0]);
+      const returnEntry = returnCards.find(entry => entry.label && entry.label === selectedLabels[1]);
+      if (outbound && returnEntry) {
+        combinations.push([outbound, returnEntry]);
+      } else {
+        console.warn('⚠ The pair selected on the page is not among the extracted flights');
+      }
+    } else {
+      outboundCards.forEach(outbound => returnCards.forEach(returnEntry => combinations.push([outbound, returnEntry])));
+      if (combinations.length > RoundTripPairs.MAX_PAIRS) {
+        console.warn(`⚠ ${combinations.length} pairs, pricing the first ${RoundTripPairs.MAX_PAIRS}`);
+        combinations = combinations.slice(0, RoundTripPairs.MAX_PAIRS);
+      }
     }
     
-    console.log(`✓ Validation passed. Found clusterContent with ${validation.elements.cards?.length || 0} cards.`);
-    
-    const isRoundTrip = tripType === 'round_trip';
-    
-    if (isRoundTrip) {
-      // Handle international round trip
-      return await extractInternationalRoundTripFlights(startTime, validation.elements);
-    } else {
-      // Handle international one-way trip
-      return await extractInternationalOneWayFlights(startTime, validation.elements);
+    console.log(`\n=== Pricing ${combinations.length} round trip pairs (${roundTripPairing}) ===`);
+    const pairs = [];
+    startCardProgress('domestic_round_trip', combinations.length, allFlights, 'pairs');
+    for (let index = 0; index < combinations.length; index++) {
+      if (await shouldStopExtraction()) {
+        break;
+      }
+      reportCardProgress(index, 'pair');
+      const [outbound, returnEntry] = combinations[index];
+      try {
+        const previousFooter = siteAdapter.popup.extractRoundTripFooter();
+        const wasSelected = selectedPairLabels(panes).every((label, paneIndex) => label && label === [outbound, returnEntry][paneIndex].label);
+        // The outbound card stays selected across its return cards; clicking it again is harmless
+        [outbound.label, returnEntry.label].forEach(label => {
+          if (label) {
+            label.click();
+          }
+        });
+        const footer = await waitForPairFooter(outbound, returnEntry, panes, previousFooter, wasSelected);
+        if (!footer) {
+          console.log(`⚠ Sticky footer did not show pair ${index + 1} in time, its combined price is left empty`);
+        }
+        pairs.push(RoundTripPairs.build(outbound.flight, returnEntry.flight, footer));
+      } catch (error) {
+        console.error(`✗ Error pricing pair ${index + 1}:`, error);
+      }
     }
+    finishCardProgress();
+    console.log(`✓ Priced ${pairs.length} round trip pairs`);
+    return pairs;
   }
 
   /**
-   * Extract international round trip flights from clusterContent
-   * Cards are in <div class="clusterContent"> and each card is <div class="listingCard appendBottom5">
-   * ISOLATED: This function ONLY handles INTERNATIONAL round trips (clusterContent structure)
-   * DO NOT use this for domestic round trips (splitVw structure) or one-way trips
+   * Cards currently selected in the outbound and return panes (null where it cannot be told)
    */
-  async function extractInternationalRoundTripFlights(startTime, validatedElements = null) {
+  function selectedPairLabels(panes) {
+    return panes.slice(0, 2).map(pane => (typeof siteAdapter.popup.findSelectedSplitViewCard === 'function'
+      ? siteAdapter.popup.findSelectedSplitViewCard(pane)
+      : null));
+  }
+
+  /**
+   * Wait until the sticky footer shows the pair just clicked, so a slow re-render does not
+   * record the previous pair's price: both cards selected in their panes, and the footer's
+   * flight codes those of the two flights (or, when the footer shows no codes, its price
+   * changed or the pair was already selected before the clicks)
+   * @returns {Promise<Object|null>} - Footer of the pair, or null if it did not show up in time
+   */
+  async function waitForPairFooter(outbound, returnEntry, panes, previousFooter, wasSelected) {
+    // First flight number of a card or footer code ("6E 5012" -> "6E5012")
+    const normalizeCode = (text) => {
+      const codeMatch = (text || '').toUpperCase().match(/\b([A-Z0-9]{2})[\s-]?(\d{2,4})\b/);
+      return codeMatch ? `${codeMatch[1]}${codeMatch[2]}` : '';
+    };
+    const expectedCodes = [outbound.flight.flight_code, returnEntry.flight.flight_code].map(normalizeCode);
+    const deadline = Date.now() + 3000 * sleepMultiplier;
+    await sleep(300 * sleepMultiplier);
+    do {
+      const selected = selectedPairLabels(panes);
+      const footer = siteAdapter.popup.extractRoundTripFooter();
+      const selectionShown = selected.every((label, paneIndex) => !label || label === [outbound, returnEntry][paneIndex].label);
+      if (footer && selectionShown) {
+        const footerCodes = (footer.flight_codes || []).map(normalizeCode);
+        if (footerCodes.length > 0 && expectedCodes.every(Boolean)) {
+          if (expectedCodes.every(code => footerCodes.includes(code))) {
+            return footer;
+          }
+        } else if (wasSelected || !previousFooter || footer.total_amount !== previousFooter.total_amount) {
+          return footer;
+        }
+      }
+      await sleep(100);
+    } while (Date.now() < deadline);
+    return null;
+  }
+
+  /**
+   * Extract multi-city flights leg by leg: click the leg's tab (or use its pane, see
+   * findMultiCityLegs in the site adapter), then process its cards like one-way cards
+   * Every flight gets leg_index (0 = first leg of the itinerary); its timestamps and flight_id
+   * use that leg's date and airports from the search URL
+   * ISOLATED: This function ONLY handles DOMESTIC multi-city trips
+   */
+  async function extractMultiCityFlights(startTime, legs, maxFlights) {
     const allFlights = [];
     const seenFlights = new Set(); // Track unique flights to avoid duplicates
+    const itineraryAirports = FlightExtractors.getSearchItineraryAirports();
     
-    console.log('=== Extract International Round Trip Flights (INTERNATIONAL ONLY - clusterContent structure) ===');
-    
-    // Wait a bit for page to fully load
-    console.log('Waiting for INTERNATIONAL round trip page to load...');
-    await sleep(2000);
-    
-    // Use validated clusterContent if provided, otherwise find it
-    let clusterContent = validatedElements?.clusterContent;
+    console.log(`=== Extract Multi City Flights (DOMESTIC ONLY - ${legs.length} legs) ===`);
     
-    if (!clusterContent) {
-      console.log('Looking for clusterContent container (INTERNATIONAL round trip structure)...');
-      clusterContent = document.querySelector('div.clusterContent');
-      if (!clusterContent) {
-        console.log('Trying div[class*="clusterContent"]...');
-        clusterContent = document.querySelector('div[class*="clusterContent"]');
+    for (const leg of legs) {
+      if (await shouldStopExtraction()) {
+        break;
       }
-    } else {
-      console.log('Using validated clusterContent container...');
-    }
+      const airports = itineraryAirports[leg.legIndex];
+      const legRoute = airports ? `${airports.origin}-${airports.destination}` : `Leg ${leg.legIndex + 1}`;
+      console.log(`\n=== Processing leg ${leg.legIndex + 1}/${legs.length}: ${legRoute} ===`);
+      
+      // Tab layout: show the leg's cards first
+      if (leg.tab) {
+        try {
+          leg.tab.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          await sleep(300 * sleepMultiplier);
+          leg.tab.click();
+          console.log(`✓ Clicked tab of leg ${leg.legIndex + 1}`);
+        } catch (error) {
+          console.error(`✗ Error clicking tab of leg ${leg.legIndex + 1}:`, error);
+        }
+        await sleep(2500);
+        await clickAllOptionsAvailableLinks();
+      } else {
+        await clickOptionsAvailableLinksInPane(leg.pane);
+      }
+      await sleep(2500); // Wait for expanded options to fully load and render
+      
+      let legCards;
+      if (leg.pane) {
+        legCards = leg.pane.querySelectorAll(siteAdapter.selectors.splitViewCard);
+        if (legCards.length === 0) {
+          legCards = leg.pane.querySelectorAll(siteAdapter.selectors.listingCard);
+        }
+      } else {
+        legCards = siteAdapter.findFlightCards();
+        if (legCards.length === 0) {
+          legCards = siteAdapter.findFlightCardsFallback();
+        }
+      }
+      
+      const visibleCards = Array.from(legCards).filter(card => {
+        if (!isElementVisible(card)) return false;
+        const text = card.textContent || '';
+        const hasTime = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/.test(text);
+        const hasPrice = /₹|Rs|INR/.test(text);
+        return hasTime || hasPrice;
+      }).slice(0, maxFlights);
+      console.log(`Found ${visibleCards.length} cards for leg ${leg.legIndex + 1}`);
+      
+      startCardProgress('domestic_multi_city', visibleCards.length, allFlights, legRoute);
+      for (let cardIndex = 0; cardIndex < visibleCards.length; cardIndex++) {
+        const card = visibleCards[cardIndex];
+        if (await shouldStopExtraction()) {
+          break;
+        }
+        reportCardProgress(cardIndex, 'card');
+        
+        try {
+          const cardElement = splitViewCardBody(card);
+          const flight = extractFlightFromCard(cardElement, allFlights.length);
+          flight.leg_index = leg.legIndex;
+          // Timestamps and identity again, now from this leg of the itinerary
+          addFlightTimestamps(flight, cardElement);
+          addFlightIdentity(flight);
+          flight.route = legRoute;
+          
+          if (!isValidFlight(flight)) {
+            console.log(`⚠ Skipping card ${cardIndex + 1} of leg ${leg.legIndex + 1} - invalid flight data`);
+            continue;
+          }
+          if (isDuplicateFlight(flight, seenFlights)) {
+            console.log(`⚠ Skipping card ${cardIndex + 1} of leg ${leg.legIndex + 1} - duplicate flight detected`);
+            continue;
+          }
+          
+          await sleep(200 * sleepMultiplier);
+          await extractCardDepthLevels(card, flight, cardIndex);
+          
+          allFlights.push(flight);
+          console.log(`✓ Completed card ${cardIndex + 1}/${visibleCards.length} of leg ${leg.legIndex + 1}`);
+          await sleep(200 * sleepMultiplier);
+        } catch (error) {
+          console.error(`✗ Error processing card ${cardIndex + 1} of leg ${leg.legIndex + 1}:`, error);
+          // Continue with next card even if this one fails
+        }
+      }
+      finishCardProgress();
+      console.log(`=== Completed leg ${leg.legIndex + 1}: ${allFlights.filter(f => f.leg_index === leg.legIndex).length} flights extracted ===`);
+    }
+    
+    // Calculate execution time
+    const executionTimeMs = Date.now() - startTime;
+    const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
+    const executionTimeMinutes = Math.floor(executionTimeMs / 60000);
+    const executionTimeSecondsRemainder = ((executionTimeMs % 60000) / 1000).toFixed(2);
+    const executionTimeFormatted = executionTimeMinutes > 0
+      ? `${executionTimeMinutes}m ${executionTimeSecondsRemainder}s`
+      : `${executionTimeSeconds}s`;
+    
+    console.log(`Completed extraction of ${allFlights.length} multi-city flights in ${executionTimeFormatted}`);
+    
+    return {
+      metadata: {
+        scraped_at: new Date().toISOString(),
+        source_url: window.location.href,
+        flights_count: allFlights.length,
+        user_agent: navigator.userAgent,
+        trip_type: 'multi_city',
+        legs_count: legs.length,
+        execution_time_ms: executionTimeMs,
+        execution_time_seconds: parseFloat(executionTimeSeconds),
+        execution_time_formatted: executionTimeFormatted
+      },
+      flights: allFlights
+    };
+  }
+
+  /**
+   * Extract international flights (one-way OR round trip) from clusterContent
+   * Cards are in <div class="clusterContent"> and each card is <div class="listingCard appendBottom5">
+   * ISOLATED: This function ONLY handles INTERNATIONAL trips (clusterContent structure)
+   * DO NOT use this for domestic trips (splitVw structure)
+   */
+  async function extractInternationalFlights(startTime, tripType = null) {
+    // Determine trip type if not provided
+    if (!tripType) {
+      tripType = siteAdapter.detectTripType();
+    }
+    
+    // VALIDATION: Check if required elements exist before proceeding
+    console.log('Validating INTERNATIONAL trip page structure...');
+    const validation = siteAdapter.validateInternationalPage();
+    
+    if (!validation.valid) {
+      const errorMsg = `Validation failed: ${validation.error}`;
+      console.error(`✗ ${errorMsg}`);
+      const executionTimeMs = Date.now() - startTime;
+      const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
+      return {
+        metadata: {
+          scraped_at: new Date().toISOString(),
+          source_url: window.location.href,
+          flights_count: 0,
+          user_agent: navigator.userAgent,
+          trip_type: tripType || 'international',
+          execution_time_ms: executionTimeMs,
+          execution_time_seconds: parseFloat(executionTimeSeconds),
+          execution_time_formatted: `${executionTimeSeconds}s`
+        },
+        flights: [],
+        error: errorMsg
+      };
+    }
+    
+    console.log(`✓ Validation passed. Found clusterContent with ${validation.elements.cards?.length || 0} cards.`);
+    
+    const isRoundTrip = tripType === 'round_trip';
+    
+    if (isRoundTrip) {
+      // Handle international round trip
+      return await extractInternationalRoundTripFlights(startTime, validation.elements);
+    } else {
+      // Handle international one-way trip
+      return await extractInternationalOneWayFlights(startTime, validation.elements);
+    }
+  }
+
+  /**
+   * Extract international round trip flights from clusterContent
+   * Cards are in <div class="clusterContent"> and each card is <div class="listingCard appendBottom5">
+   * ISOLATED: This function ONLY handles INTERNATIONAL round trips (clusterContent structure)
+   * DO NOT use this for domestic round trips (splitVw structure) or one-way trips
+   */
+  async function extractInternationalRoundTripFlights(startTime, validatedElements = null) {
+    const allFlights = [];
+    const seenFlights = new Set(); // Track unique flights to avoid duplicates
+    
+    console.log('=== Extract International Round Trip Flights (INTERNATIONAL ONLY - clusterContent structure) ===');
+    
+    // Wait a bit for page to fully load
+    console.log('Waiting for INTERNATIONAL round trip page to load...');
+    await sleep(2000);
+    
+    // Use validated clusterContent if provided, otherwise find it
+    let clusterContent = validatedElements?.clusterContent;
+    
+    if (!clusterContent) {
+      console.log('Looking for clusterContent container (INTERNATIONAL round trip structure)...');
+      clusterContent = queryFirst(siteAdapter.selectors.clusterContent);
+    } else {
+      console.log('Using validated clusterContent container...');
+    }
     
     if (!clusterContent) {
       const errorMsg = 'clusterContent not found, cannot extract international round trip flights';
       console.error(`✗ ${errorMsg}`);
-      console.error('Tried selectors: div.clusterContent, div[class*="clusterContent"]');
+      console.error(`Tried selectors: ${[].concat(siteAdapter.selectors.clusterContent).join(', ')}`);
       const executionTimeMs = Date.now() - startTime;
       const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
       const executionTimeFormatted = `${executionTimeSeconds}s`;
@@ -5799,7 +4798,7 @@
     
     // VALIDATION: Verify cards exist in clusterContent
     console.log('Validating cards exist in clusterContent...');
-    let initialCards = clusterContent.querySelectorAll('div.listingCard.appendBottom5, div.listingCard, div[class*="listingCard"]');
+    let initialCards = clusterContent.querySelectorAll(siteAdapter.selectors.listingCardVariants);
     if (initialCards.length === 0) {
       const errorMsg = 'No flight cards found in clusterContent. Please wait for page to load completely.';
       console.error(`✗ ${errorMsg}`);
@@ -5849,13 +4848,7 @@
     
     // Helper function to count valid cards
     const countValidCards = () => {
-      let cards = clusterContent.querySelectorAll('div.listingCard.appendBottom5');
-      if (cards.length === 0) {
-        cards = clusterContent.querySelectorAll('div.listingCard');
-      }
-      if (cards.length === 0) {
-        cards = clusterContent.querySelectorAll('div[class*="listingCard"]');
-      }
+      const cards = queryAllFirst(siteAdapter.selectors.clusterCards, clusterContent);
       
       return Array.from(cards).filter(card => {
         if (!isElementVisible(card)) return false;
@@ -5988,13 +4981,7 @@
     
     // STEP 5: Find all flight cards in clusterContent
     console.log('Finding all cards in clusterContent after scrolling...');
-    let cards = clusterContent.querySelectorAll('div.listingCard.appendBottom5');
-    if (cards.length === 0) {
-      cards = clusterContent.querySelectorAll('div.listingCard');
-    }
-    if (cards.length === 0) {
-      cards = clusterContent.querySelectorAll('div[class*="listingCard"]');
-    }
+    const cards = queryAllFirst(siteAdapter.selectors.clusterCards, clusterContent);
     
     // Filter to valid, visible cards
     const validCards = Array.from(cards).filter(card => {
@@ -6013,9 +5000,14 @@
     console.log(`Processing ${validCards.length} cards sequentially...`);
     
     // Process each card one by one (same flow as one-way trips)
+    startCardProgress('international_round_trip', validCards.length, allFlights);
     for (let index = 0; index < validCards.length; index++) {
       const card = validCards[index];
+      if (await shouldStopExtraction()) {
+        break;
+      }
       console.log(`\n=== Processing card ${index + 1}/${validCards.length} ===`);
+      reportCardProgress(index, 'card');
       
       try {
         // STEP 1: Extract basic card details FIRST
@@ -6040,7 +5032,11 @@
         
         // STEP 2: Find and click VIEW PRICES button
         console.log(`Step 2: Looking for VIEW PRICES button for card ${index + 1}...`);
-        const viewPricesButton = findViewPricesButtonForCard(card);
+        // VIEW PRICES popup only from the 'fares' depth up
+        const viewPricesButton = depthIncludes('fares') ? siteAdapter.popup.findViewPricesButton(card) : null;
+        if (viewPricesButton) {
+          reportCardPhase('view_prices');
+        }
         
         if (viewPricesButton && isElementVisible(viewPricesButton) && !viewPricesButton.disabled) {
           try {
@@ -6055,10 +5051,10 @@
             
             // Wait for popup to appear and fully load
             await sleep(300 * sleepMultiplier);
-            let popupVisible = checkIfPopupVisible();
+            let popupVisible = siteAdapter.popup.isVisible();
             if (!popupVisible) {
               await sleep(300 * sleepMultiplier);
-              popupVisible = checkIfPopupVisible();
+              popupVisible = siteAdapter.popup.isVisible();
             }
             
             if (popupVisible) {
@@ -6095,7 +5091,7 @@
             await sleep(200 * sleepMultiplier);
             
             // Verify popup is actually closed
-            const popupStillVisible = checkIfPopupVisible();
+            const popupStillVisible = siteAdapter.popup.isVisible();
             if (popupStillVisible) {
               console.log(`⚠ Popup still visible, waiting longer...`);
               await sleep(1500);
@@ -6114,13 +5110,17 @@
               // Ignore close errors
             }
           }
-        } else {
+        } else if (depthIncludes('fares')) {
           console.log(`⚠ No VIEW PRICES button found for card ${index + 1}, skipping popup extraction`);
         }
         
         // STEP 5: Find and click View Flight Details link
         console.log(`Step 5: Looking for View Flight Details link for card ${index + 1}...`);
-        const viewFlightDetailsLink = findViewFlightDetailsLinkForCard(card);
+        // View Flight Details only from the 'itinerary' depth up
+        const viewFlightDetailsLink = depthIncludes('itinerary') ? siteAdapter.popup.findViewFlightDetailsLink(card) : null;
+        if (viewFlightDetailsLink) {
+          reportCardPhase('flight_details');
+        }
         
         if (viewFlightDetailsLink && isElementVisible(viewFlightDetailsLink)) {
           try {
@@ -6144,6 +5144,7 @@
               // Merge detailed info into flight object
               if (detailedFlightInfo.detailed_flights && detailedFlightInfo.detailed_flights.length > 0) {
                 flight.detailed_flights = detailedFlightInfo.detailed_flights;
+                addFlightIdentity(flight); // Every segment's flight number is known now
               }
               if (detailedFlightInfo.fare_summary) {
                 flight.fare_summary = detailedFlightInfo.fare_summary;
@@ -6159,7 +5160,7 @@
             
             // STEP 7: Close flight details panel
             console.log(`Step 7: Closing flight details panel for card ${index + 1}...`);
-            const hideFlightDetailsLink = findHideFlightDetailsLink();
+            const hideFlightDetailsLink = siteAdapter.popup.findHideFlightDetailsLink();
             if (hideFlightDetailsLink) {
               hideFlightDetailsLink.click();
               await sleep(200 * sleepMultiplier);
@@ -6169,7 +5170,7 @@
             console.error(`✗ Error processing flight details for card ${index + 1}:`, detailsError);
             // Try to close panel if it's still open
             try {
-              const hideFlightDetailsLink = findHideFlightDetailsLink();
+              const hideFlightDetailsLink = siteAdapter.popup.findHideFlightDetailsLink();
               if (hideFlightDetailsLink) {
                 hideFlightDetailsLink.click();
                 await sleep(100 * sleepMultiplier);
@@ -6178,7 +5179,7 @@
               // Ignore close errors
             }
           }
-        } else {
+        } else if (depthIncludes('itinerary')) {
           console.log(`⚠ No View Flight Details link found for card ${index + 1}, skipping details extraction`);
         }
         
@@ -6197,6 +5198,8 @@
       }
     }
     
+    finishCardProgress();
+
     // Calculate execution time
     const executionTimeMs = Date.now() - startTime;
     const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
@@ -6242,11 +5245,7 @@
     
     if (!clusterContent) {
       console.log('Looking for clusterContent container (INTERNATIONAL one-way trip structure)...');
-      clusterContent = document.querySelector('div.clusterContent');
-      if (!clusterContent) {
-        console.log('Trying div[class*="clusterContent"]...');
-        clusterContent = document.querySelector('div[class*="clusterContent"]');
-      }
+      clusterContent = queryFirst(siteAdapter.selectors.clusterContent);
     } else {
       console.log('Using validated clusterContent container...');
     }
@@ -6254,7 +5253,7 @@
     if (!clusterContent) {
       const errorMsg = 'clusterContent not found, cannot extract international one-way flights';
       console.error(`✗ ${errorMsg}`);
-      console.error('Tried selectors: div.clusterContent, div[class*="clusterContent"]');
+      console.error(`Tried selectors: ${[].concat(siteAdapter.selectors.clusterContent).join(', ')}`);
       const executionTimeMs = Date.now() - startTime;
       const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
       const executionTimeFormatted = `${executionTimeSeconds}s`;
@@ -6276,7 +5275,7 @@
     
     // VALIDATION: Verify cards exist in clusterContent
     console.log('Validating cards exist in clusterContent...');
-    let initialCards = clusterContent.querySelectorAll('div.listingCard.appendBottom5, div.listingCard, div[class*="listingCard"]');
+    let initialCards = clusterContent.querySelectorAll(siteAdapter.selectors.listingCardVariants);
     if (initialCards.length === 0) {
       const errorMsg = 'No flight cards found in clusterContent. Please wait for page to load completely.';
       console.error(`✗ ${errorMsg}`);
@@ -6326,13 +5325,7 @@
     
     // Helper function to count valid cards
     const countValidCards = () => {
-      let cards = clusterContent.querySelectorAll('div.listingCard.appendBottom5');
-      if (cards.length === 0) {
-        cards = clusterContent.querySelectorAll('div.listingCard');
-      }
-      if (cards.length === 0) {
-        cards = clusterContent.querySelectorAll('div[class*="listingCard"]');
-      }
+      const cards = queryAllFirst(siteAdapter.selectors.clusterCards, clusterContent);
       
       return Array.from(cards).filter(card => {
         if (!isElementVisible(card)) return false;
@@ -6451,13 +5444,7 @@
     
     // STEP 5: Find all flight cards in clusterContent
     console.log('Finding all cards in clusterContent after scrolling...');
-    let cards = clusterContent.querySelectorAll('div.listingCard.appendBottom5');
-    if (cards.length === 0) {
-      cards = clusterContent.querySelectorAll('div.listingCard');
-    }
-    if (cards.length === 0) {
-      cards = clusterContent.querySelectorAll('div[class*="listingCard"]');
-    }
+    const cards = queryAllFirst(siteAdapter.selectors.clusterCards, clusterContent);
     
     // Filter to valid, visible cards
     const validCards = Array.from(cards).filter(card => {
@@ -6475,9 +5462,14 @@
     console.log(`Processing ${validCards.length} cards sequentially...`);
     
     // Process each card one by one (same flow as international round trip)
+    startCardProgress('international_one_way', validCards.length, allFlights);
     for (let index = 0; index < validCards.length; index++) {
       const card = validCards[index];
+      if (await shouldStopExtraction()) {
+        break;
+      }
       console.log(`\n=== Processing card ${index + 1}/${validCards.length} ===`);
+      reportCardProgress(index, 'card');
       
       try {
         // STEP 1: Extract basic card details FIRST
@@ -6503,7 +5495,11 @@
         
         // STEP 2: Find and click VIEW PRICES button
         console.log(`Step 2: Looking for VIEW PRICES button for card ${index + 1}...`);
-        const viewPricesButton = findViewPricesButtonForCard(card);
+        // VIEW PRICES popup only from the 'fares' depth up
+        const viewPricesButton = depthIncludes('fares') ? siteAdapter.popup.findViewPricesButton(card) : null;
+        if (viewPricesButton) {
+          reportCardPhase('view_prices');
+        }
         
         if (viewPricesButton && isElementVisible(viewPricesButton) && !viewPricesButton.disabled) {
           try {
@@ -6514,10 +5510,10 @@
             await sleep(1500);
             
             await sleep(300 * sleepMultiplier);
-            let popupVisible = checkIfPopupVisible();
+            let popupVisible = siteAdapter.popup.isVisible();
             if (!popupVisible) {
               await sleep(300 * sleepMultiplier);
-              popupVisible = checkIfPopupVisible();
+              popupVisible = siteAdapter.popup.isVisible();
             }
             
             if (popupVisible) {
@@ -6553,7 +5549,7 @@
             
             await sleep(200 * sleepMultiplier);
             
-            const popupStillVisible = checkIfPopupVisible();
+            const popupStillVisible = siteAdapter.popup.isVisible();
             if (popupStillVisible) {
               console.log(`⚠ Popup still visible, waiting longer...`);
               await sleep(1500);
@@ -6571,13 +5567,17 @@
               // Ignore close errors
             }
           }
-        } else {
+        } else if (depthIncludes('fares')) {
           console.log(`⚠ No VIEW PRICES button found for card ${index + 1}, skipping popup extraction`);
         }
         
         // STEP 5: Find and click View Flight Details link
         console.log(`Step 5: Looking for View Flight Details link for card ${index + 1}...`);
-        const viewFlightDetailsLink = findViewFlightDetailsLinkForCard(card);
+        // View Flight Details only from the 'itinerary' depth up
+        const viewFlightDetailsLink = depthIncludes('itinerary') ? siteAdapter.popup.findViewFlightDetailsLink(card) : null;
+        if (viewFlightDetailsLink) {
+          reportCardPhase('flight_details');
+        }
         
         if (viewFlightDetailsLink && isElementVisible(viewFlightDetailsLink)) {
           try {
@@ -6596,6 +5596,7 @@
             if (detailedFlightInfo) {
               if (detailedFlightInfo.detailed_flights && detailedFlightInfo.detailed_flights.length > 0) {
                 flight.detailed_flights = detailedFlightInfo.detailed_flights;
+                addFlightIdentity(flight); // Every segment's flight number is known now
               }
               if (detailedFlightInfo.fare_summary) {
                 flight.fare_summary = detailedFlightInfo.fare_summary;
@@ -6611,7 +5612,7 @@
             
             // STEP 7: Close flight details panel
             console.log(`Step 7: Closing flight details panel for card ${index + 1}...`);
-            const hideFlightDetailsLink = findHideFlightDetailsLink();
+            const hideFlightDetailsLink = siteAdapter.popup.findHideFlightDetailsLink();
             if (hideFlightDetailsLink) {
               hideFlightDetailsLink.click();
               await sleep(200 * sleepMultiplier);
@@ -6620,7 +5621,7 @@
           } catch (detailsError) {
             console.error(`✗ Error processing flight details for card ${index + 1}:`, detailsError);
             try {
-              const hideFlightDetailsLink = findHideFlightDetailsLink();
+              const hideFlightDetailsLink = siteAdapter.popup.findHideFlightDetailsLink();
               if (hideFlightDetailsLink) {
                 hideFlightDetailsLink.click();
                 await sleep(100 * sleepMultiplier);
@@ -6629,7 +5630,7 @@
               // Ignore close errors
             }
           }
-        } else {
+        } else if (depthIncludes('itinerary')) {
           console.log(`⚠ No View Flight Details link found for card ${index + 1}, skipping details extraction`);
         }
         
@@ -6644,6 +5645,8 @@
       }
     }
     
+    finishCardProgress();
+
     // Calculate execution time
     const executionTimeMs = Date.now() - startTime;
     const executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
@@ -6669,1484 +5672,11 @@
   }
 
   /**
-   * Find flight cards using primary selectors
-   * MakeMyTrip specific selectors with common patterns
-   */
-  function findFlightCards() {
-    const selectors = [
-      // MakeMyTrip specific - primary selector
-      'div.listingCard',
-      'div[class*="listingCard"]',
-      // MakeMyTrip alternative
-      '[data-test="component-clusterBody-OW"]',
-      '[data-test="component-clusterBody-RT"]',
-      // Generic patterns
-      '[class*="flightCard"]',
-      '[class*="FlightCard"]',
-      '[class*="flight-card"]',
-      '[data-testid*="flight"]',
-      '[data-cy*="flight"]',
-      // Common container patterns
-      'div[class*="flight"]:not([class*="icon"]):not([class*="logo"])',
-      'section[class*="flight"]',
-      'article[class*="flight"]'
-    ];
-
-    for (const selector of selectors) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        if (elements.length > 0) {
-          console.log(`Found ${elements.length} elements with selector: ${selector}`);
-          return elements;
-        }
-      } catch (e) {
-        // Invalid selector, continue
-      }
-    }
-
-    return [];
-  }
-
-  /**
-   * Fallback strategy for finding flight cards
-   */
-  function findFlightCardsFallback() {
-    // Look for elements containing time patterns (HH:MM)
-    const timePattern = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/;
-    const allDivs = document.querySelectorAll('div');
-    const candidates = [];
-
-    allDivs.forEach(div => {
-      const text = div.textContent || '';
-      if (timePattern.test(text) && text.includes('₹') || text.includes('Rs')) {
-        // Likely a flight card
-        candidates.push(div);
-      }
-    });
-
-    return candidates;
-  }
-
-  /**
-   * Extract flight data from a single card element
-   */
-  function extractFlightFromCard(card, index) {
-    const flight = {
-      index: index,
-      airline: extractAirline(card),
-      airline_code: extractAirlineCode(card),
-      flight_code: extractFlightCode(card),
-      departure_time: extractDepartureTime(card),
-      departure_date: extractDepartureDate(card),
-      departure_city: extractDepartureCity(card),
-      arrival_time: extractArrivalTime(card),
-      arrival_date: extractArrivalDate(card),
-      arrival_city: extractArrivalCity(card),
-      date: extractDate(card),
-      layovers: extractLayovers(card),
-      layover_cities: extractLayoverCities(card),
-      stopover_count: extractStops(card),
-      stopover_time: extractStopoverTime(card),
-      stops: extractStops(card), // Keep for backward compatibility
-      duration: extractDuration(card),
-      price: extractPrice(card),
-      offers: extractOffers(card),
-      coupon_details: extractCouponDetails(card),
-      fare_options: extractFareOptions(card),
-      raw_text: extractRawText(card),
-      html_snippet: extractHtmlSnippet(card)
-    };
-
-    return flight;
-  }
-
-  /**
-   * Extract airline code (2-letter IATA code like "AI", "6E", "IX")
-   */
-  function extractAirlineCode(card) {
-    // Look for airline code in flight code (e.g., "AI 2838" -> "AI")
-    const flightCode = extractFlightCode(card);
-    if (flightCode) {
-      const codeMatch = flightCode.match(/^([A-Z0-9]{2})\s/);
-      if (codeMatch) {
-        return codeMatch[1];
-      }
-    }
-    
-    // Try to find in airline logo data attributes or alt text
-    const airlineLogo = card.querySelector('span[data-test="component-airlineIcon"], span.arln-logo, span[class*="airlineIcon"]');
-    if (airlineLogo) {
-      const style = airlineLogo.getAttribute('style') || '';
-      const urlMatch = style.match(/icons\/([A-Z0-9]{2})\./i);
-      if (urlMatch) {
-        return urlMatch[1].toUpperCase();
-      }
-    }
-    
-    // Try to extract from airline name (common patterns)
-    const airlineName = extractAirline(card);
-    if (airlineName) {
-      const codeMap = {
-        'air india': 'AI',
-        'air india express': 'IX',
-        'indigo': '6E',
-        'spicejet': 'SG',
-        'vistara': 'UK',
-        'goair': 'G8',
-        'airasia': 'I5'
-      };
-      const lowerName = airlineName.toLowerCase();
-      for (const [name, code] of Object.entries(codeMap)) {
-        if (lowerName.includes(name)) {
-          return code;
-        }
-      }
-    }
-    
-    return null;
-  }
-
-  /**
-   * Extract flight code (e.g., "AI 2838", "IX 1621")
-   */
-  function extractFlightCode(card) {
-    // MakeMyTrip specific: flight code in p.fliCode
-    const flightCodeEl = card.querySelector('p.fliCode');
-    if (flightCodeEl) {
-      const code = flightCodeEl.textContent?.trim();
-      if (code && code.length > 0) {
-        return code;
-      }
-    }
-    
-    // Try in airline-info-wrapper
-    const airlineWrapper = card.querySelector('.airline-info-wrapper, [class*="airline-info"]');
-    if (airlineWrapper) {
-      const codeEl = airlineWrapper.querySelector('p.fliCode');
-      if (codeEl) {
-        const code = codeEl.textContent?.trim();
-        if (code && code.length > 0) {
-          return code;
-        }
-      }
-    }
-    
-    // Try to find in span elements with flight code patterns
-    const allSpans = card.querySelectorAll('span');
-    for (const span of allSpans) {
-      const text = span.textContent?.trim() || '';
-      const codePattern = /\b([A-Z0-9]{2})\s+(\d{3,4})\b/;
-      const match = text.match(codePattern);
-      if (match) {
-        return `${match[1]} ${match[2]}`;
-      }
-    }
-    
-    // Try to extract from airline name element (sometimes contains flight code)
-    const airlineNameEl = card.querySelector('p.airlineName, p[data-test="component-airlineHeading"]');
-    if (airlineNameEl) {
-      const text = airlineNameEl.textContent || '';
-      const codePattern = /\b([A-Z0-9]{2})\s+(\d{3,4})\b/;
-      const match = text.match(codePattern);
-      if (match) {
-        return `${match[1]} ${match[2]}`;
-      }
-    }
-    
-    // Pattern match: Look for "XX 1234" pattern in entire card text
-    const text = card.textContent || '';
-    const codePattern = /\b([A-Z0-9]{2})\s+(\d{3,4})\b/;
-    const match = text.match(codePattern);
-    if (match) {
-      return `${match[1]} ${match[2]}`;
-    }
-    
-    // Try alternative pattern: "XX1234" (no space)
-    const codePatternNoSpace = /\b([A-Z0-9]{2})(\d{3,4})\b/;
-    const matchNoSpace = text.match(codePatternNoSpace);
-    if (matchNoSpace) {
-      return `${matchNoSpace[1]} ${matchNoSpace[2]}`;
-    }
-    
-    return null;
-  }
-
-  /**
-   * Extract airline name
+   * Validate if extracted flight data is valid
    */
-  function extractAirline(card) {
-    // MakeMyTrip specific selectors - try multiple variations
-    const selectors = [
-      'p.airlineName',
-      'p[data-test="component-airlineHeading"]',
-      'p.boldFont.blackText.airlineName',
-      '.airlineName',
-      '[data-test="component-airlineHeading"]'
-    ];
-    
-    for (const selector of selectors) {
-      const airlineNameEl = card.querySelector(selector);
-      if (airlineNameEl) {
-        const airlineName = airlineNameEl.textContent?.trim();
-        if (airlineName && airlineName.length > 0) {
-          // Also try to get flight code
-          const flightCodeEl = card.querySelector('p.fliCode');
-          const flightCode = flightCodeEl?.textContent?.trim();
-          if (flightCode) {
-            return `${airlineName} (${flightCode})`;
-          }
-          return airlineName;
-        }
-      }
-    }
-
-    // Try searching within airline-info-wrapper
-    const airlineWrapper = card.querySelector('.airline-info-wrapper, [class*="airline-info"]');
-    if (airlineWrapper) {
-      const airlineNameEl = airlineWrapper.querySelector('p.boldFont.blackText, p.airlineName');
-      if (airlineNameEl) {
-        const airlineName = airlineNameEl.textContent?.trim();
-        if (airlineName) {
-          const flightCodeEl = airlineWrapper.querySelector('p.fliCode');
-          const flightCode = flightCodeEl?.textContent?.trim();
-          return flightCode ? `${airlineName} (${flightCode})` : airlineName;
-        }
-      }
-    }
-
-    // Fallback selectors
-    const fallbackSelectors = [
-      '[class*="airline"]',
-      '[class*="Airline"]',
-      '[data-testid*="airline"]',
-      'img[alt*="airline"]',
-      'img[alt*="Airline"]',
-      '[aria-label*="airline"]',
-      '[title*="airline"]'
-    ];
-
-    for (const selector of fallbackSelectors) {
-      const element = card.querySelector(selector);
-      if (element) {
-        const text = element.textContent?.trim() || 
-                    element.getAttribute('alt') || 
-                    element.getAttribute('title') || 
-                    element.getAttribute('aria-label');
-        if (text && text.length < 100 && text.length > 0) {
-          return text;
-        }
-      }
-    }
-
-    // Regex fallback: Look for common airline patterns in card text
-    const text = card.textContent || '';
-    const airlinePatterns = [
-      /(IndiGo|Air India|SpiceJet|Vistara|GoAir|AirAsia|Jet Airways|Kingfisher|Air India Express)/i,
-      /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\s+(?:Airlines|Airways|Air|Express)/i
-    ];
-
-    for (const pattern of airlinePatterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        return match[1];
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract departure time
-   */
-  function extractDepartureTime(card) {
-    // MakeMyTrip specific: timeInfoLeft contains departure
-    const timeInfoLeft = card.querySelector('div.timeInfoLeft');
-    if (timeInfoLeft) {
-      const timeEl = timeInfoLeft.querySelector('p.flightTimeInfo span, p.appendBottom2.flightTimeInfo span');
-      if (timeEl) {
-        const time = timeEl.textContent?.trim();
-        if (time && /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
-          return time;
-        }
-      }
-    }
-
-    // Fallback selectors
-    const timePattern = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/;
-    const selectors = [
-      '[class*="departure"]',
-      '[class*="Departure"]',
-      '[data-testid*="departure"]',
-      '[class*="depTime"]',
-      '[class*="dep-time"]'
-    ];
-
-    for (const selector of selectors) {
-      const element = card.querySelector(selector);
-      if (element) {
-        const text = element.textContent || '';
-        const match = text.match(timePattern);
-        if (match) return match[0];
-      }
-    }
-
-    // Fallback: Find first time pattern in card
-    const text = card.textContent || '';
-    const matches = text.match(timePattern);
-    if (matches) {
-      return matches[0];
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract arrival time
-   */
-  function extractArrivalTime(card) {
-    // MakeMyTrip specific: timeInfoRight contains arrival
-    const timeInfoRight = card.querySelector('div.timeInfoRight');
-    if (timeInfoRight) {
-      const timeEl = timeInfoRight.querySelector('p.flightTimeInfo span, p.appendBottom2.flightTimeInfo span');
-      if (timeEl) {
-        const time = timeEl.textContent?.trim();
-        if (time && /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
-          return time;
-        }
-      }
-    }
-
-    // Fallback selectors
-    const timePattern = /\b([0-1]?[0-9]|2[0-3]):[0-5][0-9]\b/;
-    const selectors = [
-      '[class*="arrival"]',
-      '[class*="Arrival"]',
-      '[data-testid*="arrival"]',
-      '[class*="arrTime"]',
-      '[class*="arr-time"]'
-    ];
-
-    for (const selector of selectors) {
-      const element = card.querySelector(selector);
-      if (element) {
-        const text = element.textContent || '';
-        const match = text.match(timePattern);
-        if (match) return match[0];
-      }
-    }
-
-    // Fallback: Find second time pattern (usually arrival)
-    const text = card.textContent || '';
-    const matches = text.match(new RegExp(timePattern.source, 'g'));
-    if (matches && matches.length > 1) {
-      return matches[1];
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract departure city
-   */
-  function extractDepartureCity(card) {
-    // MakeMyTrip specific: city in timeInfoLeft
-    const timeInfoLeft = card.querySelector('div.timeInfoLeft');
-    if (timeInfoLeft) {
-      const cityEl = timeInfoLeft.querySelector('p.blackText font[color="#000000"], p.blackText');
-      if (cityEl) {
-        const city = cityEl.textContent?.trim();
-        if (city && city.length < 50) {
-          return city;
-        }
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract arrival city
-   */
-  function extractArrivalCity(card) {
-    // MakeMyTrip specific: city in timeInfoRight
-    const timeInfoRight = card.querySelector('div.timeInfoRight');
-    if (timeInfoRight) {
-      const cityEl = timeInfoRight.querySelector('p.blackText font[color="#000000"], p.blackText b font[color="#000000"], p.blackText b');
-      if (cityEl) {
-        const city = cityEl.textContent?.trim();
-        if (city && city.length < 50) {
-          return city;
-        }
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract departure date
-   */
-  function extractDepartureDate(card) {
-    // MakeMyTrip specific: date near departure time
-    const timeInfoLeft = card.querySelector('div.timeInfoLeft');
-    if (timeInfoLeft) {
-      // Look for date in fontSize12 elements near departure time
-      const dateEl = timeInfoLeft.querySelector('p.fontSize12, span.fontSize12');
-      if (dateEl) {
-        const text = dateEl.textContent?.trim();
-        const datePatterns = [
-          /\b(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})\b/,
-          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{2,4})\b/i,
-          /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i,
-          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i
-        ];
-        for (const pattern of datePatterns) {
-          const match = text.match(pattern);
-          if (match && match[0]) {
-            return match[0].trim();
-          }
-        }
-      }
-    }
-    
-    // Fallback: use general date extraction but prioritize departure area
-    return extractDate(card);
-  }
-
-  /**
-   * Extract arrival date
-   */
-  function extractArrivalDate(card) {
-    // MakeMyTrip specific: date near arrival time
-    const timeInfoRight = card.querySelector('div.timeInfoRight');
-    if (timeInfoRight) {
-      // Look for date in fontSize12 elements near arrival time
-      const dateEl = timeInfoRight.querySelector('p.fontSize12, span.fontSize12');
-      if (dateEl) {
-        const text = dateEl.textContent?.trim();
-        const datePatterns = [
-          /\b(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})\b/,
-          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{2,4})\b/i,
-          /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i,
-          /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i
-        ];
-        for (const pattern of datePatterns) {
-          const match = text.match(pattern);
-          if (match && match[0]) {
-            return match[0].trim();
-          }
-        }
-      }
-    }
-    
-    // Fallback: use general date extraction
-    return extractDate(card);
-  }
-
-  /**
-   * Extract date
-   */
-  function extractDate(card) {
-    const datePatterns = [
-      /\b(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})\b/,
-      /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{2,4})\b/i,
-      /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i,
-      /\b(\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*)\b/i, // Just day and month
-      /\b((Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\s+\d{1,2})\b/i // Day of week and day
-    ];
-
-    const selectors = [
-      'p[class*="date"]',
-      'span[class*="date"]',
-      'div[class*="date"]',
-      '[class*="Date"]',
-      '[data-testid*="date"]',
-      'p.fontSize12', // Common date container
-      'span.fontSize12' // Common date container
-    ];
-
-    // Try selectors first
-    for (const selector of selectors) {
-      const elements = card.querySelectorAll(selector);
-      for (const element of elements) {
-        const text = element.textContent || '';
-        for (const pattern of datePatterns) {
-          const match = text.match(pattern);
-          if (match && match[0]) {
-            return match[0].trim();
-          }
-        }
-      }
-    }
-
-    // Try to find date in time elements (often near departure/arrival times)
-    const timeElements = card.querySelectorAll('p.fontSize18, p.fontSize16, span.fontSize18, span.fontSize16');
-    for (const timeEl of timeElements) {
-      const parent = timeEl.parentElement;
-      if (parent) {
-        const parentText = parent.textContent || '';
-        for (const pattern of datePatterns) {
-          const match = parentText.match(pattern);
-          if (match && match[0]) {
-            return match[0].trim();
-          }
-        }
-      }
-    }
-
-    // Fallback: Search entire card
-    const text = card.textContent || '';
-    for (const pattern of datePatterns) {
-      const match = text.match(pattern);
-      if (match && match[0]) {
-        return match[0].trim();
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract layover information
-   */
-  function extractLayovers(card) {
-    const layoverPatterns = [
-      /(\d+)\s*(?:hr|hour|h)\s*(\d+)?\s*(?:min|m)?\s*(?:layover|stop|stops)/i,
-      /(?:layover|stop).*?(\d+)\s*(?:hr|hour|h)/i,
-      /(?:via|through)\s+([A-Z]{3})/i
-    ];
-
-    const text = card.textContent || '';
-    const layovers = [];
-
-    for (const pattern of layoverPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        layovers.push(match[0]);
-      }
-    }
-
-    // Also check for airport codes (3-letter codes)
-    const airportCodePattern = /\b([A-Z]{3})\b/g;
-    const codes = text.match(airportCodePattern);
-    if (codes && codes.length > 2) {
-      // Middle codes are likely layover airports
-      layovers.push(...codes.slice(1, -1));
-    }
-
-    return layovers.length > 0 ? layovers : null;
-  }
-
-  /**
-   * Extract layover cities (e.g., ["Bengaluru", "Mumbai"])
-   */
-  function extractLayoverCities(card) {
-    const cities = [];
-    
-    // MakeMyTrip specific: layover info in flightsLayoverInfo
-    const layoverInfo = card.querySelector('p.flightsLayoverInfo');
-    if (layoverInfo) {
-      const text = layoverInfo.textContent || '';
-      // Pattern: "1 stop via Bengaluru" or "1 stop via Mumbai, Delhi"
-      const viaMatch = text.match(/via\s+([A-Za-z\s,]+)/i);
-      if (viaMatch) {
-        const viaText = viaMatch[1].trim();
-        // Split by comma if multiple cities
-        const cityList = viaText.split(',').map(c => c.trim()).filter(c => c.length > 0);
-        cities.push(...cityList);
-      }
-    }
-    
-    // Also check in stop-info div
-    const stopInfo = card.querySelector('div.stop-info');
-    if (stopInfo) {
-      const text = stopInfo.textContent || '';
-      const viaMatch = text.match(/via\s+([A-Za-z\s,]+)/i);
-      if (viaMatch) {
-        const viaText = viaMatch[1].trim();
-        const cityList = viaText.split(',').map(c => c.trim()).filter(c => c.length > 0);
-        cities.push(...cityList);
-      }
-    }
-    
-    // Pattern match in full text
-    const cardText = card.textContent || '';
-    const viaPattern = /via\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*(?:\s*,\s*[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)*)/g;
-    let match;
-    while ((match = viaPattern.exec(cardText)) !== null) {
-      const cityText = match[1].trim();
-      const cityList = cityText.split(',').map(c => c.trim()).filter(c => c.length > 0);
-      cities.push(...cityList);
-    }
-    
-    return cities.length > 0 ? cities : null;
-  }
-
-  /**
-   * Extract stopover time/duration (time spent at layover airports, NOT total flight duration)
-   */
-  function extractStopoverTime(card) {
-    // First, check if there are any stops - if no stops, stopover time is null
-    const stops = extractStops(card);
-    if (!stops || stops === 0) {
-      return null; // No stops means no stopover time
-    }
-    
-    // Get total duration first to ensure we never return the same value
-    const totalDuration = extractDuration(card);
-    const totalDurationStr = totalDuration || '';
-    
-    // Look for layover duration in specific layover elements
-    // MakeMyTrip shows layover time in flightLayoverOuter or similar elements
-    const layoverOuters = card.querySelectorAll('div.flightLayoverOuter, div.mmtConnectLayover, div[class*="layover"], div[class*="Layover"]');
-    if (layoverOuters.length > 0) {
-      let totalStopoverMinutes = 0;
-      let foundLayoverTime = false;
-      
-      layoverOuters.forEach(layoverOuter => {
-        const layoverText = layoverOuter.textContent || '';
-        // Look for patterns like "2h 30m layover" or "2 hr 30 min" or just time in layover context
-        const layoverMatch = layoverText.match(/(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)?/i);
-        if (layoverMatch) {
-          const hours = parseInt(layoverMatch[1], 10);
-          const minutes = layoverMatch[2] ? parseInt(layoverMatch[2], 10) : 0;
-          const layoverTimeStr = `${hours}h ${minutes}m`;
-          
-          // CRITICAL: Make sure this is NOT the same as total duration
-          if (layoverTimeStr !== totalDurationStr) {
-            totalStopoverMinutes += (hours * 60) + minutes;
-            foundLayoverTime = true;
-          }
-        }
-      });
-      
-      if (foundLayoverTime && totalStopoverMinutes > 0) {
-        const totalHours = Math.floor(totalStopoverMinutes / 60);
-        const totalMins = totalStopoverMinutes % 60;
-        const result = `${totalHours}h ${totalMins}m`;
-        
-        // Double-check: never return the same as duration
-        if (result !== totalDurationStr) {
-          return result;
-        }
-      }
-    }
-    
-    // Look for stopover time in layover info text
-    const layoverInfo = card.querySelector('p.flightsLayoverInfo, div[class*="layoverInfo"], div[class*="LayoverInfo"]');
-    if (layoverInfo) {
-      const text = layoverInfo.textContent || '';
-      // Look for explicit layover/stopover time mentions
-      // Pattern: "2h 30m layover" or "layover: 2h 30m" or "stop: 2h" or "via DEL 2h 30m"
-      const layoverTimePatterns = [
-        /(?:layover|stop|stopover|via).*?(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)/i,
-        /(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute).*?(?:layover|stop|stopover|via)/i,
-        /via\s+\w+\s+(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)/i
-      ];
-      
-      for (const pattern of layoverTimePatterns) {
-        const match = text.match(pattern);
-        if (match) {
-          const hours = parseInt(match[1], 10);
-          const minutes = match[2] ? parseInt(match[2], 10) : 0;
-          // Only return if it's a reasonable stopover time (less than 12 hours and not same as duration)
-          if (hours < 12) {
-            const result = `${hours}h ${minutes}m`;
-            // CRITICAL: Never return the same as duration
-            if (result !== totalDurationStr) {
-              return result;
-            }
-          }
-        }
-      }
-    }
-    
-    // Calculate stopover time using departure and arrival times if available
-    const departureTime = extractDepartureTime(card);
-    const arrivalTime = extractArrivalTime(card);
-    
-    if (departureTime && arrivalTime && totalDuration) {
-      // Parse times (format: "HH:MM")
-      const depMatch = departureTime.match(/(\d{1,2}):(\d{2})/);
-      const arrMatch = arrivalTime.match(/(\d{1,2}):(\d{2})/);
-      
-      if (depMatch && arrMatch) {
-        const depHours = parseInt(depMatch[1], 10);
-        const depMins = parseInt(depMatch[2], 10);
-        const arrHours = parseInt(arrMatch[1], 10);
-        const arrMins = parseInt(arrMatch[2], 10);
-        
-        // Calculate time difference (handling day rollover)
-        let totalMins = (arrHours * 60 + arrMins) - (depHours * 60 + depMins);
-        if (totalMins < 0) {
-          totalMins += 24 * 60; // Next day
-        }
-        
-        // Parse total duration (format: "9h 25m" or "9h25m" or "9 h 25 m")
-        const durMatch = totalDuration.match(/(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)?/i);
-        if (durMatch) {
-          const durHours = parseInt(durMatch[1], 10);
-          const durMins = durMatch[2] ? parseInt(durMatch[2], 10) : 0;
-          const totalDurationMins = (durHours * 60) + durMins;
-          
-          // If time difference is significantly more than flight duration, 
-          // the difference is likely stopover time
-          if (totalMins > totalDurationMins) {
-            const stopoverMins = totalMins - totalDurationMins;
-            const stopoverHours = Math.floor(stopoverMins / 60);
-            const stopoverMinsRem = stopoverMins % 60;
-            
-            // Only return if reasonable (less than 12 hours)
-            if (stopoverHours < 12) {
-              const result = `${stopoverHours}h ${stopoverMinsRem}m`;
-              // CRITICAL: Never return the same as duration
-              if (result !== totalDurationStr) {
-                return result;
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    // If we can't determine stopover time, return null (NEVER return duration)
-    // This ensures duration and stopover_time are always different
-    return null;
-  }
-
-  /**
-   * Extract number of stops
-   */
-  function extractStops(card) {
-    // MakeMyTrip specific: stops info in flightsLayoverInfo
-    const layoverInfo = card.querySelector('p.flightsLayoverInfo');
-    if (layoverInfo) {
-      const text = layoverInfo.textContent?.trim().toLowerCase();
-      if (text) {
-        if (text.includes('non stop') || text.includes('nonstop') || text.includes('direct')) {
-          return 0;
-        }
-        // Check for number of stops
-        const stopMatch = text.match(/(\d+)\s*(?:stop|stops)/i);
-        if (stopMatch) {
-          return parseInt(stopMatch[1], 10);
-        }
-        // If it says "via" but no number, it's likely 1 stop
-        if (text.includes('via')) {
-          return 1;
-        }
-      }
-    }
-
-    // Fallback patterns
-    const stopPatterns = [
-      /(non-stop|direct|nonstop)/i,
-      /(\d+)\s*(?:stop|stops)/i,
-      /(?:stop|stops):\s*(\d+)/i
-    ];
-
-    const text = card.textContent || '';
-    
-    // Check for non-stop first
-    if (/non-stop|direct|nonstop/i.test(text)) {
-      return 0;
-    }
-
-    for (const pattern of stopPatterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        return parseInt(match[1], 10);
-      }
-    }
-
-    // Infer from layover cities count
-    const layoverCities = extractLayoverCities(card);
-    if (layoverCities && layoverCities.length > 0) {
-      return layoverCities.length;
-    }
-
-    // Infer from layover count
-    const layovers = extractLayovers(card);
-    if (layovers && layovers.length > 0) {
-      return layovers.length;
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract flight duration
-   */
-  function extractDuration(card) {
-    // MakeMyTrip specific: duration is in stop-info div
-    const stopInfo = card.querySelector('div.stop-info');
-    if (stopInfo) {
-      const durationText = stopInfo.querySelector('p')?.textContent?.trim();
-      if (durationText) {
-        // Format: "02 h 40 m" or "2h 40m"
-        const match = durationText.match(/(\d+)\s*(?:h|hr|hour)\s*(\d+)?\s*(?:m|min|minute)?/i);
-        if (match) {
-          const hours = parseInt(match[1], 10);
-          const minutes = match[2] ? parseInt(match[2], 10) : 0;
-          return `${hours}h ${minutes}m`;
-        }
-        // If it's already formatted, return as is
-        if (durationText.includes('h') || durationText.includes('hr')) {
-          return durationText;
-        }
-      }
-    }
-
-    // Fallback selectors
-    const durationPatterns = [
-      /(\d+)\s*(?:hr|hour|h)\s*(?:(\d+)\s*(?:min|m))?/i,
-      /(\d+):(\d+)\s*(?:hr|hour|h)/i,
-      /(?:duration|time):\s*(\d+)\s*(?:hr|hour|h)/i
-    ];
-
-    const selectors = [
-      '[class*="duration"]',
-      '[class*="Duration"]',
-      '[data-testid*="duration"]'
-    ];
-
-    for (const selector of selectors) {
-      const element = card.querySelector(selector);
-      if (element) {
-        const text = element.textContent || '';
-        for (const pattern of durationPatterns) {
-          const match = text.match(pattern);
-          if (match) {
-            const hours = parseInt(match[1], 10);
-            const minutes = match[2] ? parseInt(match[2], 10) : 0;
-            return `${hours}h ${minutes}m`;
-          }
-        }
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract price
-   */
-  function extractPrice(card) {
-    // MakeMyTrip specific: price in clusterViewPrice - try multiple selectors
-    const priceSelectors = [
-      'div.clusterViewPrice span.fontSize18.blackFont',
-      'span[data-test="component-fare"]',
-      'div.clusterViewPrice span.fontSize18',
-      'div.priceSection span.fontSize18',
-      '[data-test="component-fare"]',
-      'div.clusterViewPrice'
-    ];
-    
-    for (const selector of priceSelectors) {
-      const priceEl = card.querySelector(selector);
-      if (priceEl) {
-        const priceText = priceEl.textContent?.trim();
-        if (priceText) {
-          // Extract price with ₹ symbol - look for full price pattern
-          const priceMatch = priceText.match(/[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/);
-          if (priceMatch && priceMatch[0].length > 1) { // Make sure it's not just a single digit
-            const extractedPrice = priceMatch[0].trim();
-            // Validate it's a reasonable price (at least 3 digits)
-            if (extractedPrice.replace(/[₹Rs,\s]/g, '').length >= 3) {
-              return extractedPrice;
-            }
-          }
-        }
-      }
-    }
-    
-    // Try to find price in priceSection
-    const priceSection = card.querySelector('div.priceSection, [class*="priceSection"]');
-    if (priceSection) {
-      const priceText = priceSection.textContent || '';
-      const priceMatch = priceText.match(/[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/);
-      if (priceMatch && priceMatch[0].length > 1) {
-        const extractedPrice = priceMatch[0].trim();
-        if (extractedPrice.replace(/[₹Rs,\s]/g, '').length >= 3) {
-          return extractedPrice;
-        }
-      }
-    }
-
-    // Fallback selectors
-    const pricePatterns = [
-      /[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/,
-      /(\d{1,3}(?:[,\s]\d{2,3})*)\s*(?:INR|₹|Rs)/i
-    ];
-
-    const selectors = [
-      '[class*="price"]',
-      '[class*="Price"]',
-      '[data-testid*="price"]',
-      '[class*="fare"]',
-      '[class*="amount"]',
-      '[data-test="component-fare"]'
-    ];
-
-    for (const selector of selectors) {
-      const element = card.querySelector(selector);
-      if (element) {
-        const text = element.textContent || '';
-        for (const pattern of pricePatterns) {
-          const match = text.match(pattern);
-          if (match) {
-            return match[0].trim();
-          }
-        }
-      }
-    }
-
-    // Fallback: Find all price patterns and take the largest (usually the main price)
-    const text = card.textContent || '';
-    const prices = [];
-    for (const pattern of pricePatterns) {
-      const matches = text.match(new RegExp(pattern.source, 'g'));
-      if (matches) {
-        prices.push(...matches);
-      }
-    }
-
-    if (prices.length > 0) {
-      // Return the largest number (main price)
-      const numericPrices = prices.map(p => {
-        const num = p.replace(/[₹Rs,\s]/g, '');
-        return parseInt(num, 10);
-      }).filter(n => !isNaN(n));
-      
-      if (numericPrices.length > 0) {
-        const maxPrice = Math.max(...numericPrices);
-        return `₹${maxPrice.toLocaleString('en-IN')}`;
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract coupon details (promotional codes, discount offers)
-   */
-  function extractCouponDetails(card) {
-    const coupons = [];
-    
-    // MakeMyTrip specific: coupon codes in alert messages
-    const alertMsg = card.querySelector('p.alertMsg, div.alertMsg, [class*="alertMsg"]');
-    if (alertMsg) {
-      const text = alertMsg.textContent || '';
-      // Pattern: "FLAT ₹ 310 OFF using MMTSUPER" or "Code: MMTHDFCCC"
-      const codePatterns = [
-        /(?:code|using|use)\s*:?\s*([A-Z0-9]{6,})/gi,
-        /([A-Z]{2,}\d{2,}[A-Z]{2,})/g, // Pattern like MMTSUPER, MMTHDFCCC
-        /([A-Z]{3,}\d{2,})/g // Pattern like MMT310
-      ];
-      
-      for (const pattern of codePatterns) {
-        let match;
-        while ((match = pattern.exec(text)) !== null) {
-          const code = match[1] || match[0];
-          if (code && code.length >= 4) {
-            coupons.push({
-              code: code,
-              description: text.trim()
-            });
-          }
-        }
-      }
-    }
-    
-    // Check in specialFarePersuasionWrapper
-    const persuasionWrapper = card.querySelector('div.specialFarePersuasionWrapper, [class*="specialFarePersuasion"]');
-    if (persuasionWrapper) {
-      const text = persuasionWrapper.textContent || '';
-      const codeMatch = text.match(/(?:code|using|use)\s*:?\s*([A-Z0-9]{6,})/i);
-      if (codeMatch) {
-        coupons.push({
-          code: codeMatch[1],
-          description: text.trim()
-        });
-      }
-    }
-    
-    // Check in bottomPersuasions (from popup)
-    const bottomPersuasions = card.querySelector('div.bottomPersuasions, [class*="bottomPersuasions"]');
-    if (bottomPersuasions) {
-      const text = bottomPersuasions.textContent || '';
-      const codeMatch = text.match(/(?:code|using|use)\s*:?\s*([A-Z0-9]{6,})/i);
-      if (codeMatch) {
-        coupons.push({
-          code: codeMatch[1],
-          description: text.trim()
-        });
-      }
-    }
-    
-    // Remove duplicates
-    const uniqueCoupons = [];
-    const seenCodes = new Set();
-    for (const coupon of coupons) {
-      if (!seenCodes.has(coupon.code)) {
-        seenCodes.add(coupon.code);
-        uniqueCoupons.push(coupon);
-      }
-    }
-    
-    return uniqueCoupons.length > 0 ? uniqueCoupons : null;
-  }
-
-  /**
-   * Extract offers/promotions
-   */
-  function extractOffers(card) {
-    const offers = [];
-
-    // MakeMyTrip specific: multiple offer locations
-    // 1. Special fare persuasion at top
-    const specialFareEls = card.querySelectorAll('span.specialFarePersuasion, span[data-testid]');
-    specialFareEls.forEach(el => {
-      const text = el.textContent?.trim();
-      if (text && (text.includes('%') || text.includes('off') || text.includes('OFF'))) {
-        offers.push(text);
-      }
-    });
-
-    // 2. Alert messages (promotional offers)
-    const alertMsg = card.querySelector('p.alertMsg');
-    if (alertMsg) {
-      const alertText = alertMsg.textContent?.trim();
-      if (alertText) {
-        // Split by | to get individual offers
-        const individualOffers = alertText.split('|').map(o => o.trim()).filter(o => o);
-        offers.push(...individualOffers);
-      }
-    }
-
-    // 3. Lock price persuasion
-    const lockPriceEl = card.querySelector('span[data-test="component-lockPricePersuasionText"]');
-    if (lockPriceEl) {
-      const lockText = lockPriceEl.textContent?.trim();
-      if (lockText) {
-        offers.push(lockText);
-      }
-    }
-
-    // Fallback: generic offer selectors
-    const offerKeywords = ['offer', 'discount', 'promo', 'cashback', 'coupon', 'deal', 'save', 'off'];
-    const selectors = [
-      '[class*="offer"]',
-      '[class*="Offer"]',
-      '[class*="promo"]',
-      '[class*="discount"]',
-      '[class*="deal"]',
-      '[class*="badge"]'
-    ];
-
-    for (const selector of selectors) {
-      const elements = card.querySelectorAll(selector);
-      elements.forEach(el => {
-        const text = el.textContent?.trim() || '';
-        if (text && offerKeywords.some(keyword => text.toLowerCase().includes(keyword))) {
-          if (!offers.includes(text)) {
-            offers.push(text);
-          }
-        }
-      });
-    }
-
-    return offers.length > 0 ? offers : null;
-  }
-
-  /**
-   * Extract fare options from the popup modal
-   */
-  function extractFareOptions(card) {
-    // Find all visible popups that contain fare data
-    const allPopups = document.querySelectorAll('div.wdth100, div.journeyContent');
-    
-    // Try to find popup associated with this specific card
-    // Look for popup that contains the same route information
-    const cardRoute = extractRouteFromCard(card);
-    
-    for (const popup of allPopups) {
-      if (!isElementVisible(popup)) continue;
-      
-      // Check if popup contains route info matching the card
-      const popupRoute = extractRouteFromPopup(popup);
-      if (cardRoute && popupRoute && 
-          (cardRoute.departure === popupRoute.departure || 
-           cardRoute.arrival === popupRoute.arrival)) {
-        return extractFareOptionsFromPopup(popup);
-      }
-    }
-    
-    // Fallback: if only one popup is visible, use it
-    const visiblePopups = Array.from(allPopups).filter(p => isElementVisible(p));
-    if (visiblePopups.length === 1) {
-      return extractFareOptionsFromPopup(visiblePopups[0]);
-    }
-    
-    // If multiple popups, try to find the one closest to this card
-    if (visiblePopups.length > 0) {
-      // Get card position
-      const cardRect = card.getBoundingClientRect();
-      let closestPopup = null;
-      let minDistance = Infinity;
-      
-      visiblePopups.forEach(popup => {
-        const popupRect = popup.getBoundingClientRect();
-        const distance = Math.abs(cardRect.top - popupRect.top);
-        if (distance < minDistance) {
-          minDistance = distance;
-          closestPopup = popup;
-        }
-      });
-      
-      if (closestPopup) {
-        return extractFareOptionsFromPopup(closestPopup);
-      }
-    }
-    
-    return null;
-  }
-
-  /**
-   * Extract route info from card for matching
-   */
-  function extractRouteFromCard(card) {
-    const depCity = extractDepartureCity(card);
-    const arrCity = extractArrivalCity(card);
-    return depCity && arrCity ? { departure: depCity, arrival: arrCity } : null;
-  }
-
-  /**
-   * Extract route info from popup for matching
-   */
-  function extractRouteFromPopup(popup) {
-    const routeText = popup.querySelector('span.boldFont.fontSize16')?.textContent;
-    if (routeText && routeText.includes('→')) {
-      const parts = routeText.split('→').map(s => s.trim());
-      if (parts.length === 2) {
-        return { departure: parts[0], arrival: parts[1] };
-      }
-    }
-    return null;
-  }
-
-  /**
-   * Extract fare options from popup element
-   */
-  function extractFareOptionsFromPopup(popup) {
-    const result = {
-      route: null,
-      airline_info: null,
-      date_time: null,
-      fare_classes: []
-    };
-
-    // Extract route information from popup header
-    const routeEl = popup.querySelector('span.boldFont.fontSize16');
-    if (routeEl) {
-      result.route = routeEl.textContent?.trim();
-    }
-
-    // Extract airline and date/time info
-    const airlineInfoEl = popup.querySelector('span.mediumBoldFont');
-    if (airlineInfoEl) {
-      result.airline_info = airlineInfoEl.textContent?.trim();
-    }
-
-    // Extract class tabs (Economy, Business Class)
-    const classTabs = popup.querySelectorAll('div.legListTab');
-    
-    if (classTabs.length > 0) {
-      // Extract fare cards for each class tab
-      classTabs.forEach((tab, tabIndex) => {
-        const className = tab.querySelector('span.legListTabTitle')?.textContent?.trim() || `Class ${tabIndex + 1}`;
-        const startingPrice = tab.querySelector('span.legListSubtitle')?.textContent?.trim() || null;
-        const classDescription = tab.querySelector('span.fontSize12.boldFont.darkText')?.textContent?.trim() || null;
-
-        // Find all fare cards - they're in the journeyContent section
-        // For active tab, get all visible fare cards
-        const journeyContent = popup.querySelector('div.journeyContent');
-        const fareCards = journeyContent ? 
-          journeyContent.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide.fareFamilyCardWrapper') : 
-          popup.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide');
-        
-        const fares = [];
-        const seenFares = new Set(); // Track unique fares to avoid duplicates
-        fareCards.forEach((fareCard) => {
-          // Only extract visible fare cards
-          if (isElementVisible(fareCard)) {
-            const fare = extractFareCardDetails(fareCard);
-            if (fare) {
-              // Generate unique key for fare (fare name + price)
-              const fareKey = `${fare.fare_name || 'unknown'}_${fare.price || ''}_${fare.original_price || ''}`;
-              if (!seenFares.has(fareKey)) {
-                seenFares.add(fareKey);
-                fares.push(fare);
-              } else {
-                console.log(`⚠ Duplicate fare card detected: ${fareKey}`);
-              }
-            }
-          }
-        });
-
-        if (fares.length > 0 || startingPrice) {
-          result.fare_classes.push({
-            class: className,
-            starting_price: startingPrice,
-            description: classDescription,
-            fares: fares
-          });
-        }
-      });
-    } else {
-      // If no tabs found, extract all fare cards directly
-      const journeyContent = popup.querySelector('div.journeyContent');
-      const fareCards = journeyContent ? 
-        journeyContent.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide.fareFamilyCardWrapper') : 
-        popup.querySelectorAll('div.fareFamilyCardWrapper, div.keen-slider__slide');
-      
-      const fares = [];
-      const seenFares = new Set(); // Track unique fares to avoid duplicates
-      fareCards.forEach((fareCard) => {
-        if (isElementVisible(fareCard)) {
-          const fare = extractFareCardDetails(fareCard);
-          if (fare) {
-            // Generate unique key for fare (fare name + price)
-            const fareKey = `${fare.fare_name || 'unknown'}_${fare.price || ''}_${fare.original_price || ''}`;
-            if (!seenFares.has(fareKey)) {
-              seenFares.add(fareKey);
-              fares.push(fare);
-            } else {
-              console.log(`⚠ Duplicate fare card detected: ${fareKey}`);
-            }
-          }
-        }
-      });
-
-      if (fares.length > 0) {
-        result.fare_classes.push({
-          class: 'Economy',
-          fares: fares
-        });
-      }
-    }
-
-    return result.fare_classes.length > 0 ? result : null;
-  }
-
-  /**
-   * Extract details from a single fare card
-   */
-  function extractFareCardDetails(fareCard) {
-    const fare = {};
-
-    // Extract price - look in ffCardHeading first
-    const heading = fareCard.querySelector('div.ffCardHeading');
-    if (heading) {
-      // Check for slashed price (original price) first
-      const slashedPrice = heading.querySelector('span.lighterGreyText strike');
-      if (slashedPrice) {
-        fare.original_price = slashedPrice.textContent?.trim();
-      }
-      
-      // Extract current price
-      const priceEl = heading.querySelector('span.fontSize18.blackFont');
-      if (priceEl) {
-        const priceText = priceEl.textContent?.trim();
-        const priceMatch = priceText?.match(/[₹Rs]?\s*(\d{1,3}(?:[,\s]\d{2,3})*)/);
-        fare.price = priceMatch ? priceMatch[0].trim() : priceText;
-      }
-      
-      // Extract "per adult" text if available
-      const perAdult = heading.querySelector('span.fontSize12');
-      if (perAdult && perAdult.textContent?.includes('per adult')) {
-        fare.price_unit = perAdult.textContent?.trim();
-      }
-    }
-
-    // Extract fare name
-    const fareNameEl = fareCard.querySelector('p.fontSize12.capText');
-    if (fareNameEl) {
-      fare.fare_name = fareNameEl.textContent?.trim();
-    }
-
-    // Extract baggage information
-    const baggageSection = Array.from(fareCard.querySelectorAll('p.fontSize12.boldFont.appendBottom8'))
-      .find(section => section.textContent?.includes('Baggage'));
-    
-    if (baggageSection) {
-      const baggageItems = [];
-      // Check for special tag on baggage section
-      const benefitTag = baggageSection.querySelector('span.benefitTag');
-      if (benefitTag) {
-        fare.baggage_tag = benefitTag.textContent?.trim();
-      }
-      
-      // Get the UL list that follows
-      let nextSibling = baggageSection.nextElementSibling;
-      while (nextSibling && nextSibling.tagName !== 'UL' && !nextSibling.classList.contains('ffCardList')) {
-        nextSibling = nextSibling.nextElementSibling;
-      }
-      if (nextSibling && (nextSibling.tagName === 'UL' || nextSibling.classList.contains('ffCardList'))) {
-        nextSibling.querySelectorAll('li').forEach(li => {
-          const baggageText = li.textContent?.trim();
-          if (baggageText) {
-            baggageItems.push(baggageText);
-          }
-        });
-      }
-      fare.baggage = baggageItems.length > 0 ? baggageItems : null;
-    }
-
-    // Extract flexibility information
-    const flexibilitySection = Array.from(fareCard.querySelectorAll('p.fontSize12.boldFont.appendBottom8'))
-      .find(section => section.textContent?.includes('Flexibility'));
-    
-    if (flexibilitySection) {
-      const flexibilityItems = [];
-      let nextSibling = flexibilitySection.nextElementSibling;
-      while (nextSibling && nextSibling.tagName !== 'UL' && !nextSibling.classList.contains('ffCardList')) {
-        nextSibling = nextSibling.nextElementSibling;
-      }
-      if (nextSibling && (nextSibling.tagName === 'UL' || nextSibling.classList.contains('ffCardList'))) {
-        nextSibling.querySelectorAll('li').forEach(li => {
-          const flexText = li.textContent?.trim();
-          if (flexText) {
-            flexibilityItems.push(flexText);
-          }
-        });
-      }
-      fare.flexibility = flexibilityItems.length > 0 ? flexibilityItems : null;
-    }
-
-    // Extract seats, meals & more
-    const seatsMealsSection = Array.from(fareCard.querySelectorAll('p.fontSize12.boldFont.appendBottom8'))
-      .find(section => section.textContent?.includes('Seats') || section.textContent?.includes('Meals'));
-    
-    if (seatsMealsSection) {
-      const seatsMealsItems = [];
-      let nextSibling = seatsMealsSection.nextElementSibling;
-      while (nextSibling && nextSibling.tagName !== 'UL' && !nextSibling.classList.contains('ffCardList')) {
-        nextSibling = nextSibling.nextElementSibling;
-      }
-      if (nextSibling && (nextSibling.tagName === 'UL' || nextSibling.classList.contains('ffCardList'))) {
-        nextSibling.querySelectorAll('li').forEach(li => {
-          const itemText = li.textContent?.trim();
-          if (itemText) {
-            seatsMealsItems.push(itemText);
-          }
-        });
-      }
-      fare.seats_meals = seatsMealsItems.length > 0 ? seatsMealsItems : null;
-    }
-
-    // Extract special tags/benefits
-    const benefitTag = fareCard.querySelector('span.benefitTag');
-    if (benefitTag && !fare.baggage_tag) {
-      fare.special_tag = benefitTag.textContent?.trim();
-    }
-
-    const mostPopularTag = fareCard.querySelector('div.mostPopularTag');
-    if (mostPopularTag) {
-      fare.popular_tag = mostPopularTag.textContent?.trim();
-    }
-
-    // Extract bottom persuasions/offers
-    const bottomPersuasions = fareCard.querySelector('div.bottomPersuasions');
-    if (bottomPersuasions) {
-      const persuasions = [];
-      bottomPersuasions.querySelectorAll('div.ffSuccess, div.fontSize12').forEach(el => {
-        const text = el.textContent?.trim();
-        if (text) {
-          // Split by | to get individual offers
-          const individualOffers = text.split('|').map(o => o.trim()).filter(o => o);
-          persuasions.push(...individualOffers);
-        }
-      });
-      
-      // Also check for benefits worth text
-      const benefitsWorth = bottomPersuasions.querySelector('div.boldFont');
-      if (benefitsWorth) {
-        const benefitsText = benefitsWorth.textContent?.trim();
-        if (benefitsText) {
-          persuasions.push(benefitsText);
-        }
-      }
-      
-      fare.persuasions = persuasions.length > 0 ? persuasions : null;
-    }
-
-    // Extract lock price button text if available
-    const lockPriceBtn = fareCard.querySelector('button.ffSpinBtnWrapper');
-    if (!lockPriceBtn) {
-      // Fallback: find button with LOCK PRICE text
-      const allButtons = fareCard.querySelectorAll('button');
-      for (const btn of allButtons) {
-        if (btn.textContent?.includes('LOCK PRICE') || btn.querySelector('font[color="#008CFF"]')) {
-          const lockPriceText = btn.textContent?.trim();
-          if (lockPriceText) {
-            fare.has_lock_price = true;
-            fare.lock_price_text = lockPriceText;
-          }
-          break;
-        }
-      }
-    } else {
-      fare.has_lock_price = true;
-      const lockPriceText = lockPriceBtn.textContent?.trim();
-      if (lockPriceText) {
-        fare.lock_price_text = lockPriceText;
-      }
-    }
-
-    // Only return fare if it has at least a price
-    return fare.price ? fare : null;
-  }
-
-  /**
-   * Extract raw text excerpt
-   */
-  function extractRawText(card) {
-    const text = card.textContent || '';
-    // Return first 500 characters for debugging
-    return text.substring(0, 500).trim();
-  }
-
-  /**
-   * Extract HTML snippet
-   */
-  function extractHtmlSnippet(card) {
-    const html = card.outerHTML || '';
-    // Return first 1000 characters for debugging
-    return html.substring(0, 1000);
-  }
-
-  /**
-   * Check if element is visible
-   */
-  function isElementVisible(element) {
-    if (!element) return false;
-    
-    const style = window.getComputedStyle(element);
-    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
-      return false;
-    }
-
-    const rect = element.getBoundingClientRect();
-    return rect.width > 0 && rect.height > 0;
-  }
-
-  /**
-   * Validate if extracted flight data is valid
-   */
-  function isValidFlight(flight) {
-    // At minimum, should have price or time information
-    return !!(flight.price || flight.departure_time || flight.arrival_time);
+  function isValidFlight(flight) {
+    // At minimum, should have price or time information
+    return !!(flight.price || flight.departure_time || flight.arrival_time);
   }
 
   // Log that content script is loaded
@@ -8158,13 +5688,6 @@
   function triggerAutoExtractionCheck() {
     console.log('=== Triggering auto-extraction check ===');
     console.log('URL:', window.location.href);
-    console.log('Has sessionStorage:', typeof sessionStorage !== 'undefined');
-    
-    if (typeof sessionStorage !== 'undefined') {
-      const pendingData = sessionStorage.getItem('pendingExtraction');
-      console.log('Pending extraction data:', pendingData ? 'Found' : 'Not found');
-    }
-    
     checkAndAutoExtract();
   }
   
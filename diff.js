@@ -0,0 +1,168 @@
+/**
+ * Flight Extracter - Compare Extractions page
+ * Loads two saved extraction results (JSON) and shows what changed between them (see extraction-diff.js)
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const beforeFile = document.getElementById('beforeFile');
+  const afterFile = document.getElementById('afterFile');
+  const compareBtn = document.getElementById('compareBtn');
+  const downloadDiffBtn = document.getElementById('downloadDiffBtn');
+  const status = document.getElementById('status');
+  const statusText = document.getElementById('statusText');
+  const report = document.getElementById('report');
+  const summary = document.getElementById('summary');
+  const changedRows = document.getElementById('changedRows');
+  const addedRows = document.getElementById('addedRows');
+  const removedRows = document.getElementById('removedRows');
+
+  let currentDiff = null;
+
+  [beforeFile, afterFile].forEach(input => {
+    input.addEventListener('change', () => {
+      compareBtn.disabled = !(beforeFile.files.length && afterFile.files.length);
+    });
+  });
+
+  /**
+   * Compare button handler
+   */
+  compareBtn.addEventListener('click', async () => {
+    try {
+      const before = await readResult(beforeFile.files[0]);
+      const after = await readResult(afterFile.files[0]);
+      currentDiff = ExtractionDiff.diff(before, after);
+      renderDiff(currentDiff);
+      downloadDiffBtn.disabled = false;
+      updateStatus(`${currentDiff.before.flights_count} flights before, ${currentDiff.after.flights_count} after`, 'success');
+    } catch (error) {
+      console.error('Compare error:', error);
+      currentDiff = null;
+      downloadDiffBtn.disabled = true;
+      report.style.display = 'none';
+      updateStatus('Error: ' + error.message, 'error');
+    }
+  });
+
+  /**
+   * Download diff button handler
+   */
+  downloadDiffBtn.addEventListener('click', () => {
+    if (!currentDiff) {
+      return;
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    chrome.runtime.sendMessage({
+      action: 'downloadJSON',
+      data: currentDiff,
+      filename: `flight-diff-${timestamp}.json`,
+      saveAs: true
+    }, (response) => {
+      if (response && response.success) {
+        updateStatus(`Diff saved: ${response.filename}`, 'success');
+      } else {
+        updateStatus('Error saving diff: ' + ((response && response.error) || 'Unknown error'), 'error');
+      }
+    });
+  });
+
+  /**
+   * Parse a picked file as an extraction result
+   */
+  async function readResult(file) {
+    const data = JSON.parse(await file.text());
+    if (!data || (!Array.isArray(data.flights) && !Array.isArray(data.combinations))) {
+      throw new Error(`${file.name} is not an extraction result (no flights)`);
+    }
+    return data;
+  }
+
+  /**
+   * Fill the summary and the three tables
+   */
+  function renderDiff(diff) {
+    summary.innerHTML = '';
+    [
+      ['changed', 'changed'], ['added', 'new'], ['removed', 'removed'], ['unchanged', 'unchanged'],
+      ['price_decreases', 'cheaper'], ['price_increases', 'pricier']
+    ].forEach(([key, label]) => {
+      const badge = document.createElement('span');
+      badge.textContent = `${diff.summary[key]} ${label}`;
+      summary.appendChild(badge);
+    });
+
+    changedRows.innerHTML = '';
+    diff.changed.forEach(flight => {
+      flight.changes.forEach((change, index) => {
+        const row = changedRows.insertRow();
+        addCell(row, index === 0 ? flightLabel(flight) : '');
+        addCell(row, change.fare || change.segment ? `${change.type} (${change.fare || change.segment})` : change.type);
+        // fare_added / fare_removed carry only the fare's price_amount
+        addCell(row, formatValue('before' in change ? change.before : (change.type === 'fare_removed' ? change.price_amount : null)));
+        const afterCell = addCell(row, formatValue('after' in change ? change.after : (change.type === 'fare_added' ? change.price_amount : null)));
+        if (typeof change.delta === 'number') {
+          afterCell.textContent += ` (${change.delta > 0 ? '+' : ''}${change.delta})`;
+          afterCell.className = change.delta > 0 ? 'price-up' : 'price-down';
+        }
+      });
+    });
+    fillEmpty(changedRows, 4);
+
+    [[addedRows, diff.added], [removedRows, diff.removed]].forEach(([tbody, flights]) => {
+      tbody.innerHTML = '';
+      flights.forEach(flight => {
+        const row = tbody.insertRow();
+        addCell(row, flightLabel(flight));
+        addCell(row, flight.departure_datetime || '');
+        addCell(row, flight.price_amount !== null ? `${flight.price_currency || ''} ${flight.price_amount}`.trim() : '');
+      });
+      fillEmpty(tbody, 3);
+    });
+
+    report.style.display = 'block';
+  }
+
+  function addCell(row, content) {
+    const cell = row.insertCell();
+    if (content instanceof Node) {
+      cell.appendChild(content);
+    } else {
+      cell.textContent = content;
+    }
+    return cell;
+  }
+
+  function fillEmpty(tbody, columns) {
+    if (tbody.rows.length === 0) {
+      const cell = tbody.insertRow().insertCell();
+      cell.colSpan = columns;
+      cell.className = 'empty';
+      cell.textContent = 'None';
+    }
+  }
+
+  function flightLabel(flight) {
+    const name = [flight.airline, flight.flight_code].filter(Boolean).join(' ');
+    return name ? `${name} — ${flight.flight_id}` : flight.flight_id;
+  }
+
+  /**
+   * Scalars as text, objects (baggage, policies) as indented JSON
+   */
+  function formatValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'object') {
+      const pre = document.createElement('pre');
+      pre.textContent = JSON.stringify(value, null, 2);
+      return pre;
+    }
+    return String(value);
+  }
+
+  function updateStatus(message, type = '') {
+    statusText.textContent = message;
+    status.className = 'status ' + type;
+  }
+});
@@ -0,0 +1,205 @@
+/**
+ * Flight Extracter - Export Formats
+ * Turns extraction results into JSON, CSV (one row per flight or per fare option)
+ * or NDJSON (one flight per line). Used by the popup and the background worker.
+ */
+
+const ExportFormats = {
+  FORMATS: {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV (one row per flight)', extension: 'csv', mimeType: 'text/csv' },
+    csv_fares: { label: 'CSV (one row per fare option)', extension: 'csv', mimeType: 'text/csv' },
+    ndjson: { label: 'NDJSON (one flight per line)', extension: 'ndjson', mimeType: 'application/x-ndjson' }
+  },
+
+  // Flight columns that come first in CSV files, in this order; other fields follow as they appear
+  FLIGHT_COLUMNS: [
+    'job_id', 'combination_index', 'flight_id', 'flight_fingerprint', 'direction', 'leg_index', 'airline', 'airline_code', 'flight_code',
+    'route_source', 'route_destination', 'departure_date_formatted',
+    'departure_city', 'departure_date', 'departure_time', 'departure_datetime', 'departure_utc_offset',
+    'arrival_city', 'arrival_date', 'arrival_time', 'arrival_datetime', 'arrival_utc_offset', 'arrival_day_offset',
+    'duration', 'duration_minutes', 'duration_consistent', 'stops', 'stopover_time',
+    'layovers', 'layover_cities', 'price', 'price_amount', 'price_currency', 'offers', 'coupon_details'
+  ],
+
+  // Too large or too nested for a spreadsheet cell (fare options become rows in csv_fares)
+  EXCLUDED_FIELDS: ['raw_text', 'html_snippet', 'fare_options'],
+
+  // Separator for lists inside one CSV cell (e.g., layover cities)
+  LIST_SEPARATOR: ' | ',
+
+  /**
+   * Check if a format id is known
+   */
+  isKnown(format) {
+    return Object.prototype.hasOwnProperty.call(this.FORMATS, format);
+  },
+
+  /**
+   * Serialize extraction results
+   * @param {Object} data - {metadata, flights} from an extraction, or a consolidated batch document
+   * @param {string} format - Key of FORMATS (default 'json')
+   * @returns {string}
+   */
+  serialize(data, format = 'json') {
+    if (format === 'csv') {
+      return this.toCSV(this.flightsOf(data), false);
+    }
+    if (format === 'csv_fares') {
+      return this.toCSV(this.flightsOf(data), true);
+    }
+    if (format === 'ndjson') {
+      return this.toNDJSON(this.flightsOf(data));
+    }
+    return JSON.stringify(data, null, 2);
+  },
+
+  /**
+   * Replace a filename's extension to match the format
+   * (e.g., "flight-BLR-PAT-2026-11-20.json" -> "flight-BLR-PAT-2026-11-20-fares.csv" for csv_fares)
+   */
+  filename(filename, format = 'json') {
+    const spec = this.FORMATS[format] || this.FORMATS.json;
+    const base = String(filename || 'flight-data').replace(/\.(json|csv|ndjson)$/i, '');
+    return `${base}${format === 'csv_fares' ? '-fares' : ''}.${spec.extension}`;
+  },
+
+  /**
+   * MIME type for a format
+   */
+  mimeType(format = 'json') {
+    return (this.FORMATS[format] || this.FORMATS.json).mimeType;
+  },
+
+  /**
+   * Flights of an extraction result; flights of a consolidated batch document are tagged
+   * with job_id and combination_index so rows can be traced back to their search
+   * @returns {Array<Object>}
+   */
+  flightsOf(data) {
+    if (!data) {
+      return [];
+    }
+    if (Array.isArray(data.combinations)) {
+      const jobId = data.metadata ? data.metadata.job_id : null;
+      return data.combinations.flatMap(combination => (combination.flights || []).map(flight => ({
+        job_id: jobId,
+        combination_index: combination.index,
+        ...flight
+      })));
+    }
+    return Array.isArray(data.flights) ? data.flights : [];
+  },
+
+  /**
+   * One JSON object per line (no trailing commas or wrapping array, so files can be appended and streamed)
+   */
+  toNDJSON(flights) {
+    return flights.map(flight => JSON.stringify(flight)).join('\n') + (flights.length > 0 ? '\n' : '');
+  },
+
+  /**
+   * CSV with a header row (RFC 4180 quoting, CRLF line endings)
+   * @param {Array<Object>} flights - Flight records
+   * @param {boolean} perFare - One row per fare option with the flight columns repeated
+   *                            (flights without fare options still get one row)
+   * @returns {string}
+   */
+  toCSV(flights, perFare = false) {
+    const rows = [];
+    flights.forEach(flight => {
+      const flightRow = this.flattenFlight(flight);
+      if (!perFare) {
+        rows.push(flightRow);
+        return;
+      }
+      const fareRows = this.fareRows(flight);
+      if (fareRows.length === 0) {
+        rows.push(flightRow);
+      }
+      fareRows.forEach(fareRow => rows.push({ ...flightRow, ...fareRow }));
+    });
+
+    const columns = this.columnsOf(rows);
+    const lines = [columns.map(column => this.csvCell(column)).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => this.csvCell(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Flatten a flight into scalar columns: nested objects become prefix_key columns,
+   * lists of values are joined with LIST_SEPARATOR, lists of objects are kept as JSON
+   */
+  flattenFlight(flight) {
+    const row = {};
+    Object.entries(flight || {}).forEach(([key, value]) => {
+      if (!this.EXCLUDED_FIELDS.includes(key)) {
+        this.flattenInto(row, key, value);
+      }
+    });
+    return row;
+  },
+
+  /**
+   * One row of fare_* columns per fare option of a flight
+   */
+  fareRows(flight) {
+    const fareOptions = flight && flight.fare_options;
+    if (!fareOptions || !Array.isArray(fareOptions.fare_classes)) {
+      return [];
+    }
+    const rows = [];
+    fareOptions.fare_classes.forEach(fareClass => {
+      (fareClass.fares || []).forEach(fare => {
+        const row = {
+          fare_class: fareClass.class || null,
+          fare_class_starting_price: fareClass.starting_price || null
+        };
+        Object.entries(fare).forEach(([key, value]) => {
+          this.flattenInto(row, key.startsWith('fare_') ? key : `fare_${key}`, value);
+        });
+        rows.push(row);
+      });
+    });
+    return rows;
+  },
+
+  /**
+   * Add one value to a flat row under the given column name
+   */
+  flattenInto(row, column, value) {
+    if (value === null || value === undefined) {
+      row[column] = null;
+    } else if (Array.isArray(value)) {
+      const allScalar = value.every(item => item === null || typeof item !== 'object');
+      row[column] = allScalar ? value.join(this.LIST_SEPARATOR) : JSON.stringify(value);
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, nested]) => this.flattenInto(row, `${column}_${key}`, nested));
+    } else {
+      row[column] = value;
+    }
+  },
+
+  /**
+   * Header for a set of rows: FLIGHT_COLUMNS that occur, then every other column in first-seen order
+   */
+  columnsOf(rows) {
+    const seen = new Set();
+    rows.forEach(row => Object.keys(row).forEach(column => seen.add(column)));
+    const preferred = this.FLIGHT_COLUMNS.filter(column => seen.has(column));
+    return [...preferred, ...Array.from(seen).filter(column => !preferred.includes(column))];
+  },
+
+  /**
+   * Quote a CSV cell when it contains a comma, quote or line break
+   */
+  csvCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Flight Extracter - Extraction Depth
+ * How much of each flight card an extraction opens. Each level adds to the one before it:
+ *   card       what the card shows (extractFlightFromCard), no clicks
+ *   fares      + the VIEW PRICES popup (fare_options)
+ *   itinerary  + View Flight Details, FLIGHT DETAILS tab (segments, baggage)
+ *   policies   + FARE SUMMARY, CANCELLATION and DATE CHANGE tabs
+ * Used by the content script, the popup and batch jobs.
+ */
+
+const ExtractionDepth = {
+  LEVELS: {
+    card: 'Cards only (fastest)',
+    fares: '+ fare options',
+    itinerary: '+ itinerary segments',
+    policies: '+ fare summary and policies (slowest)'
+  },
+
+  // What extractions opened before depth was selectable
+  DEFAULT: 'itinerary',
+
+  /**
+   * Check if a depth id is known
+   */
+  isKnown(depth) {
+    return Object.prototype.hasOwnProperty.call(this.LEVELS, depth);
+  },
+
+  /**
+   * Known depth, or the default for missing / unknown values (e.g., plans saved before depth existed)
+   */
+  normalize(depth) {
+    return this.isKnown(depth) ? depth : this.DEFAULT;
+  },
+
+  /**
+   * Whether an extraction at `depth` opens `level` ('fares', 'itinerary' or 'policies')
+   */
+  includes(depth, level) {
+    const order = Object.keys(this.LEVELS);
+    return order.indexOf(this.normalize(depth)) >= order.indexOf(level);
+  }
+};
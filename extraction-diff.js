@@ -0,0 +1,269 @@
+/**
+ * Flight Extracter - Extraction Diff
+ * Compares two extraction results (e.g., the same route scraped twice) flight by flight.
+ * Flights are matched by flight_id; the report lists new flights, removed flights and, for
+ * flights in both, changes in price, fare options (fare_options), baggage (fare cards and
+ * flight_details segments) and cancellation / date change policy.
+ *
+ * Sections that only one of the two results has (e.g., one run skipped flight details)
+ * are not reported as changes.
+ *
+ * Needs airports.js, flight-identity.js (ids for older results without flight_id),
+ * site-adapter.js (prices of older results without price_amount) and export-formats.js
+ * (flights of single and consolidated results).
+ */
+
+const ExtractionDiff = {
+  /**
+   * Compare two extraction results
+   * @param {Object} before - Older result ({metadata, flights} or a consolidated batch file)
+   * @param {Object} after - Newer result
+   * @returns {Object} - {before, after, summary, added, removed, changed}
+   */
+  diff(before, after) {
+    const beforeFlights = this.indexFlights(ExportFormats.flightsOf(before));
+    const afterFlights = this.indexFlights(ExportFormats.flightsOf(after));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    afterFlights.forEach((flight, key) => {
+      if (!beforeFlights.has(key)) {
+        added.push(this.describeFlight(flight));
+      }
+    });
+    beforeFlights.forEach((flight, key) => {
+      const newer = afterFlights.get(key);
+      if (!newer) {
+        removed.push(this.describeFlight(flight));
+        return;
+      }
+      const changes = this.compareFlights(flight, newer);
+      if (changes.length > 0) {
+        changed.push({ ...this.describeFlight(newer), changes: changes });
+      } else {
+        unchanged++;
+      }
+    });
+
+    const priceChanges = changed.flatMap(entry => entry.changes.filter(change => change.type === 'price' && change.delta !== null));
+    return {
+      before: this.describeResult(before, beforeFlights.size),
+      after: this.describeResult(after, afterFlights.size),
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged: unchanged,
+        price_increases: priceChanges.filter(change => change.delta > 0).length,
+        price_decreases: priceChanges.filter(change => change.delta < 0).length
+      },
+      added: added,
+      removed: removed,
+      changed: changed
+    };
+  },
+
+  /**
+   * Flights keyed by flight_id (a repeated id gets "#2", "#3", ... in page order)
+   * @returns {Map<string, Object>}
+   */
+  indexFlights(flights) {
+    const index = new Map();
+    flights.forEach(flight => {
+      const flightId = flight.flight_id || FlightIdentity.build(flight).flight_id;
+      let key = flightId;
+      for (let occurrence = 2; index.has(key); occurrence++) {
+        key = `${flightId}#${occurrence}`;
+      }
+      index.set(key, flight);
+    });
+    return index;
+  },
+
+  /**
+   * All changes between two versions of the same flight
+   * @returns {Array<Object>} - {type, ...} entries (see README "Comparing Extractions")
+   */
+  compareFlights(before, after) {
+    const changes = [];
+
+    if (this.amountOf(before) !== this.amountOf(after) && this.amountOf(before) !== null && this.amountOf(after) !== null) {
+      changes.push({
+        type: 'price',
+        before: this.amountOf(before),
+        after: this.amountOf(after),
+        delta: this.amountOf(after) - this.amountOf(before),
+        currency: after.price_currency || before.price_currency || null
+      });
+    }
+
+    changes.push(...this.compareFares(this.faresOf(before), this.faresOf(after)));
+    changes.push(...this.compareSegmentBaggage(this.segmentsOf(before), this.segmentsOf(after)));
+
+    ['cancellation_policy', 'date_change_policy'].forEach(policy => {
+      const beforePolicy = this.detailsOf(before)[policy];
+      const afterPolicy = this.detailsOf(after)[policy];
+      if (beforePolicy && afterPolicy && this.canonical(beforePolicy) !== this.canonical(afterPolicy)) {
+        changes.push({ type: policy, before: beforePolicy, after: afterPolicy });
+      }
+    });
+
+    return changes;
+  },
+
+  /**
+   * Fare option changes: fares added or removed, and price / baggage / flexibility of fares in both
+   * @param {Map|null} beforeFares - From faresOf()
+   * @param {Map|null} afterFares
+   */
+  compareFares(beforeFares, afterFares) {
+    if (!beforeFares || !afterFares) {
+      return [];
+    }
+    const changes = [];
+    afterFares.forEach((fare, key) => {
+      if (!beforeFares.has(key)) {
+        changes.push({ type: 'fare_added', fare: key, price_amount: this.amountOf(fare) });
+      }
+    });
+    beforeFares.forEach((fare, key) => {
+      const newer = afterFares.get(key);
+      if (!newer) {
+        changes.push({ type: 'fare_removed', fare: key, price_amount: this.amountOf(fare) });
+        return;
+      }
+      if (this.amountOf(fare) !== null && this.amountOf(newer) !== null && this.amountOf(fare) !== this.amountOf(newer)) {
+        changes.push({
+          type: 'fare_price',
+          fare: key,
+          before: this.amountOf(fare),
+          after: this.amountOf(newer),
+          delta: this.amountOf(newer) - this.amountOf(fare),
+          currency: newer.price_currency || fare.price_currency || null
+        });
+      }
+      [['baggage', 'fare_baggage'], ['flexibility', 'fare_flexibility']].forEach(([field, type]) => {
+        if (fare[field] && newer[field] && this.canonical(fare[field]) !== this.canonical(newer[field])) {
+          changes.push({ type: type, fare: key, before: fare[field], after: newer[field] });
+        }
+      });
+    });
+    return changes;
+  },
+
+  /**
+   * Baggage allowance changes per segment of flight_details
+   */
+  compareSegmentBaggage(beforeSegments, afterSegments) {
+    if (!beforeSegments || !afterSegments) {
+      return [];
+    }
+    const changes = [];
+    afterSegments.forEach((segment, key) => {
+      const older = beforeSegments.get(key);
+      if (older && older.baggage_info && segment.baggage_info &&
+          this.canonical(older.baggage_info) !== this.canonical(segment.baggage_info)) {
+        changes.push({ type: 'baggage', segment: key, before: older.baggage_info, after: segment.baggage_info });
+      }
+    });
+    return changes;
+  },
+
+  /**
+   * Fares of a flight keyed by "<class> / <fare name>", or null if the result has no fare options
+   * @returns {Map<string, Object>|null}
+   */
+  faresOf(flight) {
+    const fareClasses = flight.fare_options && flight.fare_options.fare_classes;
+    if (!Array.isArray(fareClasses)) {
+      return null;
+    }
+    const fares = new Map();
+    fareClasses.forEach(fareClass => {
+      (fareClass.fares || []).forEach((fare, index) => {
+        fares.set(`${fareClass.class || 'Fare'} / ${fare.fare_name || `#${index + 1}`}`, fare);
+      });
+    });
+    return fares;
+  },
+
+  /**
+   * Segments of a flight keyed by flight code (or position), or null without flight details
+   * @returns {Map<string, Object>|null}
+   */
+  segmentsOf(flight) {
+    const detailedFlights = this.detailsOf(flight).detailed_flights;
+    if (!Array.isArray(detailedFlights) || detailedFlights.length === 0) {
+      return null;
+    }
+    const segments = new Map();
+    detailedFlights.forEach((detail, detailIndex) => {
+      (detail.segments || []).forEach((segment, segmentIndex) => {
+        segments.set(segment.full_flight_code || `leg ${detailIndex + 1} segment ${segmentIndex + 1}`, segment);
+      });
+    });
+    return segments;
+  },
+
+  /**
+   * Where the details tabs ended up: flight.flight_details, or the flight itself in results written
+   * before the canonical record (schema 1.x international and domestic round-trip flights)
+   */
+  detailsOf(flight) {
+    return flight.flight_details || flight;
+  },
+
+  /**
+   * Numeric price of a flight or fare (parsed from the display string for older results)
+   */
+  amountOf(item) {
+    if (typeof item.price_amount === 'number') {
+      return item.price_amount;
+    }
+    // Same parsing as the extractors, so "Rs. 5,234" is 5234 and not 0.5234
+    return SiteAdapters.parsePrice(item.price || null).amount;
+  },
+
+  /**
+   * JSON with sorted object keys, so key order does not count as a change
+   */
+  canonical(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonical(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  },
+
+  /**
+   * Short description of a flight for the report
+   */
+  describeFlight(flight) {
+    return {
+      flight_id: flight.flight_id || FlightIdentity.build(flight).flight_id,
+      airline: flight.airline || null,
+      flight_code: flight.flight_code || null,
+      direction: flight.direction || null,
+      departure_datetime: flight.departure_datetime || null,
+      price_amount: this.amountOf(flight),
+      price_currency: flight.price_currency || null
+    };
+  },
+
+  /**
+   * Short description of an extraction result for the report
+   */
+  describeResult(result, flightsCount) {
+    const metadata = (result && result.metadata) || {};
+    return {
+      scraped_at: metadata.scraped_at || metadata.generated_at || null,
+      source_url: metadata.source_url || null,
+      flights_count: flightsCount
+    };
+  }
+};
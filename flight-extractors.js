@@ -0,0 +1,890 @@
+/**
+ * Flight Extracter - Flight Extractors
+ * DOM-only extraction of flight cards and flight details tabs, kept out of content.js so
+ * the same functions run against saved page snapshots (e.g., an HTML file loaded into jsdom).
+ *
+ * Nothing here clicks, scrolls or waits: callers open the card, popup or tab first.
+ * Dates and airports that a card does not show come from the itinerary in window.location,
+ * so a snapshot should be loaded with the URL of the search it was saved from.
+ *
+ * Needs airports.js, flight-identity.js, site-adapter.js and a registered adapter (adapters/*.js).
+ */
+
+const FlightExtractors = (function() {
+  'use strict';
+
+  const { parsePrice } = SiteAdapters;
+
+  // Fields of the canonical flight record, in output order (see normalizeFlightRecord)
+  const FLIGHT_RECORD_FIELDS = [
+    'index', 'flight_id', 'flight_fingerprint', 'direction',
+    'airline', 'airline_code', 'flight_code',
+    'departure_city', 'departure_date', 'departure_time', 'departure_datetime', 'departure_utc_offset',
+    'arrival_city', 'arrival_date', 'arrival_time', 'arrival_datetime', 'arrival_utc_offset', 'arrival_day_offset',
+    'date', 'duration', 'duration_minutes', 'duration_consistent',
+    'stops', 'stopover_time', 'layovers', 'layover_cities',
+    'price', 'price_amount', 'price_currency', 'offers', 'coupon_details',
+    'fare_options', 'flight_details', 'raw_text', 'html_snippet'
+  ];
+
+  // What the details tabs produce (extractDetailedFlightInfoFromAllTabs in content.js)
+  const FLIGHT_DETAILS_FIELDS = ['detailed_flights', 'fare_summary', 'cancellation_policy', 'date_change_policy'];
+
+  /**
+   * Adapter for the current page (MakeMyTrip when no adapter matches the URL)
+   */
+  function currentAdapter() {
+    return SiteAdapters.forUrl(window.location.href) || SiteAdapters.get('makemytrip');
+  }
+
+  /**
+   * Extract one fare card of the fare popup ("VIEW PRICES")
+   * @param {Element} fareCard - Fare card element inside the popup
+   * @param {Object} adapter - Site adapter (defaults to the one for the current page)
+   */
+  function extractFareCardDetails(fareCard, adapter = currentAdapter()) {
+    return adapter.popup.extractFareCard(fareCard);
+  }
+
+  /**
+   * Extract flight data from a single card element
+   * @param {Element} card - Flight card
+   * @param {number} index - Position of the card on the page
+   * @param {Object} adapter - Site adapter (defaults to the one for the current page)
+   */
+  function extractFlightFromCard(card, index, adapter = currentAdapter()) {
+    const fields = adapter.fields;
+    const flight = {
+      index: index,
+      airline: fields.airline(card),
+      airline_code: fields.airline_code(card),
+      flight_code: fields.flight_code(card),
+      departure_time: fields.departure_time(card),
+      departure_date: fields.departure_date(card),
+      departure_city: fields.departure_city(card),
+      arrival_time: fields.arrival_time(card),
+      arrival_date: fields.arrival_date(card),
+      arrival_city: fields.arrival_city(card),
+      date: fields.date(card),
+      layovers: fields.layovers(card),
+      layover_cities: fields.layover_cities(card),
+      stopover_time: fields.stopover_time(card),
+      stops: fields.stops(card),
+      duration: fields.duration(card),
+      price: fields.price(card),
+      price_amount: null,
+      price_currency: null,
+      offers: fields.offers(card),
+      coupon_details: fields.coupon_details(card),
+      fare_options: fields.fare_options(card),
+      raw_text: fields.raw_text(card),
+      html_snippet: fields.html_snippet(card)
+    };
+
+    // Numeric price next to the display string (e.g., "₹5,234" -> 5234 / "INR")
+    const parsedPrice = parsePrice(flight.price);
+    flight.price_amount = parsedPrice.amount;
+    flight.price_currency = parsedPrice.currency;
+
+    // ISO 8601 departure/arrival with UTC offsets, "+1 day" rollover and duration_minutes
+    addFlightTimestamps(flight, card, adapter);
+    addFlightIdentity(flight);
+
+    return flight;
+  }
+
+  /**
+   * Parse a duration string into minutes ("2h 40m", "02 h 40 m", "1 d 3 h 5 m", "45m")
+   * @returns {number|null}
+   */
+  function parseDurationMinutes(durationText) {
+    if (!durationText) {
+      return null;
+    }
+    const text = String(durationText).toLowerCase();
+    const days = text.match(/(\d+)\s*(?:d|day)s?\b/);
+    const hours = text.match(/(\d+)\s*(?:h|hr|hrs|hour|hours)\b/);
+    const minutes = text.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+    if (!days && !hours && !minutes) {
+      return null;
+    }
+    return (days ? parseInt(days[1], 10) * 1440 : 0) +
+      (hours ? parseInt(hours[1], 10) * 60 : 0) +
+      (minutes ? parseInt(minutes[1], 10) : 0);
+  }
+
+  /**
+   * Parse a date as displayed on the page into calendar parts
+   * Handles "15 Jan", "15 Jan 2024", "Sat, 8 Nov 25", "Nov 8", "15/01/2024"
+   * Dates without a year get the year that puts them closest after referenceDate
+   * @param {string} dateText - Date text
+   * @param {Date} referenceDate - Search date or today (used to infer the year)
+   * @returns {{year: number, month: number, day: number}|null} - month is 1-12
+   */
+  function parseDisplayDate(dateText, referenceDate = new Date()) {
+    if (!dateText) {
+      return null;
+    }
+    const text = String(dateText);
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    let day = null;
+    let month = null;
+    let year = null;
+
+    const numericMatch = text.match(/\b(\d{1,2})[-\/](\d{1,2})[-\/](\d{2,4})\b/);
+    const dayMonthMatch = text.match(/\b(\d{1,2})\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*,?\s*'?(\d{4}|\d{2}(?!:))?\b/i);
+    const monthDayMatch = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2})\b(?:,?\s*(\d{4}))?/i);
+    if (numericMatch) {
+      day = parseInt(numericMatch[1], 10);
+      month = parseInt(numericMatch[2], 10);
+      year = parseInt(numericMatch[3], 10);
+    } else if (dayMonthMatch) {
+      day = parseInt(dayMonthMatch[1], 10);
+      month = months.indexOf(dayMonthMatch[2].toLowerCase()) + 1;
+      year = dayMonthMatch[3] ? parseInt(dayMonthMatch[3], 10) : null;
+    } else if (monthDayMatch) {
+      day = parseInt(monthDayMatch[2], 10);
+      month = months.indexOf(monthDayMatch[1].toLowerCase()) + 1;
+      year = monthDayMatch[3] ? parseInt(monthDayMatch[3], 10) : null;
+    } else {
+      return null;
+    }
+
+    if (year !== null && year < 100) {
+      year += 2000;
+    }
+    if (year === null) {
+      // "2 Jan" seen while searching in late December belongs to next year
+      year = referenceDate.getFullYear();
+      const candidate = new Date(year, month - 1, day);
+      if (candidate.getTime() < referenceDate.getTime() - 180 * 24 * 60 * 60 * 1000) {
+        year += 1;
+      }
+    }
+
+    const check = new Date(year, month - 1, day);
+    if (check.getMonth() !== month - 1 || check.getDate() !== day) {
+      return null;
+    }
+    return { year, month, day };
+  }
+
+  /**
+   * Dates of the current search from the URL itinerary ("BLR-PAT-15/01/2024_PAT-BLR-20/01/2024")
+   * @returns {Array<Date>} - One date per leg (empty if the URL has no itinerary)
+   */
+  function getSearchItineraryDates() {
+    try {
+      const itinerary = new URLSearchParams(window.location.search).get('itinerary') || '';
+      return itinerary.split('_').map(leg => {
+        const match = leg.match(/(\d{2})\/(\d{2})\/(\d{4})$/);
+        return match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]), 12) : null;
+      }).filter(date => date !== null);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Airports of the current search from the URL itinerary, one {origin, destination} per leg
+   */
+  function getSearchItineraryAirports() {
+    try {
+      const itinerary = new URLSearchParams(window.location.search).get('itinerary') || '';
+      return itinerary.split('_').map(leg => {
+        const match = leg.match(/^([A-Z]{3})-([A-Z]{3})-/i);
+        return match ? { origin: match[1].toUpperCase(), destination: match[2].toUpperCase() } : null;
+      }).filter(leg => leg !== null);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Build ISO 8601 local departure/arrival timestamps with the airports' UTC offsets
+   * Arrival rolls over to the next day(s) from an explicit "+1 day" marker, a displayed
+   * arrival date, or (as a last resort) an arrival clock time earlier than departure
+   * @param {Object} info
+   * @param {string} info.departureTime - "HH:MM"
+   * @param {string} info.arrivalTime - "HH:MM"
+   * @param {string} info.departureDate - Displayed departure date
+   * @param {string} info.arrivalDate - Displayed arrival date
+   * @param {number|null} info.arrivalDayOffset - Days from a "+1 day" marker
+   * @param {string} info.departurePlace - Departure airport code or city text
+   * @param {string} info.arrivalPlace - Arrival airport code or city text
+   * @param {Date} info.fallbackDate - Date to use when the page shows none (search date)
+   * @param {string} info.durationText - Duration as displayed, used as a cross-check
+   * @returns {Object} - departure_datetime, arrival_datetime, departure_utc_offset, arrival_utc_offset,
+   *                     arrival_day_offset, duration_minutes, duration_consistent
+   */
+  function buildFlightTimestamps(info) {
+    const result = {
+      departure_datetime: null,
+      arrival_datetime: null,
+      departure_utc_offset: null,
+      arrival_utc_offset: null,
+      arrival_day_offset: null,
+      duration_minutes: null,
+      duration_consistent: null
+    };
+
+    const parseClock = (time) => {
+      const match = (time || '').match(/\b([0-1]?[0-9]|2[0-3]):([0-5][0-9])\b/);
+      return match ? { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) } : null;
+    };
+    const depClock = parseClock(info.departureTime);
+    const arrClock = parseClock(info.arrivalTime);
+    const textDurationMinutes = parseDurationMinutes(info.durationText);
+    const referenceDate = info.fallbackDate || new Date();
+    const depDay = parseDisplayDate(info.departureDate, referenceDate) || (info.fallbackDate ? {
+      year: info.fallbackDate.getFullYear(),
+      month: info.fallbackDate.getMonth() + 1,
+      day: info.fallbackDate.getDate()
+    } : null);
+
+    if (!depClock || !arrClock || !depDay) {
+      result.duration_minutes = textDurationMinutes;
+      return result;
+    }
+
+    // Domestic searches only involve Indian airports, so an unknown city still has a known zone
+    const isInternationalSearch = new URLSearchParams(window.location.search).get('intl') === 'true';
+    const resolveTimeZone = (place) => {
+      const airport = Airports.find(place);
+      if (airport) {
+        return airport.timeZone;
+      }
+      return isInternationalSearch ? null : Airports.DOMESTIC_TIME_ZONE;
+    };
+    const depZone = resolveTimeZone(info.departurePlace);
+    const arrZone = resolveTimeZone(info.arrivalPlace);
+
+    // Work out how many calendar days after departure the arrival is
+    let dayOffset = null;
+    if (Number.isInteger(info.arrivalDayOffset)) {
+      dayOffset = info.arrivalDayOffset;
+    } else {
+      const arrDay = parseDisplayDate(info.arrivalDate, new Date(depDay.year, depDay.month - 1, depDay.day));
+      if (arrDay) {
+        const diff = Math.round((Date.UTC(arrDay.year, arrDay.month - 1, arrDay.day) - Date.UTC(depDay.year, depDay.month - 1, depDay.day)) / 86400000);
+        if (diff >= 0 && diff <= 3) {
+          dayOffset = diff;
+        }
+      }
+      if (dayOffset === null || (dayOffset === 0 && arrClock.hours * 60 + arrClock.minutes < depClock.hours * 60 + depClock.minutes)) {
+        // Arrival clock earlier than departure clock means the flight lands the next day
+        dayOffset = (arrClock.hours * 60 + arrClock.minutes < depClock.hours * 60 + depClock.minutes) ? 1 : 0;
+      }
+    }
+    result.arrival_day_offset = dayOffset;
+
+    const arrCalendar = new Date(Date.UTC(depDay.year, depDay.month - 1, depDay.day + dayOffset));
+    const arrDay = { year: arrCalendar.getUTCFullYear(), month: arrCalendar.getUTCMonth() + 1, day: arrCalendar.getUTCDate() };
+
+    const formatLocal = (day, clock, offsetMinutes) => {
+      const datePart = `${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`;
+      const timePart = `${String(clock.hours).padStart(2, '0')}:${String(clock.minutes).padStart(2, '0')}:00`;
+      return `${datePart}T${timePart}${offsetMinutes === null ? '' : Airports.formatOffset(offsetMinutes)}`;
+    };
+    const depOffset = depZone ? Airports.utcOffsetMinutes(depZone, depDay.year, depDay.month, depDay.day, depClock.hours, depClock.minutes) : null;
+    const arrOffset = arrZone ? Airports.utcOffsetMinutes(arrZone, arrDay.year, arrDay.month, arrDay.day, arrClock.hours, arrClock.minutes) : null;
+
+    result.departure_datetime = formatLocal(depDay, depClock, depOffset);
+    result.arrival_datetime = formatLocal(arrDay, arrClock, arrOffset);
+    result.departure_utc_offset = depOffset === null ? null : Airports.formatOffset(depOffset);
+    result.arrival_utc_offset = arrOffset === null ? null : Airports.formatOffset(arrOffset);
+
+    if (depOffset !== null && arrOffset !== null) {
+      const depUtc = Date.UTC(depDay.year, depDay.month - 1, depDay.day, depClock.hours, depClock.minutes) - depOffset * 60000;
+      const arrUtc = Date.UTC(arrDay.year, arrDay.month - 1, arrDay.day, arrClock.hours, arrClock.minutes) - arrOffset * 60000;
+      result.duration_minutes = Math.round((arrUtc - depUtc) / 60000);
+      if (textDurationMinutes !== null) {
+        // Allow a few minutes for rounding in the displayed duration
+        result.duration_consistent = Math.abs(result.duration_minutes - textDurationMinutes) <= 5;
+        if (!result.duration_consistent) {
+          console.warn(`⚠ Duration mismatch: timestamps give ${result.duration_minutes} min, page shows "${info.durationText}" (${textDurationMinutes} min)`);
+        }
+      }
+    } else {
+      // Without both offsets the page's own duration is the best we have
+      result.duration_minutes = textDurationMinutes;
+    }
+
+    return result;
+  }
+
+  /**
+   * Leg of the search itinerary a flight belongs to: leg_index on multi-city flights,
+   * otherwise 1 for the return leg of a round trip and 0 for the rest
+   */
+  function itineraryLegIndex(flight) {
+    if (Number.isInteger(flight.leg_index)) {
+      return flight.leg_index;
+    }
+    return flight.direction === 'return' ? 1 : 0;
+  }
+
+  /**
+   * Add ISO 8601 timestamps and duration_minutes to a flight from a card
+   * Return-leg and multi-city flights fall back to the date of their itinerary leg when the card shows no date
+   */
+  function addFlightTimestamps(flight, card, adapter = currentAdapter()) {
+    const searchDates = getSearchItineraryDates();
+    const legIndex = itineraryLegIndex(flight);
+    const timestamps = buildFlightTimestamps({
+      departureTime: flight.departure_time,
+      arrivalTime: flight.arrival_time,
+      departureDate: flight.departure_date,
+      arrivalDate: flight.arrival_date,
+      arrivalDayOffset: card ? adapter.extractArrivalDayOffset(card) : flight.arrival_day_offset,
+      departurePlace: flight.departure_city,
+      arrivalPlace: flight.arrival_city,
+      fallbackDate: searchDates[legIndex] || searchDates[0] || null,
+      durationText: flight.duration
+    });
+    Object.assign(flight, timestamps);
+    return flight;
+  }
+
+  /**
+   * Add flight_id and flight_fingerprint (see flight-identity.js)
+   * Airports and dates the card does not show come from the search itinerary leg
+   */
+  function addFlightIdentity(flight) {
+    const legIndex = itineraryLegIndex(flight);
+    const legs = getSearchItineraryAirports();
+    const leg = legs[legIndex] || legs[0] || {};
+    const searchDates = getSearchItineraryDates();
+    const legDate = searchDates[legIndex] || searchDates[0] || null;
+    Object.assign(flight, FlightIdentity.build(flight, {
+      origin: leg.origin,
+      destination: leg.destination,
+      date: legDate
+        ? `${legDate.getFullYear()}-${String(legDate.getMonth() + 1).padStart(2, '0')}-${String(legDate.getDate()).padStart(2, '0')}`
+        : null
+    }));
+    return flight;
+  }
+
+  /**
+   * Bring a flight from any flow (domestic one-way / round trip, international one-way / round trip)
+   * into the canonical record shape, so consumers never branch on trip type:
+   * - every field of FLIGHT_RECORD_FIELDS is present (null when the page did not show it), in that order
+   * - direction is 'outbound' or 'return' (one-way flights are 'outbound')
+   * - the details tabs are always nested under flight_details (null when they were not opened),
+   *   never merged into the flight
+   * - stops is the only stop count (the older stopover_count and is_return_flight are dropped)
+   * Flow-specific extras (e.g., pane_index, route_source) are kept after the canonical fields.
+   * @param {Object} flight - Flight as built by one of the extraction flows
+   * @returns {Object} - New canonical record
+   */
+  function normalizeFlightRecord(flight) {
+    const source = { ...flight };
+
+    let details = source.flight_details && typeof source.flight_details === 'object' ? { ...source.flight_details } : null;
+    FLIGHT_DETAILS_FIELDS.forEach(field => {
+      if (field in source) {
+        if (source[field] !== null && source[field] !== undefined && !(details && details[field])) {
+          details = details || {};
+          details[field] = source[field];
+        }
+        delete source[field];
+      }
+    });
+    if (details) {
+      const defaults = {};
+      FLIGHT_DETAILS_FIELDS.forEach(field => {
+        defaults[field] = field === 'detailed_flights' ? [] : null;
+      });
+      details = { ...defaults, ...details };
+    }
+    source.flight_details = details;
+
+    source.direction = source.direction === 'return' || source.is_return_flight === true ? 'return' : 'outbound';
+    if ((source.stops === null || source.stops === undefined) && Number.isInteger(source.stopover_count)) {
+      source.stops = source.stopover_count;
+    }
+    delete source.stopover_count;
+    delete source.is_return_flight;
+
+    const record = {};
+    FLIGHT_RECORD_FIELDS.forEach(field => {
+      record[field] = source[field] === undefined ? null : source[field];
+    });
+    Object.keys(source).forEach(field => {
+      if (!(field in record) && source[field] !== undefined) {
+        record[field] = source[field];
+      }
+    });
+    return record;
+  }
+
+  /**
+   * First element matching an adapter selector (an array is a list of fallbacks tried in order)
+   */
+  function queryFirst(selector, rootElement) {
+    for (const candidate of [].concat(selector)) {
+      const element = rootElement.querySelector(candidate);
+      if (element) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * All elements of the first adapter selector that matches any (arrays are tried in order)
+   */
+  function queryAllFirst(selector, rootElement) {
+    for (const candidate of [].concat(selector)) {
+      const elements = Array.from(rootElement.querySelectorAll(candidate));
+      if (elements.length > 0) {
+        return elements;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Extract flight details from FLIGHT DETAILS tab
+   * @param {Element} flightDetailsOuter - Open flight details panel
+   * @param {Object} adapter - Site adapter (defaults to the one for the current page)
+   */
+  function extractFlightDetailsFromTab(flightDetailsOuter, adapter = currentAdapter()) {
+    const selectors = adapter.selectors;
+    const flightDetails = [];
+    const flightDetailsTab = queryFirst(selectors.flightDetailsTab, flightDetailsOuter);
+    if (!flightDetailsTab) {
+      return flightDetails;
+    }
+    
+    const flightDetailsSections = queryAllFirst(selectors.flightDetailsSection, flightDetailsTab);
+    
+    flightDetailsSections.forEach((section, index) => {
+      const flightDetail = {};
+      
+      // Extract route header (e.g., "Mumbai to Varanasi , 8 Nov")
+      const header = queryFirst(selectors.flightDetailsHeader, section);
+      if (header) {
+        flightDetail.route_header = header.textContent?.trim();
+      }
+      
+      // Extract all flight rows (for multi-segment flights)
+      const flightRows = queryAllFirst(selectors.segmentRow, section);
+      const segments = [];
+      
+      flightRows.forEach((row, rowIndex) => {
+        const segment = {};
+        
+        // Extract airline information
+        const airlineHeading = queryFirst(selectors.segmentAirline, row);
+        if (airlineHeading) {
+          const airlineText = airlineHeading.textContent?.trim();
+          // Extract airline name and flight code (e.g., "Air India AI  | 2677" or "Air India AI | 9989  | Operated By Air India Express")
+          const airlineMatch = airlineText.match(/([A-Za-z\s]+)\s+([A-Z0-9]{2})\s*\|\s*(\d+)/);
+          if (airlineMatch) {
+            segment.airline_name = airlineMatch[1].trim();
+            segment.airline_code = airlineMatch[2].trim();
+            segment.flight_number = airlineMatch[3].trim();
+            segment.full_flight_code = `${airlineMatch[2]} ${airlineMatch[3]}`;
+            
+            // Check for "Operated By" text
+            const operatedByMatch = airlineText.match(/Operated By\s+(.+)/i);
+            if (operatedByMatch) {
+              segment.operated_by = operatedByMatch[1].trim();
+            }
+          }
+        }
+        
+        // Extract aircraft type
+        const aircraftType = queryFirst(selectors.segmentAircraft, row);
+        if (aircraftType) {
+          segment.aircraft_type = aircraftType.textContent?.trim();
+        }
+        
+        // Extract departure information
+        const flightDtlInfo = queryFirst(selectors.segmentInfo, row);
+        if (flightDtlInfo) {
+          const departureInfo = queryFirst(selectors.segmentDeparture, flightDtlInfo);
+          if (departureInfo) {
+            const depTime = queryFirst(selectors.segmentTime, departureInfo);
+            if (depTime) {
+              segment.departure_time = depTime.textContent?.trim();
+            }
+            
+            const depDate = queryFirst(selectors.segmentDate, departureInfo);
+            if (depDate) {
+              segment.departure_date = depDate.textContent?.trim();
+            }
+            
+            const depTerminal = queryFirst(selectors.segmentTerminal, departureInfo);
+            if (depTerminal) {
+              segment.departure_terminal = depTerminal.textContent?.trim();
+            }
+            
+            const depCity = queryFirst(selectors.segmentCity, departureInfo);
+            if (depCity) {
+              segment.departure_city = depCity.textContent?.trim();
+            }
+          }
+          
+          // Extract arrival information
+          const arrivalInfo = queryFirst(selectors.segmentArrival, flightDtlInfo);
+          if (arrivalInfo) {
+            const arrTime = queryFirst(selectors.segmentTime, arrivalInfo);
+            if (arrTime) {
+              segment.arrival_time = arrTime.textContent?.trim();
+            }
+            
+            const arrDate = queryFirst(selectors.segmentDate, arrivalInfo);
+            if (arrDate) {
+              segment.arrival_date = arrDate.textContent?.trim();
+            }
+            
+            const arrTerminal = queryFirst(selectors.segmentTerminal, arrivalInfo);
+            if (arrTerminal) {
+              segment.arrival_terminal = arrTerminal.textContent?.trim();
+            }
+            
+            const arrCity = queryFirst(selectors.segmentCity, arrivalInfo);
+            if (arrCity) {
+              segment.arrival_city = arrCity.textContent?.trim();
+            }
+          }
+          
+          // Extract duration
+          const durationEl = queryFirst(selectors.segmentDuration, flightDtlInfo);
+          if (durationEl) {
+            segment.duration = durationEl.textContent?.trim();
+          }
+          
+          // ISO 8601 timestamps for the segment (details tab shows a date on both ends)
+          const searchDates = getSearchItineraryDates();
+          Object.assign(segment, buildFlightTimestamps({
+            departureTime: segment.departure_time,
+            arrivalTime: segment.arrival_time,
+            departureDate: segment.departure_date,
+            arrivalDate: segment.arrival_date,
+            arrivalDayOffset: null,
+            departurePlace: segment.departure_city,
+            arrivalPlace: segment.arrival_city,
+            fallbackDate: searchDates[0] || null,
+            durationText: segment.duration
+          }));
+          
+          // Extract baggage information
+          const baggageInfo = queryFirst(selectors.baggageInfo, flightDtlInfo);
+          if (baggageInfo) {
+            const baggageRows = queryAllFirst(selectors.baggageRow, baggageInfo);
+            const baggageData = [];
+            
+            baggageRows.forEach(bagRow => {
+              const cells = queryAllFirst(selectors.baggageCell, bagRow);
+              if (cells.length >= 3) {
+                baggageData.push({
+                  category: cells[0].textContent?.trim(),
+                  check_in: cells[1].textContent?.trim(),
+                  cabin: cells[2].textContent?.trim()
+                });
+              }
+            });
+            
+            if (baggageData.length > 0) {
+              segment.baggage_info = baggageData;
+            } else {
+              // Check if it says "Information not available"
+              const notAvailable = queryFirst(selectors.baggageUnavailable, baggageInfo);
+              if (notAvailable) {
+                segment.baggage_info = notAvailable.textContent?.trim();
+              }
+            }
+          }
+          
+          // Extract amenities (Complimentary Meals, Layout, Beverages, etc.)
+          const amenitiesContainer = queryFirst(selectors.amenityList, row);
+          if (amenitiesContainer) {
+            const amenities = [];
+            const amenityItems = queryAllFirst(selectors.amenityItem, amenitiesContainer);
+            
+            amenityItems.forEach(amenityItem => {
+              const amenityText = queryFirst(selectors.amenityText, amenityItem);
+              if (amenityText) {
+                const text = amenityText.textContent?.trim();
+                if (text) {
+                  amenities.push(text);
+                }
+              }
+            });
+            
+            if (amenities.length > 0) {
+              segment.amenities = amenities;
+            }
+          }
+        }
+        
+        if (Object.keys(segment).length > 0) {
+          segments.push(segment);
+        }
+      });
+      
+      // Extract layover information if present (there can be multiple layovers)
+      const layoverOuters = queryAllFirst(selectors.layoverOuter, section);
+      if (layoverOuters.length > 0) {
+        const layovers = [];
+        layoverOuters.forEach(layoverOuter => {
+        const layoverInfo = queryFirst(selectors.layoverText, layoverOuter);
+        if (layoverInfo) {
+            const layoverText = layoverInfo.textContent?.trim();
+            if (layoverText) {
+              layovers.push(layoverText);
+            }
+          }
+        });
+        if (layovers.length > 0) {
+          flightDetail.layover_info = layovers.length === 1 ? layovers[0] : layovers;
+        }
+      }
+      
+      if (segments.length > 0) {
+        flightDetail.segments = segments;
+        flightDetails.push(flightDetail);
+      }
+    });
+    
+    return flightDetails;
+  }
+
+  /**
+   * Passenger-type row of the fare summary ("Adult(s) (2 X ₹ 5,000)  ₹ 10,000"), null for other rows
+   * @param {string} label - Row label
+   * @param {string} value - Row value (total for that passenger type)
+   * @param {string|null} component - Key of the fare component the row belongs to (e.g., base_fare)
+   */
+  function parsePassengerFareRow(label, value, component) {
+    const match = label.match(/^(adult|child|infant)[a-z()]*\s*(?:\(\s*(\d+)\s*[x×]\s*([^)]+)\))?/i);
+    if (!match) {
+      return null;
+    }
+    const unitPrice = match[3] ? match[3].trim() : null;
+    return {
+      passenger_type: match[1].toLowerCase(),
+      component: component,
+      count: match[2] ? parseInt(match[2], 10) : null,
+      unit_price: unitPrice,
+      unit_price_amount: unitPrice ? parsePrice(unitPrice).amount : null,
+      total: value,
+      total_amount: parsePrice(value).amount
+    };
+  }
+
+  /**
+   * Extract fare summary from FARE SUMMARY tab
+   * Passenger-type rows are kept in passenger_breakdown when the search is not for a single adult
+   * @param {Element} flightDetailsOuter - Open flight details panel
+   * @param {Object} adapter - Site adapter (defaults to the one for the current page)
+   */
+  function extractFareSummaryFromTab(flightDetailsOuter, adapter = currentAdapter()) {
+    try {
+      if (!flightDetailsOuter) {
+        console.error('extractFareSummaryFromTab: flightDetailsOuter is null');
+        return null;
+      }
+      
+      // Verify element is still connected
+      if (!flightDetailsOuter.isConnected) {
+        console.error('extractFareSummaryFromTab: flightDetailsOuter is not connected to DOM');
+        return null;
+      }
+      
+      const selectors = adapter.selectors;
+      
+      // Try the adapter's fare summary tab selectors in order
+      let fareSummaryTab = null;
+      try {
+        fareSummaryTab = queryFirst(selectors.fareSummaryTab, flightDetailsOuter);
+      } catch (queryError) {
+        console.error('Error querying fare summary tab:', queryError);
+      return null;
+    }
+      
+      if (!fareSummaryTab) {
+        console.log('FARE SUMMARY tab not found');
+        return null;
+      }
+      
+      // Verify tab is still connected
+      if (!fareSummaryTab.isConnected) {
+        console.error('FARE SUMMARY tab is not connected to DOM');
+        return null;
+      }
+      
+      // Check if tab is visible/active
+      try {
+        if (fareSummaryTab.classList.contains('fade') && !fareSummaryTab.classList.contains('show')) {
+          console.log('FARE SUMMARY tab is not active/visible yet');
+          // Still try to extract, might work
+        }
+      } catch (classError) {
+        // Continue anyway
+    }
+    
+    const fareBreakup = {};
+      const passengerBreakdown = [];
+      let lastComponent = null;
+      // Passenger-type rows go to passenger_breakdown under the component above them
+      const addFareRow = (label, value) => {
+        const passengerRow = parsePassengerFareRow(label, value, lastComponent);
+        if (passengerRow) {
+          passengerBreakdown.push(passengerRow);
+          return;
+        }
+        lastComponent = label.toLowerCase().replace(/\s+/g, '_');
+        fareBreakup[lastComponent] = value;
+      };
+      
+      // Try multiple selectors for fare rows
+      let fareRows = [];
+      try {
+        if (fareSummaryTab.isConnected) {
+          fareRows = queryAllFirst(selectors.fareRows, fareSummaryTab);
+        }
+      } catch (queryError) {
+        console.warn('Error querying fare rows:', queryError);
+      }
+      
+      fareRows.forEach((row, index) => {
+        try {
+          // Check if row is still in DOM
+          if (!row || !row.isConnected) {
+            return; // Skip detached elements
+          }
+          
+          let spans = [];
+          try {
+            spans = Array.from(row.querySelectorAll(selectors.fareRowCells));
+          } catch (spanError) {
+            // Skip this row if query fails
+            return;
+          }
+          
+      if (spans.length >= 2) {
+            try {
+              // Verify spans are still connected before accessing textContent
+              if (!spans[0].isConnected || !spans[1].isConnected) {
+                return;
+              }
+        const label = spans[0].textContent?.trim();
+        const value = spans[1].textContent?.trim();
+        if (label && value) {
+                addFareRow(label, value);
+              }
+            } catch (textError) {
+              console.warn(`Error extracting text from fare row ${index}:`, textError);
+            }
+          } else if (spans.length === 1) {
+            // Sometimes the structure is different, try to get text directly
+            try {
+              if (!row.isConnected) return;
+              const text = row.textContent?.trim();
+              if (text) {
+                // Try to parse "Label: Value" format
+                const match = text.match(/^([^:]+):\s*(.+)$/);
+                if (match) {
+                  addFareRow(match[1].trim(), match[2].trim());
+                }
+              }
+            } catch (textError) {
+              console.warn(`Error extracting text from fare row ${index}:`, textError);
+            }
+          }
+        } catch (rowError) {
+          console.warn(`Error processing fare row ${index}:`, rowError);
+          // Continue with next row
+        }
+      });
+      
+      // Also try to extract from font elements (as seen in the HTML structure)
+      if (Object.keys(fareBreakup).length === 0) {
+        try {
+          if (fareSummaryTab.isConnected) {
+            const fareInfoElements = Array.from(fareSummaryTab.querySelectorAll(selectors.fareSummaryText));
+            fareInfoElements.forEach(element => {
+              try {
+                if (!element.isConnected) return;
+                const text = element.textContent?.trim();
+                if (text) {
+                  // Look for patterns like "TOTAL ₹ 18,271" or "Base Fare ₹ 15,797"
+                  const totalMatch = text.match(/(?:total|TOTAL)\s*[₹]?\s*([\d,]+)/i);
+                  if (totalMatch) {
+                    fareBreakup['total'] = `₹ ${totalMatch[1]}`;
+                  }
+                  const baseMatch = text.match(/(?:base\s*fare|Base Fare)\s*[₹]?\s*([\d,]+)/i);
+                  if (baseMatch) {
+                    fareBreakup['base_fare'] = `₹ ${baseMatch[1]}`;
+                  }
+                  const surchargeMatch = text.match(/(?:surcharges|Surcharges)\s*[₹]?\s*([\d,]+)/i);
+                  if (surchargeMatch) {
+                    fareBreakup['surcharges'] = `₹ ${surchargeMatch[1]}`;
+                  }
+                }
+              } catch (e) {
+                // Skip this element
+              }
+            });
+          }
+        } catch (e) {
+          console.warn('Error in alternative fare extraction:', e);
+        }
+      }
+      
+      // Add numeric amounts next to the display strings (e.g., base_fare -> base_fare_amount)
+      let summaryCurrency = null;
+      Object.keys(fareBreakup).forEach(key => {
+        const value = fareBreakup[key];
+        if (typeof value !== 'string' || !/\d/.test(value)) {
+          return;
+        }
+        const parsed = parsePrice(value);
+        if (parsed.amount !== null) {
+          fareBreakup[`${key}_amount`] = parsed.amount;
+          summaryCurrency = summaryCurrency || parsed.currency;
+        }
+      });
+      if (summaryCurrency) {
+        fareBreakup.currency = summaryCurrency;
+      }
+
+      // A single adult's rows only repeat the components above them
+      const searchOptions = typeof adapter.readSearchOptions === 'function' ? adapter.readSearchOptions() : null;
+      const singleAdult = searchOptions && searchOptions.adults === 1 && searchOptions.children === 0 && searchOptions.infants === 0;
+      if (passengerBreakdown.length > 0 && !singleAdult) {
+        fareBreakup.passenger_breakdown = passengerBreakdown;
+      }
+    
+    return Object.keys(fareBreakup).length > 0 ? fareBreakup : null;
+    } catch (error) {
+      console.error('Error in extractFareSummaryFromTab:', error);
+      console.error('Error details:', {
+        message: error.message,
+        name: error.name,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+
+  return {
+    extractFlightFromCard,
+    extractFareCardDetails,
+    extractFlightDetailsFromTab,
+    extractFareSummaryFromTab,
+    addFlightTimestamps,
+    addFlightIdentity,
+    normalizeFlightRecord,
+    buildFlightTimestamps,
+    parseDurationMinutes,
+    parseDisplayDate,
+    getSearchItineraryDates,
+    getSearchItineraryAirports
+  };
+})();
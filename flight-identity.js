@@ -0,0 +1,167 @@
+/**
+ * Flight Extracter - Flight Identity
+ * Deterministic flight_id for a flight record, so the same itinerary can be joined
+ * across scrapes taken on different days (and across runs, tabs and export formats).
+ *
+ * flight_id = <carrier>_<flight numbers>_<origin>-<destination>_<local departure date>
+ *   carrier             Marketing carrier code of the itinerary (e.g., "6E"); "XX" if unknown
+ *   flight numbers      Every segment's carrier + number in flying order, joined with "+"
+ *                       (e.g., "6E6128+6E712"); leading zeros dropped ("AI 0505" -> "AI505").
+ *                       If the page shows no flight number, "@HHMM" (local departure time) is used
+ *   origin/destination  IATA codes of the first departure and last arrival airport
+ *   local departure     YYYY-MM-DD at the origin airport (not UTC, not the scrape date)
+ *
+ * Example: "6E_6E6128+6E712_BLR-PAT_2026-11-20"
+ *
+ * flight_fingerprint is a short FNV-1a hash of flight_id (8 hex characters) for compact keys.
+ * Prices, times and fares are deliberately not part of either value: they change between scrapes.
+ */
+
+const FlightIdentity = {
+  UNKNOWN_CARRIER: 'XX',
+  UNKNOWN_AIRPORT: 'UNK',
+  UNKNOWN_DATE: 'nodate',
+
+  /**
+   * Build the identity of a flight record
+   * @param {Object} flight - Flight record (card fields, optionally with flight_details/detailed_flights)
+   * @param {Object} fallback - Used when the record itself does not say: {origin, destination, date}
+   *                            (IATA codes and YYYY-MM-DD from the search, e.g. the itinerary URL)
+   * @returns {{flight_id: string, flight_fingerprint: string}}
+   */
+  build(flight, fallback = {}) {
+    const segmentCodes = this.flightNumbers(flight);
+    const carrier = this.carrier(flight, segmentCodes);
+    const numbers = segmentCodes.length > 0
+      ? segmentCodes.join('+')
+      : `@${String(flight.departure_time || '').replace(/\D/g, '') || '0000'}`;
+    const origin = this.airportCode([flight.departure_city, this.firstSegment(flight).departure_city, flight.route_source], fallback.origin);
+    const destination = this.airportCode([flight.arrival_city, this.lastSegment(flight).arrival_city, flight.route_destination], fallback.destination);
+    const flightId = `${carrier}_${numbers}_${origin}-${destination}_${this.departureDate(flight, fallback.date)}`;
+    return { flight_id: flightId, flight_fingerprint: this.fingerprint(flightId) };
+  },
+
+  /**
+   * Split a flight_id back into its parts
+   * @param {string} flightId - e.g., "6E_6E6128+6E712_BLR-PAT_2026-11-20"
+   * @returns {{carrier, flight_numbers: Array<string>, origin, destination, departure_date}|null}
+   */
+  parse(flightId) {
+    const match = String(flightId || '').match(/^([^_]+)_([^_]+)_([^_-]+)-([^_-]+)_([^_]+)$/);
+    if (!match) {
+      return null;
+    }
+    return {
+      carrier: match[1],
+      flight_numbers: match[2].startsWith('@') ? [] : match[2].split('+'),
+      origin: match[3],
+      destination: match[4],
+      departure_date: match[5]
+    };
+  },
+
+  /**
+   * Segment flight numbers in flying order (e.g., ["6E6128", "6E712"])
+   * Taken from the flight details segments when they list more than the card (cards of connecting
+   * flights often show only the first flight number), otherwise from the card's flight code(s)
+   */
+  flightNumbers(flight) {
+    const fromCard = this.parseFlightNumbers(flight.flight_code);
+    const fromSegments = this.segments(flight)
+      .map(segment => this.parseFlightNumbers(segment.full_flight_code || `${segment.airline_code || ''} ${segment.flight_number || ''}`)[0])
+      .filter(Boolean);
+    return fromSegments.length > fromCard.length ? fromSegments : fromCard;
+  },
+
+  /**
+   * Parse "6E 6128, 6E 712" / "AI-505" / "UK 0811" into normalized carrier+number codes
+   */
+  parseFlightNumbers(text) {
+    const codes = [];
+    const pattern = /\b([A-Z0-9]{2})\s*[-|]?\s*(\d{1,4})([A-Z]?)\b/g;
+    let match;
+    while ((match = pattern.exec(String(text || '').toUpperCase())) !== null) {
+      // Skip pure numbers like "12 345" that are not carrier codes
+      if (/^\d{2}$/.test(match[1])) {
+        continue;
+      }
+      const code = `${match[1]}${parseInt(match[2], 10)}${match[3]}`;
+      if (!codes.includes(code)) {
+        codes.push(code);
+      }
+    }
+    return codes;
+  },
+
+  /**
+   * Marketing carrier: the card's airline code, else the first segment's carrier
+   */
+  carrier(flight, segmentCodes) {
+    const code = String(flight.airline_code || '').trim().toUpperCase();
+    if (/^[A-Z0-9]{2}$/.test(code)) {
+      return code;
+    }
+    return segmentCodes.length > 0 ? segmentCodes[0].slice(0, 2) : this.UNKNOWN_CARRIER;
+  },
+
+  /**
+   * First candidate that resolves to an IATA code (city names go through Airports.find)
+   */
+  airportCode(candidates, fallbackCode) {
+    for (const candidate of candidates) {
+      const airport = candidate ? Airports.find(candidate) : null;
+      if (airport) {
+        return airport.code;
+      }
+    }
+    if (fallbackCode && /^[A-Z]{3}$/i.test(fallbackCode)) {
+      return fallbackCode.toUpperCase();
+    }
+    // Unknown airport: keep the city text so different cities still get different ids
+    const text = candidates.find(candidate => candidate && String(candidate).trim());
+    return text ? String(text).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '') : this.UNKNOWN_AIRPORT;
+  },
+
+  /**
+   * Local departure date (YYYY-MM-DD) at the origin
+   */
+  departureDate(flight, fallbackDate) {
+    const candidates = [flight.departure_datetime, this.firstSegment(flight).departure_datetime, flight.departure_date_formatted, fallbackDate];
+    for (const candidate of candidates) {
+      const match = String(candidate || '').match(/^(\d{4}-\d{2}-\d{2})/);
+      if (match) {
+        return match[1];
+      }
+    }
+    return this.UNKNOWN_DATE;
+  },
+
+  /**
+   * Segments from the flight details (flight_details.detailed_flights or detailed_flights)
+   */
+  segments(flight) {
+    const detailedFlights = (flight.flight_details && flight.flight_details.detailed_flights) || flight.detailed_flights || [];
+    return detailedFlights.flatMap(detail => detail.segments || []);
+  },
+
+  firstSegment(flight) {
+    return this.segments(flight)[0] || {};
+  },
+
+  lastSegment(flight) {
+    const segments = this.segments(flight);
+    return segments[segments.length - 1] || {};
+  },
+
+  /**
+   * 32-bit FNV-1a hash as 8 hex characters
+   */
+  fingerprint(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+};
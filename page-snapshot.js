@@ -0,0 +1,159 @@
+/**
+ * Flight Extracter - Page Snapshots
+ * Captures the markup of a results page as a JSON bundle for offline fixtures (see README "Offline Fixtures"):
+ * sanitized outerHTML of every flight card, the open fare popup and any open flight details panel,
+ * plus a pruned copy of the page that keeps only those elements and their ancestors, so the
+ * selectors that depend on page structure (round-trip panes, popup wrappers) still match in jsdom.
+ *
+ * Needs site-adapter.js, a registered adapter and flight-extractors.js (the current output of
+ * each card is stored next to its markup as the expected result).
+ */
+
+const PageSnapshot = {
+  VERSION: 1,
+  // Temporary attribute that marks captured elements while the page is pruned
+  KEEP_ATTRIBUTE: 'data-flight-snapshot-keep',
+  // Elements that are never useful in a fixture (scripts, styles, embedded frames)
+  STRIP_SELECTOR: 'script, noscript, style, link, meta, iframe, object, embed, template',
+
+  /**
+   * Capture the current page
+   * @param {Object} adapter - Site adapter for the page
+   * @returns {Object} - {metadata, cards: [{index, html, flight}], fare_popup, flight_details, html}
+   */
+  capture(adapter) {
+    let cards = Array.from(adapter.findFlightCards() || []);
+    const usedFallback = cards.length === 0 && typeof adapter.findFlightCardsFallback === 'function';
+    if (usedFallback) {
+      cards = Array.from(adapter.findFlightCardsFallback() || []);
+    }
+    const farePopup = Array.from(document.querySelectorAll(adapter.selectors.fareWrapper || ''))
+      .find(element => SiteAdapters.isElementVisible(element)) || null;
+    const detailsPanels = Array.from(document.querySelectorAll(adapter.selectors.flightDetailsOuter || ''))
+      .filter(element => SiteAdapters.isElementVisible(element));
+
+    return {
+      metadata: {
+        snapshot_version: this.VERSION,
+        captured_at: new Date().toISOString(),
+        source_url: window.location.href,
+        title: document.title,
+        site: adapter.id,
+        user_agent: navigator.userAgent,
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        detection: this.detect(adapter),
+        cards_count: cards.length,
+        cards_from_fallback: usedFallback,
+        fare_popup_open: farePopup !== null,
+        flight_details_open: detailsPanels.length
+      },
+      cards: cards.map((card, index) => ({
+        index: index,
+        html: this.sanitize(card).outerHTML,
+        flight: this.extractCard(card, index, adapter)
+      })),
+      fare_popup: farePopup ? this.sanitize(farePopup).outerHTML : null,
+      flight_details: detailsPanels.map(panel => this.sanitize(panel).outerHTML),
+      html: this.prunedDocument([...cards, farePopup, ...detailsPanels].filter(Boolean))
+    };
+  },
+
+  /**
+   * What the adapter makes of the page (each check is caught separately, a snapshot of a
+   * broken page is exactly what a fixture needs)
+   */
+  detect(adapter) {
+    const attempt = (check) => {
+      try {
+        return check();
+      } catch (error) {
+        return { error: error.message };
+      }
+    };
+    const tripType = attempt(() => adapter.detectTripType());
+    const international = attempt(() => adapter.detectInternational ? adapter.detectInternational() : null);
+    const validation = attempt(() => {
+      const result = international === 'international'
+        ? adapter.validateInternationalPage && adapter.validateInternationalPage()
+        : adapter.validateDomesticPage && adapter.validateDomesticPage(tripType);
+      return result ? { valid: result.valid, error: result.error || null } : null;
+    });
+    return {
+      trip_type: tripType,
+      international: international,
+      round_trip_layout: attempt(() => adapter.isRoundTripLayout ? adapter.isRoundTripLayout() : null),
+      multi_city_layout: attempt(() => adapter.isMultiCityLayout ? adapter.isMultiCityLayout() : null),
+      validation: validation
+    };
+  },
+
+  /**
+   * Current extractor output for a card (null if it throws)
+   */
+  extractCard(card, index, adapter) {
+    try {
+      const { html_snippet, ...flight } = FlightExtractors.extractFlightFromCard(card, index, adapter);
+      return flight;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Copy of an element without scripts, styles, event handler attributes or form values
+   * @param {Element} element - Element on the page (left unchanged)
+   * @returns {Element} - Sanitized clone
+   */
+  sanitize(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(this.STRIP_SELECTOR).forEach(stripped => stripped.remove());
+    [clone, ...clone.querySelectorAll('*')].forEach(node => {
+      Array.from(node.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        if (name.startsWith('on') || name === this.KEEP_ATTRIBUTE ||
+            (name === 'value' && /^(input|textarea)$/i.test(node.tagName)) ||
+            (/^(href|src)$/.test(name) && /^\s*javascript:/i.test(attribute.value))) {
+          node.removeAttribute(attribute.name);
+        }
+      });
+    });
+    return clone;
+  },
+
+  /**
+   * The page reduced to the captured elements and their ancestors (headers, filters, ads and
+   * the signed-in user's details are dropped)
+   * @param {Array<Element>} elements - Captured elements
+   * @returns {string} - "<!DOCTYPE html>..." document
+   */
+  prunedDocument(elements) {
+    elements.forEach(element => element.setAttribute(this.KEEP_ATTRIBUTE, ''));
+    let body;
+    try {
+      body = document.body.cloneNode(true);
+    } finally {
+      elements.forEach(element => element.removeAttribute(this.KEEP_ATTRIBUTE));
+    }
+
+    const kept = Array.from(body.querySelectorAll(`[${this.KEEP_ATTRIBUTE}]`));
+    const ancestors = new Set();
+    kept.forEach(element => {
+      for (let parent = element.parentElement; parent && !ancestors.has(parent); parent = parent.parentElement) {
+        ancestors.add(parent);
+      }
+    });
+    Array.from(body.querySelectorAll('*'))
+      .filter(element => !ancestors.has(element) && !element.closest(`[${this.KEEP_ATTRIBUTE}]`))
+      .forEach(element => element.remove());
+    // Loose text between the kept elements belongs to what was removed
+    ancestors.forEach(ancestor => {
+      Array.from(ancestor.childNodes)
+        .filter(node => node.nodeType !== Node.ELEMENT_NODE)
+        .forEach(node => node.remove());
+    });
+
+    const html = this.sanitize(body);
+    const lang = document.documentElement.getAttribute('lang');
+    return `<!DOCTYPE html>\n<html${lang ? ` lang="${lang}"` : ''}><head><meta charset="utf-8"><title></title></head>${html.outerHTML}</html>\n`;
+  }
+};
@@ -8,6 +8,10 @@ document.addEventListener('DOMContentLoaded', () => {
   const extractIntlRoundTripBtn = document.getElementById('extractIntlRoundTripBtn');
   const copyBtn = document.getElementById('copyBtn');
   const downloadBtn = document.getElementById('downloadBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const extractDepth = document.getElementById('extractDepth');
+  const compareBtn = document.getElementById('compareBtn');
+  const openViewerBtn = document.getElementById('openViewerBtn');
   const status = document.getElementById('status');
   const statusText = document.getElementById('statusText');
   const info = document.getElementById('info');
@@ -19,17 +23,76 @@ document.addEventListener('DOMContentLoaded', () => {
   const progressCounter = document.getElementById('progressCounter');
   const progressFill = document.getElementById('progressFill');
   const progressDetails = document.getElementById('progressDetails');
+  const pauseBtn = document.getElementById('pauseBtn');
+  const stopBtn = document.getElementById('stopBtn');
   const downloadLogsBtn = document.getElementById('downloadLogsBtn');
+  const captureSnapshotBtn = document.getElementById('captureSnapshotBtn');
+  const planSelect = document.getElementById('planSelect');
+  const editPlanBtn = document.getElementById('editPlanBtn');
+  const newPlanBtn = document.getElementById('newPlanBtn');
+  const planEditor = document.getElementById('planEditor');
+  const planName = document.getElementById('planName');
+  const planSite = document.getElementById('planSite');
+  const planRoutes = document.getElementById('planRoutes');
+  const planOffsets = document.getElementById('planOffsets');
+  const planDates = document.getElementById('planDates');
+  const planAdults = document.getElementById('planAdults');
+  const planChildren = document.getElementById('planChildren');
+  const planInfants = document.getElementById('planInfants');
+  const planCabin = document.getElementById('planCabin');
+  const planRetryAttempts = document.getElementById('planRetryAttempts');
+  const planRetryBackoff = document.getElementById('planRetryBackoff');
+  const planRetryMode = document.getElementById('planRetryMode');
+  const planOutput = document.getElementById('planOutput');
+  const planFormat = document.getElementById('planFormat');
+  const planDepth = document.getElementById('planDepth');
+  const planPairing = document.getElementById('planPairing');
+  const planSchedule = document.getElementById('planSchedule');
+  const planErrors = document.getElementById('planErrors');
+  const savePlanBtn = document.getElementById('savePlanBtn');
+  const deletePlanBtn = document.getElementById('deletePlanBtn');
+  const cancelPlanBtn = document.getElementById('cancelPlanBtn');
+  const jobBar = document.getElementById('jobBar');
+  const jobStatusText = document.getElementById('jobStatusText');
+  const resumeJobBtn = document.getElementById('resumeJobBtn');
+  const saveJobResultsBtn = document.getElementById('saveJobResultsBtn');
+  const watchSummary = document.getElementById('watchSummary');
+  const editWatchBtn = document.getElementById('editWatchBtn');
+  const watchEditor = document.getElementById('watchEditor');
+  const watchRules = document.getElementById('watchRules');
+  const watchErrors = document.getElementById('watchErrors');
+  const saveWatchBtn = document.getElementById('saveWatchBtn');
+  const cancelWatchBtn = document.getElementById('cancelWatchBtn');
 
   let currentData = null;
+
+  // Phases of per-card progress events from the content script
+  const CARD_PHASES = {
+    card: 'reading card',
+    view_prices: 'view prices',
+    select_card: 'selecting card',
+    flight_details: 'flight details',
+    fare_summary: 'fare summary tab',
+    cancellation: 'cancellation tab',
+    date_change: 'date change tab',
+    pair: 'pricing pair',
+    paused: 'paused'
+  };
+  let editingPlanId = null;
   let totalCombinations = 0;
   let completedCombinations = 0;
+  let extractionPaused = false;
+
+  // One plan site option per registered site adapter (adapters/*.js)
+  SiteAdapters.adapters.forEach(adapter => {
+    planSite.add(new Option(adapter.name || adapter.id, adapter.id));
+  });
 
   // Check if we're on a supported page
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     const currentTab = tabs[0];
-    if (!currentTab.url.includes('makemytrip.com') && !currentTab.url.includes('mmtcdn.net')) {
-      updateStatus('Please navigate to a MakeMyTrip flight listing page', 'error');
+    if (!SiteAdapters.forUrl(currentTab.url)) {
+      updateStatus(`Please navigate to a flight listing page (${SiteAdapters.adapters.map(adapter => adapter.name).join(', ')})`, 'error');
       extractBtn.disabled = true;
       extractIntlRoundTripBtn.disabled = true;
     }
@@ -47,22 +110,26 @@ document.addEventListener('DOMContentLoaded', () => {
       // Get current tab
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-      // Define routes to process
-      const routes = [
-        { source: 'BLR', dest: 'PAT' },
-        { source: 'IXL', dest: 'DEL' },
-        { source: 'BOM', dest: 'IXE' },
-        { source: 'PNQ', dest: 'BLR' },
-        { source: 'BOM', dest: 'AMD' }
-      ];
-      
-      const dateOffsets = [1, 7, 14, 30]; // Days from today
+      // Routes, dates and search settings come from the selected route plan
+      const plan = await RoutePlans.getActive();
+      const batchRequest = RoutePlans.batchRequest(plan);
+      const skippedDates = (plan.dates || []).length - batchRequest.dates.length;
+      if (skippedDates > 0) {
+        console.warn(`Skipping ${skippedDates} date(s) in plan "${plan.name}" that are already in the past`);
+      }
 
-      // Inject content script if needed and send message with routes
-      chrome.tabs.sendMessage(tab.id, { 
-        action: 'extractFlights',
-        routes: routes,
-        dateOffsets: dateOffsets
+      if (batchRequest.dateOffsets.length === 0 && batchRequest.dates.length === 0) {
+        updateStatus(`Plan "${plan.name}" has no upcoming dates to search`, 'error');
+        extractBtn.disabled = false;
+        extractIntlRoundTripBtn.disabled = false;
+        return;
+      }
+
+      // The background worker runs the batch job in this tab and keeps its state in storage
+      chrome.runtime.sendMessage({
+        action: 'startBatchJob',
+        tabId: tab.id,
+        ...batchRequest
       }, (response) => {
         if (chrome.runtime.lastError) {
           updateStatus('Error: ' + chrome.runtime.lastError.message, 'error');
@@ -78,9 +145,13 @@ document.addEventListener('DOMContentLoaded', () => {
             completedCombinations = 0;
             showProgress();
             updateProgress(0, totalCombinations, 'Starting...');
-            updateStatus(`Processing ${response.total_combinations} route-date combinations. Files will auto-download as each completes.`, 'loading');
+            const outputNote = batchRequest.output === 'consolidated'
+              ? 'Results are kept until the job finishes and saved as one file ("Save results" writes what is done so far).'
+              : 'Files will auto-download as each completes.';
+            updateStatus(`Processing ${response.total_combinations} route-date combinations from "${plan.name}". ${outputNote}`, 'loading');
             extractBtn.disabled = false;
             extractIntlRoundTripBtn.disabled = false;
+            loadBatchJob();
             return;
           }
           
@@ -96,21 +167,24 @@ document.addEventListener('DOMContentLoaded', () => {
               : 0;
             
             if (flightsCount > 0) {
-              updateStatus(`Successfully extracted ${flightsCount} flights in ${execTime}`, 'success');
+              const stopped = response.data.metadata?.partial ? ' (stopped early, partial)' : '';
+              updateStatus(`Successfully extracted ${flightsCount} flights in ${execTime}${stopped}`, 'success');
               
               // Auto-save JSON file to local system
               const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
               const tripType = response.data.metadata?.trip_type || 'unknown';
-              const filename = `flight-data-${tripType}-${timestamp}.json`;
+              const partialSuffix = response.data.metadata?.partial ? '-partial' : '';
+              const filename = `flight-data-${tripType}-${timestamp}${partialSuffix}.json`;
               
               chrome.runtime.sendMessage({
                 action: 'saveJSON',
                 data: response.data,
-                filename: filename
+                filename: filename,
+                format: exportFormat.value
               }, (saveResponse) => {
                 if (saveResponse && saveResponse.success) {
-                  console.log('JSON file saved automatically:', filename);
-                  updateStatus(`Saved ${flightsCount} flights to ${filename}`, 'success');
+                  console.log('File saved automatically:', saveResponse.filename);
+                  updateStatus(`Saved ${flightsCount} flights to ${saveResponse.filename}`, 'success');
                   setTimeout(() => {
                     updateStatus(`Ready (${flightsCount} flights extracted)`, 'success');
                   }, 2000);
@@ -156,7 +230,8 @@ document.addEventListener('DOMContentLoaded', () => {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
       // Inject content script if needed and send message
-      chrome.tabs.sendMessage(tab.id, { action: 'extractInternationalRoundTrip' }, (response) => {
+      chrome.tabs.sendMessage(tab.id, { action: 'extractInternationalRoundTrip', depth: extractDepth.value }, (response) => {
+        hideProgress();
         if (chrome.runtime.lastError) {
           updateStatus('Error: ' + chrome.runtime.lastError.message, 'error');
           extractIntlRoundTripBtn.disabled = false;
@@ -176,21 +251,24 @@ document.addEventListener('DOMContentLoaded', () => {
               : 0;
             
             if (flightsCount > 0) {
-              updateStatus(`Successfully extracted ${flightsCount} flights in ${execTime}`, 'success');
+              const stopped = response.data.metadata?.partial ? ' (stopped early, partial)' : '';
+              updateStatus(`Successfully extracted ${flightsCount} flights in ${execTime}${stopped}`, 'success');
               
               // Auto-save JSON file to local system
               const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
               const tripType = response.data.metadata?.trip_type || 'international_round_trip';
-              const filename = `flight-data-${tripType}-${timestamp}.json`;
+              const partialSuffix = response.data.metadata?.partial ? '-partial' : '';
+              const filename = `flight-data-${tripType}-${timestamp}${partialSuffix}.json`;
               
               chrome.runtime.sendMessage({
                 action: 'saveJSON',
                 data: response.data,
-                filename: filename
+                filename: filename,
+                format: exportFormat.value
               }, (saveResponse) => {
                 if (saveResponse && saveResponse.success) {
-                  console.log('JSON file saved automatically:', filename);
-                  updateStatus(`Saved ${flightsCount} flights to ${filename}`, 'success');
+                  console.log('File saved automatically:', saveResponse.filename);
+                  updateStatus(`Saved ${flightsCount} flights to ${saveResponse.filename}`, 'success');
                   setTimeout(() => {
                     updateStatus(`Ready (${flightsCount} flights extracted)`, 'success');
                   }, 2000);
@@ -229,9 +307,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!currentData) return;
 
     try {
-      const jsonString = JSON.stringify(currentData, null, 2);
-      await navigator.clipboard.writeText(jsonString);
-      updateStatus('JSON copied to clipboard!', 'success');
+      const text = ExportFormats.serialize(currentData, exportFormat.value);
+      await navigator.clipboard.writeText(text);
+      updateStatus(`${ExportFormats.FORMATS[exportFormat.value].label} copied to clipboard!`, 'success');
       setTimeout(() => {
         updateStatus(`Ready (${currentData.flights.length} flights extracted)`, 'success');
       }, 2000);
@@ -251,7 +329,8 @@ document.addEventListener('DOMContentLoaded', () => {
     chrome.runtime.sendMessage({
       action: 'downloadJSON',
       data: currentData,
-      filename: filename
+      filename: filename,
+      format: exportFormat.value
     }, (response) => {
       if (response && response.success) {
         updateStatus('Download started!', 'success');
@@ -318,8 +397,57 @@ document.addEventListener('DOMContentLoaded', () => {
    */
   function hideProgress() {
     progress.style.display = 'none';
+    setExtractionPaused(false);
+    stopBtn.disabled = false;
+  }
+
+  /**
+   * Show Pause or Resume depending on the state of the extraction
+   */
+  function setExtractionPaused(paused) {
+    extractionPaused = paused;
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  }
+
+  /**
+   * Stop / Pause / Resume the extraction in progress
+   * The background worker applies it to the running batch job, or else to the extraction in this tab
+   */
+  async function controlExtraction(command) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    chrome.runtime.sendMessage({ action: 'controlExtraction', command: command, tabId: tab.id }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : (response?.error || 'no extraction running');
+        updateStatus(`Could not ${command}: ${error}`, 'error');
+        return;
+      }
+
+      setExtractionPaused(response.status === 'paused');
+      if (command === 'stop') {
+        stopBtn.disabled = true;
+        progressText.textContent = 'Stopping...';
+        updateStatus(response.scope === 'batch'
+          ? 'Stopping: the current search saves the flights it has, then the job ends'
+          : 'Stopping: the flights extracted so far will be returned', 'loading');
+      } else if (command === 'pause') {
+        progressText.textContent = 'Paused';
+        updateStatus(response.scope === 'batch' ? 'Batch job paused' : 'Extraction paused', 'loading');
+      } else {
+        progressText.textContent = 'Processing...';
+        updateStatus(response.scope === 'batch' ? 'Batch job resumed' : 'Extraction resumed', 'loading');
+      }
+      loadBatchJob();
+    });
   }
 
+  pauseBtn.addEventListener('click', () => {
+    controlExtraction(extractionPaused ? 'resume' : 'pause');
+  });
+
+  stopBtn.addEventListener('click', () => {
+    controlExtraction('stop');
+  });
+
   /**
    * Update progress counter
    */
@@ -345,6 +473,346 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Show a per-card progress event of a single-page extraction
+   * Inside a batch run the bar keeps counting route-date combinations and the card goes in the details line
+   */
+  function showCardProgress(event) {
+    const leg = event.leg ? `${event.leg} leg · ` : '';
+    const eta = event.eta_seconds !== null ? ` · ETA ${formatSeconds(event.eta_seconds)}` : '';
+    const details = event.phase === 'done'
+      ? `${leg}${event.total_cards} cards processed · ${event.flights_so_far} flights`
+      : `${leg}Card ${event.card_index}/${event.total_cards} · ${CARD_PHASES[event.phase] || event.phase} · ${event.flights_so_far} flights so far${eta}`;
+
+    showProgress();
+    progressDetails.textContent = details;
+    if (event.batch) {
+      return;
+    }
+    const percentage = event.total_cards > 0 ? Math.round((event.cards_done / event.total_cards) * 100) : 0;
+    progressText.textContent = event.phase === 'done' ? 'Cards processed' : (event.phase === 'paused' ? 'Paused' : 'Extracting cards...');
+    progressCounter.textContent = `${event.cards_done}/${event.total_cards}`;
+    progressFill.style.width = `${percentage}%`;
+  }
+
+  /**
+   * Format a number of seconds as "4m 05s" / "40s"
+   */
+  function formatSeconds(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+  }
+
+  /**
+   * Describe a batch date entry (day offset or YYYY-MM-DD date) for display
+   */
+  function formatDateSpec(dateSpec) {
+    if (dateSpec === null || dateSpec === undefined) return 'all';
+    return typeof dateSpec === 'number' ? `+${dateSpec} days` : String(dateSpec);
+  }
+
+  /**
+   * Fill the plan dropdown and select the active plan
+   */
+  async function loadPlans(selectId = null) {
+    const plans = await RoutePlans.getAll();
+    const activeId = selectId || await RoutePlans.getActiveId();
+
+    planSelect.innerHTML = '';
+    plans.forEach(plan => {
+      const option = document.createElement('option');
+      option.value = plan.id;
+      const dateCount = (plan.dateOffsets || []).length + (plan.dates || []).length;
+      const schedule = plan.scheduleHours > 0 ? `, every ${plan.scheduleHours} h` : '';
+      option.textContent = `${plan.name} (${plan.routes.length} routes × ${dateCount} dates, ${RoutePlans.describePassengers(plan)}${schedule})`;
+      planSelect.appendChild(option);
+    });
+    loadScheduleRuns();
+
+    planSelect.value = plans.some(p => p.id === activeId) ? activeId : plans[0].id;
+    await RoutePlans.setActiveId(planSelect.value);
+  }
+
+  /**
+   * Show the next and last scheduled run of each plan as the dropdown tooltip
+   */
+  function loadScheduleRuns() {
+    chrome.runtime.sendMessage({ action: 'getScheduleRuns' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        return;
+      }
+      Array.from(planSelect.options).forEach(option => {
+        const run = response.runs[option.value];
+        if (!run) {
+          option.title = '';
+          return;
+        }
+        const lines = [];
+        if (run.next_run_at) {
+          lines.push(`Next run: ${new Date(run.next_run_at).toLocaleString()}`);
+        }
+        if (run.started_at) {
+          lines.push(`Last run: ${new Date(run.started_at).toLocaleString()} (${run.status}${run.message && run.status !== 'started' ? `: ${run.message}` : ''})`);
+        }
+        option.title = lines.join('\n');
+      });
+    });
+  }
+
+  /**
+   * Open the plan editor with the given plan (or an empty plan when creating one)
+   */
+  function openPlanEditor(plan) {
+    editingPlanId = plan ? plan.id : null;
+    planName.value = plan ? plan.name : '';
+    planRoutes.value = plan ? RoutePlans.formatRoutes(plan.routes) : '';
+    planSite.value = RoutePlans.siteOf(plan);
+    planOffsets.value = plan ? (plan.dateOffsets || []).join(', ') : '';
+    planDates.value = plan ? (plan.dates || []).join(', ') : '';
+    planAdults.value = plan ? plan.adults : 1;
+    planChildren.value = plan ? plan.children : 0;
+    planInfants.value = plan ? plan.infants : 0;
+    planCabin.value = plan ? plan.cabinClass : 'E';
+    const retry = (plan && plan.retry) || RoutePlans.defaultRetry();
+    planRetryAttempts.value = retry.maxAttempts;
+    planRetryBackoff.value = retry.backoffSeconds;
+    planRetryMode.value = retry.mode;
+    planOutput.value = (plan && plan.output) || 'per_combination';
+    planFormat.value = (plan && plan.format) || 'json';
+    planDepth.value = ExtractionDepth.normalize(plan && plan.depth);
+    planPairing.value = RoundTripPairs.normalize(plan && plan.pairing);
+    planSchedule.value = (plan && plan.scheduleHours) || 0;
+    planErrors.textContent = '';
+    deletePlanBtn.disabled = !plan;
+    planEditor.style.display = 'block';
+  }
+
+  /**
+   * Close the plan editor
+   */
+  function closePlanEditor() {
+    planEditor.style.display = 'none';
+    editingPlanId = null;
+  }
+
+  /**
+   * Read the editor fields into a plan object
+   * @returns {{plan: Object, errors: Array<string>}}
+   */
+  function readPlanEditor() {
+    const routes = RoutePlans.parseRoutes(planRoutes.value);
+    const offsets = RoutePlans.parseDateOffsets(planOffsets.value);
+    const dates = RoutePlans.parseDates(planDates.value);
+
+    const plan = {
+      id: editingPlanId,
+      name: planName.value.trim(),
+      site: planSite.value,
+      routes: routes.routes,
+      dateOffsets: offsets.dateOffsets,
+      dates: dates.dates,
+      adults: parseInt(planAdults.value, 10) || 0,
+      children: parseInt(planChildren.value, 10) || 0,
+      infants: parseInt(planInfants.value, 10) || 0,
+      cabinClass: planCabin.value,
+      retry: {
+        maxAttempts: parseInt(planRetryAttempts.value, 10) || 0,
+        backoffSeconds: parseInt(planRetryBackoff.value, 10),
+        mode: planRetryMode.value
+      },
+      output: planOutput.value,
+      format: planFormat.value,
+      depth: planDepth.value,
+      pairing: planPairing.value,
+      scheduleHours: parseInt(planSchedule.value, 10) || 0
+    };
+
+    const errors = [...routes.errors, ...offsets.errors, ...dates.errors, ...RoutePlans.validate(plan)];
+    return { plan, errors };
+  }
+
+  planSelect.addEventListener('change', async () => {
+    await RoutePlans.setActiveId(planSelect.value);
+    closePlanEditor();
+  });
+
+  editPlanBtn.addEventListener('click', async () => {
+    openPlanEditor(await RoutePlans.get(planSelect.value));
+  });
+
+  newPlanBtn.addEventListener('click', () => {
+    openPlanEditor(null);
+  });
+
+  cancelPlanBtn.addEventListener('click', () => {
+    closePlanEditor();
+  });
+
+  savePlanBtn.addEventListener('click', async () => {
+    const { plan, errors } = readPlanEditor();
+    if (errors.length > 0) {
+      planErrors.textContent = errors.join('\n');
+      return;
+    }
+
+    try {
+      const saved = await RoutePlans.save(plan);
+      await loadPlans(saved.id);
+      closePlanEditor();
+      updateStatus(`Saved plan "${saved.name}"`, 'success');
+    } catch (error) {
+      console.error('Error saving plan:', error);
+      planErrors.textContent = 'Failed to save plan: ' + error.message;
+    }
+  });
+
+  deletePlanBtn.addEventListener('click', async () => {
+    if (!editingPlanId) return;
+
+    const deleted = await RoutePlans.remove(editingPlanId);
+    if (!deleted) {
+      planErrors.textContent = 'The last remaining plan cannot be deleted';
+      return;
+    }
+    await loadPlans();
+    closePlanEditor();
+    updateStatus('Plan deleted', 'success');
+  });
+
+  loadPlans().catch((error) => {
+    console.error('Error loading route plans:', error);
+    updateStatus('Error loading route plans: ' + error.message, 'error');
+  });
+
+  /**
+   * Show how many fare alert rules are active
+   */
+  async function loadWatchRules() {
+    const rules = await WatchRules.getAll();
+    watchSummary.textContent = rules.length === 0
+      ? 'No rules'
+      : (rules.length === 1 ? WatchRules.describe(rules[0]) : `${rules.length} rules`);
+    watchSummary.title = WatchRules.format(rules);
+    return rules;
+  }
+
+  editWatchBtn.addEventListener('click', async () => {
+    watchRules.value = WatchRules.format(await WatchRules.getAll());
+    watchErrors.textContent = '';
+    watchEditor.style.display = 'block';
+  });
+
+  cancelWatchBtn.addEventListener('click', () => {
+    watchEditor.style.display = 'none';
+  });
+
+  saveWatchBtn.addEventListener('click', async () => {
+    const { rules, errors } = WatchRules.parse(watchRules.value);
+    if (errors.length > 0) {
+      watchErrors.textContent = errors.join('\n');
+      return;
+    }
+
+    try {
+      await WatchRules.saveAll(rules);
+      await loadWatchRules();
+      watchEditor.style.display = 'none';
+      updateStatus(`Saved ${rules.length} fare alert rule${rules.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      console.error('Error saving fare alerts:', error);
+      watchErrors.textContent = 'Failed to save rules: ' + error.message;
+    }
+  });
+
+  loadWatchRules().catch((error) => {
+    console.error('Error loading fare alerts:', error);
+  });
+
+  /**
+   * Show the last batch job and offer to resume it if it did not finish
+   */
+  function loadBatchJob() {
+    chrome.runtime.sendMessage({ action: 'getBatchJob' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success || !response.job) {
+        jobBar.style.display = 'none';
+        return;
+      }
+
+      const job = response.job;
+      const counts = job.counts;
+      const failed = counts.failed > 0 ? `, ${counts.failed} failed` : '';
+      const scheduled = job.trigger === 'schedule' ? 'scheduled ' : '';
+      jobStatusText.textContent = `Last ${scheduled}job "${job.plan_name || 'batch'}": ${counts.done + counts.failed}/${counts.total} searched${failed} (${job.status})`;
+      // Hover shows why each combination that still failed at the end of the job gave up
+      jobStatusText.title = (job.failures || [])
+        .map(failure => `${failure.route} ${failure.departure_date}: ${failure.reason} (${failure.attempts} attempts)`)
+        .join('\n');
+      // A paused job continues with Resume in the progress box
+      resumeJobBtn.style.display = job.status !== 'completed' && job.status !== 'paused' ? 'inline' : 'none';
+      if (job.status === 'paused') {
+        showProgress();
+        updateProgress(counts.done + counts.failed, counts.total, 'Batch job paused');
+        progressText.textContent = 'Paused';
+        setExtractionPaused(true);
+      }
+      // Consolidated jobs keep their results in storage until the batch file is written
+      saveJobResultsBtn.style.display = job.output_mode === 'consolidated' ? 'inline' : 'none';
+      jobBar.style.display = 'flex';
+    });
+  }
+
+  saveJobResultsBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'exportBatchResults' }, (response) => {
+      if (chrome.runtime.lastError) {
+        updateStatus('Error: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      if (!response || !response.success) {
+        updateStatus('Could not save results: ' + (response?.error || 'unknown error'), 'error');
+        return;
+      }
+      const partial = response.partial ? ' (partial run)' : '';
+      updateStatus(`Saved ${response.flights_count} flights from ${response.combinations_done} combinations${partial}`, 'success');
+    });
+  });
+
+  resumeJobBtn.addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    chrome.runtime.sendMessage({ action: 'resumeBatchJob', tabId: tab.id }, (response) => {
+      if (chrome.runtime.lastError) {
+        updateStatus('Error: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      if (!response || !response.success) {
+        updateStatus('Could not resume: ' + (response?.error || 'unknown error'), 'error');
+        return;
+      }
+
+      showProgress();
+      updateProgress(response.completed, response.total_combinations, 'Resuming...');
+      updateStatus(`Resumed batch job: ${response.remaining} of ${response.total_combinations} combinations left`, 'loading');
+      loadBatchJob();
+    });
+  });
+
+  loadBatchJob();
+
+  /**
+   * Open table view button handler: hands the current result to the results page via storage
+   */
+  openViewerBtn.addEventListener('click', async () => {
+    if (!currentData) return;
+    await chrome.storage.local.set({ flightExtractorViewerData: currentData });
+    chrome.tabs.create({ url: chrome.runtime.getURL('results.html') });
+  });
+
+  /**
+   * Compare extractions button handler: opens the diff page in a new tab
+   */
+  compareBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('diff.html') });
+  });
+
   /**
    * Download logs button handler
    */
@@ -392,6 +860,39 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  /**
+   * Capture snapshot button handler: saves the page markup as a fixture bundle (see page-snapshot.js)
+   */
+  captureSnapshotBtn.addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    captureSnapshotBtn.disabled = true;
+    updateStatus('Capturing page snapshot...', 'loading');
+
+    chrome.tabs.sendMessage(tab.id, { action: 'captureSnapshot' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        captureSnapshotBtn.disabled = false;
+        const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : ((response && response.error) || 'Unknown error');
+        updateStatus('Error capturing snapshot: ' + error, 'error');
+        return;
+      }
+
+      const snapshot = response.snapshot;
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      chrome.runtime.sendMessage({
+        action: 'downloadJSON',
+        data: snapshot,
+        filename: `flight-snapshot-${snapshot.metadata.site}-${timestamp}.json`
+      }, (downloadResponse) => {
+        captureSnapshotBtn.disabled = false;
+        if (downloadResponse && downloadResponse.success) {
+          updateStatus(`Snapshot saved: ${snapshot.cards.length} cards${snapshot.fare_popup ? ', fare popup' : ''}${snapshot.flight_details.length ? `, ${snapshot.flight_details.length} details panel(s)` : ''}`, 'success');
+        } else {
+          updateStatus('Error saving snapshot: ' + ((downloadResponse && downloadResponse.error) || 'Unknown error'), 'error');
+        }
+      });
+    });
+  });
+
   /**
    * Listen for progress updates from content script
    */
@@ -400,8 +901,17 @@ document.addEventListener('DOMContentLoaded', () => {
       updateProgress(
         request.completed || 0,
         request.total || 0,
-        request.route ? `Route: ${request.route}, Date: +${request.dateOffset} days` : ''
+        request.route ? `Route: ${request.route}, Date: ${formatDateSpec(request.dateOffset)}` : ''
       );
+      if (request.status === 'stopped') {
+        progressText.textContent = 'Stopped';
+        progressDetails.textContent = `${request.completed} of ${request.total} combinations searched before the job was stopped`;
+        updateStatus('Batch job stopped - the results so far were saved (partial)', 'success');
+      }
+      loadBatchJob();
+      sendResponse({ success: true });
+    } else if (request.action === 'extractionProgress') {
+      showCardProgress(request);
       sendResponse({ success: true });
     }
     return true;
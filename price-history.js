@@ -0,0 +1,231 @@
+/**
+ * Flight Extracter - Price History
+ * Every extraction result is kept in IndexedDB (extension origin, so the background worker
+ * and extension pages share it), one observation per flight per scrape, so fare movements
+ * can be queried without re-reading downloaded files.
+ *
+ * Observation key: [route, travel_date, scraped_at, flight_id]
+ *   route        "BLR-PAT" (origin-destination of the flight)
+ *   travel_date  Local departure date, YYYY-MM-DD
+ *   scraped_at   ISO timestamp of the extraction (metadata.scraped_at)
+ *   flight_id    See flight-identity.js
+ */
+
+const PriceHistory = {
+  DB_NAME: 'flightExtractorPriceHistory',
+  DB_VERSION: 1,
+  STORE: 'observations',
+
+  _db: null,
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._db) {
+      return Promise.resolve(this._db);
+    }
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.STORE)) {
+          const store = db.createObjectStore(this.STORE, { keyPath: ['route', 'travel_date', 'scraped_at', 'flight_id'] });
+          store.createIndex('by_flight', ['flight_id', 'scraped_at']);
+          store.createIndex('by_route_date', ['route', 'travel_date', 'scraped_at']);
+          store.createIndex('by_scraped_at', 'scraped_at');
+        }
+      };
+      request.onsuccess = () => {
+        this._db = request.result;
+        // Another context upgraded the database: reopen on next use
+        this._db.onversionchange = () => {
+          this._db.close();
+          this._db = null;
+        };
+        resolve(this._db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Turn one flight of an extraction result into an observation (prices and fares only,
+   * no raw text or HTML)
+   * @param {Object} flight - Flight record with flight_id
+   * @param {Object} metadata - Extraction metadata (scraped_at, source_url, trip_type)
+   * @returns {Object|null} - null if the flight has no identity
+   */
+  toObservation(flight, metadata) {
+    const flightId = flight.flight_id || FlightIdentity.build(flight).flight_id;
+    const identity = FlightIdentity.parse(flightId);
+    if (!identity) {
+      return null;
+    }
+    return {
+      route: `${identity.origin}-${identity.destination}`,
+      travel_date: identity.departure_date,
+      scraped_at: metadata.scraped_at,
+      flight_id: flightId,
+      flight_fingerprint: flight.flight_fingerprint || FlightIdentity.fingerprint(flightId),
+      direction: flight.direction || null,
+      airline: flight.airline || null,
+      flight_code: flight.flight_code || null,
+      departure_datetime: flight.departure_datetime || null,
+      arrival_datetime: flight.arrival_datetime || null,
+      stops: flight.stops !== undefined ? flight.stops : null,
+      price_amount: flight.price_amount !== undefined ? flight.price_amount : null,
+      price_currency: flight.price_currency || null,
+      fares: this.faresOf(flight),
+      trip_type: metadata.trip_type || null,
+      source_url: metadata.source_url || null
+    };
+  },
+
+  /**
+   * Fare options of a flight as a flat list of {fare_class, fare_name, price_amount, price_currency}
+   */
+  faresOf(flight) {
+    const fareClasses = (flight.fare_options && flight.fare_options.fare_classes) || [];
+    return fareClasses.flatMap(fareClass => (fareClass.fares || []).map(fare => ({
+      fare_class: fareClass.class || null,
+      fare_name: fare.fare_name || null,
+      price_amount: fare.price_amount !== undefined ? fare.price_amount : null,
+      price_currency: fare.price_currency || null
+    })));
+  },
+
+  /**
+   * Store every flight of an extraction result (a repeated result with the same scraped_at overwrites itself)
+   * @param {Object} flightData - {metadata, flights} from an extraction
+   * @returns {Promise<number>} - Number of observations stored
+   */
+  async record(flightData) {
+    if (!flightData || !Array.isArray(flightData.flights) || flightData.flights.length === 0) {
+      return 0;
+    }
+    const metadata = { ...(flightData.metadata || {}) };
+    metadata.scraped_at = metadata.scraped_at || new Date().toISOString();
+    const observations = flightData.flights
+      .map(flight => this.toObservation(flight, metadata))
+      .filter(observation => observation !== null);
+
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, 'readwrite');
+      const store = transaction.objectStore(this.STORE);
+      observations.forEach(observation => store.put(observation));
+      transaction.oncomplete = () => resolve(observations.length);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Latest observations of one flight, newest first
+   * @param {string} flightId - flight_id
+   * @param {number} limit - Last N scrapes (default 20)
+   * @returns {Promise<Array<Object>>}
+   */
+  async forFlight(flightId, limit = 20) {
+    const range = IDBKeyRange.bound([flightId, ''], [flightId, '\uffff']);
+    return this._readIndex('by_flight', range, limit);
+  },
+
+  /**
+   * Latest scrapes of a route and travel date, newest first, grouped by scrape
+   * @param {string} route - "BLR-PAT"
+   * @param {string} travelDate - YYYY-MM-DD
+   * @param {number} limit - Last N scrapes (default 10)
+   * @returns {Promise<Array<{scraped_at: string, observations: Array<Object>}>>}
+   */
+  async forRoute(route, travelDate, limit = 10) {
+    const range = IDBKeyRange.bound([route, travelDate, ''], [route, travelDate, '\uffff']);
+    const observations = await this._readIndex('by_route_date', range, null);
+    const scrapes = [];
+    observations.forEach(observation => {
+      let scrape = scrapes.find(entry => entry.scraped_at === observation.scraped_at);
+      if (!scrape) {
+        if (scrapes.length >= limit) {
+          return;
+        }
+        scrape = { scraped_at: observation.scraped_at, observations: [] };
+        scrapes.push(scrape);
+      }
+      scrape.observations.push(observation);
+    });
+    return scrapes;
+  },
+
+  /**
+   * How a flight's price moved over its last N scrapes, oldest first
+   * @returns {Promise<Array<{scraped_at, price_amount, price_currency, change}>>} - change is
+   *          the difference to the previous scrape (null for the first one)
+   */
+  async priceSeries(flightId, limit = 20) {
+    const observations = (await this.forFlight(flightId, limit)).reverse();
+    return observations.map((observation, index) => {
+      const previous = index > 0 ? observations[index - 1].price_amount : null;
+      return {
+        scraped_at: observation.scraped_at,
+        price_amount: observation.price_amount,
+        price_currency: observation.price_currency,
+        change: previous !== null && observation.price_amount !== null ? observation.price_amount - previous : null
+      };
+    });
+  },
+
+  /**
+   * Price of each flight at its latest scrape before the given one
+   * @param {Array<string>} flightIds - flight_id values
+   * @param {string|null} beforeScrapedAt - Only scrapes strictly before this timestamp (null = any)
+   * @returns {Promise<Map<string, number>>} - flight_id -> price_amount (flights never seen are missing)
+   */
+  async latestPrices(flightIds, beforeScrapedAt = null) {
+    const prices = new Map();
+    for (const flightId of new Set(flightIds)) {
+      const range = IDBKeyRange.bound([flightId, ''], [flightId, beforeScrapedAt || '\uffff'], false, beforeScrapedAt !== null);
+      const [latest] = await this._readIndex('by_flight', range, 1);
+      if (latest && latest.price_amount !== null) {
+        prices.set(flightId, latest.price_amount);
+      }
+    }
+    return prices;
+  },
+
+  /**
+   * Delete every observation
+   */
+  async clear() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, 'readwrite');
+      transaction.objectStore(this.STORE).clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Walk an index from the newest key backwards
+   * @param {number|null} limit - Stop after this many records (null = all)
+   */
+  async _readIndex(indexName, range, limit) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const request = db.transaction(this.STORE, 'readonly').objectStore(this.STORE).index(indexName).openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (limit !== null && results.length >= limit)) {
+          resolve(results);
+          return;
+        }
+        results.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
@@ -0,0 +1,330 @@
+/**
+ * Flight Extracter - Result Schema
+ * JSON Schema (draft 2020-12) of an extraction result document ({metadata, flights, error}) and a
+ * validator for the keywords it uses. Every result is checked before it is saved or returned to
+ * the popup; problems are recorded in the result itself (metadata.schema_valid / schema_violations)
+ * instead of blocking the save, so a page change shows up in the file rather than losing it.
+ *
+ * Bump VERSION with every change to SCHEMA: the major number when a field is removed, renamed or
+ * changes type, the minor number when a field is added.
+ */
+
+const ResultSchema = {
+  VERSION: '2.3.0',
+  // Violations kept in metadata.schema_violations (schema_violations_count has the full count)
+  MAX_VIOLATIONS: 50,
+
+  SCHEMA: {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'flight-extracter/result.schema.json',
+    title: 'Flight Extracter extraction result',
+    type: 'object',
+    required: ['metadata', 'flights'],
+    properties: {
+      metadata: { $ref: '#/$defs/metadata' },
+      flights: { type: 'array', items: { $ref: '#/$defs/flight' } },
+      // Domestic round trips with pairing 'selected' or 'all' (round-trip-pairs.js)
+      pairs: { type: 'array', items: { $ref: '#/$defs/pair' } },
+      error: { type: 'string', description: 'Why the page could not be extracted (flights is then empty)' }
+    },
+    $defs: {
+      metadata: {
+        type: 'object',
+        required: ['schema_version', 'scraped_at', 'source_url', 'flights_count'],
+        properties: {
+          schema_version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+          scraped_at: { type: 'string', format: 'date-time' },
+          source_url: { type: 'string' },
+          flights_count: { type: 'integer', minimum: 0 },
+          user_agent: { type: 'string' },
+          trip_type: {
+            enum: ['one_way', 'round_trip', 'multi_city', 'international_one_way', 'international_round_trip', 'domestic', 'international']
+          },
+          legs_count: { type: 'integer', minimum: 1 },
+          execution_time_ms: { type: 'number', minimum: 0 },
+          execution_time_seconds: { type: 'number', minimum: 0 },
+          execution_time_formatted: { type: 'string' },
+          extraction_depth: { enum: ['card', 'fares', 'itinerary', 'policies'] },
+          partial: { type: 'boolean' },
+          stopped_at: { type: ['string', 'null'] },
+          pairing: { enum: ['off', 'selected', 'all'] },
+          pairs_count: { type: 'integer', minimum: 0 },
+          // Passenger mix and cabin of the search (null when the page URL does not say)
+          search_options: {
+            type: ['object', 'null'],
+            properties: {
+              adults: { type: 'integer', minimum: 1 },
+              children: { type: 'integer', minimum: 0 },
+              infants: { type: 'integer', minimum: 0 },
+              cabinClass: { enum: ['E', 'PE', 'B', 'F'] }
+            }
+          },
+          schema_valid: { type: 'boolean' },
+          schema_violations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['path', 'message'],
+              properties: { path: { type: 'string' }, message: { type: 'string' } }
+            }
+          },
+          schema_violations_count: { type: 'integer', minimum: 0 }
+        }
+      },
+      // Canonical flight record (normalizeFlightRecord in flight-extractors.js), the same for every trip type
+      flight: {
+        type: 'object',
+        required: ['flight_id', 'flight_fingerprint', 'direction', 'stops', 'price_amount', 'price_currency', 'fare_options', 'flight_details'],
+        properties: {
+          index: { type: ['integer', 'null'], minimum: 0 },
+          flight_id: { type: 'string', minLength: 1 },
+          flight_fingerprint: { type: 'string', pattern: '^[0-9a-f]{8}$' },
+          airline: { type: ['string', 'null'] },
+          airline_code: { type: ['string', 'null'] },
+          flight_code: { type: ['string', 'null'] },
+          departure_time: { type: ['string', 'null'] },
+          arrival_time: { type: ['string', 'null'] },
+          departure_city: { type: ['string', 'null'] },
+          arrival_city: { type: ['string', 'null'] },
+          stops: { type: ['integer', 'null'], minimum: 0 },
+          duration: { type: ['string', 'null'] },
+          duration_minutes: { type: ['integer', 'null'] },
+          duration_consistent: { type: ['boolean', 'null'] },
+          departure_datetime: { $ref: '#/$defs/datetime' },
+          arrival_datetime: { $ref: '#/$defs/datetime' },
+          departure_utc_offset: { $ref: '#/$defs/utcOffset' },
+          arrival_utc_offset: { $ref: '#/$defs/utcOffset' },
+          arrival_day_offset: { type: ['integer', 'null'], minimum: 0 },
+          price: { type: ['string', 'null'] },
+          price_amount: { type: ['number', 'null'], minimum: 0 },
+          price_currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' },
+          direction: { enum: ['outbound', 'return'] },
+          // Multi-city flights only: leg of the search itinerary (0 = first leg)
+          leg_index: { type: 'integer', minimum: 0 },
+          fare_options: { $ref: '#/$defs/fareOptions' },
+          // Null when the details tabs were not opened (extraction depth below "itinerary")
+          flight_details: { $ref: '#/$defs/flightDetails' }
+        }
+      },
+      fareOptions: {
+        type: ['object', 'null'],
+        required: ['fare_classes'],
+        properties: {
+          fare_classes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['fares'],
+              properties: {
+                class: { type: ['string', 'null'] },
+                fares: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      fare_name: { type: ['string', 'null'] },
+                      price: { type: ['string', 'null'] },
+                      price_amount: { type: ['number', 'null'], minimum: 0 },
+                      price_currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' },
+                      original_price_amount: { type: ['number', 'null'], minimum: 0 },
+                      discount_amount: { type: ['number', 'null'] }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      flightDetails: {
+        type: ['object', 'null'],
+        required: ['detailed_flights', 'fare_summary', 'cancellation_policy', 'date_change_policy'],
+        properties: {
+          detailed_flights: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                route_header: { type: 'string' },
+                segments: { type: 'array', items: { $ref: '#/$defs/segment' } }
+              }
+            }
+          },
+          fare_summary: {
+            type: ['object', 'null'],
+            properties: {
+              // Searches other than a single adult: per passenger type rows of each fare component
+              passenger_breakdown: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['passenger_type', 'total_amount'],
+                  properties: {
+                    passenger_type: { enum: ['adult', 'child', 'infant'] },
+                    component: { type: ['string', 'null'] },
+                    count: { type: ['integer', 'null'], minimum: 1 },
+                    unit_price: { type: ['string', 'null'] },
+                    unit_price_amount: { type: ['number', 'null'], minimum: 0 },
+                    total: { type: ['string', 'null'] },
+                    total_amount: { type: ['number', 'null'], minimum: 0 }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      // Outbound × return pair; the flight ids are those of flights in the same result
+      pair: {
+        type: 'object',
+        required: ['pair_id', 'outbound_flight_id', 'return_flight_id', 'combined_price_amount', 'discount_amount'],
+        properties: {
+          pair_id: { type: 'string', minLength: 1 },
+          outbound_flight_id: { type: 'string', minLength: 1 },
+          return_flight_id: { type: 'string', minLength: 1 },
+          outbound_price_amount: { type: ['number', 'null'], minimum: 0 },
+          return_price_amount: { type: ['number', 'null'], minimum: 0 },
+          legs_total_amount: { type: ['number', 'null'], minimum: 0 },
+          combined_price: { type: ['string', 'null'] },
+          combined_price_amount: { type: ['number', 'null'], minimum: 0 },
+          price_currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' },
+          original_price_amount: { type: ['number', 'null'], minimum: 0 },
+          discount_amount: { type: ['number', 'null'], minimum: 0 },
+          discount_text: { type: ['string', 'null'] }
+        }
+      },
+      segment: {
+        type: 'object',
+        properties: {
+          airline_code: { type: 'string' },
+          flight_number: { type: 'string' },
+          full_flight_code: { type: 'string' },
+          departure_datetime: { $ref: '#/$defs/datetime' },
+          arrival_datetime: { $ref: '#/$defs/datetime' },
+          duration_minutes: { type: ['integer', 'null'] }
+        }
+      },
+      // Local time with the airport's offset; the offset is missing when the airport is unknown
+      datetime: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}([+-]\\d{2}:\\d{2}|Z)?$' },
+      utcOffset: { type: ['string', 'null'], pattern: '^[+-]\\d{2}:\\d{2}$' }
+    }
+  },
+
+  /**
+   * Validate a result document against SCHEMA
+   * @param {Object} result - Extraction result
+   * @returns {Array<{path: string, message: string}>} - Violations (empty if valid); path is a JSON Pointer
+   */
+  validate(result) {
+    const violations = [];
+    this.check(result, this.SCHEMA, '', violations);
+    return violations;
+  },
+
+  /**
+   * Set metadata.schema_version, validate, and record the outcome in the metadata
+   * (schema_valid, schema_violations, schema_violations_count)
+   * @param {Object} result - Extraction result (changed in place)
+   * @returns {Object} - The same result
+   */
+  annotate(result) {
+    if (!result || typeof result !== 'object') {
+      return result;
+    }
+    result.metadata = result.metadata || {};
+    result.metadata.schema_version = this.VERSION;
+    ['schema_valid', 'schema_violations', 'schema_violations_count'].forEach(key => delete result.metadata[key]);
+
+    const violations = this.validate(result);
+    result.metadata.schema_valid = violations.length === 0;
+    result.metadata.schema_violations = violations.slice(0, this.MAX_VIOLATIONS);
+    result.metadata.schema_violations_count = violations.length;
+    if (violations.length > 0) {
+      console.warn(`⚠ Result does not match schema ${this.VERSION} (${violations.length} violations), first: ${violations[0].path || '/'} ${violations[0].message}`);
+    }
+    return result;
+  },
+
+  /**
+   * Check one value against one (sub)schema; supports $ref (local), type, enum, required,
+   * properties, items, minimum, minLength and pattern ("format" is informational)
+   */
+  check(value, schema, path, violations) {
+    if (schema.$ref) {
+      schema = this.resolve(schema.$ref);
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      violations.push({ path, message: `must be ${[].concat(schema.type).join(' or ')}, got ${this.typeOf(value)}` });
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      violations.push({ path, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}` });
+      return;
+    }
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      violations.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        violations.push({ path, message: `must not be shorter than ${schema.minLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        violations.push({ path, message: `must match ${schema.pattern}, got ${JSON.stringify(value)}` });
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => this.check(item, schema.items, `${path}/${index}`, violations));
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          violations.push({ path: `${path}/${key}`, message: 'is required' });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (key in value && value[key] !== undefined) {
+          this.check(value[key], propertySchema, `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`, violations);
+        }
+      });
+    }
+  },
+
+  /**
+   * Subschema for a local reference ("#/$defs/flight", "#/$defs/flightDetails/properties/fare_summary")
+   */
+  resolve(ref) {
+    return ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+      .reduce((schema, key) => schema[key], this.SCHEMA);
+  },
+
+  matchesType(value, type) {
+    if (!type) {
+      return true;
+    }
+    return [].concat(type).some(expected => {
+      switch (expected) {
+        case 'null': return value === null;
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === expected;
+      }
+    });
+  },
+
+  typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    return Number.isInteger(value) ? 'integer' : typeof value;
+  }
+};
@@ -0,0 +1,368 @@
+/**
+ * Flight Extracter - Results viewer page
+ * Sortable, filterable table of an extraction result (opened from the popup, or any saved JSON file)
+ * with expandable rows for fare options, flight details segments and policies
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  // The popup stores its current result here before opening this page
+  const VIEWER_KEY = 'flightExtractorViewerData';
+
+  const resultFile = document.getElementById('resultFile');
+  const sourceText = document.getElementById('sourceText');
+  const countsText = document.getElementById('countsText');
+  const airlineFilter = document.getElementById('airlineFilter');
+  const stopsFilter = document.getElementById('stopsFilter');
+  const departFrom = document.getElementById('departFrom');
+  const departTo = document.getElementById('departTo');
+  const refundFilter = document.getElementById('refundFilter');
+  const directionFilterField = document.getElementById('directionFilterField');
+  const directionFilter = document.getElementById('directionFilter');
+  const resetFiltersBtn = document.getElementById('resetFiltersBtn');
+  const flightRows = document.getElementById('flightRows');
+  const sortHeaders = Array.from(document.querySelectorAll('th[data-sort]'));
+
+  let flights = [];
+  let sortKey = 'price';
+  let sortAscending = true;
+  const expanded = new Set();
+
+  // Sort values; flights without a value go last either way
+  const SORT_VALUES = {
+    price: flight => typeof flight.price_amount === 'number' ? flight.price_amount : null,
+    departure: flight => flight.departure_datetime || (flight.departure_time ? `~${flight.departure_time}` : null),
+    duration: flight => typeof flight.duration_minutes === 'number' ? flight.duration_minutes : null,
+    stops: flight => typeof flight.stops === 'number' ? flight.stops : null,
+    airline: flight => flight.airline ? flight.airline.toLowerCase() : null
+  };
+
+  chrome.storage.local.get([VIEWER_KEY]).then((result) => {
+    if (result[VIEWER_KEY]) {
+      loadResults(result[VIEWER_KEY], 'Current popup result');
+    } else {
+      renderTable();
+    }
+  });
+
+  resultFile.addEventListener('change', async () => {
+    const file = resultFile.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      loadResults(JSON.parse(await file.text()), file.name);
+    } catch (error) {
+      console.error('Error opening results file:', error);
+      sourceText.textContent = `Could not open ${file.name}: ${error.message}`;
+    }
+  });
+
+  [airlineFilter, stopsFilter, departFrom, departTo, refundFilter, directionFilter].forEach(input => {
+    input.addEventListener('change', renderTable);
+  });
+
+  resetFiltersBtn.addEventListener('click', () => {
+    airlineFilter.value = '';
+    stopsFilter.value = '';
+    departFrom.value = '00:00';
+    departTo.value = '23:59';
+    refundFilter.value = '';
+    directionFilter.value = '';
+    renderTable();
+  });
+
+  sortHeaders.forEach(header => {
+    header.addEventListener('click', () => {
+      if (sortKey === header.dataset.sort) {
+        sortAscending = !sortAscending;
+      } else {
+        sortKey = header.dataset.sort;
+        sortAscending = true;
+      }
+      renderTable();
+    });
+  });
+
+  /**
+   * Show a result ({metadata, flights} or a consolidated batch file)
+   */
+  function loadResults(data, label) {
+    flights = ExportFormats.flightsOf(data).map((flight, index) => ({ ...flight, _row: index, _refundability: refundabilityOf(flight) }));
+    expanded.clear();
+
+    const metadata = (data && data.metadata) || {};
+    const scrapedAt = metadata.scraped_at || metadata.generated_at;
+    sourceText.textContent = [label, scrapedAt ? `scraped ${new Date(scrapedAt).toLocaleString()}` : null, metadata.source_url || metadata.plan_name]
+      .filter(Boolean).join(' · ');
+
+    const airlines = Array.from(new Set(flights.map(flight => flight.airline).filter(Boolean))).sort();
+    airlineFilter.innerHTML = '<option value="">All airlines</option>';
+    airlines.forEach(airline => {
+      const option = document.createElement('option');
+      option.value = airline;
+      option.textContent = airline;
+      airlineFilter.appendChild(option);
+    });
+    directionFilterField.style.display = flights.some(flight => flight.direction) ? 'flex' : 'none';
+    renderTable();
+  }
+
+  /**
+   * Flights that pass the filters, sorted
+   */
+  function visibleFlights() {
+    const fromMinutes = minutesOfDay(departFrom.value) ?? 0;
+    const toMinutes = minutesOfDay(departTo.value) ?? 24 * 60;
+    const maxStops = stopsFilter.value === '' ? null : parseInt(stopsFilter.value, 10);
+
+    const visible = flights.filter(flight => {
+      if (airlineFilter.value && flight.airline !== airlineFilter.value) {
+        return false;
+      }
+      if (maxStops !== null && !(typeof flight.stops === 'number' && flight.stops <= maxStops)) {
+        return false;
+      }
+      if (refundFilter.value && flight._refundability !== refundFilter.value) {
+        return false;
+      }
+      if (directionFilter.value && flight.direction !== directionFilter.value) {
+        return false;
+      }
+      const departure = minutesOfDay(flight.departure_time);
+      // A "from" later than "to" (22:00 and 06:00) is a window past midnight
+      const inWindow = fromMinutes <= toMinutes
+        ? departure >= fromMinutes && departure <= toMinutes
+        : departure >= fromMinutes || departure <= toMinutes;
+      if (departure !== null && !inWindow) {
+        return false;
+      }
+      return true;
+    });
+
+    const valueOf = SORT_VALUES[sortKey];
+    return visible.sort((a, b) => {
+      const left = valueOf(a);
+      const right = valueOf(b);
+      if (left === null || right === null) {
+        return left === right ? a._row - b._row : (left === null ? 1 : -1);
+      }
+      const order = left < right ? -1 : (left > right ? 1 : a._row - b._row);
+      return sortAscending ? order : -order;
+    });
+  }
+
+  /**
+   * Redraw the table (expanded rows stay expanded)
+   */
+  function renderTable() {
+    sortHeaders.forEach(header => {
+      header.classList.toggle('sorted-asc', header.dataset.sort === sortKey && sortAscending);
+      header.classList.toggle('sorted-desc', header.dataset.sort === sortKey && !sortAscending);
+    });
+
+    const visible = visibleFlights();
+    countsText.textContent = flights.length > 0 ? `${visible.length} of ${flights.length} flights` : '';
+    flightRows.innerHTML = '';
+
+    if (visible.length === 0) {
+      const cell = flightRows.insertRow().insertCell();
+      cell.colSpan = 9;
+      cell.className = 'empty';
+      cell.textContent = flights.length > 0 ? 'No flights match the filters' : 'Open a result from the popup or pick a JSON file';
+      return;
+    }
+
+    visible.forEach(flight => {
+      const row = flightRows.insertRow();
+      row.className = 'flight-row';
+      addCell(row, '▸').className = 'toggle';
+      addCell(row, flight.airline || '');
+      addCell(row, flight.flight_code || '');
+      addCell(row, `${flight.departure_time || ''} ${flight.departure_city || ''}`.trim(), flight.departure_date);
+      addCell(row, `${flight.arrival_time || ''} ${flight.arrival_city || ''}`.trim(), flight.arrival_day_offset ? `+${flight.arrival_day_offset} day` : flight.arrival_date);
+      addCell(row, flight.duration || '');
+      addCell(row, typeof flight.stops === 'number' ? (flight.stops === 0 ? 'Non-stop' : `${flight.stops} stop${flight.stops > 1 ? 's' : ''}`) : '', (flight.layover_cities || []).join(', '));
+      addCell(row, flight.price || (flight.price_amount ?? '')).className = 'price';
+      addCell(row, { refundable: 'Yes', non_refundable: 'No', unknown: '—' }[flight._refundability]);
+
+      row.addEventListener('click', () => {
+        if (expanded.has(flight._row)) {
+          expanded.delete(flight._row);
+        } else {
+          expanded.add(flight._row);
+        }
+        renderTable();
+      });
+
+      if (expanded.has(flight._row)) {
+        row.classList.add('expanded');
+        const detailRow = flightRows.insertRow();
+        detailRow.className = 'detail-row';
+        const cell = detailRow.insertCell();
+        cell.colSpan = 9;
+        renderDetails(cell, flight);
+      }
+    });
+  }
+
+  /**
+   * Expanded row: fare options, flight details segments, fare summary and policies
+   */
+  function renderDetails(container, flight) {
+    const details = flight.flight_details || flight;
+    const fareClasses = (flight.fare_options && flight.fare_options.fare_classes) || [];
+    const segments = (details.detailed_flights || []).flatMap(detail => detail.segments || []);
+    let sections = 0;
+
+    if (fareClasses.length > 0) {
+      const table = detailTable(['Class', 'Fare', 'Price', 'Baggage', 'Flexibility', 'Seats & meals']);
+      fareClasses.forEach(fareClass => {
+        (fareClass.fares || []).forEach(fare => {
+          const row = table.tBodies[0].insertRow();
+          addCell(row, fareClass.class || '');
+          addCell(row, fare.fare_name || '');
+          addCell(row, fare.price || (fare.price_amount ?? ''));
+          row.insertCell().appendChild(renderValue(fare.baggage));
+          row.insertCell().appendChild(renderValue(fare.flexibility));
+          row.insertCell().appendChild(renderValue(fare.seats_meals));
+        });
+      });
+      addSection(container, 'Fare options', table);
+      sections++;
+    }
+
+    if (segments.length > 0) {
+      const table = detailTable(['Flight', 'From', 'To', 'Duration', 'Aircraft', 'Baggage']);
+      segments.forEach(segment => {
+        const row = table.tBodies[0].insertRow();
+        addCell(row, segment.full_flight_code || [segment.airline_name, segment.flight_number].filter(Boolean).join(' '), segment.operated_by);
+        addCell(row, `${segment.departure_time || ''} ${segment.departure_city || ''}`.trim(), [segment.departure_date, segment.departure_terminal].filter(Boolean).join(' · '));
+        addCell(row, `${segment.arrival_time || ''} ${segment.arrival_city || ''}`.trim(), [segment.arrival_date, segment.arrival_terminal].filter(Boolean).join(' · '));
+        addCell(row, segment.duration || '');
+        addCell(row, segment.aircraft_type || '');
+        row.insertCell().appendChild(renderValue(segment.baggage_info));
+      });
+      addSection(container, 'Segments', table);
+      sections++;
+    }
+
+    [['fare_summary', 'Fare summary'], ['cancellation_policy', 'Cancellation policy'], ['date_change_policy', 'Date change policy']].forEach(([field, title]) => {
+      if (details[field]) {
+        addSection(container, title, renderValue(details[field]));
+        sections++;
+      }
+    });
+
+    if (sections === 0) {
+      container.textContent = 'No fare options, flight details or policies were extracted for this flight';
+    }
+  }
+
+  function addSection(container, title, content) {
+    const section = document.createElement('div');
+    section.className = 'detail-section';
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+    section.appendChild(content);
+    container.appendChild(section);
+  }
+
+  function detailTable(columns) {
+    const table = document.createElement('table');
+    table.className = 'detail-table';
+    const headRow = table.createTHead().insertRow();
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column;
+      headRow.appendChild(th);
+    });
+    table.createTBody();
+    return table;
+  }
+
+  /**
+   * Add a text cell, with an optional second muted line
+   */
+  function addCell(row, text, note = null) {
+    const cell = row.insertCell();
+    cell.textContent = text;
+    if (note) {
+      const small = document.createElement('div');
+      small.className = 'muted';
+      small.textContent = note;
+      cell.appendChild(small);
+    }
+    return cell;
+  }
+
+  /**
+   * Lists as bullet lists, objects as definition lists (nested), scalars as text
+   */
+  function renderValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return document.createTextNode('—');
+    }
+    if (Array.isArray(value)) {
+      const list = document.createElement('ul');
+      value.forEach(item => {
+        const li = document.createElement('li');
+        li.appendChild(renderValue(item));
+        list.appendChild(li);
+      });
+      return list;
+    }
+    if (typeof value === 'object') {
+      const list = document.createElement('dl');
+      list.className = 'value-list';
+      Object.entries(value).forEach(([key, nested]) => {
+        const term = document.createElement('dt');
+        term.textContent = key.replace(/_/g, ' ');
+        const description = document.createElement('dd');
+        description.appendChild(renderValue(nested));
+        list.appendChild(term);
+        list.appendChild(description);
+      });
+      return list;
+    }
+    return document.createTextNode(String(value));
+  }
+
+  /**
+   * "refundable" if any fare (or the cancellation policy) allows a refund, "non_refundable" if every
+   * fare says it does not, "unknown" if the page showed nothing about refunds
+   */
+  function refundabilityOf(flight) {
+    const classify = text => {
+      const lower = text.toLowerCase();
+      if (/non[-\s]?refundable|no refund|not refundable/.test(lower)) {
+        return 'non_refundable';
+      }
+      if (/refund|cancellation fee/.test(lower)) {
+        return 'refundable';
+      }
+      return 'unknown';
+    };
+
+    const fares = ((flight.fare_options && flight.fare_options.fare_classes) || []).flatMap(fareClass => fareClass.fares || []);
+    const fareVerdicts = fares
+      .map(fare => classify(JSON.stringify([fare.fare_name, fare.flexibility, fare.special_tag])))
+      .filter(verdict => verdict !== 'unknown');
+    if (fareVerdicts.includes('refundable')) {
+      return 'refundable';
+    }
+    if (fareVerdicts.length > 0) {
+      return 'non_refundable';
+    }
+    const policy = (flight.flight_details || flight).cancellation_policy;
+    return policy ? classify(JSON.stringify(policy)) : 'unknown';
+  }
+
+  /**
+   * Minutes since midnight for "HH:MM" (24h, as on the cards and in time inputs); null if not a time
+   */
+  function minutesOfDay(time) {
+    const match = String(time || '').match(/(\d{1,2}):(\d{2})/);
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * Flight Extracter - Round Trip Pairs
+ * Combined pricing of outbound × return pairs on domestic round trips. Selecting one card in
+ * each pane makes the sticky footer show the price of the pair, which can be lower than the two
+ * card prices added up (round-trip discount). Pairs reference their flights by flight_id:
+ *   off       no pairs (default)
+ *   selected  the pair that was selected on the page when the extraction started
+ *   all       every outbound × return pair, up to MAX_PAIRS (one card click per pair)
+ * Used by the content script, the popup and batch jobs.
+ */
+
+const RoundTripPairs = {
+  MODES: {
+    off: 'No pairs',
+    selected: 'Pair selected on the page',
+    all: 'All outbound × return pairs (slow)'
+  },
+
+  DEFAULT: 'off',
+
+  // Upper limit for 'all' (30 outbound × 30 return cards would otherwise be 900 footer reads)
+  MAX_PAIRS: 200,
+
+  /**
+   * Check if a pairing mode is known
+   */
+  isKnown(mode) {
+    return Object.prototype.hasOwnProperty.call(this.MODES, mode);
+  },
+
+  /**
+   * Known mode, or the default for missing / unknown values (e.g., plans saved before pairing existed)
+   */
+  normalize(mode) {
+    return this.isKnown(mode) ? mode : this.DEFAULT;
+  },
+
+  /**
+   * Build one entry of the result's pairs array
+   * @param {Object} outbound - Outbound flight (with flight_id and price_amount)
+   * @param {Object} returnFlight - Return flight
+   * @param {Object|null} footer - Footer prices from the site adapter (popup.extractRoundTripFooter):
+   *                               {total_price, total_amount, currency, original_total_amount, discount_amount, discount_text}
+   * @returns {Object} - Pair with the combined price and the round-trip discount
+   */
+  build(outbound, returnFlight, footer) {
+    const amount = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+    const outboundAmount = amount(outbound.price_amount);
+    const returnAmount = amount(returnFlight.price_amount);
+    const legsTotal = outboundAmount !== null && returnAmount !== null ? outboundAmount + returnAmount : null;
+    const combinedAmount = footer ? amount(footer.total_amount) : null;
+
+    // The footer's own discount wins; otherwise the difference to the two card prices
+    let discount = footer ? amount(footer.discount_amount) : null;
+    if (discount === null && combinedAmount !== null && legsTotal !== null) {
+      discount = Math.max(0, Math.round((legsTotal - combinedAmount) * 100) / 100);
+    }
+
+    return {
+      pair_id: `${outbound.flight_id}|${returnFlight.flight_id}`,
+      outbound_flight_id: outbound.flight_id,
+      return_flight_id: returnFlight.flight_id,
+      outbound_price_amount: outboundAmount,
+      return_price_amount: returnAmount,
+      legs_total_amount: legsTotal,
+      combined_price: footer ? footer.total_price || null : null,
+      combined_price_amount: combinedAmount,
+      price_currency: (footer && footer.currency) || outbound.price_currency || returnFlight.price_currency || null,
+      original_price_amount: footer ? amount(footer.original_total_amount) : null,
+      discount_amount: discount,
+      discount_text: footer ? footer.discount_text || null : null
+    };
+  }
+};
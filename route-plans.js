@@ -0,0 +1,407 @@
+/**
+ * Flight Extracter - Route Plans
+ * Named sets of routes, dates and search settings kept in chrome.storage
+ */
+
+const RoutePlans = {
+  STORAGE_KEY: 'flightExtractorRoutePlans',
+  ACTIVE_KEY: 'flightExtractorActiveRoutePlan',
+
+  CABIN_CLASSES: {
+    E: 'Economy',
+    PE: 'Premium Economy',
+    B: 'Business',
+    F: 'First'
+  },
+
+  // How a failed route-date combination is searched again
+  RETRY_MODES: {
+    renavigate: 'Re-open search URL',
+    reload: 'Reload page'
+  },
+
+  // How a batch run saves its results
+  OUTPUT_MODES: {
+    per_combination: 'One file per route and date',
+    consolidated: 'One file for the whole batch'
+  },
+
+  // Longest interval between scheduled runs (one week)
+  MAX_SCHEDULE_HOURS: 168,
+
+  // Most legs MakeMyTrip accepts in one multi-city search
+  MAX_MULTI_CITY_LEGS: 5,
+
+  /**
+   * Retry policy for plans saved before retries were configurable
+   */
+  defaultRetry() {
+    return { maxAttempts: 3, backoffSeconds: 10, mode: 'renavigate' };
+  },
+
+  /**
+   * Site adapter id a plan searches (plans saved before sites were selectable use the first adapter)
+   */
+  siteOf(plan) {
+    return (plan && plan.site) || SiteAdapters.adapters[0].id;
+  },
+
+  /**
+   * Plan used until the user saves their own (the routes we used to hardcode in the popup)
+   */
+  defaultPlan() {
+    return {
+      id: 'default',
+      name: 'Default routes',
+      routes: [
+        { source: 'BLR', dest: 'PAT' },
+        { source: 'IXL', dest: 'DEL' },
+        { source: 'BOM', dest: 'IXE' },
+        { source: 'PNQ', dest: 'BLR' },
+        { source: 'BOM', dest: 'AMD' }
+      ],
+      dateOffsets: [1, 7, 14, 30],
+      dates: [],
+      adults: 1,
+      children: 0,
+      infants: 0,
+      cabinClass: 'E',
+      retry: this.defaultRetry(),
+      output: 'per_combination',
+      format: 'json',
+      depth: ExtractionDepth.DEFAULT,
+      pairing: RoundTripPairs.DEFAULT,
+      scheduleHours: 0
+    };
+  },
+
+  /**
+   * Load all saved plans (falls back to the default plan)
+   * @returns {Promise<Array>} - Array of plan objects
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    const plans = result[this.STORAGE_KEY];
+    if (Array.isArray(plans) && plans.length > 0) {
+      return plans;
+    }
+    return [this.defaultPlan()];
+  },
+
+  /**
+   * Get a plan by id
+   * @param {string} id - Plan id
+   * @returns {Promise<Object|null>} - Plan or null if not found
+   */
+  async get(id) {
+    const plans = await this.getAll();
+    return plans.find(plan => plan.id === id) || null;
+  },
+
+  /**
+   * Insert or update a plan
+   * @param {Object} plan - Plan to save (an id is generated if missing)
+   * @returns {Promise<Object>} - The saved plan
+   */
+  async save(plan) {
+    const plans = await this.getAll();
+    const saved = { ...plan, id: plan.id || `plan-${Date.now()}`, updated_at: new Date().toISOString() };
+    const existingIndex = plans.findIndex(p => p.id === saved.id);
+    if (existingIndex >= 0) {
+      plans[existingIndex] = saved;
+    } else {
+      plans.push(saved);
+    }
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: plans });
+    return saved;
+  },
+
+  /**
+   * Delete a plan (the last remaining plan cannot be deleted)
+   * @param {string} id - Plan id
+   * @returns {Promise<boolean>} - True if the plan was deleted
+   */
+  async remove(id) {
+    const plans = await this.getAll();
+    const remaining = plans.filter(p => p.id !== id);
+    if (remaining.length === 0 || remaining.length === plans.length) {
+      return false;
+    }
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: remaining });
+    const activeId = await this.getActiveId();
+    if (activeId === id) {
+      await this.setActiveId(remaining[0].id);
+    }
+    return true;
+  },
+
+  /**
+   * Get the id of the plan selected in the popup
+   */
+  async getActiveId() {
+    const result = await chrome.storage.local.get([this.ACTIVE_KEY]);
+    return result[this.ACTIVE_KEY] || null;
+  },
+
+  /**
+   * Remember which plan is selected in the popup
+   */
+  async setActiveId(id) {
+    await chrome.storage.local.set({ [this.ACTIVE_KEY]: id });
+  },
+
+  /**
+   * Get the selected plan (or the first plan if nothing is selected)
+   */
+  async getActive() {
+    const plans = await this.getAll();
+    const activeId = await this.getActiveId();
+    return plans.find(p => p.id === activeId) || plans[0];
+  },
+
+  /**
+   * Parse routes from editor text, one route per line:
+   *   "BLR-PAT"            one-way, domestic
+   *   "BLR-PAT RT+3"       round trip, returning 3 days after departure
+   *   "BLR-DXB INTL"       one-way, international
+   *   "BLR-DXB RT+7 INTL"  round trip, international
+   *   "BLR-DEL-BOM"        multi city, each leg 1 day after the previous one
+   *   "BLR-DEL-BOM MC+2"   multi city, legs 2 days apart ("MC+2+3" sets each gap); domestic only, the
+   *                        international flow has no per-leg extraction
+   * Multi-city routes also get legs: [{source, dest, dayOffset}] (dayOffset counted from the first departure)
+   * @param {string} text - Editor text (e.g., "BLR-PAT\nBOM-AMD RT+2")
+   * @returns {{routes: Array, errors: Array<string>}}
+   */
+  parseRoutes(text) {
+    const routes = [];
+    const errors = [];
+    const lines = (text || '').split('\n').map(l => l.trim()).filter(l => l.length > 0);
+
+    lines.forEach((line, index) => {
+      const [pair, ...options] = line.toUpperCase().split(/\s+/);
+      const codes = pair.split(/[-→>]/);
+      if (codes.length < 2 || !codes.every(code => /^[A-Z]{3}$/.test(code))) {
+        errors.push(`Line ${index + 1}: "${line}" does not start with a SRC-DST pair of IATA codes`);
+        return;
+      }
+      if (codes.some((code, codeIndex) => codeIndex > 0 && code === codes[codeIndex - 1])) {
+        errors.push(`Line ${index + 1}: origin and destination are the same`);
+        return;
+      }
+      if (codes.length - 1 > this.MAX_MULTI_CITY_LEGS) {
+        errors.push(`Line ${index + 1}: a multi-city route has at most ${this.MAX_MULTI_CITY_LEGS} legs`);
+        return;
+      }
+
+      const route = { source: codes[0], dest: codes[codes.length - 1], tripType: codes.length > 2 ? 'M' : 'O', returnOffset: null, international: false };
+      let legGaps = [1];
+      for (const option of options) {
+        const roundTripMatch = option.match(/^RT\+(\d{1,3})$/);
+        const multiCityMatch = option.match(/^MC((?:\+\d{1,3})+)$/);
+        if (roundTripMatch && route.tripType !== 'M') {
+          route.tripType = 'R';
+          route.returnOffset = parseInt(roundTripMatch[1], 10);
+        } else if (multiCityMatch && route.tripType === 'M') {
+          legGaps = multiCityMatch[1].split('+').filter(Boolean).map(gap => parseInt(gap, 10));
+        } else if (option === 'INTL') {
+          route.international = true;
+        } else {
+          errors.push(`Line ${index + 1}: unknown option "${option}" (use RT+N or INTL, or MC+N after three or more airports)`);
+          return;
+        }
+      }
+      if (route.tripType === 'M') {
+        if (route.international) {
+          errors.push(`Line ${index + 1}: multi-city routes are domestic only (INTL cannot be combined with a multi-city route)`);
+          return;
+        }
+        if (legGaps.length !== 1 && legGaps.length !== codes.length - 2) {
+          errors.push(`Line ${index + 1}: MC needs one gap for all legs or one per leg after the first (${codes.length - 2})`);
+          return;
+        }
+        let dayOffset = 0;
+        route.legs = codes.slice(1).map((dest, legIndex) => {
+          if (legIndex > 0) {
+            dayOffset += legGaps.length === 1 ? legGaps[0] : legGaps[legIndex - 1];
+          }
+          return { source: codes[legIndex], dest: dest, dayOffset: dayOffset };
+        });
+      }
+      routes.push(route);
+    });
+
+    return { routes, errors };
+  },
+
+  /**
+   * Format routes back into editor text
+   */
+  formatRoutes(routes) {
+    return (routes || []).map(route => this.describeRoute(route)).join('\n');
+  },
+
+  /**
+   * Describe a route in editor syntax (e.g., "BLR-DXB RT+7 INTL", "BLR-DEL-BOM MC+2+3")
+   */
+  describeRoute(route) {
+    let text = `${route.source}-${route.dest}`;
+    if (route.tripType === 'R') {
+      text += ` RT+${route.returnOffset || 0}`;
+    }
+    if (route.tripType === 'M' && Array.isArray(route.legs)) {
+      const gaps = route.legs.slice(1).map((leg, legIndex) => leg.dayOffset - route.legs[legIndex].dayOffset);
+      text = `${[...route.legs.map(leg => leg.source), route.dest].join('-')} MC+${gaps.join('+')}`;
+    }
+    if (route.international) {
+      text += ' INTL';
+    }
+    return text;
+  },
+
+  /**
+   * Describe a plan's passenger mix and cabin (e.g., "2 adults, 1 child, Business")
+   */
+  describePassengers(plan) {
+    const count = (value, singular, plural) => `${value} ${value === 1 ? singular : plural}`;
+    const parts = [count(plan.adults || 1, 'adult', 'adults')];
+    if (plan.children > 0) {
+      parts.push(count(plan.children, 'child', 'children'));
+    }
+    if (plan.infants > 0) {
+      parts.push(count(plan.infants, 'infant', 'infants'));
+    }
+    parts.push(this.CABIN_CLASSES[plan.cabinClass] || this.CABIN_CLASSES.E);
+    return parts.join(', ');
+  },
+
+  /**
+   * Parse comma separated day offsets (e.g., "1, 7, 14, 30")
+   * @returns {{dateOffsets: Array<number>, errors: Array<string>}}
+   */
+  parseDateOffsets(text) {
+    const dateOffsets = [];
+    const errors = [];
+    (text || '').split(',').map(s => s.trim()).filter(s => s.length > 0).forEach(value => {
+      const offset = parseInt(value.replace(/^\+/, ''), 10);
+      if (isNaN(offset) || offset < 0 || String(offset) !== value.replace(/^\+/, '')) {
+        errors.push(`"${value}" is not a day offset`);
+      } else if (!dateOffsets.includes(offset)) {
+        dateOffsets.push(offset);
+      }
+    });
+    return { dateOffsets, errors };
+  },
+
+  /**
+   * Parse comma separated absolute dates in YYYY-MM-DD format
+   * @returns {{dates: Array<string>, errors: Array<string>}}
+   */
+  parseDates(text) {
+    const dates = [];
+    const errors = [];
+    (text || '').split(',').map(s => s.trim()).filter(s => s.length > 0).forEach(value => {
+      const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+      if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+        errors.push(`"${value}" is not a YYYY-MM-DD date`);
+      } else if (!dates.includes(value)) {
+        dates.push(value);
+      }
+    });
+    return { dates, errors };
+  },
+
+  /**
+   * Validate a plan before saving
+   * @returns {Array<string>} - List of problems (empty if valid)
+   */
+  validate(plan) {
+    const errors = [];
+    if (!plan.name || !plan.name.trim()) {
+      errors.push('Plan name is required');
+    }
+    if (plan.site && !SiteAdapters.get(plan.site)) {
+      errors.push(`Unknown site "${plan.site}"`);
+    }
+    if (!plan.routes || plan.routes.length === 0) {
+      errors.push('At least one route is required');
+    }
+    if ((!plan.dateOffsets || plan.dateOffsets.length === 0) && (!plan.dates || plan.dates.length === 0)) {
+      errors.push('At least one date offset or date is required');
+    }
+    if (!(plan.adults >= 1 && plan.adults <= 9)) {
+      errors.push('Adults must be between 1 and 9');
+    }
+    if (plan.children < 0 || plan.infants < 0 || plan.adults + plan.children > 9) {
+      errors.push('At most 9 passengers (adults + children) per search');
+    }
+    if (plan.infants > plan.adults) {
+      errors.push('Infants cannot outnumber adults');
+    }
+    if (!this.CABIN_CLASSES[plan.cabinClass]) {
+      errors.push(`Unknown cabin class "${plan.cabinClass}"`);
+    }
+    const retry = plan.retry || this.defaultRetry();
+    if (!(retry.maxAttempts >= 1 && retry.maxAttempts <= 5)) {
+      errors.push('Attempts must be between 1 and 5');
+    }
+    if (!(retry.backoffSeconds >= 0 && retry.backoffSeconds <= 300)) {
+      errors.push('Backoff must be between 0 and 300 seconds');
+    }
+    if (!this.RETRY_MODES[retry.mode]) {
+      errors.push(`Unknown retry mode "${retry.mode}"`);
+    }
+    if (plan.output && !this.OUTPUT_MODES[plan.output]) {
+      errors.push(`Unknown output mode "${plan.output}"`);
+    }
+    // SiteAdapters, ExportFormats, ExtractionDepth and RoundTripPairs are loaded before this file in popup.html and background.js
+    if (plan.format && !ExportFormats.isKnown(plan.format)) {
+      errors.push(`Unknown file format "${plan.format}"`);
+    }
+    if (plan.depth && !ExtractionDepth.isKnown(plan.depth)) {
+      errors.push(`Unknown extraction depth "${plan.depth}"`);
+    }
+    if (plan.pairing && !RoundTripPairs.isKnown(plan.pairing)) {
+      errors.push(`Unknown round trip pairing "${plan.pairing}"`);
+    }
+    if (plan.scheduleHours && !(plan.scheduleHours >= 1 && plan.scheduleHours <= this.MAX_SCHEDULE_HOURS)) {
+      errors.push(`Schedule must be 0 (off) or between 1 and ${this.MAX_SCHEDULE_HOURS} hours`);
+    }
+    return errors;
+  },
+
+  /**
+   * startBatchJob message fields for a plan (without tabId); past absolute dates are left out
+   * @returns {Object} - {planId, planName, site, routes, dateOffsets, dates, adults, children, infants, cabinClass, retry, output,
+   *                     format, depth, pairing}; site is null for plans saved before sites were selectable
+   */
+  batchRequest(plan) {
+    return {
+      planId: plan.id,
+      planName: plan.name,
+      site: plan.site || null,
+      routes: plan.routes,
+      dateOffsets: plan.dateOffsets || [],
+      dates: this.upcomingDates(plan.dates),
+      adults: plan.adults,
+      children: plan.children,
+      infants: plan.infants,
+      cabinClass: plan.cabinClass,
+      retry: plan.retry || this.defaultRetry(),
+      output: plan.output || 'per_combination',
+      format: plan.format || 'json',
+      depth: ExtractionDepth.normalize(plan.depth),
+      pairing: RoundTripPairs.normalize(plan.pairing)
+    };
+  },
+
+  /**
+   * Drop absolute dates that are already in the past
+   * @returns {Array<string>} - Dates (YYYY-MM-DD) that are today or later
+   */
+  upcomingDates(dates) {
+    const today = new Date();
+    const todayStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    return (dates || []).filter(date => date >= todayStr);
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * Flight Extracter - Schedules
+ * Unattended batch runs of route plans: a plan with scheduleHours > 0 gets a repeating
+ * chrome.alarms alarm, and the background worker starts a batch job whenever it fires
+ */
+
+const Schedules = {
+  ALARM_PREFIX: 'flightExtractorSchedule:',
+  // planId -> {started_at, job_id, status, message} of the latest scheduled run
+  RUNS_KEY: 'flightExtractorScheduleRuns',
+  // Tab that scheduled runs reuse while it stays open
+  TAB_KEY: 'flightExtractorScheduleTab',
+
+  /**
+   * Alarm name for a plan
+   */
+  alarmName(planId) {
+    return `${this.ALARM_PREFIX}${planId}`;
+  },
+
+  /**
+   * Plan id of a schedule alarm (null for other alarms)
+   */
+  planIdOf(alarmName) {
+    return alarmName && alarmName.startsWith(this.ALARM_PREFIX) ? alarmName.slice(this.ALARM_PREFIX.length) : null;
+  },
+
+  /**
+   * Make the alarms match the plans: one alarm per scheduled plan, none for the rest
+   * An alarm whose interval did not change is kept, so saving a plan does not postpone its next run
+   * @param {Array} plans - All route plans
+   * @returns {Promise<Array<string>>} - Ids of the scheduled plans
+   */
+  async sync(plans) {
+    const scheduled = plans.filter(plan => plan.scheduleHours > 0);
+    for (const plan of scheduled) {
+      const periodInMinutes = plan.scheduleHours * 60;
+      const existing = await chrome.alarms.get(this.alarmName(plan.id));
+      if (!existing || existing.periodInMinutes !== periodInMinutes) {
+        await chrome.alarms.create(this.alarmName(plan.id), { delayInMinutes: periodInMinutes, periodInMinutes: periodInMinutes });
+      }
+    }
+
+    const scheduledIds = scheduled.map(plan => plan.id);
+    const alarms = await chrome.alarms.getAll();
+    for (const alarm of alarms) {
+      const planId = this.planIdOf(alarm.name);
+      if (planId !== null && !scheduledIds.includes(planId)) {
+        await chrome.alarms.clear(alarm.name);
+      }
+    }
+    return scheduledIds;
+  },
+
+  /**
+   * Latest scheduled run of every plan, with the time of the next one
+   * @returns {Promise<Object>} - planId -> {started_at, job_id, status, message, next_run_at}
+   */
+  async getRuns() {
+    const result = await chrome.storage.local.get([this.RUNS_KEY]);
+    const runs = { ...(result[this.RUNS_KEY] || {}) };
+    const alarms = await chrome.alarms.getAll();
+    alarms.forEach(alarm => {
+      const planId = this.planIdOf(alarm.name);
+      if (planId !== null) {
+        runs[planId] = { ...(runs[planId] || {}), next_run_at: new Date(alarm.scheduledTime).toISOString() };
+      }
+    });
+    return runs;
+  },
+
+  /**
+   * Remember how a scheduled run went
+   * @param {string} planId - Plan id
+   * @param {Object} run - {job_id, status: 'started' | 'resumed' | 'skipped' | 'failed', message}
+   */
+  async recordRun(planId, run) {
+    const result = await chrome.storage.local.get([this.RUNS_KEY]);
+    const runs = result[this.RUNS_KEY] || {};
+    runs[planId] = { started_at: new Date().toISOString(), ...run };
+    await chrome.storage.local.set({ [this.RUNS_KEY]: runs });
+  },
+
+  /**
+   * Tab for a scheduled run: the tab of the previous scheduled run if it is still open,
+   * otherwise a new inactive tab
+   * @returns {Promise<number>} - Tab id
+   */
+  async getTab() {
+    const result = await chrome.storage.local.get([this.TAB_KEY]);
+    const tabId = result[this.TAB_KEY];
+    if (tabId) {
+      try {
+        await chrome.tabs.get(tabId);
+        return tabId;
+      } catch (error) {
+        // Tab was closed since the last run
+      }
+    }
+    const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+    await chrome.storage.local.set({ [this.TAB_KEY]: tab.id });
+    return tab.id;
+  }
+};
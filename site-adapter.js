@@ -0,0 +1,148 @@
+/**
+ * Flight Extracter - Site Adapters
+ * Registry for per-site adapters plus the DOM/price helpers they share.
+ *
+ * content.js runs the extraction flow (scrolling, clicking, batching, saving);
+ * everything that depends on one travel site's markup or URLs lives in an adapter
+ * under adapters/. To support another site, write adapters/<site>.js that calls
+ * SiteAdapters.register() with the members below, then add it to manifest.json
+ * (content_scripts.js, before content.js) and to host_permissions, and to popup.html
+ * and background.js so route plans can pick it.
+ *
+ * Adapter interface:
+ *   id                      Short identifier (e.g., "makemytrip")
+ *   name                    Display name
+ *   matches(url)            True if the adapter handles this page URL
+ *   selectors               Named CSS selectors the shared flow in content.js and flight-extractors.js needs
+ *                           (listing cards, filters, split view panes, fare popup, details tabs and their
+ *                           segments, policies and fare rows, searchForm for the home page form);
+ *                           an array is a list of fallbacks tried in order. See adapters/makemytrip.js for the names
+ *   findFlightCards()       Flight card elements on the current page
+ *   findFlightCardsFallback()
+ *                           Looser card discovery used when findFlightCards() finds none
+ *   fields                  Per-field extractors, each (card) => value, keyed by flight field
+ *                           (airline, airline_code, flight_code, departure_time, departure_date,
+ *                           departure_city, arrival_time, arrival_date, arrival_city, date,
+ *                           layovers, layover_cities, stopover_time, stops, duration, price,
+ *                           offers, coupon_details, fare_options, raw_text, html_snippet)
+ *   extractArrivalDayOffset(card)
+ *                           Days from a "+1 day" style marker, or null
+ *   detectTripType()        'round_trip', 'multi_city' or 'one_way' from the results page
+ *   detectInternational()   'international' or 'domestic' from the results page
+ *   isRoundTripLayout()     True if the page shows the round-trip (two pane) layout
+ *   isMultiCityLayout()     True if the page is a multi-city listing (optional)
+ *   findMultiCityLegs()     [{legIndex, tab, pane}] per leg of a multi-city listing, in itinerary order
+ *                           (tab to click to show the leg's cards, or the pane holding them; optional)
+ *   validateDomesticPage(tripType)
+ *   validateInternationalPage()
+ *                           {valid, error, elements} before extraction starts
+ *   buildSearchUrl(sourceCode, destCode, departureDate, tripType, isInternational,
+ *                  adults, children, infants, cabinClass, returnDate, legs)
+ *                           Search results URL for one route-date combination (legs: further
+ *                           [{sourceCode, destCode, date}] of a multi-city trip, tripType 'M')
+ *   readSearchOptions()     {adults, children, infants, cabinClass} of the current search, or null (optional)
+ *   popup                   Fare popup and flight details handling:
+ *                           findViewPricesButton(card), findViewFlightDetailsLink(card),
+ *                           findHideFlightDetailsLink(), findFlightDetailsLink(), isVisible(),
+ *                           findSelectedSplitViewCard(pane), extractRoundTripFooter() (round-trip pairs, optional;
+ *                           its flight_codes tell which pair the footer shows),
+ *                           extractFareOptions(popup), extractFareCard(fareCard),
+ *                           routeFromCard(card), routeFromPopup(popup)
+ */
+
+const SiteAdapters = {
+  adapters: [],
+
+  /**
+   * Register an adapter (later registrations with the same id replace earlier ones)
+   * @param {Object} adapter - Adapter implementing the interface above
+   */
+  register(adapter) {
+    const missing = ['id', 'matches', 'selectors', 'findFlightCards', 'fields', 'detectTripType', 'buildSearchUrl', 'popup']
+      .filter(member => !adapter || adapter[member] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Site adapter "${adapter && adapter.id}" is missing: ${missing.join(', ')}`);
+    }
+    this.adapters = this.adapters.filter(existing => existing.id !== adapter.id);
+    this.adapters.push(adapter);
+    return adapter;
+  },
+
+  /**
+   * Get a registered adapter by id
+   */
+  get(id) {
+    return this.adapters.find(adapter => adapter.id === id) || null;
+  },
+
+  /**
+   * Find the adapter for a page URL
+   * @param {string} url - Page URL
+   * @returns {Object|null} - Matching adapter or null
+   */
+  forUrl(url) {
+    return this.adapters.find(adapter => adapter.matches(url)) || null;
+  },
+
+  /**
+   * Check if element is visible
+   */
+  isElementVisible(element) {
+    if (!element) return false;
+
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+      return false;
+    }
+
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  },
+
+  /**
+   * Parse a displayed price into a number and an ISO 4217 currency code
+   * Handles "₹5,234", "Rs 5 234", "₹ 18,271", "₹ 1,23,456", "- ₹ 500", "INR 5234.50", "AED 1,020"
+   * Only the first amount is read: "₹ 5,544 ₹ 5,234" is 5544 and "₹ 18,271 2 Adults" is 18271
+   * @param {string} priceText - Price as displayed on the page
+   * @param {string} defaultCurrency - Currency to assume when the text has no symbol (MakeMyTrip shows INR)
+   * @returns {{amount: number|null, currency: string|null}}
+   */
+  parsePrice(priceText, defaultCurrency = 'INR') {
+    if (priceText === null || priceText === undefined) {
+      return { amount: null, currency: null };
+    }
+    if (typeof priceText === 'number') {
+      return { amount: priceText, currency: defaultCurrency };
+    }
+    
+    const text = String(priceText).trim();
+    const currencyPatterns = [
+      { pattern: /₹|\bRs\.?|\bINR\b/i, code: 'INR' },
+      { pattern: /\bAED\b/i, code: 'AED' },
+      { pattern: /\bUSD\b|US\$|\$/i, code: 'USD' },
+      { pattern: /€|\bEUR\b/i, code: 'EUR' },
+      { pattern: /£|\bGBP\b/i, code: 'GBP' },
+      { pattern: /\bSGD\b/i, code: 'SGD' }
+    ];
+    const currencyMatch = currencyPatterns.find(entry => entry.pattern.test(text));
+    
+    // Drop currency markers first so "Rs." does not leave a stray decimal point
+    const numericText = currencyPatterns.reduce((remaining, entry) => remaining.replace(new RegExp(entry.pattern.source, 'gi'), ' '), text);
+    // A separator must be followed by a full digit group (lakh "1,23,456" or thousands "5,234" / "5 234"),
+    // so a neighbouring number ("₹ 310 OFF", "2 Adults") is never joined to the amount
+    const numberMatch = numericText.match(/(-)?\s*(\d{1,3}(?:,\d{2})+,\d{3}(?!\d)|\d{1,3}(?:[,\s]\d{3}(?!\d))+|\d+)(\.\d+)?/);
+    if (!numberMatch) {
+      return { amount: null, currency: currencyMatch ? currencyMatch.code : null };
+    }
+    
+    const amount = parseFloat(numberMatch[2].replace(/[,\s]/g, '') + (numberMatch[3] || ''));
+    if (isNaN(amount)) {
+      return { amount: null, currency: currencyMatch ? currencyMatch.code : null };
+    }
+    
+    return {
+      amount: numberMatch[1] ? -amount : amount,
+      currency: currencyMatch ? currencyMatch.code : defaultCurrency
+    };
+  }
+};
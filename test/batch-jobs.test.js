@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./script-context');
+
+const scripts = loadScripts(['route-plans.js', 'extraction-depth.js', 'round-trip-pairs.js', 'batch-jobs.js']);
+const BatchJobs = scripts.get('BatchJobs');
+
+function job(status = 'running') {
+  const created = BatchJobs.create({
+    routes: [{ source: 'BLR', dest: 'PAT', tripType: 'O', returnOffset: null, international: false }],
+    dateSpecs: [1, '2026-11-20'],
+    searchOptions: { adults: 1, children: 0, infants: 0, cabinClass: 'E' },
+    tabId: 7
+  });
+  created.status = status;
+  return created;
+}
+
+test('normalizeRetryPolicy fills in the defaults', () => {
+  assert.deepStrictEqual(scripts.plain(BatchJobs.normalizeRetryPolicy(null)), { max_attempts: 3, backoff_seconds: 10, mode: 'renavigate' });
+  assert.deepStrictEqual(
+    scripts.plain(BatchJobs.normalizeRetryPolicy({ maxAttempts: '5', backoffSeconds: 0, mode: 'reload' })),
+    { max_attempts: 5, backoff_seconds: 0, mode: 'reload' }
+  );
+  assert.deepStrictEqual(
+    scripts.plain(BatchJobs.normalizeRetryPolicy({ maxAttempts: 0, backoffSeconds: -1, mode: 'other' })),
+    { max_attempts: 3, backoff_seconds: 10, mode: 'renavigate' }
+  );
+});
+
+test('backoffDelay doubles after each failed attempt up to MAX_BACKOFF_MS', () => {
+  const policy = BatchJobs.normalizeRetryPolicy({ backoffSeconds: 10 });
+  assert.deepStrictEqual([0, 1, 2, 3, 4].map(attempts => BatchJobs.backoffDelay(policy, attempts)), [10000, 10000, 20000, 40000, 80000]);
+  assert.strictEqual(BatchJobs.backoffDelay(policy, 10), BatchJobs.MAX_BACKOFF_MS);
+  assert.strictEqual(BatchJobs.backoffDelay(BatchJobs.normalizeRetryPolicy({ backoffSeconds: 0 }), 3), 0);
+});
+
+test('queueFinalSweep puts failed combinations back in the queue once', () => {
+  const batch = job();
+  batch.combinations[0].status = BatchJobs.DONE;
+  batch.combinations[1].status = BatchJobs.FAILED;
+  batch.combinations[1].attempts = 3;
+
+  assert.strictEqual(BatchJobs.queueFinalSweep(batch), 1);
+  assert.strictEqual(batch.final_sweep, true);
+  assert.strictEqual(BatchJobs.nextPending(batch).index, 1);
+});
+
+test('canResume is true for every job that is not completed', () => {
+  assert.strictEqual(BatchJobs.canResume(null), false);
+  assert.strictEqual(BatchJobs.canResume(job('completed')), false);
+  ['running', 'paused', 'stopped', 'interrupted'].forEach(status => {
+    assert.strictEqual(BatchJobs.canResume(job(status)), true, status);
+  });
+});
+
+test('resetInterrupted requeues the combination that was mid-search', () => {
+  const batch = job('interrupted');
+  batch.combinations[0].status = BatchJobs.DONE;
+  batch.combinations[1].status = BatchJobs.RUNNING;
+  batch.combinations[1].started_at = new Date().toISOString();
+
+  assert.strictEqual(BatchJobs.resetInterrupted(batch), 1);
+  assert.strictEqual(batch.combinations[1].status, BatchJobs.PENDING);
+  assert.strictEqual(batch.combinations[1].started_at, null);
+  assert.deepStrictEqual(scripts.plain(BatchJobs.counts(batch)), { total: 2, pending: 1, running: 0, done: 1, failed: 0 });
+});
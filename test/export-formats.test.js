@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./script-context');
+
+const ExportFormats = loadScripts(['export-formats.js']).get('ExportFormats');
+
+const flight = {
+  flight_id: '6E_6E6128_BLR-PAT_2026-11-20',
+  airline: 'IndiGo',
+  price_amount: 5234,
+  layover_cities: ['New Delhi', 'Mumbai'],
+  raw_text: 'IndiGo 6E 6128 05:55 ...',
+  offers: 'FLAT ₹ 310 OFF, "MMTSUPER"',
+  flight_details: { fare_summary: { total: 5234 } },
+  fare_options: {
+    fare_classes: [{ class: 'Economy', starting_price: '₹ 5,234', fares: [{ fare_name: 'Saver', price_amount: 5234 }, { fare_name: 'Flexi Plus', price_amount: 6012 }] }]
+  }
+};
+
+test('filename and mimeType follow the format', () => {
+  assert.strictEqual(ExportFormats.filename('flight-BLR-PAT-2026-11-20.json', 'csv_fares'), 'flight-BLR-PAT-2026-11-20-fares.csv');
+  assert.strictEqual(ExportFormats.filename('flight-BLR-PAT-2026-11-20.json', 'ndjson'), 'flight-BLR-PAT-2026-11-20.ndjson');
+  assert.strictEqual(ExportFormats.filename(null, 'unknown'), 'flight-data.json');
+  assert.strictEqual(ExportFormats.mimeType('csv'), 'text/csv');
+  assert.strictEqual(ExportFormats.isKnown('toString'), false);
+});
+
+test('CSV flattens nested fields, joins lists and quotes cells', () => {
+  const csv = ExportFormats.serialize({ metadata: {}, flights: [flight] }, 'csv');
+
+  assert.strictEqual(csv, [
+    'flight_id,airline,layover_cities,price_amount,offers,flight_details_fare_summary_total',
+    '6E_6E6128_BLR-PAT_2026-11-20,IndiGo,New Delhi | Mumbai,5234,"FLAT ₹ 310 OFF, ""MMTSUPER""",5234',
+    ''
+  ].join('\r\n'));
+});
+
+test('csv_fares writes one row per fare option', () => {
+  const rows = ExportFormats.serialize({ metadata: {}, flights: [flight, { flight_id: 'no-fares' }] }, 'csv_fares').trim().split('\r\n');
+
+  assert.strictEqual(rows.length, 4);
+  assert.match(rows[0], /,fare_class,fare_class_starting_price,fare_name,fare_price_amount$/);
+  assert.match(rows[1], /,Economy,"₹ 5,234",Saver,5234$/);
+  assert.match(rows[2], /,Economy,"₹ 5,234",Flexi Plus,6012$/);
+  assert.match(rows[3], /^no-fares,/);
+});
+
+test('flights of a consolidated batch file carry job_id and combination_index', () => {
+  const batchFile = {
+    metadata: { job_id: 'job-1' },
+    combinations: [{ index: 0, flights: [{ flight_id: 'a' }] }, { index: 1, flights: [] }, { index: 2, flights: [{ flight_id: 'b' }] }]
+  };
+  const lines = ExportFormats.serialize(batchFile, 'ndjson').split('\n');
+
+  assert.deepStrictEqual(lines, ['{"job_id":"job-1","combination_index":0,"flight_id":"a"}', '{"job_id":"job-1","combination_index":2,"flight_id":"b"}', '']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./script-context');
+
+const scripts = loadScripts(['airports.js', 'flight-identity.js', 'site-adapter.js', 'export-formats.js', 'extraction-diff.js']);
+const ExtractionDiff = scripts.get('ExtractionDiff');
+
+function result(scrapedAt, flights) {
+  return { metadata: { scraped_at: scrapedAt, source_url: 'https://www.makemytrip.com/flight/search' }, flights: flights };
+}
+
+function fares(saverPrice, saverBaggage) {
+  return {
+    fare_classes: [{
+      class: 'Economy',
+      fares: [
+        { fare_name: 'Saver', price_amount: saverPrice, baggage: saverBaggage },
+        { fare_name: 'Flexi Plus', price_amount: 6012, baggage: { check_in: '20 Kgs', cabin: '7 Kgs' } }
+      ]
+    }]
+  };
+}
+
+test('diff reports added, removed and repriced flights', () => {
+  const before = result('2026-11-01T10:00:00.000Z', [
+    { flight_id: 'a', airline: 'IndiGo', price_amount: 5234, price_currency: 'INR' },
+    { flight_id: 'b', airline: 'Air India', price: '₹ 6,890' },
+    { flight_id: 'c', airline: 'Akasa Air', price_amount: 5611 }
+  ]);
+  const after = result('2026-11-02T10:00:00.000Z', [
+    { flight_id: 'a', airline: 'IndiGo', price_amount: 4999, price_currency: 'INR' },
+    { flight_id: 'b', airline: 'Air India', price_amount: 6890 },
+    { flight_id: 'd', airline: 'SpiceJet', price_amount: 4800 }
+  ]);
+  const report = scripts.plain(ExtractionDiff.diff(before, after));
+
+  assert.deepStrictEqual(report.summary, { added: 1, removed: 1, changed: 1, unchanged: 1, price_increases: 0, price_decreases: 1 });
+  assert.deepStrictEqual(report.added.map(flight => flight.flight_id), ['d']);
+  assert.deepStrictEqual(report.removed.map(flight => flight.flight_id), ['c']);
+  assert.deepStrictEqual(report.changed[0].changes, [{ type: 'price', before: 5234, after: 4999, delta: -235, currency: 'INR' }]);
+  assert.deepStrictEqual([report.before.flights_count, report.after.scraped_at], [3, '2026-11-02T10:00:00.000Z']);
+});
+
+test('diff compares fare options and ignores key order', () => {
+  const before = result(null, [{ flight_id: 'a', price_amount: 5234, fare_options: fares(5234, { cabin: '7 Kgs', check_in: '15 Kgs' }) }]);
+  const after = result(null, [{ flight_id: 'a', price_amount: 5234, fare_options: fares(5499, { check_in: '15 Kgs', cabin: '7 Kgs' }) }]);
+  const [changed] = scripts.plain(ExtractionDiff.diff(before, after)).changed;
+
+  assert.deepStrictEqual(changed.changes, [{ type: 'fare_price', fare: 'Economy / Saver', before: 5234, after: 5499, delta: 265, currency: null }]);
+});
+
+test('diff does not report sections only one result has', () => {
+  const before = result(null, [{ flight_id: 'a', price_amount: 5234 }]);
+  const after = result(null, [{
+    flight_id: 'a',
+    price_amount: 5234,
+    fare_options: fares(5234, null),
+    flight_details: { cancellation_policy: { fee: 3999 }, detailed_flights: [{ segments: [{ full_flight_code: '6E 6128', baggage_info: {} }] }] }
+  }]);
+
+  assert.deepStrictEqual(scripts.plain(ExtractionDiff.diff(before, after)).summary.unchanged, 1);
+});
+
+test('diff keeps repeated flight ids apart in page order', () => {
+  const before = result(null, [{ flight_id: 'a', price_amount: 5000 }, { flight_id: 'a', price_amount: 6000 }]);
+  const after = result(null, [{ flight_id: 'a', price_amount: 5000 }, { flight_id: 'a', price_amount: 6500 }]);
+  const report = scripts.plain(ExtractionDiff.diff(before, after));
+
+  assert.deepStrictEqual(report.changed.map(entry => entry.changes[0].delta), [500]);
+  assert.strictEqual(report.summary.unchanged, 1);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openFixture, searchUrl } = require('./fixture-window');
+
+const fixture = () => openFixture('blr-pat-fare-popup.html', searchUrl('BLR-PAT-20/11/2026'));
+
+function fareCards({ document }) {
+  return Array.from(document.querySelectorAll('div#ffWrapper div.fareFamilyCardWrapper'));
+}
+
+test('extractFareCardDetails reads a discounted fare card', () => {
+  const page = fixture();
+  const fare = page.plain(page.FlightExtractors.extractFareCardDetails(fareCards(page)[0]));
+
+  assert.deepStrictEqual(fare, {
+    original_price: '₹ 5,544',
+    price: '₹ 5,234',
+    price_unit: 'per adult',
+    price_amount: 5234,
+    price_currency: 'INR',
+    original_price_amount: 5544,
+    discount_amount: 310,
+    fare_name: 'Saver',
+    baggage: ['7 Kgs Cabin Baggage', '15 Kgs Check-in Baggage'],
+    flexibility: [
+      'Cancellation fee starts at ₹ 3,999 (up to 4 hours before departure)',
+      'Date Change fee starts at ₹ 2,999 up to 4 hrs before departure'
+    ],
+    seats_meals: ['Chargeable Seats', 'Chargeable Meals'],
+    persuasions: ['FLAT ₹ 310 OFF using MMTSUPER'],
+    has_lock_price: true,
+    lock_price_text: 'LOCK PRICE'
+  });
+});
+
+test('extractFareCardDetails reads tags and split persuasions', () => {
+  const page = fixture();
+  const fare = page.plain(page.FlightExtractors.extractFareCardDetails(fareCards(page)[1]));
+
+  assert.strictEqual(fare.price_amount, 6012);
+  assert.strictEqual(fare.original_price_amount, null);
+  assert.strictEqual(fare.discount_amount, null);
+  assert.strictEqual(fare.fare_name, 'Flexi Plus');
+  assert.strictEqual(fare.baggage_tag, 'Extra 5 Kgs');
+  assert.strictEqual(fare.special_tag, undefined);
+  assert.strictEqual(fare.popular_tag, 'MOST POPULAR');
+  assert.deepStrictEqual(fare.persuasions, ['Free Seats', 'Complimentary Meals', 'Benefits worth ₹ 1,200 included']);
+  assert.strictEqual(fare.has_lock_price, undefined);
+});
+
+test('extractFlightFromCard takes fare_options from the open popup', () => {
+  const page = fixture();
+  const flight = page.plain(page.FlightExtractors.extractFlightFromCard(page.adapter.findFlightCards()[0], 0));
+
+  assert.strictEqual(flight.fare_options.route, 'Bengaluru → Patna');
+  assert.strictEqual(flight.fare_options.fare_classes.length, 1);
+  assert.strictEqual(flight.fare_options.fare_classes[0].class, 'Economy');
+  assert.deepStrictEqual(flight.fare_options.fare_classes[0].fares.map(fare => fare.fare_name), ['Saver', 'Flexi Plus']);
+});
@@ -0,0 +1,57 @@
+/**
+ * Flight Extracter - Fixture Window
+ * Loads a saved page from fixtures/ into jsdom and runs the extractor scripts in it,
+ * as described in the README (Offline Fixtures).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Content script order from manifest.json, up to the extractors
+const SCRIPTS = ['airports.js', 'flight-identity.js', 'site-adapter.js', 'adapters/makemytrip.js', 'flight-extractors.js'];
+
+/**
+ * Open a fixture with the URL of the search it was saved from
+ * @param {string} name - File name in fixtures/
+ * @param {string} url - Search URL (dates and airports a card does not show come from its itinerary)
+ * @returns {{window, document, FlightExtractors, adapter, plain: Function}}
+ */
+function openFixture(name, url) {
+  const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'fixtures', name), 'utf8'), {
+    url: url,
+    runScripts: 'outside-only'
+  });
+  const window = dom.window;
+
+  // jsdom does no layout, so give every element a box for SiteAdapters.isElementVisible
+  window.Element.prototype.getBoundingClientRect = () => ({ x: 0, y: 0, top: 0, left: 0, right: 100, bottom: 20, width: 100, height: 20 });
+
+  const context = dom.getInternalVMContext();
+  SCRIPTS.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+  });
+  // Keep the extractors' progress logging out of the test output
+  vm.runInContext('console.log = () => {};', context);
+
+  return {
+    window: window,
+    document: window.document,
+    FlightExtractors: vm.runInContext('FlightExtractors', context),
+    adapter: vm.runInContext('SiteAdapters.get("makemytrip")', context),
+    // Objects built inside the window have its prototypes; compare them as JSON
+    plain: value => JSON.parse(JSON.stringify(value))
+  };
+}
+
+/**
+ * MakeMyTrip search URL for an itinerary ("BLR-PAT-20/11/2026", legs joined with "_")
+ */
+function searchUrl(itinerary, { tripType = 'O', paxType = 'A-1_C-0_I-0' } = {}) {
+  return `https://www.makemytrip.com/flight/search?itinerary=${itinerary}&tripType=${tripType}&paxType=${paxType}&intl=false&cabinClass=E`;
+}
+
+module.exports = { openFixture, searchUrl };
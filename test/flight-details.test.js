@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openFixture, searchUrl } = require('./fixture-window');
+
+const ITINERARY = 'BLR-PAT-20/11/2026';
+
+function fixture(paxType = 'A-2_C-0_I-0') {
+  const page = openFixture('blr-pat-flight-details.html', searchUrl(ITINERARY, { paxType }));
+  page.outer = page.document.querySelector('div.flightDetailsOuter');
+  return page;
+}
+
+test('extractFlightDetailsFromTab reads both segments and the layover', () => {
+  const { outer, FlightExtractors, plain } = fixture();
+  const details = plain(FlightExtractors.extractFlightDetailsFromTab(outer));
+
+  assert.strictEqual(details.length, 1);
+  assert.strictEqual(details[0].route_header, 'Bengaluru to Patna , 20 Nov');
+  assert.strictEqual(details[0].layover_info, 'Change of planes | 3h 45m Layover in New Delhi');
+  assert.deepStrictEqual(details[0].segments.map(segment => segment.full_flight_code), ['AI 2677', 'AI 417']);
+});
+
+test('extractFlightDetailsFromTab reads times, terminals and baggage of a segment', () => {
+  const { outer, FlightExtractors, plain } = fixture();
+  const [first, second] = plain(FlightExtractors.extractFlightDetailsFromTab(outer))[0].segments;
+
+  assert.deepStrictEqual(first, {
+    airline_name: 'Air India',
+    airline_code: 'AI',
+    flight_number: '2677',
+    full_flight_code: 'AI 2677',
+    aircraft_type: 'Airbus A320',
+    departure_time: '21:40',
+    departure_date: 'Fri, 20 Nov 26',
+    departure_terminal: 'Terminal 2',
+    departure_city: 'Bengaluru, India',
+    arrival_time: '00:25',
+    arrival_date: 'Sat, 21 Nov 26',
+    arrival_terminal: 'Terminal 3',
+    arrival_city: 'New Delhi, India',
+    duration: '02 h 45 m',
+    departure_datetime: '2026-11-20T21:40:00+05:30',
+    arrival_datetime: '2026-11-21T00:25:00+05:30',
+    departure_utc_offset: '+05:30',
+    arrival_utc_offset: '+05:30',
+    arrival_day_offset: 1,
+    duration_minutes: 165,
+    duration_consistent: true,
+    baggage_info: [{ category: 'ADULT', check_in: '15 Kgs (1 piece only)', cabin: '7 Kgs (1 piece only)' }],
+    amenities: ['Complimentary Meals', '3-3 Layout']
+  });
+  assert.strictEqual(second.departure_datetime, '2026-11-21T04:10:00+05:30');
+  assert.strictEqual(second.arrival_datetime, '2026-11-21T05:50:00+05:30');
+  assert.strictEqual(second.arrival_terminal, undefined);
+  assert.strictEqual(second.baggage_info, 'Information not available');
+});
+
+test('extractFlightDetailsFromTab returns no flights without a details tab', () => {
+  const { document, FlightExtractors, plain } = fixture();
+  assert.deepStrictEqual(plain(FlightExtractors.extractFlightDetailsFromTab(document.querySelector('div.priceSection'))), []);
+});
+
+test('flight_id lists every segment once the details are attached', () => {
+  const { adapter, outer, FlightExtractors, plain } = fixture();
+  const flight = FlightExtractors.extractFlightFromCard(adapter.findFlightCards()[0], 0);
+  assert.strictEqual(flight.flight_id, 'AI_AI2677_BLR-PAT_2026-11-20');
+
+  flight.flight_details = { detailed_flights: FlightExtractors.extractFlightDetailsFromTab(outer) };
+  FlightExtractors.addFlightIdentity(flight);
+  assert.strictEqual(flight.flight_id, 'AI_AI2677+AI417_BLR-PAT_2026-11-20');
+
+  const record = plain(FlightExtractors.normalizeFlightRecord(flight));
+  assert.deepStrictEqual(Object.keys(record.flight_details), ['detailed_flights', 'fare_summary', 'cancellation_policy', 'date_change_policy']);
+  assert.strictEqual(record.direction, 'outbound');
+});
+
+test('extractFareSummaryFromTab reads the fare breakup with a passenger breakdown', () => {
+  const { outer, FlightExtractors, plain } = fixture();
+
+  assert.deepStrictEqual(plain(FlightExtractors.extractFareSummaryFromTab(outer)), {
+    base_fare: '₹ 11,228',
+    taxes_and_surcharges: '₹ 2,552',
+    total: '₹ 13,780',
+    base_fare_amount: 11228,
+    taxes_and_surcharges_amount: 2552,
+    total_amount: 13780,
+    currency: 'INR',
+    passenger_breakdown: [
+      { passenger_type: 'adult', component: 'base_fare', count: 2, unit_price: '₹ 5,614', unit_price_amount: 5614, total: '₹ 11,228', total_amount: 11228 },
+      { passenger_type: 'adult', component: 'taxes_and_surcharges', count: 2, unit_price: '₹ 1,276', unit_price_amount: 1276, total: '₹ 2,552', total_amount: 2552 }
+    ]
+  });
+});
+
+test('extractFareSummaryFromTab leaves out the breakdown for a single adult', () => {
+  const { outer, FlightExtractors } = fixture('A-1_C-0_I-0');
+  const summary = FlightExtractors.extractFareSummaryFromTab(outer);
+
+  assert.strictEqual(summary.total_amount, 13780);
+  assert.strictEqual(summary.passenger_breakdown, undefined);
+});
+
+test('extractFareSummaryFromTab returns null without a panel', () => {
+  const { FlightExtractors } = fixture();
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual(FlightExtractors.extractFareSummaryFromTab(null), null);
+  } finally {
+    console.error = error;
+  }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openFixture, searchUrl } = require('./fixture-window');
+
+const fixture = () => openFixture('blr-pat-one-way.html', searchUrl('BLR-PAT-20/11/2026'));
+
+test('extractFlightFromCard reads a non stop card', () => {
+  const { adapter, FlightExtractors, plain } = fixture();
+  const flight = plain(FlightExtractors.extractFlightFromCard(adapter.findFlightCards()[0], 0));
+
+  assert.strictEqual(flight.index, 0);
+  assert.strictEqual(flight.airline, 'IndiGo (6E 6128)');
+  assert.strictEqual(flight.airline_code, '6E');
+  assert.strictEqual(flight.flight_code, '6E 6128');
+  assert.strictEqual(flight.departure_city, 'Bengaluru');
+  assert.strictEqual(flight.arrival_city, 'Patna');
+  assert.strictEqual(flight.departure_time, '05:55');
+  assert.strictEqual(flight.arrival_time, '08:35');
+  assert.strictEqual(flight.stops, 0);
+  assert.strictEqual(flight.stopover_time, null);
+  assert.strictEqual(flight.duration, '2h 40m');
+  assert.strictEqual(flight.price, '₹ 5,234');
+  assert.strictEqual(flight.price_amount, 5234);
+  assert.strictEqual(flight.price_currency, 'INR');
+  assert.deepStrictEqual(flight.offers, ['FLAT ₹ 310 OFF using MMTSUPER']);
+  assert.deepStrictEqual(flight.coupon_details, [{ code: 'MMTSUPER', description: 'FLAT ₹ 310 OFF using MMTSUPER' }]);
+  assert.strictEqual(flight.fare_options, null);
+});
+
+test('extractFlightFromCard dates the card from the search itinerary', () => {
+  const { adapter, FlightExtractors, plain } = fixture();
+  const flight = plain(FlightExtractors.extractFlightFromCard(adapter.findFlightCards()[0], 0));
+
+  assert.strictEqual(flight.departure_datetime, '2026-11-20T05:55:00+05:30');
+  assert.strictEqual(flight.arrival_datetime, '2026-11-20T08:35:00+05:30');
+  assert.strictEqual(flight.arrival_day_offset, 0);
+  assert.strictEqual(flight.duration_minutes, 160);
+  assert.strictEqual(flight.duration_consistent, true);
+  assert.strictEqual(flight.flight_id, '6E_6E6128_BLR-PAT_2026-11-20');
+  assert.match(flight.flight_fingerprint, /^[0-9a-f]{8}$/);
+});
+
+test('extractFlightFromCard reads a one stop card that lands the next day', () => {
+  const { adapter, FlightExtractors, plain } = fixture();
+  const flight = plain(FlightExtractors.extractFlightFromCard(adapter.findFlightCards()[1], 1));
+
+  assert.strictEqual(flight.airline_code, 'AI');
+  assert.strictEqual(flight.arrival_city, 'Patna');
+  assert.strictEqual(flight.stops, 1);
+  assert.deepStrictEqual(flight.layover_cities, ['New Delhi']);
+  assert.strictEqual(flight.duration, '8h 10m');
+  assert.strictEqual(flight.arrival_day_offset, 1);
+  assert.strictEqual(flight.arrival_datetime, '2026-11-21T05:50:00+05:30');
+  assert.strictEqual(flight.duration_minutes, 490);
+  assert.strictEqual(flight.duration_consistent, true);
+  assert.strictEqual(flight.offers, null);
+  assert.strictEqual(flight.coupon_details, null);
+  assert.strictEqual(flight.flight_id, 'AI_AI2677_BLR-PAT_2026-11-20');
+});
+
+test('extractFlightFromCard reads the price from the fare component', () => {
+  const { adapter, FlightExtractors } = fixture();
+  const flight = FlightExtractors.extractFlightFromCard(adapter.findFlightCards()[2], 2);
+
+  assert.strictEqual(flight.airline, 'Akasa Air (QP 1412)');
+  assert.strictEqual(flight.price, '₹ 5,611');
+  assert.strictEqual(flight.price_amount, 5611);
+  assert.strictEqual(flight.flight_id, 'QP_QP1412_BLR-PAT_2026-11-20');
+});
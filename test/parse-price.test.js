@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./script-context');
+
+const { parsePrice } = loadScripts(['site-adapter.js']).get('SiteAdapters');
+
+const price = text => {
+  const parsed = parsePrice(text);
+  return { amount: parsed.amount, currency: parsed.currency };
+};
+
+test('parsePrice reads displayed prices', () => {
+  assert.deepStrictEqual(price('₹5,234'), { amount: 5234, currency: 'INR' });
+  assert.deepStrictEqual(price('Rs 5 234'), { amount: 5234, currency: 'INR' });
+  assert.deepStrictEqual(price('Rs. 99'), { amount: 99, currency: 'INR' });
+  assert.deepStrictEqual(price('₹ 1,23,456'), { amount: 123456, currency: 'INR' });
+  assert.deepStrictEqual(price('- ₹ 500'), { amount: -500, currency: 'INR' });
+  assert.deepStrictEqual(price('INR 5,234.50'), { amount: 5234.5, currency: 'INR' });
+  assert.deepStrictEqual(price('AED 1,020'), { amount: 1020, currency: 'AED' });
+  assert.deepStrictEqual(price('5234'), { amount: 5234, currency: 'INR' });
+  assert.deepStrictEqual(price(4999), { amount: 4999, currency: 'INR' });
+});
+
+test('parsePrice reads only the first amount of a card string', () => {
+  assert.deepStrictEqual(price('₹ 5,544 ₹ 5,234'), { amount: 5544, currency: 'INR' });
+  assert.deepStrictEqual(price('₹5,234\n₹ 310 OFF'), { amount: 5234, currency: 'INR' });
+  assert.deepStrictEqual(price('₹ 18,271 2 Adults'), { amount: 18271, currency: 'INR' });
+});
+
+test('parsePrice returns no amount without digits', () => {
+  assert.deepStrictEqual(price(null), { amount: null, currency: null });
+  assert.deepStrictEqual(price('Sold out'), { amount: null, currency: null });
+  assert.deepStrictEqual(price('₹ --'), { amount: null, currency: 'INR' });
+});
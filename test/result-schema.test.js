@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./script-context');
+
+const scripts = loadScripts(['result-schema.js']);
+const ResultSchema = scripts.get('ResultSchema');
+
+function result(flight = {}) {
+  return {
+    metadata: { scraped_at: '2026-11-01T10:00:00.000Z', source_url: 'https://www.makemytrip.com/flight/search', flights_count: 1 },
+    flights: [{
+      flight_id: '6E_6E6128_BLR-PAT_2026-11-20',
+      flight_fingerprint: '0a1b2c3d',
+      direction: 'outbound',
+      stops: 0,
+      price_amount: 5234,
+      price_currency: 'INR',
+      fare_options: null,
+      flight_details: null,
+      ...flight
+    }]
+  };
+}
+
+test('annotate stamps the schema version on a valid result', () => {
+  const { metadata } = scripts.plain(ResultSchema.annotate(result()));
+
+  assert.strictEqual(metadata.schema_version, ResultSchema.VERSION);
+  assert.strictEqual(metadata.schema_valid, true);
+  assert.deepStrictEqual(metadata.schema_violations, []);
+  assert.strictEqual(metadata.schema_violations_count, 0);
+});
+
+test('annotate records violations with JSON Pointer paths', () => {
+  const invalid = result({ stops: 'one', price_currency: 'Rs' });
+  delete invalid.flights[0].direction;
+  const { metadata } = scripts.plain(ResultSchema.annotate(invalid));
+
+  assert.strictEqual(metadata.schema_valid, false);
+  assert.deepStrictEqual(metadata.schema_violations, [
+    { path: '/flights/0/direction', message: 'is required' },
+    { path: '/flights/0/stops', message: 'must be integer or null, got string' },
+    { path: '/flights/0/price_currency', message: 'must match ^[A-Z]{3}$, got "Rs"' }
+  ]);
+});
+
+test('annotate replaces the outcome of an earlier check and caps the list', () => {
+  const annotated = ResultSchema.annotate(result());
+  annotated.flights = Array.from({ length: ResultSchema.MAX_VIOLATIONS + 5 }, () => ({}));
+  const { metadata } = scripts.plain(ResultSchema.annotate(annotated));
+
+  assert.strictEqual(metadata.schema_valid, false);
+  assert.strictEqual(metadata.schema_violations.length, ResultSchema.MAX_VIOLATIONS);
+  assert.ok(metadata.schema_violations_count > ResultSchema.MAX_VIOLATIONS);
+});
+
+test('annotate leaves anything but an object alone', () => {
+  assert.strictEqual(ResultSchema.annotate(null), null);
+  assert.strictEqual(ResultSchema.annotate('error'), 'error');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openFixture, searchUrl } = require('./fixture-window');
+
+const fixture = () => openFixture('blr-pat-round-trip.html', searchUrl('BLR-PAT-20/11/2026_PAT-BLR-25/11/2026', { tripType: 'R' }));
+
+/**
+ * Cards of a split view pane as content.js reads them (the listing card inside each label)
+ */
+function paneFlights({ document, FlightExtractors }, paneIndex, direction) {
+  const pane = document.querySelectorAll('div.splitVw div.paneView')[paneIndex];
+  return Array.from(pane.querySelectorAll('label.splitViewListing')).map((label, index) => {
+    const card = label.querySelector('div.listingCard');
+    const flight = FlightExtractors.extractFlightFromCard(card, index);
+    flight.direction = direction;
+    if (direction === 'return') {
+      FlightExtractors.addFlightTimestamps(flight, card);
+      FlightExtractors.addFlightIdentity(flight);
+    }
+    return flight;
+  });
+}
+
+test('the split view is detected as a round trip', () => {
+  const { adapter } = fixture();
+  assert.strictEqual(adapter.isRoundTripLayout(), true);
+  assert.strictEqual(adapter.detectTripType(), 'round_trip');
+});
+
+test('findSelectedSplitViewCard returns the checked card of each pane', () => {
+  const { document, adapter } = fixture();
+  const selected = Array.from(document.querySelectorAll('div.splitVw div.paneView'))
+    .map(pane => adapter.popup.findSelectedSplitViewCard(pane).querySelector('p.fliCode').textContent);
+  assert.deepStrictEqual(selected, ['6E 6128', '6E 6129']);
+});
+
+test('outbound pane cards are dated from the first leg', () => {
+  const page = fixture();
+  const flights = page.plain(paneFlights(page, 0, 'outbound'));
+
+  assert.deepStrictEqual(flights.map(flight => flight.flight_id), ['6E_6E6128_BLR-PAT_2026-11-20', 'QP_QP1412_BLR-PAT_2026-11-20']);
+  assert.deepStrictEqual(flights.map(flight => flight.price_amount), [5234, 5611]);
+  assert.strictEqual(flights[1].departure_datetime, '2026-11-20T14:10:00+05:30');
+});
+
+test('return pane cards are dated from the return leg', () => {
+  const page = fixture();
+  const [flight] = page.plain(paneFlights(page, 1, 'return'));
+
+  assert.strictEqual(flight.departure_city, 'Patna');
+  assert.strictEqual(flight.arrival_city, 'Bengaluru');
+  assert.strictEqual(flight.departure_datetime, '2026-11-25T09:15:00+05:30');
+  assert.strictEqual(flight.arrival_datetime, '2026-11-25T12:05:00+05:30');
+  assert.strictEqual(flight.duration_minutes, 170);
+  assert.strictEqual(flight.flight_id, '6E_6E6129_PAT-BLR_2026-11-25');
+});
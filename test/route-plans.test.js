@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./script-context');
+
+const scripts = loadScripts(['route-plans.js']);
+const RoutePlans = scripts.get('RoutePlans');
+const parse = text => scripts.plain(RoutePlans.parseRoutes(text));
+
+test('parseRoutes reads one-way, round-trip and international routes', () => {
+  const { routes, errors } = parse('blr-pat\nBOM→AMD RT+2\n  \nBLR-DXB RT+7 INTL');
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(routes, [
+    { source: 'BLR', dest: 'PAT', tripType: 'O', returnOffset: null, international: false },
+    { source: 'BOM', dest: 'AMD', tripType: 'R', returnOffset: 2, international: false },
+    { source: 'BLR', dest: 'DXB', tripType: 'R', returnOffset: 7, international: true }
+  ]);
+});
+
+test('parseRoutes builds the legs of multi-city routes', () => {
+  const { routes, errors } = parse('BLR-DEL-BOM\nBLR-DEL-BOM-MAA MC+2+3');
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(routes[0].legs, [
+    { source: 'BLR', dest: 'DEL', dayOffset: 0 },
+    { source: 'DEL', dest: 'BOM', dayOffset: 1 }
+  ]);
+  assert.deepStrictEqual(routes[1].legs.map(leg => leg.dayOffset), [0, 2, 5]);
+  assert.strictEqual(routes[1].tripType, 'M');
+  assert.strictEqual(routes[1].dest, 'MAA');
+});
+
+test('parseRoutes reports bad lines by line number and keeps the good ones', () => {
+  const { routes, errors } = parse('BLR-PAT\nBLR-BLR\nBLR PAT\nBLR-PAT RT+X\nBLR-DEL-BOM INTL\nBLR-DEL-BOM-MAA MC+1+2+3');
+
+  assert.strictEqual(routes.length, 1);
+  assert.deepStrictEqual(errors, [
+    'Line 2: origin and destination are the same',
+    'Line 3: "BLR PAT" does not start with a SRC-DST pair of IATA codes',
+    'Line 4: unknown option "RT+X" (use RT+N or INTL, or MC+N after three or more airports)',
+    'Line 5: multi-city routes are domestic only (INTL cannot be combined with a multi-city route)',
+    'Line 6: MC needs one gap for all legs or one per leg after the first (2)'
+  ]);
+});
+
+test('describeRoute writes routes back in editor syntax', () => {
+  const text = 'BLR-PAT\nBOM-AMD RT+2\nBLR-DXB RT+7 INTL\nBLR-DEL-BOM-MAA MC+2+3';
+  assert.strictEqual(RoutePlans.formatRoutes(RoutePlans.parseRoutes(text).routes), text);
+});
@@ -0,0 +1,67 @@
+/**
+ * Flight Extracter - Script Context
+ * Runs the extension's DOM-free scripts (storage, parsing, export helpers) in a plain vm context,
+ * with chrome.storage.local kept in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * chrome.storage.local backed by an object (get/set/remove, promise style as in MV3)
+ */
+function memoryStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items: items,
+    async get(keys) {
+      const names = keys === null || keys === undefined ? Object.keys(items) : [].concat(keys);
+      const result = {};
+      names.forEach(name => {
+        if (name in items) {
+          result[name] = JSON.parse(JSON.stringify(items[name]));
+        }
+      });
+      return result;
+    },
+    async set(values) {
+      Object.keys(values).forEach(name => {
+        items[name] = JSON.parse(JSON.stringify(values[name]));
+      });
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(name => delete items[name]);
+    }
+  };
+}
+
+/**
+ * Run scripts (paths from the repository root) in a fresh context
+ * @param {Array<string>} files - Scripts in load order
+ * @param {Object} globals - Extra globals for the context (e.g., a chrome stub)
+ * @returns {{get: Function, storage: Object, plain: Function}} - get(name) returns a global declared by the scripts
+ */
+function loadScripts(files, globals = {}) {
+  const storage = memoryStorage();
+  const context = vm.createContext({
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    chrome: { storage: { local: storage } },
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    ...globals
+  });
+  files.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+  });
+  return {
+    get: name => vm.runInContext(name, context),
+    storage: storage,
+    // Objects built inside the context have its prototypes; compare them as JSON
+    plain: value => JSON.parse(JSON.stringify(value))
+  };
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./script-context');
+
+test('parse reads dates, stop limits, price limits and drops', () => {
+  const scripts = loadScripts(['watch-rules.js']);
+  const WatchRules = scripts.get('WatchRules');
+  const { rules, errors } = scripts.plain(WatchRules.parse('blr-pat 2026-11-20 nonstop < ₹4,500\nBOM→AMD STOPS<=1 DROP > 10%\nDEL-GOI STOPS<2 <3000 DROP 5.5%'));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rules, [
+    { source: 'BLR', dest: 'PAT', date: '2026-11-20', maxStops: 0, maxPrice: 4500, dropPercent: null },
+    { source: 'BOM', dest: 'AMD', date: null, maxStops: 1, maxPrice: null, dropPercent: 10 },
+    { source: 'DEL', dest: 'GOI', date: null, maxStops: 1, maxPrice: 3000, dropPercent: 5.5 }
+  ]);
+  assert.strictEqual(WatchRules.format(rules), 'BLR-PAT 2026-11-20 NONSTOP <4500\nBOM-AMD STOPS<=1 DROP 10%\nDEL-GOI STOPS<=1 <3000 DROP 5.5%');
+});
+
+test('parse reports bad lines by line number', () => {
+  const scripts = loadScripts(['watch-rules.js']);
+  const { rules, errors } = scripts.plain(scripts.get('WatchRules').parse('BLR PAT <4500\nBLR-PAT NONSTOP\nBLR-PAT STOPS<0 <4500\nBLR-PAT CHEAP <4500'));
+
+  assert.deepStrictEqual(rules, []);
+  assert.deepStrictEqual(errors, [
+    'Line 1: "BLR PAT <4500" does not start with a SRC-DST pair of IATA codes',
+    'Line 2: add a price limit (<PRICE) or a drop (DROP N%)',
+    'Line 3: "STOPS<0" matches no flight (use NONSTOP or STOPS<=N)',
+    'Line 4: unknown condition "CHEAP" (use a YYYY-MM-DD date, NONSTOP, STOPS<=N, <PRICE or DROP N%)'
+  ]);
+});
+
+test('forgetNotified restores the price a fare was notified at before', async () => {
+  const scripts = loadScripts(['watch-rules.js']);
+  const WatchRules = scripts.get('WatchRules');
+  const rule = { id: 'rule-1' };
+
+  await WatchRules.filterNotified(rule, [{ flight_id: 'a', price_amount: 5000 }]);
+  const found = await WatchRules.filterNotified(rule, [
+    { flight_id: 'a', price_amount: 5000 },
+    { flight_id: 'a', price_amount: 4000 },
+    { flight_id: 'b', price_amount: 3000 }
+  ]);
+  assert.deepStrictEqual(found.map(match => [match.flight_id, match.price_amount, match.notified_price]), [['a', 4000, 5000], ['b', 3000, null]]);
+
+  await WatchRules.forgetNotified(rule, found);
+  assert.deepStrictEqual(scripts.storage.items[WatchRules.NOTIFIED_KEY], { 'rule-1|a': 5000 });
+});
@@ -0,0 +1,238 @@
+/**
+ * Flight Extracter - Watch Rules
+ * Fare alerts kept in chrome.storage and checked by the background worker after every extraction.
+ *
+ * One rule per line in the editor:
+ *   "BLR-PAT 2026-11-20 NONSTOP <4500"  BLR-PAT on 2026-11-20, any non-stop under ₹4,500
+ *   "BLR-PAT DROP 10%"                  any BLR-PAT flight more than 10% cheaper than at the last scrape
+ *   "BOM-DXB STOPS<=1 <18000 DROP 5%"   conditions on one line must all hold
+ * The date is optional (any travel date); a rule needs a price limit, a drop or both.
+ */
+
+const WatchRules = {
+  STORAGE_KEY: 'flightExtractorWatchRules',
+  // notification id -> search URL, so a click still opens the search after the worker restarted
+  ALERTS_KEY: 'flightExtractorWatchAlerts',
+  // "<rule id>|<flight_id>" -> lowest price already notified, so unchanged fares do not alert on every run
+  NOTIFIED_KEY: 'flightExtractorWatchNotified',
+  MAX_ALERTS: 50,
+
+  /**
+   * Load all saved rules
+   * @returns {Promise<Array>} - Array of rule objects
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+  },
+
+  /**
+   * Replace all rules (ids are kept for rules that did not change, so their alert history stays)
+   * @param {Array} rules - Rules from parse()
+   * @returns {Promise<Array>} - The saved rules
+   */
+  async saveAll(rules) {
+    const existing = await this.getAll();
+    const saved = rules.map((rule, index) => {
+      const same = existing.find(old => this.describe(old) === this.describe(rule));
+      return { ...rule, id: same ? same.id : `watch-${Date.now()}-${index}` };
+    });
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: saved });
+    return saved;
+  },
+
+  /**
+   * Parse rules from editor text, one rule per line (see top of file)
+   * @returns {{rules: Array, errors: Array<string>}}
+   */
+  parse(text) {
+    const rules = [];
+    const errors = [];
+    const lines = (text || '').split('\n').map(l => l.trim()).filter(l => l.length > 0);
+
+    lines.forEach((line, index) => {
+      const tokens = line.toUpperCase()
+        .replace(/DROP\s*>?\s*/g, 'DROP')
+        .replace(/<\s*(=?)\s*/g, '<$1')
+        .replace(/[₹,]/g, '')
+        .split(/\s+/);
+      const match = tokens[0].match(/^([A-Z]{3})[-→>]([A-Z]{3})$/);
+      if (!match) {
+        errors.push(`Line ${index + 1}: "${line}" does not start with a SRC-DST pair of IATA codes`);
+        return;
+      }
+
+      const rule = { source: match[1], dest: match[2], date: null, maxStops: null, maxPrice: null, dropPercent: null };
+      for (const token of tokens.slice(1)) {
+        let tokenMatch;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(token)) {
+          rule.date = token;
+        } else if (token === 'NONSTOP' || token === 'NON-STOP') {
+          rule.maxStops = 0;
+        } else if ((tokenMatch = token.match(/^STOPS<(=?)(\d)$/))) {
+          // STOPS<=1 allows one stop, STOPS<1 none
+          rule.maxStops = parseInt(tokenMatch[2], 10) - (tokenMatch[1] ? 0 : 1);
+          if (rule.maxStops < 0) {
+            errors.push(`Line ${index + 1}: "${token}" matches no flight (use NONSTOP or STOPS<=N)`);
+            return;
+          }
+        } else if ((tokenMatch = token.match(/^<=?(\d+(?:\.\d+)?)$/))) {
+          rule.maxPrice = parseFloat(tokenMatch[1]);
+        } else if ((tokenMatch = token.match(/^DROP(\d+(?:\.\d+)?)%$/))) {
+          rule.dropPercent = parseFloat(tokenMatch[1]);
+        } else {
+          errors.push(`Line ${index + 1}: unknown condition "${token}" (use a YYYY-MM-DD date, NONSTOP, STOPS<=N, <PRICE or DROP N%)`);
+          return;
+        }
+      }
+      if (rule.maxPrice === null && rule.dropPercent === null) {
+        errors.push(`Line ${index + 1}: add a price limit (<PRICE) or a drop (DROP N%)`);
+        return;
+      }
+      rules.push(rule);
+    });
+
+    return { rules, errors };
+  },
+
+  /**
+   * Describe a rule in editor syntax (e.g., "BLR-PAT 2026-11-20 NONSTOP <4500")
+   */
+  describe(rule) {
+    const parts = [`${rule.source}-${rule.dest}`];
+    if (rule.date) {
+      parts.push(rule.date);
+    }
+    if (rule.maxStops === 0) {
+      parts.push('NONSTOP');
+    } else if (rule.maxStops !== null && rule.maxStops !== undefined) {
+      parts.push(`STOPS<=${rule.maxStops}`);
+    }
+    if (rule.maxPrice !== null && rule.maxPrice !== undefined) {
+      parts.push(`<${rule.maxPrice}`);
+    }
+    if (rule.dropPercent !== null && rule.dropPercent !== undefined) {
+      parts.push(`DROP ${rule.dropPercent}%`);
+    }
+    return parts.join(' ');
+  },
+
+  /**
+   * Format rules back into editor text
+   */
+  format(rules) {
+    return (rules || []).map(rule => this.describe(rule)).join('\n');
+  },
+
+  /**
+   * Flights of an extraction result that match a rule
+   * @param {Object} rule - Rule from parse()
+   * @param {Object} flightData - {metadata, flights} from an extraction
+   * @param {Map<string, number>} previousPrices - flight_id -> price_amount at the last scrape (for DROP)
+   * @returns {Array<{flight, flight_id, route, travel_date, price_amount, previous_price, drop_percent}>}
+   */
+  matches(rule, flightData, previousPrices = new Map()) {
+    const found = [];
+    ((flightData && flightData.flights) || []).forEach(flight => {
+      const flightId = flight.flight_id || FlightIdentity.build(flight).flight_id;
+      const identity = FlightIdentity.parse(flightId);
+      const price = typeof flight.price_amount === 'number' ? flight.price_amount : null;
+      if (!identity || price === null || identity.origin !== rule.source || identity.destination !== rule.dest) {
+        return;
+      }
+      if (rule.date && identity.departure_date !== rule.date) {
+        return;
+      }
+      const stops = typeof flight.stops === 'number' ? flight.stops : null;
+      if (rule.maxStops !== null && (stops === null || stops > rule.maxStops)) {
+        return;
+      }
+      if (rule.maxPrice !== null && price >= rule.maxPrice) {
+        return;
+      }
+      const previousPrice = previousPrices.has(flightId) ? previousPrices.get(flightId) : null;
+      const dropPercent = previousPrice ? ((previousPrice - price) / previousPrice) * 100 : null;
+      if (rule.dropPercent !== null && (dropPercent === null || dropPercent <= rule.dropPercent)) {
+        return;
+      }
+      found.push({
+        flight: flight,
+        flight_id: flightId,
+        route: `${identity.origin}-${identity.destination}`,
+        travel_date: identity.departure_date,
+        price_amount: price,
+        price_currency: flight.price_currency || null,
+        previous_price: previousPrice,
+        drop_percent: dropPercent !== null ? Math.round(dropPercent * 10) / 10 : null
+      });
+    });
+    return found;
+  },
+
+  /**
+   * Drop matches that were already notified at the same or a lower price, and remember the rest
+   * @param {Object} rule - Rule with id
+   * @param {Array} found - From matches()
+   * @returns {Promise<Array>} - Matches worth a notification, each with the price it was last
+   *                             notified at (notified_price, null if never)
+   */
+  async filterNotified(rule, found) {
+    if (found.length === 0) {
+      return found;
+    }
+    const result = await chrome.storage.local.get([this.NOTIFIED_KEY]);
+    const notified = result[this.NOTIFIED_KEY] || {};
+    const fresh = found.filter(match => {
+      const key = `${rule.id}|${match.flight_id}`;
+      return !(key in notified) || match.price_amount < notified[key];
+    });
+    fresh.forEach(match => {
+      const key = `${rule.id}|${match.flight_id}`;
+      match.notified_price = key in notified ? notified[key] : null;
+      notified[key] = match.price_amount;
+    });
+    if (fresh.length > 0) {
+      await chrome.storage.local.set({ [this.NOTIFIED_KEY]: notified });
+    }
+    return fresh;
+  },
+
+  /**
+   * Undo filterNotified for matches whose notification could not be shown, so the next run tries again:
+   * each goes back to the price it was notified at before (and is still not alerted above it)
+   * @param {Object} rule - Rule with id
+   * @param {Array} found - From filterNotified()
+   */
+  async forgetNotified(rule, found) {
+    const result = await chrome.storage.local.get([this.NOTIFIED_KEY]);
+    const notified = result[this.NOTIFIED_KEY] || {};
+    found.forEach(match => {
+      const key = `${rule.id}|${match.flight_id}`;
+      if (match.notified_price === null || match.notified_price === undefined) {
+        delete notified[key];
+      } else {
+        notified[key] = match.notified_price;
+      }
+    });
+    await chrome.storage.local.set({ [this.NOTIFIED_KEY]: notified });
+  },
+
+  /**
+   * Remember which search URL a notification opens (the newest MAX_ALERTS are kept)
+   */
+  async rememberAlert(notificationId, searchUrl) {
+    const result = await chrome.storage.local.get([this.ALERTS_KEY]);
+    const alerts = { ...(result[this.ALERTS_KEY] || {}), [notificationId]: searchUrl };
+    const ids = Object.keys(alerts);
+    ids.slice(0, Math.max(0, ids.length - this.MAX_ALERTS)).forEach(id => delete alerts[id]);
+    await chrome.storage.local.set({ [this.ALERTS_KEY]: alerts });
+  },
+
+  /**
+   * Search URL of a notification (null if unknown)
+   */
+  async alertUrl(notificationId) {
+    const result = await chrome.storage.local.get([this.ALERTS_KEY]);
+    return (result[this.ALERTS_KEY] || {})[notificationId] || null;
+  }
+};